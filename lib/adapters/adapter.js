@@ -0,0 +1,496 @@
+/**
+ * Base class of client adapters and helpers shared by them
+ */
+
+'use strict';
+
+/**
+ * Transaction was aborted because one of the watched keys was changed. Every
+ * adapter throws this error instead of its client's own one
+ */
+class WatchError extends Error {
+
+    constructor() {
+        super('One (or more) of the watched keys has been changed');
+
+        this.name = 'WatchError';
+    }
+}
+
+/**
+ * Typed commands which reply 1 or 0 and are turned into boolean
+ * @type {String[]}
+ */
+const BOOLEAN_REPLIES = ['EXPIRE', 'EXPIREAT', 'PEXPIRE', 'PEXPIREAT', 'PERSIST', 'HEXISTS', 'HSETNX', 'SISMEMBER', 'SMOVE'];
+
+/**
+ * Reply transformations of typed commands (see {@link Adapter#call}) by name
+ * @type {Object}
+ */
+const REPLIES = {
+    SMISMEMBER: (reply) => reply.map((value) => value === 1),
+    HGETALL:    (reply) => {
+        const object = Object.create(null);
+
+        for (let i = 0; i < reply.length; i += 2) {
+            object[reply[i].toString()] = reply[i + 1];
+        }
+
+        return object;
+    }
+};
+
+BOOLEAN_REPLIES.forEach((name) => {
+    REPLIES[name] = (reply) => reply === 1;
+});
+
+/**
+ * Turn typed command with arguments into flat list of Strings and Buffers:
+ * arrays are spread, Maps and objects become field-value pairs (HSET, HMSET),
+ * Dates - unix time in seconds (EXPIREAT), everything else is stringified
+ *
+ * @param  {Array} args Command name and its arguments
+ * @return {Array}      Arguments ready to be sent
+ */
+function flatten(args) {
+    const result = [];
+
+    const push = (value) => {
+        if (Array.isArray(value)) {
+            value.forEach(push);
+        } else if (Buffer.isBuffer(value)) {
+            result.push(value);
+        } else if (value instanceof Map) {
+            value.forEach((field, key) => push([key, field]));
+        } else if (value instanceof Date) {
+            result.push(String(Math.floor(value.getTime() / 1000)));
+        } else if (value !== null && typeof value === 'object') {
+            Object.keys(value).forEach((key) => push([key, value[key]]));
+        } else if (value !== undefined) {
+            result.push(String(value));
+        }
+    };
+
+    push(args);
+
+    return result;
+}
+
+/**
+ * Bring reply of client which decodes replies on its own to the common shape:
+ * HGETALL object is turned back into flat array, strings and Buffers are
+ * converted as requested
+ *
+ * @param  {String}  name    Name of the command
+ * @param  {*}       reply   Reply of the client
+ * @param  {Boolean} buffers Whether strings should be Buffers
+ * @return {*}               Normalized reply
+ */
+function normalize(name, reply, buffers) {
+    if (String(name).toUpperCase() === 'HGETALL' && !Array.isArray(reply)) {
+        reply = [].concat(...Object.keys(reply || {}).map((field) => [field, reply[field]]));
+    }
+
+    const convert = (value) => {
+        if (Array.isArray(value)) {
+            return value.map(convert);
+        }
+
+        if (buffers && typeof value === 'string') {
+            return Buffer.from(value);
+        }
+
+        if (!buffers && Buffer.isBuffer(value)) {
+            return value.toString();
+        }
+
+        return value;
+    };
+
+    return convert(reply);
+}
+
+/**
+ * Get cluster hash slot of the key (CRC16 of the key or its {hash tag})
+ *
+ * @param  {String|Buffer} key
+ * @return {Number}            Slot from 0 to 16383
+ */
+function slot(key) {
+    let buffer = Buffer.isBuffer(key) ? key : Buffer.from(String(key));
+    const start = buffer.indexOf('{');
+
+    if (start !== -1) {
+        const end = buffer.indexOf('}', start + 1);
+
+        if (end > start + 1) {
+            buffer = buffer.slice(start + 1, end);
+        }
+    }
+
+    let crc = 0;
+
+    for (const byte of buffer) {
+        crc ^= byte << 8;
+
+        for (let i = 0; i < 8; i++) {
+            crc = (crc & 0x8000) ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+        }
+    }
+
+    return crc % 16384;
+}
+
+/**
+ * Commands collected to be run at once in MULTI/EXEC
+ */
+class Batch {
+
+    /**
+     * @param {Function} execute Function of commands (arrays of arguments) resolved with
+     *                           replies - errors of commands in place of their replies
+     */
+    constructor(execute) {
+        this.execute = execute;
+        this.queue   = [];
+    }
+
+    /**
+     * Queue raw command
+     *
+     * @param  {Array}    args             Command with arguments (Strings or Buffers)
+     * @param  {Function} [transformReply] Function to transform reply with
+     * @return {Batch}
+     */
+    addCommand(args, transformReply) {
+        this.queue.push({args, transformReply});
+
+        return this;
+    }
+
+    /**
+     * Queue typed command, see {@link Adapter#call}
+     *
+     * @param  {String} name Name of the command
+     * @param  {Array}  args Arguments, flattened
+     * @return {Batch}
+     */
+    call(name, args) {
+        return this.addCommand(flatten([name].concat(args)), REPLIES[name]);
+    }
+
+    /**
+     * Run queued commands
+     *
+     * @return {Promise<Array>} Replies; failed commands are replied with Error
+     *
+     * @throws {WatchError} When one of the watched keys was changed
+     * @throws {Error}      When transaction is discarded as a whole (EXECABORT)
+     */
+    async exec() {
+        const queue = this.queue.splice(0);
+
+        if (queue.length === 0) {
+            return [];
+        }
+
+        const replies = await this.execute(queue.map(({args}) => args));
+
+        return replies.map((reply, i) => (reply instanceof Error || !queue[i].transformReply)
+            ? reply
+            : queue[i].transformReply(reply));
+    }
+}
+
+/**
+ * Common interface over Redis clients. Wrappers talk to the client only
+ * through it, so every wrapper method behaves the same on every client:
+ *
+ * - replies are RESP2-shaped: Strings (or Buffers with `returnBuffers`),
+ *   Numbers, nulls and arrays of them
+ * - errors are rejected, inside MULTI they are put in place of the replies
+ * - aborted transaction throws {@link WatchError}
+ *
+ * Subclasses implement sendCommand, multi, executeIsolated, duplicate, the
+ * connection methods and pub/sub
+ */
+class Adapter {
+
+    /**
+     * @param {Object} client Client to adapt
+     */
+    constructor(client) {
+        Object.defineProperty(this, 'client', {value: client});
+    }
+
+    /**
+     * Number of the database client works with (used in keyspace channels)
+     *
+     * @type {Number}
+     */
+    get database() {
+        return 0;
+    }
+
+    /**
+     * Whether client is a cluster client - keys of one multi-key command
+     * must be in one slot
+     *
+     * @type {Boolean}
+     */
+    get cluster() {
+        return false;
+    }
+
+    /**
+     * Whether connection is open
+     *
+     * @type {Boolean}
+     */
+    get isOpen() {
+        return true;
+    }
+
+    /**
+     * Send raw command
+     *
+     * @abstract
+     * @param  {Array}   args                    Command with arguments (Strings or Buffers)
+     * @param  {Object}  [options={}]            Options
+     * @param  {Boolean} [options.returnBuffers] Reply with Buffers instead of Strings
+     * @param  {Boolean} [options.isolated]      Run on connection of its own (blocking commands)
+     * @param  {String}  [options.key]           Key to route command by in cluster (second argument by default)
+     * @return {Promise}                         Reply
+     */
+    sendCommand() {
+        return Promise.reject(new Error('Adapter must implement sendCommand'));
+    }
+
+    /**
+     * Send typed command: arguments are flattened (see {@link flatten}) and
+     * replies of some commands are transformed - booleans for EXPIRE, HEXISTS,
+     * HSETNX, PERSIST, SISMEMBER, SMOVE; array of booleans for SMISMEMBER;
+     * object for HGETALL
+     *
+     * @param  {String}  name         Name of the command
+     * @param  {Array}   args         Arguments
+     * @param  {Object}  [options={}] Options, see {@link Adapter#sendCommand}
+     * @return {Promise}              Reply
+     */
+    call(name, args, options = {}) {
+        const transformReply = REPLIES[name];
+
+        return this.sendCommand(flatten([name].concat(args)), options)
+            .then((reply) => transformReply ? transformReply(reply) : reply);
+    }
+
+    /**
+     * Create batch of commands to run in MULTI/EXEC
+     *
+     * @abstract
+     * @return {Batch}
+     */
+    multi() {
+        throw new Error('Adapter must implement multi');
+    }
+
+    /**
+     * Run function with adapter of connection which is not used by anyone
+     * else (for WATCH)
+     *
+     * @abstract
+     * @param  {Function} fn    Function of adapter
+     * @param  {String}   [key] Key the function works with (picks node in cluster)
+     * @return {Promise}        Result of the function
+     */
+    executeIsolated() {
+        return Promise.reject(new Error('Adapter must implement executeIsolated'));
+    }
+
+    /**
+     * Create adapter of new connection with the same options; it has to be
+     * connected. In cluster connection is made to the node of the key
+     *
+     * @abstract
+     * @param  {String}  [key] Key the connection is for
+     * @return {Adapter}
+     */
+    duplicate() {
+        throw new Error('Adapter must implement duplicate');
+    }
+
+    /**
+     * Get adapter of standalone connection serving the key - this one unless
+     * it's a cluster client
+     *
+     * @param  {String}  [key]
+     * @return {Adapter}
+     */
+    node() {
+        return this;
+    }
+
+    /**
+     * Get adapters of all the master nodes (to SCAN the whole keyspace) - just
+     * this one unless it's a cluster client
+     *
+     * @return {Adapter[]}
+     */
+    masters() {
+        return [this];
+    }
+
+    /**
+     * Connect client
+     *
+     * @return {Promise}
+     */
+    connect() {
+        return Promise.resolve();
+    }
+
+    /**
+     * Close connection after pending commands
+     *
+     * @return {Promise}
+     */
+    quit() {
+        return Promise.resolve();
+    }
+
+    /**
+     * Subscribe listener to channel; connection is switched to subscriber mode
+     *
+     * @abstract
+     * @param  {String}   channel
+     * @param  {Function} listener Function of (message, channel)
+     * @return {Promise}
+     */
+    subscribe() {
+        return Promise.reject(new Error('Adapter must implement subscribe'));
+    }
+
+    /**
+     * Unsubscribe listener from channel
+     *
+     * @abstract
+     * @param  {String}   channel
+     * @param  {Function} listener
+     * @return {Promise}
+     */
+    unsubscribe() {
+        return Promise.reject(new Error('Adapter must implement unsubscribe'));
+    }
+
+    /**
+     * Run function with connection of its own - isolation for clients without
+     * connection pool. Connections are duplicated on demand and kept idle for
+     * the next calls, so loops of blocking commands or WATCH attempts reuse
+     * one; they are closed when the client ends (or the function fails)
+     *
+     * @protected
+     * @param  {Function} fn Function of adapter
+     * @return {Promise}     Result of the function
+     */
+    async withDuplicate(fn) {
+        if (this.idle === undefined) {
+            Object.defineProperty(this, 'idle', {value: []});
+
+            this.client.on('end', () => this.idle.splice(0).forEach((duplicate) => duplicate.quit().catch(() => undefined)));
+        }
+
+        let duplicate = this.idle.pop();
+
+        if (duplicate === undefined) {
+            duplicate = this.duplicate();
+
+            await duplicate.connect();
+        }
+
+        let failed = true;
+
+        try {
+            const result = await fn(duplicate);
+
+            failed = false;
+
+            return result;
+        } finally {
+            if (failed || !this.isOpen || !duplicate.isOpen) {
+                await duplicate.quit();
+            } else {
+                this.idle.push(duplicate);
+            }
+        }
+    }
+}
+
+/**
+ * Listeners of pub/sub messages by channel, for clients which emit messages
+ * as events (node-redis v3, ioredis)
+ */
+class Listeners {
+
+    /**
+     * @param {Object} client Client emitting `message` events
+     */
+    constructor(client) {
+        this.channels = new Map();
+
+        client.on('message', (channel, message) => {
+            (this.channels.get(channel) || []).forEach((listener) => listener(message, channel));
+        });
+    }
+
+    /**
+     * Add listener
+     *
+     * @param  {String}   channel
+     * @param  {Function} listener
+     * @return {Boolean}           Whether it's the first listener of the channel
+     */
+    add(channel, listener) {
+        const first = !this.channels.has(channel);
+
+        if (first) {
+            this.channels.set(channel, new Set());
+        }
+
+        this.channels.get(channel).add(listener);
+
+        return first;
+    }
+
+    /**
+     * Remove listener
+     *
+     * @param  {String}   channel
+     * @param  {Function} listener
+     * @return {Boolean}           Whether it was the last listener of the channel
+     */
+    delete(channel, listener) {
+        const listeners = this.channels.get(channel);
+
+        if (listeners === undefined) {
+            return false;
+        }
+
+        listeners.delete(listener);
+
+        if (listeners.size > 0) {
+            return false;
+        }
+
+        this.channels.delete(channel);
+
+        return true;
+    }
+}
+
+exports.Adapter    = Adapter;
+exports.Batch      = Batch;
+exports.Listeners  = Listeners;
+exports.WatchError = WatchError;
+exports.flatten    = flatten;
+exports.normalize  = normalize;
+exports.slot       = slot;
@@ -0,0 +1,117 @@
+/**
+ * Adapters of Redis clients. Wrappers work with node-redis v3 and v4,
+ * ioredis, cluster clients of both libraries and the in-memory client
+ *
+ * ```js
+ * const types = require('redis-type')(new Redis(), {adapter: 'ioredis'});
+ * ```
+ *
+ * @module adapters
+ */
+
+'use strict';
+
+const {Adapter, Batch, WatchError, flatten, slot} = require('./adapter');
+const {NodeRedisAdapter, NodeRedisClusterAdapter} = require('./node-redis');
+const {NodeRedisV3Adapter}                        = require('./node-redis-v3');
+const {IORedisAdapter, IORedisClusterAdapter}     = require('./ioredis');
+
+/**
+ * Adapter classes by name of the client flavour
+ * @type {Object}
+ */
+const FLAVOURS = {
+    'node-redis':         NodeRedisAdapter,
+    'node-redis-v3':      NodeRedisV3Adapter,
+    'node-redis-cluster': NodeRedisClusterAdapter,
+    'ioredis':            IORedisAdapter,
+    'ioredis-cluster':    IORedisClusterAdapter
+};
+
+/**
+ * Adapters of clients, so every wrapper of the client shares one. A client
+ * has one adapter: adapting it as other flavour later throws
+ * @type {WeakMap}
+ */
+const adapters = new WeakMap();
+
+/**
+ * Guess flavour of the client by its methods
+ *
+ * @param  {Object} client
+ * @return {String}        Name of the flavour
+ *
+ * @throws {Error} When client is not supported
+ */
+function detect(client) {
+    if (typeof client.pipeline === 'function') {
+        return (typeof client.nodes === 'function') ? 'ioredis-cluster' : 'ioredis';
+    }
+
+    if (typeof client.getSlotMaster === 'function') {
+        return 'node-redis-cluster';
+    }
+
+    if (typeof client.sendCommand === 'function' && typeof client.executeIsolated === 'function') {
+        return 'node-redis';
+    }
+
+    if (typeof client.send_command === 'function') {
+        return 'node-redis-v3';
+    }
+
+    throw new Error('Unsupported Redis client, pass adapter option or instance of Adapter');
+}
+
+/**
+ * Get adapter of the client
+ *
+ * @param  {Object|Adapter} client    Client of node-redis (v3, v4, cluster), ioredis (standalone, cluster) or adapter
+ * @param  {String}         [flavour] One of `node-redis`, `node-redis-v3`, `node-redis-cluster`, `ioredis`,
+ *                                    `ioredis-cluster`; detected by default
+ * @return {Adapter}
+ *
+ * @throws {Error} When client or flavour is not supported, or client is already adapted as other flavour
+ */
+function adapt(client, flavour) {
+    if (client instanceof Adapter) {
+        return client;
+    }
+
+    if (client === null || typeof client !== 'object') {
+        throw new Error('Redis client is required');
+    }
+
+    if (flavour !== undefined && !Object.prototype.hasOwnProperty.call(FLAVOURS, flavour)) {
+        throw new Error(`Unknown adapter "${flavour}", expected one of: ${Object.keys(FLAVOURS).join(', ')}`);
+    }
+
+    const adapter = adapters.get(client);
+
+    if (adapter === undefined) {
+        adapters.set(client, new FLAVOURS[flavour || detect(client)](client));
+
+        return adapters.get(client);
+    }
+
+    if (flavour !== undefined && adapter.constructor !== FLAVOURS[flavour]) {
+        const adapted = Object.keys(FLAVOURS).find((name) => FLAVOURS[name] === adapter.constructor);
+
+        throw new Error(`Client is already adapted as "${adapted}", can't adapt it as "${flavour}"`);
+    }
+
+    return adapter;
+}
+
+exports.adapt                   = adapt;
+exports.detect                  = detect;
+exports.Adapter                 = Adapter;
+exports.Batch                   = Batch;
+exports.NodeRedisAdapter        = NodeRedisAdapter;
+exports.NodeRedisClusterAdapter = NodeRedisClusterAdapter;
+exports.NodeRedisV3Adapter      = NodeRedisV3Adapter;
+exports.IORedisAdapter          = IORedisAdapter;
+exports.IORedisClusterAdapter   = IORedisClusterAdapter;
+exports.WatchError              = WatchError;
+exports.flatten                 = flatten;
+exports.slot                    = slot;
@@ -0,0 +1,195 @@
+/**
+ * Adapters of ioredis clients (`Redis` and `Redis.Cluster`)
+ */
+
+'use strict';
+
+const {Adapter, Batch, Listeners, WatchError, normalize, slot} = require('./adapter');
+
+/**
+ * Send command with ioredis client or pipeline: generic `call` (ioredis 5),
+ * otherwise method named after the command
+ *
+ * @param  {Object}  target  Client or pipeline
+ * @param  {Array}   args    Command with arguments
+ * @param  {Boolean} buffers Whether to request Buffers
+ * @return {*}               What the method returns
+ */
+function send(target, [name, ...args], buffers) {
+    const generic = buffers ? 'callBuffer' : 'call';
+
+    if (typeof target[generic] === 'function') {
+        return target[generic](name, ...args);
+    }
+
+    return target[name.toLowerCase() + (buffers ? 'Buffer' : '')](...args);
+}
+
+/**
+ * Adapter of ioredis client. Isolated commands (WATCH, blocking ones) run on a
+ * duplicated connection, reused by the next ones
+ *
+ * @extends Adapter
+ */
+class IORedisAdapter extends Adapter {
+
+    get database() {
+        return Number((this.client.options && this.client.options.db) || 0);
+    }
+
+    get isOpen() {
+        return this.client.status === 'ready';
+    }
+
+    sendCommand(args, options = {}) {
+        if (options.isolated) {
+            return this.executeIsolated((isolated) => isolated.sendCommand(args, {returnBuffers: options.returnBuffers}), options.key);
+        }
+
+        return Promise.resolve(send(this.client, args, !!options.returnBuffers))
+            .then((reply) => normalize(args[0], reply, !!options.returnBuffers));
+    }
+
+    multi() {
+        return new Batch(async (commands) => {
+            const multi = this.client.multi();
+
+            commands.forEach((args) => send(multi, args, false));
+
+            const results = await multi.exec();
+
+            if (results === null) {
+                throw new WatchError();
+            }
+
+            return results.map(([error, reply], i) => error || normalize(commands[i][0], reply, false));
+        });
+    }
+
+    executeIsolated(fn) {
+        return this.withDuplicate(fn);
+    }
+
+    duplicate() {
+        return new IORedisAdapter(this.client.duplicate());
+    }
+
+    connect() {
+        switch (this.client.status) {
+            case 'ready':
+                return Promise.resolve();
+            case 'wait':
+                return this.client.connect();
+            default:
+                return new Promise((resolve, reject) => {
+                    const onError = (error) => {
+                        this.client.removeListener('ready', onReady);
+                        reject(error);
+                    };
+                    const onReady = () => {
+                        this.client.removeListener('error', onError);
+                        resolve();
+                    };
+
+                    this.client.once('ready', onReady);
+                    this.client.once('error', onError);
+                });
+        }
+    }
+
+    quit() {
+        return this.client.quit();
+    }
+
+    subscribe(channel, listener) {
+        if (!this.listeners) {
+            Object.defineProperty(this, 'listeners', {value: new Listeners(this.client)});
+        }
+
+        return this.listeners.add(channel, listener) ? this.client.subscribe(channel) : Promise.resolve();
+    }
+
+    unsubscribe(channel, listener) {
+        return (this.listeners && this.listeners.delete(channel, listener))
+            ? this.client.unsubscribe(channel)
+            : Promise.resolve();
+    }
+}
+
+/**
+ * Adapter of ioredis cluster client. WATCH, blocking commands, duplicates and
+ * subscriptions use the master node of the key
+ *
+ * @extends IORedisAdapter
+ */
+class IORedisClusterAdapter extends IORedisAdapter {
+
+    /**
+     * @param {Object} client Cluster client
+     */
+    constructor(client) {
+        super(client);
+
+        Object.defineProperty(this, 'nodes', {value: new Map()});
+    }
+
+    get database() {
+        return 0;
+    }
+
+    get cluster() {
+        return true;
+    }
+
+    executeIsolated(fn, key) {
+        return this.node(key).executeIsolated(fn);
+    }
+
+    duplicate(key) {
+        return this.node(key).duplicate();
+    }
+
+    node(key) {
+        const masters = this.client.nodes('master');
+        const address = (key === undefined || !this.client.slots[slot(key)])
+            ? null
+            : this.client.slots[slot(key)][0];
+        const master  = masters.find((node) => node.options.host + ':' + node.options.port === address) || masters[0];
+
+        if (master === undefined) {
+            throw new Error('Cluster has no master nodes, is it connected?');
+        }
+
+        return this.adapterOf(master);
+    }
+
+    masters() {
+        return this.client.nodes('master').map((master) => this.adapterOf(master));
+    }
+
+    /**
+     * Get (cached) adapter of node client
+     *
+     * @private
+     * @param  {Object}         client Client of the node
+     * @return {IORedisAdapter}
+     */
+    adapterOf(client) {
+        if (!this.nodes.has(client)) {
+            this.nodes.set(client, new IORedisAdapter(client));
+        }
+
+        return this.nodes.get(client);
+    }
+
+    subscribe() {
+        return Promise.reject(new Error('Subscribe on the node of the key, see Adapter#node'));
+    }
+
+    unsubscribe() {
+        return Promise.reject(new Error('Unsubscribe on the node of the key, see Adapter#node'));
+    }
+}
+
+exports.IORedisAdapter        = IORedisAdapter;
+exports.IORedisClusterAdapter = IORedisClusterAdapter;
@@ -0,0 +1,126 @@
+/**
+ * Adapter of node-redis v3 (callback API, `send_command`). To store binary
+ * data (buffer codec) create the client with `detect_buffers` or
+ * `return_buffers` option, otherwise replies are decoded as UTF-8 by the client
+ */
+
+'use strict';
+
+const {Adapter, Batch, Listeners, WatchError, normalize} = require('./adapter');
+
+/**
+ * Adapter of node-redis v3 client. Isolated commands (WATCH, blocking ones)
+ * run on a duplicated connection, reused by the next ones
+ *
+ * @extends Adapter
+ */
+class NodeRedisV3Adapter extends Adapter {
+
+    get database() {
+        return Number(this.client.selected_db || (this.client.options && this.client.options.db) || 0);
+    }
+
+    get isOpen() {
+        return this.client.connected;
+    }
+
+    sendCommand(args, options = {}) {
+        if (options.isolated) {
+            return this.withDuplicate((duplicate) => duplicate.sendCommand(args, {returnBuffers: options.returnBuffers}));
+        }
+
+        let params = args.slice(1);
+
+        // with detect_buffers the client replies with Buffers only to commands
+        // with Buffer arguments, so the key is passed as one
+        if (options.returnBuffers && params.length > 0 && !params.some(Buffer.isBuffer)) {
+            params = [Buffer.from(params[0])].concat(params.slice(1));
+        }
+
+        return new Promise((resolve, reject) => {
+            this.client.send_command(args[0], params, (error, reply) => error
+                ? reject(error)
+                : resolve(normalize(args[0], reply, !!options.returnBuffers)));
+        });
+    }
+
+    multi() {
+        return new Batch((commands) => new Promise((resolve, reject) => {
+            const multi = this.client.multi();
+
+            commands.forEach(([name, ...args]) => {
+                if (typeof multi.send_command === 'function') {
+                    multi.send_command(name, args);
+                } else {
+                    multi[name.toLowerCase()](args);
+                }
+            });
+
+            multi.exec((error, replies) => {
+                if (error) {
+                    return reject(error);
+                }
+
+                if (replies === null) {
+                    return reject(new WatchError());
+                }
+
+                resolve(replies.map((reply, i) => (reply instanceof Error) ? reply : normalize(commands[i][0], reply, false)));
+            });
+        }));
+    }
+
+    executeIsolated(fn) {
+        return this.withDuplicate(fn);
+    }
+
+    duplicate() {
+        return new NodeRedisV3Adapter(this.client.duplicate());
+    }
+
+    connect() {
+        if (this.client.ready) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const onError = (error) => {
+                this.client.removeListener('ready', onReady);
+                reject(error);
+            };
+            const onReady = () => {
+                this.client.removeListener('error', onError);
+                resolve();
+            };
+
+            this.client.once('ready', onReady);
+            this.client.once('error', onError);
+        });
+    }
+
+    quit() {
+        return new Promise((resolve, reject) => this.client.quit((error) => error ? reject(error) : resolve()));
+    }
+
+    subscribe(channel, listener) {
+        if (!this.listeners) {
+            Object.defineProperty(this, 'listeners', {value: new Listeners(this.client)});
+        }
+
+        if (!this.listeners.add(channel, listener)) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => this.client.subscribe(channel, (error) => error ? reject(error) : resolve()));
+    }
+
+    unsubscribe(channel, listener) {
+        if (!this.listeners || !this.listeners.delete(channel, listener)) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => this.client.unsubscribe(channel, (error) => error ? reject(error) : resolve()));
+    }
+}
+
+exports.NodeRedisV3Adapter = NodeRedisV3Adapter;
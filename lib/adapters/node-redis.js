@@ -0,0 +1,182 @@
+/**
+ * Adapters of node-redis v4 clients (`createClient` and `createCluster`).
+ * The in-memory client (`redis-type/memory`) has the same interface
+ */
+
+'use strict';
+
+const {Adapter, Batch, WatchError, slot} = require('./adapter');
+
+/**
+ * Options understood by sendCommand of node-redis
+ *
+ * @param  {Object} options Adapter options
+ * @return {Object}
+ */
+function commandOptions(options) {
+    return {returnBuffers: !!options.returnBuffers, isolated: !!options.isolated};
+}
+
+/**
+ * Run node-redis multi and replace its WatchError with the common one
+ *
+ * @param  {Object}   multi    Multi of node-redis
+ * @param  {Array[]}  commands Commands to run
+ * @return {Promise<Array>}
+ */
+async function exec(multi, commands) {
+    commands.forEach((args) => multi.addCommand(args));
+
+    try {
+        return await multi.exec();
+    } catch (e) {
+        if (e.constructor.name === 'WatchError') {
+            throw new WatchError();
+        }
+
+        throw e;
+    }
+}
+
+/**
+ * Adapter of node-redis v4 client
+ *
+ * @extends Adapter
+ */
+class NodeRedisAdapter extends Adapter {
+
+    get database() {
+        return (this.client.options && this.client.options.database) || 0;
+    }
+
+    get isOpen() {
+        return this.client.isOpen;
+    }
+
+    sendCommand(args, options = {}) {
+        return this.client.sendCommand(args, commandOptions(options));
+    }
+
+    multi() {
+        return new Batch((commands) => exec(this.client.multi(), commands));
+    }
+
+    executeIsolated(fn) {
+        return this.client.executeIsolated((isolated) => fn(new NodeRedisAdapter(isolated)));
+    }
+
+    duplicate() {
+        return new NodeRedisAdapter(this.client.duplicate());
+    }
+
+    connect() {
+        return this.client.connect();
+    }
+
+    quit() {
+        return this.client.quit();
+    }
+
+    subscribe(channel, listener) {
+        return this.client.subscribe(channel, listener);
+    }
+
+    unsubscribe(channel, listener) {
+        return this.client.unsubscribe(channel, listener);
+    }
+}
+
+/**
+ * Adapter of node-redis v4 cluster client. Commands are routed by their key;
+ * WATCH, blocking commands, duplicates and subscriptions use the master node
+ * of the key
+ *
+ * @extends Adapter
+ */
+class NodeRedisClusterAdapter extends Adapter {
+
+    /**
+     * @param {Object} client Cluster client
+     */
+    constructor(client) {
+        super(client);
+
+        Object.defineProperty(this, 'nodes', {value: new Map()});
+    }
+
+    get cluster() {
+        return true;
+    }
+
+    get isOpen() {
+        return this.client.getMasters().some((master) => master.client && master.client.isOpen);
+    }
+
+    sendCommand(args, options = {}) {
+        const key = (options.key !== undefined) ? options.key : args[1];
+
+        if (options.isolated) {
+            return this.node(key).sendCommand(args, options);
+        }
+
+        return this.client.sendCommand(key, false, args, commandOptions(options));
+    }
+
+    multi() {
+        return new Batch((commands) => exec(this.client.multi(commands[0][1]), commands));
+    }
+
+    executeIsolated(fn, key) {
+        return this.node(key).executeIsolated(fn);
+    }
+
+    duplicate(key) {
+        return this.node(key).duplicate();
+    }
+
+    node(key) {
+        const master = (key === undefined)
+            ? this.client.getMasters()[0]
+            : this.client.getSlotMaster(slot(key));
+
+        return this.adapterOf(master.client);
+    }
+
+    masters() {
+        return this.client.getMasters().map((master) => this.adapterOf(master.client));
+    }
+
+    /**
+     * Get (cached) adapter of node client
+     *
+     * @private
+     * @param  {Object}           client Client of the node
+     * @return {NodeRedisAdapter}
+     */
+    adapterOf(client) {
+        if (!this.nodes.has(client)) {
+            this.nodes.set(client, new NodeRedisAdapter(client));
+        }
+
+        return this.nodes.get(client);
+    }
+
+    connect() {
+        return this.client.connect();
+    }
+
+    quit() {
+        return this.client.quit();
+    }
+
+    subscribe() {
+        return Promise.reject(new Error('Subscribe on the node of the key, see Adapter#node'));
+    }
+
+    unsubscribe() {
+        return Promise.reject(new Error('Unsubscribe on the node of the key, see Adapter#node'));
+    }
+}
+
+exports.NodeRedisAdapter        = NodeRedisAdapter;
+exports.NodeRedisClusterAdapter = NodeRedisClusterAdapter;
@@ -0,0 +1,620 @@
+/**
+ * Redis bitmap (string used as array of bits) wrapper
+ *
+ * Implemented methods:
+ *
+ * - get (**GETBIT**)
+ * - set (**SETBIT**)
+ * - count (**BITCOUNT**)
+ * - position (**BITPOS**)
+ * - byteLength (**STRLEN**)
+ * - and, or, xor, not (**BITOP**)
+ * - fields (**BITFIELD**, **BITFIELD_RO**, see {@link BitFields})
+ *
+ * Bits are numbered from the most significant bit of the first byte. Reading
+ * past the end gives zeros, setting a bit past the end grows the string (up
+ * to 512 MB). Bitmaps are strings for Redis (TYPE replies `string`) and
+ * ignore codec of the wrapper.
+ */
+
+'use strict';
+
+/* global BigInt */
+
+const Wrapper = require('./wrapper');
+
+/**
+ * Overflow policies of BITFIELD
+ * @type {String[]}
+ */
+const OVERFLOWS = ['wrap', 'sat', 'fail'];
+
+/**
+ * Build range arguments of BITCOUNT and BITPOS
+ *
+ * @param  {Object}   range              Range
+ * @param  {Number}   [range.start]      First byte (bit), may be negative
+ * @param  {Number}   [range.end]        Last byte (bit), inclusive, may be negative
+ * @param  {String}   [range.unit]       `byte` or `bit` (Redis 7)
+ * @param  {Boolean}  [endRequired=false] Whether end has to follow start (BITCOUNT)
+ * @return {String[]}
+ */
+function rangeArguments(range, endRequired = false) {
+    const args = [];
+
+    if (range.start !== undefined || range.end !== undefined || range.unit !== undefined) {
+        args.push(String(range.start || 0));
+    }
+
+    if (range.end !== undefined || range.unit !== undefined || (endRequired && args.length > 0)) {
+        args.push(String((range.end === undefined) ? -1 : range.end));
+    }
+
+    if (range.unit !== undefined) {
+        args.push(range.unit.toUpperCase());
+    }
+
+    return args;
+}
+
+/**
+ * Widest field which values are exact as JS numbers; wider ones are read as
+ * two parts (the low one of 32 bits) and combined into BigInt
+ * @type {Number}
+ */
+const MAX_NUMBER_WIDTH = 53;
+
+/**
+ * Parse type of integer field: `i` (signed) or `u` (unsigned) and width in bits
+ *
+ * @param  {String} type Type as in BITFIELD: i8, u16 etc
+ * @return {Object}      {type, width, wide}
+ *
+ * @throws {Error} When type is not valid
+ */
+function fieldType(type) {
+    const match = /^([iu])([0-9]+)$/.exec(type);
+    const width = match && Number(match[2]);
+
+    if (match === null || width < 1 || width > ((match[1] === 'i') ? 64 : 63)) {
+        throw new Error('Bit field type must be i1-i64 or u1-u63, got: ' + type);
+    }
+
+    return {type, width, wide: width > MAX_NUMBER_WIDTH};
+}
+
+/**
+ * Combine parts of wide field into BigInt
+ *
+ * @param  {Number|String} high High part, signed for signed fields
+ * @param  {Number|String} low  Low 32 bits, unsigned
+ * @return {BigInt}
+ */
+function combine(high, low) {
+    return BigInt(high) * BigInt(0x100000000) + BigInt(low);
+}
+
+/**
+ * Class to handle Redis strings as bitmaps
+ *
+ * @example
+ * const client = require('redis').createClient();
+ * const types  = require('redis-type')(client);
+ *
+ * const active = new types.Bitmap('active:2024-05-02');
+ * const weekly = new types.Bitmap('active:week-18');
+ *
+ * (async () => {
+ *
+ *   await active.set(42);                             // user 42 was active
+ *   await active.get(42);                             // 1
+ *   await active.count();                             // 1
+ *   await active.position(0);                         // 0 - the first inactive user
+ *   await active.or(weekly, yesterday);               // weekly = active | yesterday
+ *
+ * })();
+ *
+ * @extends Wrapper
+ */
+class Bitmap extends Wrapper {
+
+    /**
+     * Keyspace events of bitmap commands (notify-keyspace-events class)
+     *
+     * @type {String}
+     */
+    static get keyspaceEvents() {
+        return '$';
+    }
+
+    /**
+     * Redis type of the key (reply of TYPE)
+     *
+     * @type {String}
+     */
+    static get redisType() {
+        return 'string';
+    }
+
+    /**
+     * Get bit at the offset
+     *
+     * - Redis command: [GETBIT]{@link https://redis.io/commands/getbit}
+     * - JavaScript analogy: typed array index access
+     *
+     * @param  {Number}          offset Offset of the bit
+     * @return {Promise<Number>}        0 or 1
+     */
+    get(offset) {
+        return this.command('GETBIT', offset).then(Number);
+    }
+
+    /**
+     * Set or clear bit at the offset
+     *
+     * - Redis command: [SETBIT]{@link https://redis.io/commands/setbit}
+     * - JavaScript analogy: typed array index assignment
+     *
+     * @param  {Number}          offset  Offset of the bit
+     * @param  {Number|Boolean}  [bit=1] Bit to set, falsy values clear the bit
+     * @return {Promise<Number>}         Previous bit
+     */
+    set(offset, bit = 1) {
+        return this.writeCommand('SETBIT', offset, bit ? 1 : 0).then(Number);
+    }
+
+    /**
+     * Count set bits, in the whole bitmap or in the range
+     *
+     * - Redis command: [BITCOUNT]{@link https://redis.io/commands/bitcount}
+     * - JavaScript analogy: none
+     *
+     * @param  {Object}          [range={}]          Range to count in
+     * @param  {Number}          [range.start=0]     First byte (or bit), negative counts from the end
+     * @param  {Number}          [range.end=-1]      Last byte (or bit), inclusive
+     * @param  {String}          [range.unit='byte'] Unit of start and end: `byte` or `bit` (Redis 7)
+     * @return {Promise<Number>}                     Number of set bits
+     */
+    count(range = {}) {
+        return this.command('BITCOUNT', ...rangeArguments(range, true)).then(Number);
+    }
+
+    /**
+     * Find the first set (or clear) bit, in the whole bitmap or in the range.
+     * Looking for clear bit without `end` treats bitmap as padded with zeros,
+     * so a bitmap of all ones gives the offset right after its end
+     *
+     * - Redis command: [BITPOS]{@link https://redis.io/commands/bitpos}
+     * - JavaScript analogy: [TypedArray.indexOf]{@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/TypedArray/indexOf}
+     *
+     * @param  {Number}          bit                 Bit to look for: 0 or 1
+     * @param  {Object}          [range={}]          Range to look in, see {@link Bitmap#count}
+     * @return {Promise<Number>}                     Offset of the bit, -1 when there's none
+     */
+    position(bit, range = {}) {
+        return this.command('BITPOS', bit ? 1 : 0, ...rangeArguments(range)).then(Number);
+    }
+
+    /**
+     * Get length of the bitmap in bytes
+     *
+     * - Redis command: [STRLEN]{@link https://redis.io/commands/strlen}
+     * - JavaScript analogy: [TypedArray.byteLength]{@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/TypedArray/byteLength}
+     *
+     * @return {Promise<Number>} Number of bytes, 0 when there's no key
+     */
+    byteLength() {
+        return this.command('STRLEN').then(Number);
+    }
+
+    /**
+     * Store bitwise AND of this and other bitmaps into destination. Shorter
+     * bitmaps are padded with zeros
+     *
+     * - Redis command: [BITOP AND]{@link https://redis.io/commands/bitop}
+     *
+     * @param  {Bitmap}          destination Bitmap to store the result in
+     * @param  {...Bitmap}       others      Bitmaps to combine with
+     * @return {Promise<Number>}             Length of the result in bytes
+     */
+    and(destination, ...others) {
+        return this._bitop('AND', destination, others);
+    }
+
+    /**
+     * Store bitwise OR of this and other bitmaps into destination
+     *
+     * - Redis command: [BITOP OR]{@link https://redis.io/commands/bitop}
+     *
+     * @param  {Bitmap}          destination Bitmap to store the result in
+     * @param  {...Bitmap}       others      Bitmaps to combine with
+     * @return {Promise<Number>}             Length of the result in bytes
+     */
+    or(destination, ...others) {
+        return this._bitop('OR', destination, others);
+    }
+
+    /**
+     * Store bitwise XOR of this and other bitmaps into destination
+     *
+     * - Redis command: [BITOP XOR]{@link https://redis.io/commands/bitop}
+     *
+     * @param  {Bitmap}          destination Bitmap to store the result in
+     * @param  {...Bitmap}       others      Bitmaps to combine with
+     * @return {Promise<Number>}             Length of the result in bytes
+     */
+    xor(destination, ...others) {
+        return this._bitop('XOR', destination, others);
+    }
+
+    /**
+     * Store inverted bitmap into destination
+     *
+     * - Redis command: [BITOP NOT]{@link https://redis.io/commands/bitop}
+     *
+     * @param  {Bitmap}          destination Bitmap to store the result in
+     * @return {Promise<Number>}             Length of the result in bytes
+     */
+    not(destination) {
+        return this._bitop('NOT', destination, []);
+    }
+
+    /**
+     * Get typed view of the bitmap as an array of integer fields, see {@link BitFields}
+     *
+     * @example
+     * const counters = bitmap.fields('u8', {overflow: 'sat'});
+     * const stats    = bitmap.fields({views: 'u32', likes: 'u16', rating: 'i8'});
+     *
+     * (async () => {
+     *
+     *   await counters.increment(3);             // 1
+     *   await stats.set(10, {views: 100});       // {views: 0} - previous values
+     *   await stats.get(10);                     // {views: 100, likes: 0, rating: 0}
+     *
+     * })()
+     *
+     * @param  {String|Object} layout                   Type of elements (`u8`, `i16`...) or object of
+     *                                                  field names and their types for records
+     * @param  {Object}        [options={}]             Options
+     * @param  {String}        [options.overflow='wrap'] What to do when written value does not fit the
+     *                                                  field: `wrap` around, `sat`urate at min or max
+     *                                                  value or `fail` (the field is not changed)
+     * @return {BitFields}
+     */
+    fields(layout, options = {}) {
+        return new BitFields(this, layout, options);
+    }
+
+    /**
+     * Run BITOP storing the result into destination
+     *
+     * @private
+     * @param  {String}          operation   AND, OR, XOR or NOT
+     * @param  {Bitmap}          destination Bitmap to store the result in
+     * @param  {Bitmap[]}        others      Other source bitmaps
+     * @return {Promise<Number>}
+     */
+    _bitop(operation, destination, others) {
+        const args = ['BITOP', operation, destination.key, this.key].concat(others.map((other) => other.key));
+
+        return this.checked(() => this.client.sendCommand(args, {key: destination.key})).then(Number);
+    }
+
+    /**
+     * Export the bitmap, see {@link Wrapper#snapshot}. Bitmaps are binary
+     * strings, so they are always exported with **DUMP**
+     *
+     * @param  {Object}           [options={}] Options of {@link Wrapper#snapshot}, `binary` is always on
+     * @return {Promise<?Object>}              Snapshot document, null when the key does not exist
+     */
+    snapshot(options = {}) {
+        return super.snapshot(Object.assign({}, options, {binary: true}));
+    }
+}
+
+/**
+ * Array of integer fields packed one after another in a bitmap, read and
+ * written with **BITFIELD**. Elements are either numbers (layout is a type
+ * like `u8`) or records - objects of named fields (layout is an object of
+ * field names and types). Element with index `i` starts at bit `i * width`
+ * where width is the sum of widths of its fields.
+ *
+ * Types are `i1`-`i64` (signed) and `u1`-`u63` (unsigned). Values of fields
+ * wider than 53 bits are BigInts (numbers or BigInts are written), the rest
+ * are numbers. Reads past the end give zeros, writes grow the bitmap. Created
+ * by {@link Bitmap#fields}
+ */
+class BitFields {
+
+    /**
+     * @param {Bitmap}        bitmap       Bitmap to work with
+     * @param {String|Object} layout       Type of elements or object of field names and types
+     * @param {Object}        [options={}] Options, see {@link Bitmap#fields}
+     */
+    constructor(bitmap, layout, options = {}) {
+        const overflow = options.overflow || 'wrap';
+        const fields   = [];
+
+        if (!OVERFLOWS.includes(overflow)) {
+            throw new Error(`Unknown overflow policy "${overflow}", expected one of: ${OVERFLOWS.join(', ')}`);
+        }
+
+        let width = 0;
+
+        if (typeof layout === 'string') {
+            fields.push(Object.assign({name: null, offset: 0}, fieldType(layout)));
+        } else if (layout !== null && typeof layout === 'object' && Object.keys(layout).length > 0) {
+            Object.keys(layout).forEach((name) => {
+                fields.push(Object.assign({name, offset: width}, fieldType(layout[name])));
+                width += fields[fields.length - 1].width;
+            });
+        } else {
+            throw new Error('Bit fields layout must be a type or an object of field types, got: ' + layout);
+        }
+
+        Object.defineProperties(this, {
+            bitmap:   {value: bitmap},
+            fields:   {value: fields},
+            width:    {value: width || fields[0].width},
+            overflow: {value: overflow},
+            scalar:   {value: typeof layout === 'string'}
+        });
+    }
+
+    /**
+     * Get number of elements in the bitmap. The last one may end past the end
+     * of the bitmap when its size is not a multiple of the element width -
+     * its missing bits are read as zeros
+     *
+     * - Redis command: [STRLEN]{@link https://redis.io/commands/strlen}
+     * - JavaScript analogy: [TypedArray.length]{@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/TypedArray/length}
+     *
+     * @return {Promise<Number>}
+     */
+    length() {
+        return this.bitmap.byteLength().then((bytes) => Math.ceil(bytes * 8 / this.width));
+    }
+
+    /**
+     * Get element at the index; the one past the end is read as zeros
+     *
+     * - Redis command: [BITFIELD_RO]{@link https://redis.io/commands/bitfield_ro}
+     * - JavaScript analogy: typed array index access
+     *
+     * @param  {Number}                         index Index of the element, negative one counts from the end
+     * @return {Promise<Number|BigInt|Object>}        Number or record of all the fields, undefined for
+     *                                                negative index before the first element
+     */
+    async get(index) {
+        if (index < 0) {
+            index += await this.length();
+
+            if (index < 0) {
+                return undefined;
+            }
+        }
+
+        return (await this._read([index]))[0];
+    }
+
+    /**
+     * Get elements from `begin` to `end` (exclusive) with one command. Indexes
+     * are clamped to the length (see {@link BitFields#length}), negative ones
+     * count from the end; only elements of the range are read
+     *
+     * - Redis command: [BITFIELD_RO]{@link https://redis.io/commands/bitfield_ro}
+     * - JavaScript analogy: [TypedArray.slice]{@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/TypedArray/slice}
+     *
+     * @param  {Number}          [begin=0] Index of the first element
+     * @param  {Number}          [end]     Index to stop at, the end of the bitmap by default
+     * @return {Promise<Array>}            Numbers or records
+     */
+    async slice(begin = 0, end) {
+        const length = await this.length();
+        const clamp  = (index) => (index < 0) ? Math.max(length + index, 0) : Math.min(index, length);
+        const from   = clamp(begin);
+        const to     = (end === undefined) ? length : clamp(end);
+        const range  = [];
+
+        for (let index = from; index < to; index++) {
+            range.push(index);
+        }
+
+        return this._read(range);
+    }
+
+    /**
+     * Write element (or some fields of the record) at the index
+     *
+     * - Redis command: [BITFIELD SET]{@link https://redis.io/commands/bitfield}
+     * - JavaScript analogy: typed array index assignment
+     *
+     * @param  {Number}                         index              Index of the element
+     * @param  {Number|BigInt|Object}           value              Number or object of values of the fields to set
+     * @param  {Object}                         [options={}]       Options
+     * @param  {String}                         [options.overflow] Overflow policy, see {@link Bitmap#fields}
+     * @return {Promise<Number|BigInt|Object>}                     Previous values; null in place of the ones not
+     *                                                             written because of `fail` policy
+     */
+    set(index, value, options = {}) {
+        return this._write('SET', index, value, options);
+    }
+
+    /**
+     * Increment element (or some fields of the record) at the index; use
+     * negative numbers to decrement
+     *
+     * - Redis command: [BITFIELD INCRBY]{@link https://redis.io/commands/bitfield}
+     * - JavaScript analogy: none
+     *
+     * @param  {Number}                         index              Index of the element
+     * @param  {Number|BigInt|Object}           [by=1]             Increment or object of increments of the fields
+     * @param  {Object}                         [options={}]       Options
+     * @param  {String}                         [options.overflow] Overflow policy, see {@link Bitmap#fields}
+     * @return {Promise<Number|BigInt|Object>}                     New values; null in place of the ones not
+     *                                                             written because of `fail` policy
+     */
+    increment(index, by = 1, options = {}) {
+        return this._write('INCRBY', index, by, options);
+    }
+
+    /**
+     * Send BITFIELD writing command for the element
+     *
+     * @private
+     * @param  {String}                         operation SET or INCRBY
+     * @param  {Number}                         index     Index of the element
+     * @param  {Number|BigInt|Object}           value     Number or object of values of the fields
+     * @param  {Object}                         options   Options with overflow policy
+     * @return {Promise<Number|BigInt|Object>}
+     */
+    async _write(operation, index, value, options) {
+        const overflow = options.overflow || this.overflow;
+
+        if (!OVERFLOWS.includes(overflow)) {
+            throw new Error(`Unknown overflow policy "${overflow}", expected one of: ${OVERFLOWS.join(', ')}`);
+        }
+
+        const fields = this._fieldsOf(value);
+        const args   = ['OVERFLOW', overflow.toUpperCase()];
+
+        fields.forEach((field) => {
+            const write = [operation, field.type, this._offset(index, field), String(this.scalar ? value : value[field.name])];
+
+            if (!field.wide) {
+                args.push(...write);
+            } else if (operation === 'SET') {
+                args.push(...this._getArguments(index, field), ...write);
+            } else {
+                args.push(...write, ...this._getArguments(index, field));
+            }
+        });
+
+        const replies = await this.bitmap.writeCommand('BITFIELD', ...args);
+
+        // reply of SET or INCRBY is null when value is not written; wide values are taken from GETs around them
+        return this._element(fields, fields.map((field) => {
+            if (!field.wide) {
+                return replies.shift();
+            }
+
+            const [first, second, third] = replies.splice(0, 3);
+
+            return (operation === 'SET')
+                ? ((third === null) ? null : combine(first, second))
+                : ((first === null) ? null : combine(second, third));
+        }));
+    }
+
+    /**
+     * Read elements at the indexes with one BITFIELD_RO
+     *
+     * @private
+     * @param  {Number[]}       indexes Indexes of the elements
+     * @return {Promise<Array>}         Numbers or records
+     */
+    async _read(indexes) {
+        const args = [];
+
+        indexes.forEach((index) => this.fields.forEach((field) => args.push(...this._getArguments(index, field))));
+
+        if (args.length === 0) {
+            return [];
+        }
+
+        const replies = await this.bitmap.command('BITFIELD_RO', ...args);
+
+        return indexes.map(() => this._element(this.fields, this.fields.map((field) => field.wide
+            ? combine(...replies.splice(0, 2))
+            : replies.shift())));
+    }
+
+    /**
+     * Build GET arguments of BITFIELD reading the field of the element; wide
+     * field is read as its high part and the low 32 bits
+     *
+     * @private
+     * @param  {Number}   index Index of the element
+     * @param  {Object}   field Field
+     * @return {String[]}
+     */
+    _getArguments(index, field) {
+        const offset = this._offset(index, field);
+
+        if (!field.wide) {
+            return ['GET', field.type, offset];
+        }
+
+        return ['GET', field.type[0] + (field.width - 32), offset, 'GET', 'u32', offset + field.width - 32];
+    }
+
+    /**
+     * Get fields given values are for
+     *
+     * @private
+     * @param  {Number|Object} value Number or object of values
+     * @return {Object[]}            Fields
+     *
+     * @throws {Error} On unknown field
+     */
+    _fieldsOf(value) {
+        if (this.scalar) {
+            return this.fields;
+        }
+
+        const names = Object.keys(value);
+
+        names.forEach((name) => {
+            if (!this.fields.some((field) => field.name === name)) {
+                throw new Error('Unknown bit field "' + name + '", expected one of: ' + this.fields.map((field) => field.name).join(', '));
+            }
+        });
+
+        return this.fields.filter((field) => names.includes(field.name));
+    }
+
+    /**
+     * Get bit offset of the field of the element
+     *
+     * @private
+     * @param  {Number} index Index of the element
+     * @param  {Object} field Field
+     * @return {Number}
+     *
+     * @throws {Error} When index is not a non-negative integer
+     */
+    _offset(index, field) {
+        if (!Number.isInteger(index) || index < 0) {
+            throw new Error('Index of bit fields must be a non-negative integer, got: ' + index);
+        }
+
+        return index * this.width + field.offset;
+    }
+
+    /**
+     * Build element from values of the fields
+     *
+     * @private
+     * @param  {Object[]}      fields Fields
+     * @param  {Array}         values Values in order of the fields
+     * @return {Number|Object}        Number or record
+     */
+    _element(fields, values) {
+        if (this.scalar) {
+            return values[0];
+        }
+
+        const record = {};
+
+        fields.forEach((field, i) => {
+            record[field.name] = values[i];
+        });
+
+        return record;
+    }
+}
+
+module.exports = exports = Bitmap;
+
+exports.BitFields = BitFields;
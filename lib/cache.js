@@ -0,0 +1,411 @@
+/**
+ * Client side cache of a wrapper: local mirror of fields of a hash (members
+ * of a set) kept in sync with invalidation messages of the server
+ */
+
+'use strict';
+
+const events        = require('events');
+const notifications = require('./notifications');
+const tracking      = require('./tracking');
+
+/**
+ * Ways to learn about modifications of the key, see {@link Cache}
+ * @type {String[]}
+ */
+const INVALIDATIONS = ['auto', 'tracking', 'notifications'];
+
+/**
+ * Default options of {@link Cache}
+ * @type {Object}
+ */
+const DEFAULTS = {
+    maxSize:      10000,
+    maxAge:       null,
+    invalidation: 'auto',
+    configure:    false
+};
+
+/**
+ * Local mirror of the structure under the key of a wrapper. Created by
+ * wrappers supporting `cache` option (Hash, Set), available as `wrapper.cache`.
+ *
+ * Cache is usable once it's subscribed to modifications of the key - with
+ * **CLIENT TRACKING** (default mode redirected to a shared subscriber
+ * connection, Redis 6 or newer) or, when tracking is not available, with
+ * keyspace notifications. Whole cache of the key is dropped on every
+ * modification, no matter who made it. Writes of the wrapper itself drop it
+ * as well, so the wrapper always reads its own writes.
+ *
+ * Subscriber connection is duplicated from the client and shared by caches of
+ * its keys; it's closed when the last of them is closed with {@link Cache#close},
+ * so close caches you are done with (it keeps the process running otherwise).
+ *
+ * Values are stored as Redis replies them (encoded) and decoded on each read.
+ * Least recently used entries are evicted when there are more than `maxSize`
+ * of them; entries older than `maxAge` milliseconds are not used. Emits
+ * `invalidate` on each invalidation message, `evict` with the field on each
+ * eviction and `fallback` with the error of tracking when `auto` invalidation
+ * falls back to notifications
+ *
+ * @example
+ * const config = new types.Hash('config', {codec: true, cache: {maxSize: 1000, maxAge: 60000}});
+ *
+ * (async () => {
+ *
+ *   await config.get('theme'); // from Redis
+ *   await config.get('theme'); // from the cache
+ *   config.peek('theme');      // synchronously from the cache
+ *   config.cache.stats;        // {hits: 2, misses: 1, ...}
+ *
+ * })()
+ *
+ * @extends EventEmitter
+ */
+class Cache extends events.EventEmitter {
+
+    /**
+     * @param {Wrapper}        wrapper                       Wrapper to cache data of
+     * @param {Object}         [options={}]                  Options
+     * @param {Number}         [options.maxSize=10000]       Maximal number of cached fields (members); structures
+     *                                                       bigger than that are never cached as a whole
+     * @param {?Number}        [options.maxAge=null]         Milliseconds to use cached data for, no limit by default
+     * @param {String}         [options.invalidation='auto'] `tracking`, `notifications` or `auto` - tracking with
+     *                                                       fallback to keyspace notifications
+     * @param {Boolean}        [options.configure=false]     Enable missing notify-keyspace-events flags for
+     *                                                       notifications, see {@link Wrapper#listen}
+     */
+    constructor(wrapper, options = {}) {
+        super();
+
+        options = Object.assign({}, DEFAULTS, options);
+
+        if (!INVALIDATIONS.includes(options.invalidation)) {
+            throw new Error(`Unknown cache invalidation "${options.invalidation}", expected one of: ${INVALIDATIONS.join(', ')}`);
+        }
+
+        if (!(options.maxSize > 0)) {
+            throw new Error('Cache maxSize must be a positive number, got: ' + options.maxSize);
+        }
+
+        Object.defineProperties(this, {
+            wrapper:      {value: wrapper},
+            maxSize:      {value: options.maxSize},
+            maxAge:       {value: options.maxAge},
+            invalidation: {value: options.invalidation},
+            configure:    {value: !!options.configure},
+            entries:      {value: new Map()},
+            complete:     {value: null, writable: true},
+            epoch:        {value: 0, writable: true},
+            method:       {value: null, writable: true},
+            subscription: {value: null, writable: true},
+            counters:     {value: {hits: 0, misses: 0, invalidations: 0, evictions: 0}},
+            listener:     {value: () => this.invalidate()}
+        });
+    }
+
+    /**
+     * Statistics of the cache: `hits`, `misses`, `invalidations` (messages
+     * received), `evictions`, `size` (number of cached fields) and
+     * `invalidation` - the way cache is kept in sync (`tracking`,
+     * `notifications`, null when not subscribed yet)
+     *
+     * @type {Object}
+     */
+    get stats() {
+        return Object.assign({size: this.entries.size, invalidation: this.method}, this.counters);
+    }
+
+    /**
+     * Reset hit, miss, invalidation and eviction counters
+     */
+    resetStats() {
+        Object.keys(this.counters).forEach((name) => {
+            this.counters[name] = 0;
+        });
+    }
+
+    /**
+     * Subscribe to modifications of the key. Called automatically by the
+     * first read; call it directly to warm up or to check the server setup
+     *
+     * @return {Promise<String>} Resolved with the way cache is kept in sync
+     *
+     * @throws {Error} When server supports neither tracking nor notifications
+     */
+    start() {
+        if (this.subscription === null) {
+            const subscription = this.subscribe()
+                .then((method) => {
+                    if (this.subscription === subscription) {
+                        this.method = method;
+                    }
+
+                    return method;
+                })
+                .catch((error) => {
+                    if (this.subscription === subscription) {
+                        this.subscription = null;
+                    }
+
+                    throw error;
+                });
+
+            this.subscription = subscription;
+        }
+
+        return this.subscription;
+    }
+
+    /**
+     * Unsubscribe from modifications and drop cached data; next read starts
+     * the cache again. Subscriber connection of the client is closed with the
+     * last cache using it
+     *
+     * @return {Promise}
+     */
+    async close() {
+        const subscription = this.subscription;
+
+        if (subscription === null) {
+            return;
+        }
+
+        this.subscription = null;
+        this.method       = null;
+        this.clear();
+
+        const method = await subscription;
+        const node   = this.wrapper.client.node(this.wrapper.key);
+
+        if (method === 'tracking') {
+            await tracking.unsubscribe(node, this.wrapper.key, this.listener);
+        } else {
+            await notifications.unsubscribe(node, notifications.channel(node, this.wrapper.key), this.listener);
+        }
+    }
+
+    /**
+     * Drop all the cached data of the key; reads in flight are not cached
+     */
+    clear() {
+        this.epoch++;
+        this.entries.clear();
+        this.complete = null;
+    }
+
+    /**
+     * Drop cached data on invalidation message
+     *
+     * @private
+     */
+    invalidate() {
+        this.clear();
+        this.counters.invalidations++;
+        this.emit('invalidate');
+    }
+
+    /**
+     * Synchronously get cached value of the field
+     *
+     * @param  {String}          field Field (member) to get
+     * @return {?(String|Buffer)}      Value as Redis replied it, null when field is known to be
+     *                                 missing or undefined when it is not cached
+     */
+    peek(field) {
+        const value = this.lookup(String(field));
+
+        this.counters[(value === undefined) ? 'misses' : 'hits']++;
+
+        return value;
+    }
+
+    /**
+     * Get value of the field from the cache or load and remember it
+     *
+     * @param  {String}   field Field (member) to get
+     * @param  {Function} load  Function resolved with the value from Redis (null when missing)
+     * @return {Promise}        Resolved with the value
+     */
+    async get(field, load) {
+        await this.start();
+
+        const cached = this.peek(field);
+
+        if (cached !== undefined) {
+            return cached;
+        }
+
+        const epoch = this.epoch;
+        const value = await load();
+
+        if (this.epoch === epoch) {
+            this.store(String(field), value);
+        }
+
+        return value;
+    }
+
+    /**
+     * Get values of the fields, loading only missing ones
+     *
+     * @param  {String[]}        fields Fields (members) to get
+     * @param  {Function}        load   Function of missing fields resolved with their values
+     * @return {Promise<Array>}         Resolved with values in order of fields
+     */
+    async getMany(fields, load) {
+        await this.start();
+
+        const values  = fields.map((field) => this.peek(field));
+        const missing = fields.filter((field, i) => values[i] === undefined);
+
+        if (missing.length === 0) {
+            return values;
+        }
+
+        const epoch  = this.epoch;
+        const loaded = await load(missing);
+
+        if (this.epoch === epoch) {
+            missing.forEach((field, i) => this.store(String(field), loaded[i]));
+        }
+
+        return values.map((value) => (value === undefined) ? loaded.shift() : value);
+    }
+
+    /**
+     * Get all the fields of the structure from the cache or load them
+     *
+     * @param  {Function}      load Function resolved with Map of all fields (members) and their values
+     * @return {Promise<Map>}       Resolved with Map of fields and values
+     */
+    async all(load) {
+        await this.start();
+
+        if (this.complete !== null && !this.expired(this.complete, Date.now())) {
+            const result = new Map();
+
+            this.counters.hits++;
+            this.entries.forEach((entry, field) => {
+                if (entry.value !== null) {
+                    result.set(field, entry.value);
+                }
+            });
+
+            return result;
+        }
+
+        this.counters.misses++;
+
+        const epoch  = this.epoch;
+        const result = await load();
+
+        if (this.epoch === epoch && result.size <= this.maxSize) {
+            const time = Date.now();
+
+            this.entries.clear();
+            result.forEach((value, field) => this.entries.set(field, {value, time}));
+            this.complete = time;
+        }
+
+        return result;
+    }
+
+    /**
+     * Find cached value of the field, see {@link Cache#peek}
+     *
+     * @private
+     * @param  {String}           field
+     * @return {?(String|Buffer)}
+     */
+    lookup(field) {
+        if (this.method === null) {
+            return undefined;
+        }
+
+        const now = Date.now();
+
+        if (this.complete !== null && this.expired(this.complete, now)) {
+            this.clear();
+        }
+
+        const entry = this.entries.get(field);
+
+        if (entry !== undefined && this.expired(entry.time, now)) {
+            this.entries.delete(field);
+        } else if (entry !== undefined) {
+            this.entries.delete(field);
+            this.entries.set(field, entry);
+
+            return entry.value;
+        }
+
+        return (this.complete === null) ? undefined : null;
+    }
+
+    /**
+     * Remember value of the field, evicting the least recently used one when
+     * the cache is full
+     *
+     * @private
+     * @param {String}           field
+     * @param {?(String|Buffer)} value
+     */
+    store(field, value) {
+        this.entries.delete(field);
+        this.entries.set(field, {value, time: Date.now()});
+
+        if (this.entries.size > this.maxSize) {
+            const oldest = this.entries.keys().next().value;
+
+            this.entries.delete(oldest);
+            this.complete = null;
+            this.counters.evictions++;
+            this.emit('evict', oldest);
+        }
+    }
+
+    /**
+     * Check whether data cached at given time is too old to be used
+     *
+     * @private
+     * @param  {Number}  time Time data was cached at
+     * @param  {Number}  now  Current time
+     * @return {Boolean}
+     */
+    expired(time, now) {
+        return this.maxAge !== null && now - time > this.maxAge;
+    }
+
+    /**
+     * Subscribe listener to modifications of the key
+     *
+     * @private
+     * @return {Promise<String>} Way of invalidation which worked
+     */
+    async subscribe() {
+        const key  = this.wrapper.key;
+        const node = this.wrapper.client.node(key);
+
+        if (this.invalidation !== 'notifications') {
+            try {
+                await tracking.subscribe(node, key, this.listener);
+
+                return 'tracking';
+            } catch (error) {
+                if (this.invalidation === 'tracking') {
+                    throw error;
+                }
+
+                this.emit('fallback', error);
+            }
+        }
+
+        await notifications.ensureConfigured(node, 'gx' + this.wrapper.constructor.keyspaceEvents, this.configure);
+        await notifications.subscribe(node, notifications.channel(node, key), this.listener);
+
+        return 'notifications';
+    }
+}
+
+module.exports = exports = Cache;
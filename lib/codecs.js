@@ -0,0 +1,116 @@
+/**
+ * Built-in codecs to encode values before they're stored in Redis and decode
+ * them back. Any object with `encode` and `decode` methods can be used as codec:
+ *
+ * ```JavaScript
+ * const hash = new types.Hash('prices', {
+ *     encode: (value) => value.toFixed(2),
+ *     decode: (value) => parseFloat(value)
+ * });
+ * ```
+ *
+ * Codec may set `buffers: true` to get replies as Buffers instead of Strings
+ *
+ * @module codecs
+ */
+
+/* global BigInt */
+
+'use strict';
+
+/**
+ * Plain JSON: what goes through JSON.stringify comes back. Dates become
+ * strings, Maps and Sets - empty objects, BigInt throws
+ *
+ * @type {Object}
+ */
+exports.json = {
+    encode: (value) => JSON.stringify(value),
+    decode: (value) => JSON.parse(value)
+};
+
+/**
+ * Revivers for the types which are not supported by plain JSON, each one
+ * turns tagged JSON value back into the original type
+ *
+ * @type {Object}
+ */
+const revivers = {
+    Date:   (value) => new Date(value),
+    BigInt: (value) => BigInt(value),
+    Map:    (value) => new Map(value),
+    Set:    (value) => new Set(value),
+    Buffer: (value) => Buffer.from(value, 'base64')
+};
+
+/**
+ * Replace values of the types unsupported by JSON with tagged objects.
+ * Original value is taken from the holder as Date and Buffer have toJSON
+ * method which is called before replacer
+ *
+ * @param  {String} key   Property name
+ * @param  {*}      value Value after toJSON
+ * @return {*}            Value to serialize
+ */
+function replacer(key, value) {
+    const original = this[key];
+
+    switch (true) {
+        case (original instanceof Date):
+            return {$type: 'Date', value: original.toISOString()};
+        case (typeof original === 'bigint'):
+            return {$type: 'BigInt', value: original.toString()};
+        case (original instanceof Map):
+            return {$type: 'Map', value: Array.from(original)};
+        case (original instanceof Set):
+            return {$type: 'Set', value: Array.from(original)};
+        case (Buffer.isBuffer(original)):
+            return {$type: 'Buffer', value: original.toString('base64')};
+        default:
+            return value;
+    }
+}
+
+/**
+ * Turn tagged objects made by replacer back into original types
+ *
+ * @param  {String} key   Property name
+ * @param  {*}      value Parsed value
+ * @return {*}            Revived value
+ */
+function reviver(key, value) {
+    if (value !== null
+        && typeof value === 'object'
+        && Object.keys(value).length === 2
+        && Object.prototype.hasOwnProperty.call(revivers, value.$type)
+        && 'value' in value
+    ) {
+        return revivers[value.$type](value.value);
+    }
+
+    return value;
+}
+
+/**
+ * Type-preserving JSON: Date, BigInt, Map, Set and Buffer (nested ones as
+ * well) are stored as `{"$type": "Date", "value": ...}` objects and come back
+ * with their types. Objects of exactly this shape can't be stored as is
+ *
+ * @type {Object}
+ */
+exports.typedJSON = {
+    encode: (value) => JSON.stringify(value, replacer),
+    decode: (value) => JSON.parse(value, reviver)
+};
+
+/**
+ * Raw binary data: values are stored as given (Strings are turned into
+ * Buffers) and replies come back as Buffers
+ *
+ * @type {Object}
+ */
+exports.buffer = {
+    buffers: true,
+    encode:  (value) => Buffer.isBuffer(value) ? value : Buffer.from(String(value)),
+    decode:  (value) => Buffer.isBuffer(value) ? value : Buffer.from(String(value))
+};
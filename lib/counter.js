@@ -0,0 +1,153 @@
+/**
+ * Redis STRING wrapper for a number
+ *
+ * Implemented methods:
+ *
+ * - get (**GET**)
+ * - increment (**INCRBY**)
+ * - decrement (**DECRBY**)
+ * - incrementFloat (**INCRBYFLOAT**)
+ * - reset (**SET**)
+ *
+ * Integer counters are 64-bit signed ones in Redis, replies are converted to
+ * JavaScript numbers - exact up to `Number.MAX_SAFE_INTEGER`.
+ */
+
+'use strict';
+
+const Wrapper = require('./wrapper');
+
+/**
+ * Class to handle Redis STRING type holding a number. Codec of the wrapper
+ * is not used: counters are stored as decimal strings for INCRBY to work
+ *
+ * @example
+ * const client = require('redis').createClient();
+ * const types  = require('redis-type')(client);
+ *
+ * const views = new types.Counter('views:home', {ttl: 24 * 60 * 60});
+ *
+ * (async () => {
+ *
+ *   await views.increment();     // 1
+ *   await views.increment(10);   // 11
+ *   await views.decrement();     // 10
+ *   await views.reset();         // 10, the counter is 0 afterwards
+ *
+ * })();
+ *
+ * @extends Wrapper
+ */
+class Counter extends Wrapper {
+
+    /**
+     * Keyspace events of string commands (notify-keyspace-events class)
+     *
+     * @type {String}
+     */
+    static get keyspaceEvents() {
+        return '$';
+    }
+
+    /**
+     * Redis type of the key (reply of TYPE)
+     *
+     * @type {String}
+     */
+    static get redisType() {
+        return 'string';
+    }
+
+    /**
+     * Get value of the counter
+     *
+     * - Redis command: [GET]{@link https://redis.io/commands/get}
+     * - JavaScript analogy: reading a variable
+     *
+     * @return {Promise<Number>} Value, 0 when there's no key
+     */
+    get() {
+        return this.command('GET').then((value) => (value === null) ? 0 : Number(value));
+    }
+
+    /**
+     * Add integer to the counter, missing counter starts from 0
+     *
+     * - Redis command: [INCRBY]{@link https://redis.io/commands/incrby}
+     * - JavaScript analogy: `counter += by`
+     *
+     * @param  {Number}          [by=1] Integer to add
+     * @return {Promise<Number>}        Value after increment
+     *
+     * @throws {Error} When stored value is not an integer or the result overflows
+     */
+    increment(by = 1) {
+        return this.writeCommand('INCRBY', by).then(Number);
+    }
+
+    /**
+     * Subtract integer from the counter, missing counter starts from 0
+     *
+     * - Redis command: [DECRBY]{@link https://redis.io/commands/decrby}
+     * - JavaScript analogy: `counter -= by`
+     *
+     * @param  {Number}          [by=1] Integer to subtract
+     * @return {Promise<Number>}        Value after decrement
+     *
+     * @throws {Error} When stored value is not an integer or the result overflows
+     */
+    decrement(by = 1) {
+        return this.writeCommand('DECRBY', by).then(Number);
+    }
+
+    /**
+     * Add float to the counter, missing counter starts from 0. The counter
+     * holds a float afterwards unless the result is integer
+     *
+     * - Redis command: [INCRBYFLOAT]{@link https://redis.io/commands/incrbyfloat}
+     * - JavaScript analogy: `counter += by`
+     *
+     * @param  {Number}          by Number to add, negative to subtract
+     * @return {Promise<Number>}    Value after increment
+     */
+    incrementFloat(by) {
+        return this.writeCommand('INCRBYFLOAT', by).then(Number);
+    }
+
+    /**
+     * Set the counter to the value and remove its expiry (`ttl` option of the
+     * wrapper is re-applied)
+     *
+     * - Redis command: [SET]{@link https://redis.io/commands/set}
+     * - JavaScript analogy: `counter = value`
+     *
+     * @param  {Number}          [value=0] New value
+     * @return {Promise<Number>}           Value before reset, 0 when there was no key
+     */
+    reset(value = 0) {
+        return this.writeCommand('SET', value, 'GET').then((previous) => (previous === null) ? 0 : Number(previous));
+    }
+
+    /**
+     * Read value for {@link Wrapper#snapshot}
+     *
+     * @private
+     * @return {Promise<Number>}
+     */
+    _snapshotData() {
+        return this.get();
+    }
+
+    /**
+     * Build **SET** command for {@link Wrapper#restoreSnapshot}
+     *
+     * @private
+     * @param  {Number}  data Value
+     * @return {Array[]}
+     */
+    _restoreCommands(data) {
+        return [['SET', data]];
+    }
+}
+
+module.exports = exports = Counter;
@@ -0,0 +1,28 @@
+/**
+ * Errors thrown by wrappers
+ */
+
+'use strict';
+
+/**
+ * Key holds a value of another Redis type than the wrapper works with, see
+ * `strict` option of {@link Wrapper}
+ */
+class WrongTypeError extends Error {
+
+    /**
+     * @param {String} key      Key of the wrapper
+     * @param {String} expected Redis type of the wrapper (reply of TYPE: hash, list, set, zset)
+     * @param {String} actual   Redis type of the key
+     */
+    constructor(key, expected, actual) {
+        super('Key "' + key + '" holds ' + actual + ', expected ' + expected);
+
+        this.name     = 'WrongTypeError';
+        this.key      = key;
+        this.expected = expected;
+        this.actual   = actual;
+    }
+}
+
+exports.WrongTypeError = WrongTypeError;
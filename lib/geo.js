@@ -0,0 +1,395 @@
+/**
+ * Redis geospatial index (GEO commands over ZSET) wrapper
+ *
+ * Implemented methods:
+ *
+ * - add (**GEOADD**)
+ * - addMul (**GEOADD**)
+ * - position (**GEOPOS**)
+ * - distance (**GEODIST**)
+ * - hash (**GEOHASH**)
+ * - search (**GEOSEARCH**)
+ * - searchInto (**GEOSEARCHSTORE**)
+ *
+ * Positions are `{lon, lat}` objects. Redis stores them as 52-bit geohash
+ * scores of a sorted set, so positions come back with error of less than a
+ * meter; latitude is limited to ±85.05112878. GEOSEARCH requires Redis 6.2.
+ */
+
+'use strict';
+
+const Wrapper = require('./wrapper');
+
+/**
+ * Units of distance
+ * @type {String[]}
+ */
+const UNITS = ['m', 'km', 'ft', 'mi'];
+
+/**
+ * Parse position reply of Redis
+ *
+ * @param  {?Array}  coordinates [lon, lat] as Redis returns them
+ * @return {?Object}             {lon, lat}
+ */
+function toPosition(coordinates) {
+    return (coordinates === null) ? null : {lon: Number(coordinates[0]), lat: Number(coordinates[1])};
+}
+
+/**
+ * Check unit of distance
+ *
+ * @param  {String} unit
+ * @return {String}
+ *
+ * @throws {Error} On unknown unit
+ */
+function checkUnit(unit) {
+    if (!UNITS.includes(unit)) {
+        throw new Error(`Unknown unit of distance "${unit}", expected one of: ${UNITS.join(', ')}`);
+    }
+
+    return unit;
+}
+
+/**
+ * Class to handle Redis geospatial indexes
+ *
+ * @example
+ * const client = require('redis').createClient();
+ * const types  = require('redis-type')(client);
+ *
+ * const couriers = new types.Geo('couriers', true);
+ *
+ * (async () => {
+ *
+ *   await couriers.add({id: 7}, {lon: 13.361389, lat: 38.115556});
+ *
+ *   const near = await couriers.search({
+ *       fromLonLat: {lon: 15, lat: 37},
+ *       byRadius:   200,
+ *       unit:       'km',
+ *       sort:       'asc',
+ *       count:      5,
+ *       withDist:   true
+ *   });
+ *   // [{member: {id: 7}, distance: 190.4424}]
+ *
+ * })();
+ *
+ * @extends Wrapper
+ */
+class Geo extends Wrapper {
+
+    /**
+     * Keyspace events of geo commands, they are sorted set ones
+     * (notify-keyspace-events class)
+     *
+     * @type {String}
+     */
+    static get keyspaceEvents() {
+        return 'z';
+    }
+
+    /**
+     * Redis type of the key (reply of TYPE)
+     *
+     * @type {String}
+     */
+    static get redisType() {
+        return 'zset';
+    }
+
+    /**
+     * Add member at the position or move existing one
+     *
+     * - Redis command: [GEOADD]{@link https://redis.io/commands/geoadd}
+     * - JavaScript analogy: none
+     *
+     * @param  {String|Object}   member               Member to add
+     * @param  {Object}          position             Position of the member
+     * @param  {Number}          position.lon         Longitude, -180 to 180
+     * @param  {Number}          position.lat         Latitude, -85.05112878 to 85.05112878
+     * @param  {Object}          [options={}]         GEOADD modifiers
+     * @param  {Boolean}         [options.nx=false]   Only add new members
+     * @param  {Boolean}         [options.xx=false]   Only move existing members
+     * @param  {Boolean}         [options.ch=false]   Count moved members, not only added
+     * @return {Promise<Number>}                      Number of added (changed with `ch`) members
+     */
+    add(member, position, options = {}) {
+        return this.addMul([[member, position]], options);
+    }
+
+    /**
+     * Add multiple members by passing an array of [member, {lon, lat}] pairs (or a Map)
+     *
+     * - Redis command: [GEOADD]{@link https://redis.io/commands/geoadd}
+     * - JavaScript analogy: none
+     *
+     * @param  {Array[]|Map}     entries      Pairs of [member, position]
+     * @param  {Object}          [options={}] GEOADD modifiers, see {@link Geo#add}
+     * @return {Promise<Number>}              Number of added (changed with `ch`) members
+     */
+    addMul(entries, options = {}) {
+        const args = ['nx', 'xx', 'ch'].filter((flag) => options[flag]).map((flag) => flag.toUpperCase());
+
+        for (const [member, position] of entries) {
+            args.push(position.lon, position.lat, this.encode(member));
+        }
+
+        return this.writeCommand('GEOADD', ...args).then(Number);
+    }
+
+    /**
+     * Get positions of members
+     *
+     * - Redis command: [GEOPOS]{@link https://redis.io/commands/geopos}
+     * - JavaScript analogy: none
+     *
+     * @param  {Array|String|Object}     members Members (or one member) to get positions of
+     * @return {Promise<Array|?Object>}          Positions {lon, lat} in order of members, null for
+     *                                           missing ones; one position for one member
+     */
+    position(members) {
+        const list = Array.isArray(members) ? members : [members];
+
+        return this.command('GEOPOS', ...list.map((member) => this.encode(member)))
+            .then((positions) => {
+                positions = positions.map(toPosition);
+
+                return Array.isArray(members) ? positions : positions[0];
+            });
+    }
+
+    /**
+     * Get distance between two members
+     *
+     * - Redis command: [GEODIST]{@link https://redis.io/commands/geodist}
+     * - JavaScript analogy: none
+     *
+     * @param  {String|Object}    a          First member
+     * @param  {String|Object}    b          Second member
+     * @param  {String}           [unit='m'] Unit of distance: m, km, ft or mi
+     * @return {Promise<?Number>}            Distance, null when any of members is missing
+     */
+    distance(a, b, unit = 'm') {
+        try {
+            checkUnit(unit);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        return this.command('GEODIST', this.encode(a), this.encode(b), unit)
+            .then((distance) => (distance === null) ? null : Number(distance));
+    }
+
+    /**
+     * Get standard 11 characters long geohash strings of members
+     *
+     * - Redis command: [GEOHASH]{@link https://redis.io/commands/geohash}
+     * - JavaScript analogy: none
+     *
+     * @param  {Array|String|Object}     members Members (or one member) to get hashes of
+     * @return {Promise<Array|?String>}          Hashes in order of members, null for missing ones;
+     *                                           one hash for one member
+     */
+    hash(members) {
+        const list = Array.isArray(members) ? members : [members];
+
+        return this.command('GEOHASH', ...list.map((member) => this.encode(member)))
+            .then((hashes) => {
+                hashes = hashes.map((hash) => (hash === null) ? null : String(hash));
+
+                return Array.isArray(members) ? hashes : hashes[0];
+            });
+    }
+
+    /**
+     * Find members within radius or box around a member or a position. Each
+     * result is an object with `member` and, when requested, `distance` (from
+     * the center in search unit), `coordinates` ({lon, lat}) and `hash`
+     * (52-bit integer geohash - score of the member)
+     *
+     * - Redis command: [GEOSEARCH]{@link https://redis.io/commands/geosearch}
+     * - JavaScript analogy: none
+     *
+     * @example
+     * (async () => {
+     *
+     *   await couriers.search({fromMember: {id: 7}, byBox: {width: 10, height: 5}, unit: 'km', withCoord: true});
+     *   // [{member: {id: 7}, coordinates: {lon: 13.361389338970184, lat: 38.1155563954963}}, ...]
+     *
+     * })()
+     *
+     * @param  {Object}           options                  Search options
+     * @param  {String|Object}    [options.fromMember]     Member to search around
+     * @param  {Object}           [options.fromLonLat]     Position {lon, lat} to search around
+     * @param  {Number}           [options.byRadius]       Radius of the circle to search in
+     * @param  {Object}           [options.byBox]          Box {width, height} to search in, centered
+     *                                                     at the center of search
+     * @param  {String}           [options.unit='m']       Unit of radius, box and distances: m, km, ft, mi
+     * @param  {String}           [options.sort]           `asc` or `desc` by distance; results are sorted
+     *                                                     ascending when `count` is given without `any`
+     * @param  {Number}           [options.count]          Maximal number of results
+     * @param  {Boolean}          [options.any=false]      Return the first `count` matches found, not the
+     *                                                     nearest ones (faster)
+     * @param  {Boolean}          [options.withDist=false] Add `distance` to results
+     * @param  {Boolean}          [options.withCoord=false] Add `coordinates` to results
+     * @param  {Boolean}          [options.withHash=false] Add `hash` to results
+     * @return {Promise<Object[]>}                         Results
+     *
+     * @throws {Error} When not exactly one center or one shape is given
+     */
+    search(options) {
+        const modifiers = [];
+
+        ['withCoord', 'withDist', 'withHash'].forEach((flag) => {
+            if (options[flag]) {
+                modifiers.push(flag.toUpperCase());
+            }
+        });
+
+        let args;
+
+        try {
+            args = this._searchArguments(options);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        return this.command('GEOSEARCH', ...args, ...modifiers).then((results) => results.map((result) => {
+            if (modifiers.length === 0) {
+                return {member: this.decode(result)};
+            }
+
+            const found = {member: this.decode(result[0])};
+            let i = 1;
+
+            if (options.withDist) {
+                found.distance = Number(result[i++]);
+            }
+
+            if (options.withHash) {
+                found.hash = Number(result[i++]);
+            }
+
+            if (options.withCoord) {
+                found.coordinates = toPosition(result[i++]);
+            }
+
+            return found;
+        }));
+    }
+
+    /**
+     * Store members found by search into destination (replacing it) with
+     * their positions, or with their distances from the center as scores -
+     * then destination is rather a {@link SortedSet}. In cluster both keys
+     * must be in one slot
+     *
+     * - Redis command: [GEOSEARCHSTORE]{@link https://redis.io/commands/geosearchstore}
+     * - JavaScript analogy: none
+     *
+     * @param  {Geo|SortedSet}   destination                Wrapper to store results in
+     * @param  {Object}          options                    Search options, see {@link Geo#search}
+     *                                                      (`with*` options are not allowed)
+     * @param  {Boolean}         [options.storeDist=false]  Store distances instead of positions
+     * @return {Promise<Number>}                            Number of stored members
+     */
+    searchInto(destination, options) {
+        let args;
+
+        try {
+            args = [destination.key, this.key].concat(this._searchArguments(options), options.storeDist ? ['STOREDIST'] : []);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        return this.checked(() => this.client.sendCommand(['GEOSEARCHSTORE'].concat(args), {key: destination.key})).then(Number);
+    }
+
+    /**
+     * Read members with scores for {@link Wrapper#snapshot}. Scores are
+     * geohashes, so positions are kept exactly and the snapshot is the same
+     * as of {@link SortedSet}
+     *
+     * @private
+     * @return {Promise<Array[]>} [member, score] pairs
+     */
+    _snapshotData() {
+        return this.command('ZRANGE', 0, -1, 'WITHSCORES').then((flat) => {
+            const entries = [];
+
+            for (let i = 0; i < flat.length; i += 2) {
+                entries.push([this.decode(flat[i]), Number(flat[i + 1])]);
+            }
+
+            return entries;
+        });
+    }
+
+    /**
+     * Build **ZADD** commands for {@link Wrapper#restoreSnapshot}
+     *
+     * @private
+     * @param  {Array[]} data [member, score] pairs
+     * @return {Array[]}
+     */
+    _restoreCommands(data) {
+        const args = [];
+
+        data.forEach(([member, score]) => args.push(score, this.encode(member)));
+
+        return this._chunkedCommands('ZADD', args, 2);
+    }
+
+    /**
+     * Build center, shape, order and count arguments of GEOSEARCH
+     *
+     * @private
+     * @param  {Object}   options Search options, see {@link Geo#search}
+     * @return {String[]}
+     *
+     * @throws {Error} When not exactly one center or one shape is given
+     */
+    _searchArguments(options) {
+        const unit = checkUnit(options.unit || 'm');
+        const args = [];
+
+        if ((options.fromMember === undefined) === (options.fromLonLat === undefined)) {
+            throw new Error('Search needs exactly one of fromMember and fromLonLat options');
+        }
+
+        if ((options.byRadius === undefined) === (options.byBox === undefined)) {
+            throw new Error('Search needs exactly one of byRadius and byBox options');
+        }
+
+        if (options.fromMember !== undefined) {
+            args.push('FROMMEMBER', this.encode(options.fromMember));
+        } else {
+            args.push('FROMLONLAT', options.fromLonLat.lon, options.fromLonLat.lat);
+        }
+
+        if (options.byRadius !== undefined) {
+            args.push('BYRADIUS', options.byRadius, unit);
+        } else {
+            args.push('BYBOX', options.byBox.width, options.byBox.height, unit);
+        }
+
+        if (options.sort) {
+            args.push(options.sort.toUpperCase());
+        }
+
+        if (options.count !== undefined) {
+            args.push('COUNT', options.count);
+
+            if (options.any) {
+                args.push('ANY');
+            }
+        }
+
+        return args;
+    }
+}
+
+module.exports = exports = Geo;
@@ -4,36 +4,132 @@
  * Implemented methods:
  *
  * - size (**HLEN**)
- * - keys (**HKEYS**)
+ * - keys (**HKEYS**, **HSCAN** with `for await`)
  * - delete (**HDEL**)
  * - has (**HEXISTS**)
  * - set (**HSET**)
  * - get (**HGET**)
- * - values (**HVALS**)
- * - entries (**HGETALL**)
+ * - values (**HVALS**, **HSCAN** with `for await`)
+ * - entries (**HGETALL**, **HSCAN** with `for await`)
  * - getAll (**HGETALL**)
  * - getMul (**HMGET**)
  * - setMul (**HMSET**)
+ * - increment (**HINCRBY**)
+ * - incrementFloat (**HINCRBYFLOAT**)
+ * - setIfAbsent (**HSETNX**)
+ * - valueLength (**HSTRLEN**)
+ * - randomKeys (**HRANDFIELD**)
+ * - expireField (**HEXPIRE**)
+ * - expireFieldAt (**HEXPIREAT**)
+ * - fieldTtl (**HTTL**)
+ * - persistField (**HPERSIST**)
+ * - update (**WATCH** + **HGET** + **HSET**)
+ * - peek (local cache)
+ * - scanEntries (**HSCAN**)
+ * - scanKeys (**HSCAN**)
+ * - scanValues (**HSCAN**)
+ * - [Symbol.asyncIterator] (**HSCAN**)
  *
- * Not implemented:
+ * Codec notes:
  *
- * - **HINCRBY**
- * - **HINCRBYFLOAT**
- * - **HSETNX**
- * - **HSTRLEN**
- * - **HSCAN**
+ * Counters (**HINCRBY**, **HINCRBYFLOAT**) are never encoded. JSON codecs
+ * store numbers as plain numbers, so counters work on values set with JSON
+ * enabled and are read back as numbers with `get`. Keep in mind that any
+ * string value stored as JSON includes quotes - it affects **HSTRLEN**.
+ *
+ * Per-field expiry (**HEXPIRE** family) requires Redis 7.4 or newer.
+ *
+ * Cache notes:
+ *
+ * With `cache` option (see {@link Cache}) size, keys, has, get, values,
+ * entries, getAll and getMul are served from the local cache once they are
+ * loaded: single fields are cached by get, has and getMul, the whole hash - by
+ * the rest of them. Scans, random keys, lengths and TTLs of fields always go
+ * to Redis.
  */
 
 'use strict';
 
 const Wrapper = require('./wrapper');
 
+/**
+ * Build FIELDS modifier of HEXPIRE family commands
+ *
+ * @param  {String[]} fields Fields to put in the modifier
+ * @return {Array}           Modifier arguments
+ */
+function fieldsModifier(fields) {
+    return ['FIELDS', fields.length].concat(fields);
+}
+
+/**
+ * Build condition modifier (NX, XX, GT, LT) of HEXPIRE family commands
+ *
+ * @param  {Object}   options Object with nx, xx, gt and lt flags
+ * @return {String[]}         Modifier arguments
+ */
+function conditionModifier(options) {
+    return ['nx', 'xx', 'gt', 'lt']
+        .filter((flag) => options[flag])
+        .map((flag) => flag.toUpperCase());
+}
+
+/**
+ * Unknown command error of HEXPIRE family commands (old Redis server)
+ * @type {RegExp}
+ */
+const UNKNOWN_FIELD_EXPIRY = /unknown command\W+H(P?EXPIRE(AT|TIME)?|P?TTL|PERSIST)\b/i;
+
+/**
+ * Replace unknown command error of old Redis server with the clear one; it's
+ * looked for in errors of aborted transaction too (`previousErrors` of
+ * ioredis, `errors` of node-redis v3). Other errors are passed as is
+ *
+ * @param  {Error} error Error returned by Redis
+ * @return {Error}       Error to throw
+ */
+function fieldExpiryError(error) {
+    const unknown = [error].concat(error.previousErrors || [], error.errors || [])
+        .find((cause) => cause instanceof Error && UNKNOWN_FIELD_EXPIRY.test(cause.message));
+
+    return (unknown === undefined)
+        ? error
+        : new Error('Per-field expiry (HEXPIRE) is not supported by the server, Redis 7.4 or newer is required: ' + unknown.message);
+}
+
 /**
  * @class Hash
  * @extends Wrapper
  */
 class Hash extends Wrapper {
 
+    /**
+     * Keyspace events of hash commands (notify-keyspace-events class)
+     *
+     * @type {String}
+     */
+    static get keyspaceEvents() {
+        return 'h';
+    }
+
+    /**
+     * Redis type of the key (reply of TYPE)
+     *
+     * @type {String}
+     */
+    static get redisType() {
+        return 'hash';
+    }
+
+    /**
+     * Hash supports `cache` option
+     *
+     * @type {Boolean}
+     */
+    static get cacheable() {
+        return true;
+    }
+
     /**
      * Get the length of the hash (keys length)
      *
@@ -43,19 +139,41 @@ class Hash extends Wrapper {
      * @return {Promise}
      */
     size() {
+        if (this.cache !== null) {
+            return this._cachedAll().then((fields) => fields.size);
+        }
+
         return this.call('HLEN')();
     }
 
     /**
-     * Get array of keys in the hash
+     * Get array of keys in the hash when awaited, or iterate over them lazily
+     * with `for await` (**HSCAN**, see {@link Hash#scanKeys})
      *
      * - Redis command: [HKEYS]{@link https://redis.io/commands/hkeys}
      * - JavaScript analogy: [Map.prototype.keys]{@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Map/keys}
      *
-     * @return {Promise}
+     * @example
+     * (async () => {
+     *
+     *   const keys = await hash.keys();       // HKEYS
+     *
+     *   for await (const key of hash.keys()) { // HSCAN
+     *       console.log(key);
+     *   }
+     *
+     * })()
+     *
+     * @return {Promise<String[]>|AsyncIterable} Thenable and async iterable
      */
     keys() {
-        return this.call('HKEYS')();
+        return this._iterable(() => {
+            if (this.cache !== null) {
+                return this._cachedAll().then((fields) => Array.from(fields.keys(), (field) => this._field(field)));
+            }
+
+            return this.call('HKEYS')();
+        }, () => this.scanKeys());
     }
 
     /**
@@ -68,7 +186,7 @@ class Hash extends Wrapper {
      * @return {Promise}
      */
     delete(key) {
-        return this.call('HDEL')(key);
+        return this.write('HDEL')(key);
     }
 
     /**
@@ -81,6 +199,10 @@ class Hash extends Wrapper {
      * @return {Promise}
      */
     has(key) {
+        if (this.cache !== null) {
+            return this._cachedGet(key).then((value) => value !== null);
+        }
+
         return this.call('HEXISTS')(key).then((e) => !!e);
     }
 
@@ -90,14 +212,29 @@ class Hash extends Wrapper {
      * - Redis command: [HSET]{@link https://redis.io/commands/hset}
      * - JavaScript analogy: [Map.prototype.set]{@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Map/set}
      *
-     * @param  {String}  key   Key to set
-     * @param  {String}  value Value to set under given key
+     * @example
+     * (async () => {
+     *
+     *   await hash.set('sam', {age: 19});
+     *   await hash.set('token', 'abc', {ttl: 60}); // field expires in a minute
+     *
+     * })()
+     *
+     * @param  {String}  key           Key to set
+     * @param  {String}  value         Value to set under given key
+     * @param  {Object}  [options={}]  Options
+     * @param  {Number}  [options.ttl] Seconds for the field to expire in (**HEXPIRE** in the same MULTI)
      * @return {Promise}
      */
-    set(key, value) {
-        return this.useJSON
-            ? this.call('HSET')(key, this.json.toJSON(value))
-            : this.call('HSET')(key, value);
+    set(key, value, options = {}) {
+        if (options.ttl === undefined) {
+            return this.write('HSET')(key, this.encode(value));
+        }
+
+        return this.writeCommands([
+            ['HSET', key, this.encode(value)],
+            ['HEXPIRE', options.ttl].concat(fieldsModifier([key]))
+        ]).then(([reply]) => reply, (error) => Promise.reject(fieldExpiryError(error)));
     }
 
     /**
@@ -110,23 +247,30 @@ class Hash extends Wrapper {
      * @return {Promise}
      */
     get(key) {
-        return this.useJSON
-            ? this.call('HGET')(key).then(this.json.parse)
-            : this.call('HGET')(key);
+        if (this.cache !== null) {
+            return this._cachedGet(key).then((value) => this.decode(value));
+        }
+
+        return this.call('HGET')(key).then((value) => this.decode(value));
     }
 
     /**
-     * Get array of values from the hash
+     * Get array of values from the hash when awaited, or iterate over them
+     * lazily with `for await` (**HSCAN**, see {@link Hash#scanValues})
      *
      * - Redis command: [HVALS]{@link https://redis.io/commands/hvals}
      * - JavaScript analogy: [Map.prototype.values]{@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Map/values}
      *
-     * @return {Promise}
+     * @return {Promise<Array>|AsyncIterable} Thenable and async iterable
      */
     values() {
-        return this.useJSON
-            ? this.call('HVALS')().then(this.json.parseArray)
-            : this.call('HVALS')();
+        return this._iterable(() => {
+            if (this.cache !== null) {
+                return this._cachedAll().then((fields) => Array.from(fields.values(), (value) => this.decode(value)));
+            }
+
+            return this.call('HVALS')().then((values) => this.decodeArray(values));
+        }, () => this.scanValues());
     }
 
     /**
@@ -135,15 +279,16 @@ class Hash extends Wrapper {
      * ```JavaScript
      * [[key1, value1], [key2, value2]]
      * ```
-     * To support Object to Map transformation
+     * To support Object to Map transformation. Iterated with `for await` it
+     * yields the pairs lazily (**HSCAN**, see {@link Hash#scanEntries})
      *
      * - Redis command: [HGETALL]{@link https://redis.io/commands/hgetall}
      * - JavaScript analogy: [Map.prototype.entries]{@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Map/entries}
      *
-     * @return {Promise}
+     * @return {Promise<Array[]>|AsyncIterable} Thenable and async iterable
      */
     entries() {
-        return this.getAll().then(function (obj) {
+        return this._iterable(() => this.getAll().then(function (obj) {
             if (obj === null) {
                 return [];
             }
@@ -151,7 +296,7 @@ class Hash extends Wrapper {
             return Object.keys(obj).map(function (key) {
                 return [key, obj[key]];
             });
-        });
+        }), () => this.scanEntries());
     }
 
     /**
@@ -165,9 +310,12 @@ class Hash extends Wrapper {
      * @return {Promise}
      */
     getMul(keys) {
-        return this.useJSON
-            ? this.call('HMGET')(keys).then(this.json.parseArray)
-            : this.call('HMGET')(keys);
+        if (this.cache !== null) {
+            return this.cache.getMany(keys, (missing) => this.call('HMGET')(missing))
+                .then((values) => this.decodeArray(values));
+        }
+
+        return this.call('HMGET')(keys).then((values) => this.decodeArray(values));
     }
 
     /**
@@ -180,9 +328,19 @@ class Hash extends Wrapper {
      * @returns {Promise}
      */
     getAll() {
-        return this.useJSON
-            ? this.call('HGETALL')().then(this.json.parseObjectValues)
-            : this.call('HGETALL')();
+        if (this.cache !== null) {
+            return this._cachedAll().then((fields) => {
+                const obj = Object.create(null);
+
+                fields.forEach((value, field) => {
+                    obj[field] = this.decode(value);
+                });
+
+                return obj;
+            });
+        }
+
+        return this.call('HGETALL')().then((obj) => this.decodeObjectValues(obj));
     }
 
     /**
@@ -192,13 +350,489 @@ class Hash extends Wrapper {
      * - Redis command: [HMSET]{@link https://redis.io/commands/hmset}
      * - JavaScript analogy: none
      *
-     * @param   {Object}  valuesObj Object with key-value pairs to set
+     * @param   {Object}  valuesObj     Object with key-value pairs to set
+     * @param   {Object}  [options={}]  Options
+     * @param   {Number}  [options.ttl] Seconds for the written fields to expire in (**HEXPIRE** in the same MULTI)
      * @returns {Promise}
      */
-    setMul(valuesObj) {
-        return this.useJSON
-            ? this.call('HMSET')(this.json.stringifyObjectValues(valuesObj))
-            : this.call('HMSET')(valuesObj);
+    setMul(valuesObj, options = {}) {
+        if (options.ttl === undefined) {
+            return this.write('HMSET')(this.encodeObjectValues(valuesObj));
+        }
+
+        const encoded = this.encodeObjectValues(valuesObj);
+        const fields  = Object.keys(encoded);
+        const args    = [];
+
+        fields.forEach((field) => args.push(field, encoded[field]));
+
+        return this.writeCommands([
+            ['HMSET'].concat(args),
+            ['HEXPIRE', options.ttl].concat(fieldsModifier(fields))
+        ]).then(([reply]) => reply, (error) => Promise.reject(fieldExpiryError(error)));
+    }
+
+    /**
+     * Increment integer value under given key; missing key is treated as 0.
+     * Value stays a plain number in JSON mode as well
+     *
+     * - Redis command: [HINCRBY]{@link https://redis.io/commands/hincrby}
+     * - JavaScript analogy: none; map.set(key, map.get(key) + by)
+     *
+     * @example
+     * (async () => {
+     *
+     *   await hash.increment('visits');      // 1
+     *   await hash.increment('visits', 10);  // 11
+     *   await hash.increment('visits', -1);  // 10
+     *
+     * })()
+     *
+     * @param  {String}          key    Key to increment value under
+     * @param  {Number}          [by=1] Integer increment (may be negative)
+     * @return {Promise<Number>}        Value after increment
+     *
+     * @throws {Error} When value is not an integer
+     */
+    increment(key, by = 1) {
+        return this.write('HINCRBY')(key, by);
+    }
+
+    /**
+     * Increment value under given key by floating point number; missing key is
+     * treated as 0. Value stays a plain number in JSON mode as well
+     *
+     * - Redis command: [HINCRBYFLOAT]{@link https://redis.io/commands/hincrbyfloat}
+     * - JavaScript analogy: none; map.set(key, map.get(key) + by)
+     *
+     * @param  {String}          key Key to increment value under
+     * @param  {Number}          by  Increment (may be negative)
+     * @return {Promise<Number>}     Value after increment
+     *
+     * @throws {Error} When value is not a number
+     */
+    incrementFloat(key, by) {
+        return this.write('HINCRBYFLOAT')(key, by).then(Number);
+    }
+
+    /**
+     * Set value under given key only when this key is not in the hash yet.
+     * Value is encoded with instance codec, just like in {@link Hash#set}
+     *
+     * - Redis command: [HSETNX]{@link https://redis.io/commands/hsetnx}
+     * - JavaScript analogy: none
+     *
+     * @example
+     * (async () => {
+     *
+     *   await hash.setIfAbsent('sam', {age: 19}); // true
+     *   await hash.setIfAbsent('sam', {age: 20}); // false, sam is still 19
+     *
+     * })()
+     *
+     * @param  {String}           key   Key to set
+     * @param  {String|Object}    value Value to set under given key
+     * @return {Promise<Boolean>}       Whether value was set
+     */
+    setIfAbsent(key, value) {
+        return this.write('HSETNX')(key, this.encode(value)).then((e) => !!e);
+    }
+
+    /**
+     * Get length of the string stored under given key. With codec it is
+     * the length of encoded value, for JSON: `'abc'` is stored as `'"abc"'` - 5
+     *
+     * - Redis command: [HSTRLEN]{@link https://redis.io/commands/hstrlen}
+     * - JavaScript analogy: none; map.get(key).length
+     *
+     * @param  {String}          key Key to get value length of
+     * @return {Promise<Number>}     Length of the value or 0 when key is missing
+     */
+    valueLength(key) {
+        return this.call('HSTRLEN')(key);
+    }
+
+    /**
+     * Get random keys from the hash. Positive count returns distinct keys
+     * (not more than hash has), negative - exactly `-count` keys which may repeat
+     *
+     * - Redis command: [HRANDFIELD]{@link https://redis.io/commands/hrandfield}
+     * - JavaScript analogy: none
+     *
+     * @example
+     * (async () => {
+     *
+     *   await hash.randomKeys();        // ['sam']
+     *   await hash.randomKeys(2, true); // [['sam', {age: 19}], ['tom', {age: 21}]]
+     *
+     * })()
+     *
+     * @param  {Number}          [count=1]          Number of keys to get
+     * @param  {Boolean}         [withValues=false] Whether to return [key, value] pairs
+     * @return {Promise<Array>}                     Array of keys or [key, value] pairs
+     */
+    randomKeys(count = 1, withValues = false) {
+        if (!withValues) {
+            return this.command('HRANDFIELD', count);
+        }
+
+        return this.command('HRANDFIELD', count, 'WITHVALUES').then((reply) => {
+            const entries = [];
+
+            for (let i = 0; i < reply.length; i += 2) {
+                entries.push([reply[i], this.decode(reply[i + 1])]);
+            }
+
+            return entries;
+        });
+    }
+
+    /**
+     * Atomically update value under given key with function of its current
+     * value. Uses optimistic locking (see {@link Wrapper#watch}) so the function
+     * may be called more than once. Returning `undefined` deletes the key
+     *
+     * - Redis command: [WATCH]{@link https://redis.io/commands/watch}
+     * - JavaScript analogy: none; map.set(key, fn(map.get(key)))
+     *
+     * @example
+     * (async () => {
+     *
+     *   await users.update('sam', (sam) => Object.assign({}, sam, {age: sam.age + 1}));
+     *
+     * })()
+     *
+     * @param  {String}   key          Key to update value under
+     * @param  {Function} fn           Function (may be async) of current value (null when missing)
+     * @param  {Object}   [options={}] Retry options, see {@link Wrapper#watch}
+     * @return {Promise}               Resolved with the new value
+     */
+    update(key, fn, options = {}) {
+        return this.uncached(() => this.watch(async (read, write) => {
+            const value = await fn(await read.get(key));
+
+            return [(value === undefined) ? write.delete(key) : write.set(key, value), value];
+        }, options)).then(([, value]) => value);
+    }
+
+    /**
+     * Synchronously get value of the field from the local cache, see {@link Cache}
+     *
+     * - Redis command: none
+     * - JavaScript analogy: [Map.prototype.get]{@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Map/get}
+     *
+     * @example
+     * const config = new types.Hash('config', {codec: true, cache: true});
+     *
+     * (async () => {
+     *
+     *   config.peek('theme');      // undefined - not loaded yet
+     *   await config.getAll();
+     *   config.peek('theme');      // 'dark'
+     *   config.peek('nothing');    // null - whole hash is cached, there's no such field
+     *
+     * })()
+     *
+     * @param  {String} key Key to get value of
+     * @return {*}          Decoded value, null when field is known to be missing or
+     *                      undefined when it is not cached
+     *
+     * @throws {Error} When wrapper is created without cache option
+     */
+    peek(key) {
+        if (this.cache === null) {
+            throw new Error('Hash "' + this.key + '" is not cached, create it with cache option');
+        }
+
+        const value = this.cache.peek(key);
+
+        return (value === undefined) ? value : this.decode(value);
+    }
+
+    /**
+     * Set field(s) to expire in given number of seconds. Expired fields are
+     * removed from the hash; Redis 7.4 or newer is required
+     *
+     * - Redis command: [HEXPIRE]{@link https://redis.io/commands/hexpire}
+     * - JavaScript analogy: none
+     *
+     * @example
+     * (async () => {
+     *
+     *   await hash.expireField('sam', 60);             // true
+     *   await hash.expireField(['sam', 'nobody'], 60); // [true, false]
+     *   await hash.expireField('sam', 10, {gt: true}); // false - 60 is greater
+     *
+     * })()
+     *
+     * @param  {String|String[]}            fields             Field or fields to expire
+     * @param  {Number}                     seconds            Seconds to live (0 deletes fields)
+     * @param  {Object}                     [options={}]       Condition to set expiry on
+     * @param  {Boolean}                    [options.nx=false] Only when field has no expiry
+     * @param  {Boolean}                    [options.xx=false] Only when field has expiry
+     * @param  {Boolean}                    [options.gt=false] Only when new expiry is greater
+     * @param  {Boolean}                    [options.lt=false] Only when new expiry is less
+     * @return {Promise<Boolean|Boolean[]>}                    Whether expiry was set (or field deleted), for each field
+     *                                                         when array is passed
+     *
+     * @throws {Error} When server does not support per-field expiry
+     */
+    expireField(fields, seconds, options = {}) {
+        return this._fieldExpiry('HEXPIRE', fields, [seconds].concat(conditionModifier(options)));
+    }
+
+    /**
+     * Set field(s) to expire at given moment, see {@link Hash#expireField}
+     *
+     * - Redis command: [HEXPIREAT]{@link https://redis.io/commands/hexpireat}
+     * - JavaScript analogy: none
+     *
+     * @param  {String|String[]}            fields       Field or fields to expire
+     * @param  {Date|Number}                date         Date or UNIX timestamp in seconds
+     * @param  {Object}                     [options={}] Condition to set expiry on, see {@link Hash#expireField}
+     * @return {Promise<Boolean|Boolean[]>}              Whether expiry was set, for each field when array is passed
+     *
+     * @throws {Error} When server does not support per-field expiry
+     */
+    expireFieldAt(fields, date, options = {}) {
+        const timestamp = (date instanceof Date) ? Math.floor(date.getTime() / 1000) : date;
+
+        return this._fieldExpiry('HEXPIREAT', fields, [timestamp].concat(conditionModifier(options)));
+    }
+
+    /**
+     * Get number of seconds field(s) have to live
+     *
+     * - Redis command: [HTTL]{@link https://redis.io/commands/httl}
+     * - JavaScript analogy: none
+     *
+     * @param  {String|String[]}            fields Field or fields to check
+     * @return {Promise<?Number|Number[]>}         Seconds to live, -1 when field never expires or null
+     *                                             when field does not exist, for each field when array is passed
+     *
+     * @throws {Error} When server does not support per-field expiry
+     */
+    fieldTtl(fields) {
+        const list = [].concat(fields);
+
+        return this.command('HTTL', ...fieldsModifier(list))
+            .then((reply) => {
+                const ttls = reply.map((ttl) => (ttl === -2) ? null : ttl);
+
+                return Array.isArray(fields) ? ttls : ttls[0];
+            }, (error) => Promise.reject(fieldExpiryError(error)));
+    }
+
+    /**
+     * Remove expiry from field(s)
+     *
+     * - Redis command: [HPERSIST]{@link https://redis.io/commands/hpersist}
+     * - JavaScript analogy: none
+     *
+     * @param  {String|String[]}            fields Field or fields to persist
+     * @return {Promise<Boolean|Boolean[]>}        Whether expiry was removed, for each field when array is passed
+     *
+     * @throws {Error} When server does not support per-field expiry
+     */
+    persistField(fields) {
+        return this._fieldExpiry('HPERSIST', fields, []);
+    }
+
+    /**
+     * Lazily iterate over [key, value] pairs of the hash with cursor, so big
+     * hashes are not loaded at once. Just like SCAN does, may yield the same key
+     * more than once if hash is modified during iteration
+     *
+     * - Redis command: [HSCAN]{@link https://redis.io/commands/hscan}
+     * - JavaScript analogy: [Map.prototype.entries]{@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Map/entries}
+     *
+     * @example
+     * (async () => {
+     *
+     *   for await (const [key, value] of hash.scanEntries({match: 'user:*', count: 100})) {
+     *       console.log(key, value);
+     *   }
+     *
+     * })()
+     *
+     * @param  {Object}         [options={}]    Scan options
+     * @param  {String}         [options.match] Glob-style pattern for keys
+     * @param  {Number}         [options.count] Number of elements Redis checks per call
+     * @return {AsyncGenerator}                 Generator of [key, value] pairs
+     */
+    async *scanEntries(options = {}) {
+        for await (const batch of this._scan('HSCAN', options)) {
+            for (let i = 0; i < batch.length; i += 2) {
+                yield [batch[i], this.decode(batch[i + 1])];
+            }
+        }
+    }
+
+    /**
+     * Lazily iterate over keys of the hash, see {@link Hash#scanEntries}
+     *
+     * - Redis command: [HSCAN]{@link https://redis.io/commands/hscan}
+     * - JavaScript analogy: [Map.prototype.keys]{@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Map/keys}
+     *
+     * @param  {Object}         [options={}]    Scan options
+     * @param  {String}         [options.match] Glob-style pattern for keys
+     * @param  {Number}         [options.count] Number of elements Redis checks per call
+     * @return {AsyncGenerator}                 Generator of keys
+     */
+    async *scanKeys(options = {}) {
+        for await (const batch of this._scan('HSCAN', options)) {
+            for (let i = 0; i < batch.length; i += 2) {
+                yield batch[i];
+            }
+        }
+    }
+
+    /**
+     * Lazily iterate over values of the hash, see {@link Hash#scanEntries}
+     *
+     * - Redis command: [HSCAN]{@link https://redis.io/commands/hscan}
+     * - JavaScript analogy: [Map.prototype.values]{@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Map/values}
+     *
+     * @param  {Object}         [options={}]    Scan options
+     * @param  {String}         [options.match] Glob-style pattern for keys
+     * @param  {Number}         [options.count] Number of elements Redis checks per call
+     * @return {AsyncGenerator}                 Generator of values
+     */
+    async *scanValues(options = {}) {
+        for await (const [, value] of this.scanEntries(options)) {
+            yield value;
+        }
+    }
+
+    /**
+     * Iterate over hash with `for await` - the same as {@link Hash#scanEntries}
+     * with default options, just like Map is iterated with entries
+     *
+     * @example
+     * (async () => {
+     *
+     *   for await (const [key, value] of hash) {
+     *       console.log(key, value);
+     *   }
+     *
+     * })()
+     *
+     * @return {AsyncGenerator} Generator of [key, value] pairs
+     */
+    [Symbol.asyncIterator]() {
+        return this.scanEntries();
+    }
+
+    /**
+     * Read [key, value] pairs with HSCAN for {@link Wrapper#createReadStream}
+     *
+     * @private
+     * @param  {Number}         batchSize Number of elements Redis checks per call
+     * @return {AsyncGenerator}           Generator of [key, value] pairs
+     */
+    _readBatches(batchSize) {
+        return this.scanEntries({count: batchSize});
+    }
+
+    /**
+     * Set [key, value] pairs or objects with HMSET for {@link Wrapper#createWriteStream}
+     *
+     * @private
+     * @param  {Array}   batch Pairs of [key, value] or objects with key-value pairs
+     * @return {Promise}
+     */
+    _writeBatch(batch) {
+        const values = {};
+
+        batch.forEach((chunk) => {
+            if (Array.isArray(chunk)) {
+                values[chunk[0]] = chunk[1];
+            } else {
+                Object.assign(values, chunk);
+            }
+        });
+
+        return this.setMul(values);
+    }
+
+    /**
+     * Read fields for {@link Wrapper#snapshot}
+     *
+     * @private
+     * @return {Promise<Object>} Object of fields and decoded values
+     */
+    _snapshotData() {
+        return this.getAll().then((obj) => Object.assign({}, obj));
+    }
+
+    /**
+     * Build **HSET** commands for {@link Wrapper#restoreSnapshot}
+     *
+     * @private
+     * @param  {Object}  data Object of fields and values
+     * @return {Array[]}
+     */
+    _restoreCommands(data) {
+        const args = [];
+
+        Object.keys(data).forEach((field) => args.push(field, this.encode(data[field])));
+
+        return this._chunkedCommands('HSET', args, 2);
+    }
+
+    /**
+     * Get raw value of the field through the cache
+     *
+     * @private
+     * @param  {String}                  key Field to get
+     * @return {Promise<?String|Buffer>}     Value as Redis replies it
+     */
+    _cachedGet(key) {
+        return this.cache.get(key, () => this.call('HGET')(key));
+    }
+
+    /**
+     * Get raw values of all the fields through the cache
+     *
+     * @private
+     * @return {Promise<Map>} Map of fields and values as Redis replies them
+     */
+    _cachedAll() {
+        return this.cache.all(() => this.call('HGETALL')().then((obj) => new Map(Object.keys(obj || {}).map((field) => [field, obj[field]]))));
+    }
+
+    /**
+     * Bring cached field name to the shape HKEYS replies with: Buffer when
+     * codec works with binary data
+     *
+     * @private
+     * @param  {String}        field Field name
+     * @return {String|Buffer}
+     */
+    _field(field) {
+        return (this.codec !== null && this.codec.buffers) ? Buffer.from(field) : field;
+    }
+
+    /**
+     * Run one of HEXPIRE, HEXPIREAT, HPERSIST and turn the codes it replies
+     * with (1 or 2 - done, 0 - condition not met, -1 - no expiry, -2 - no field)
+     * into booleans
+     *
+     * @private
+     * @param  {String}          command Command to run
+     * @param  {String|String[]} fields  Field or fields
+     * @param  {Array}           args    Arguments to put before FIELDS
+     * @return {Promise}
+     */
+    _fieldExpiry(command, fields, args) {
+        const list = [].concat(fields);
+
+        return this.writeCommand(command, ...args, ...fieldsModifier(list))
+            .then((reply) => {
+                const results = reply.map((code) => code > 0);
+
+                return Array.isArray(fields) ? results : results[0];
+            }, (error) => Promise.reject(fieldExpiryError(error)));
     }
 }
 
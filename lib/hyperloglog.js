@@ -0,0 +1,132 @@
+/**
+ * Redis HyperLogLog wrapper
+ *
+ * Implemented methods:
+ *
+ * - add (**PFADD**)
+ * - count (**PFCOUNT**)
+ * - countUnion (**PFCOUNT**)
+ * - mergeFrom (**PFMERGE**)
+ *
+ * HyperLogLog counts distinct items using at most 12 KB per key, counts
+ * are approximate (standard error is 0.81%). Redis stores it as a string
+ * (TYPE replies `string`).
+ */
+
+'use strict';
+
+const Wrapper = require('./wrapper');
+
+/**
+ * Class to handle Redis HyperLogLog
+ *
+ * Items are encoded with the codec of the wrapper before they are counted, so
+ * with JSON enabled objects are counted by their JSON - keep the order of
+ * properties the same. All the counters taking part in one operation should
+ * use the same codec; in cluster their keys must be in one slot
+ *
+ * @example
+ * const client = require('redis').createClient();
+ * const types  = require('redis-type')(client);
+ *
+ * const today     = new types.HyperLogLog('visitors:2024-05-02', true);
+ * const yesterday = new types.HyperLogLog('visitors:2024-05-01', true);
+ *
+ * (async () => {
+ *
+ *   await today.add({id: 1}, {id: 2});
+ *   await yesterday.add({id: 2}, {id: 3});
+ *
+ *   console.log(await today.count());                // 2
+ *   console.log(await today.countUnion(yesterday));  // 3
+ *
+ * })();
+ *
+ * @extends Wrapper
+ */
+class HyperLogLog extends Wrapper {
+
+    /**
+     * Keyspace events of HyperLogLog commands (notify-keyspace-events class)
+     *
+     * @type {String}
+     */
+    static get keyspaceEvents() {
+        return '$';
+    }
+
+    /**
+     * Redis type of the key (reply of TYPE)
+     *
+     * @type {String}
+     */
+    static get redisType() {
+        return 'string';
+    }
+
+    /**
+     * Add items to count. Key is created even when no items are given
+     *
+     * - Redis command: [PFADD]{@link https://redis.io/commands/pfadd}
+     * - JavaScript analogy: [Set.add]{@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Set/add}
+     *
+     * @param  {...*}             items Items to add
+     * @return {Promise<Boolean>}       Whether estimated count changed (or the key was created)
+     */
+    add(...items) {
+        return this.writeCommand('PFADD', ...items.map((item) => this.encode(item))).then((changed) => changed === 1);
+    }
+
+    /**
+     * Get approximate number of distinct items added
+     *
+     * - Redis command: [PFCOUNT]{@link https://redis.io/commands/pfcount}
+     * - JavaScript analogy: [Set.size]{@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Set/size}
+     *
+     * @return {Promise<Number>} Approximate count, 0 when there's no key
+     */
+    count() {
+        return this.command('PFCOUNT').then(Number);
+    }
+
+    /**
+     * Get approximate number of distinct items added to this and other
+     * counters, without storing their union
+     *
+     * - Redis command: [PFCOUNT]{@link https://redis.io/commands/pfcount}
+     * - JavaScript analogy: none
+     *
+     * @param  {...HyperLogLog}  others Counters to unite with
+     * @return {Promise<Number>}        Approximate count of the union
+     */
+    countUnion(...others) {
+        return this.command('PFCOUNT', ...others.map((other) => other.key)).then(Number);
+    }
+
+    /**
+     * Merge other counters into this one: it counts items of all of them
+     * afterwards. Key is created even when no counters are given
+     *
+     * - Redis command: [PFMERGE]{@link https://redis.io/commands/pfmerge}
+     * - JavaScript analogy: none
+     *
+     * @param  {...HyperLogLog} others Counters to merge from
+     * @return {Promise}
+     */
+    mergeFrom(...others) {
+        return this.writeCommand('PFMERGE', ...others.map((other) => other.key)).then(() => undefined);
+    }
+
+    /**
+     * Export the counter, see {@link Wrapper#snapshot}. Registers of the
+     * counter have no JSON form, so it is always exported with **DUMP**
+     *
+     * @param  {Object}           [options={}] Options of {@link Wrapper#snapshot}, `binary` is always on
+     * @return {Promise<?Object>}              Snapshot document, null when the key does not exist
+     */
+    snapshot(options = {}) {
+        return super.snapshot(Object.assign({}, options, {binary: true}));
+    }
+}
+
+module.exports = exports = HyperLogLog;
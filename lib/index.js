@@ -6,19 +6,209 @@
 
 'use strict';
 
-module.exports = exports = function (client) {
+const Transaction = require('./transaction');
+const Namespace   = require('./namespace');
+const types       = require('./types');
+const errors      = require('./errors');
+const adapters    = require('./adapters');
 
+/**
+ * Bind all the wrapper classes to the client
+ *
+ * @param  {Adapter} client Adapter of the client to bind classes to
+ * @return {Object}         Object with bound classes
+ */
+function bind(client) {
     return {
-        connect: client.connect.bind(client),
-        Wrapper: require('./wrapper').bind(null, client),
-        Hash:    require('./hash').bind(null, client),
-        List:    require('./list').bind(null, client),
-        Set:     require('./set').bind(null, client)
+        Wrapper:     require('./wrapper').bind(null, client),
+        Hash:        require('./hash').bind(null, client),
+        List:        require('./list').bind(null, client),
+        Set:         require('./set').bind(null, client),
+        SortedSet:   require('./sortedset').bind(null, client),
+        Stream:      require('./stream').bind(null, client),
+        HyperLogLog: require('./hyperloglog').bind(null, client),
+        Bitmap:      require('./bitmap').bind(null, client),
+        Geo:         require('./geo').bind(null, client),
+        Value:       require('./value').bind(null, client),
+        Counter:     require('./counter').bind(null, client)
     };
+}
+
+/**
+ * Resolve promises in the result of transaction callback: the result itself,
+ * elements of array or values of plain object
+ *
+ * @param  {*}       result Value returned by the callback
+ * @return {Promise}
+ */
+async function resolve(result) {
+    if (Array.isArray(result)) {
+        return Promise.all(result);
+    }
+
+    if (result !== null && typeof result === 'object' && [Object.prototype, null].includes(Object.getPrototypeOf(result))) {
+        const keys   = Object.keys(result);
+        const values = await Promise.all(keys.map((key) => result[key]));
+
+        return keys.reduce((object, key, i) => Object.assign(object, {[key]: values[i]}), {});
+    }
+
+    return result;
+}
+
+/**
+ * Queue commands of the wrappers created in callback and run them at once
+ *
+ * @param  {Adapter}  client Adapter of Redis client
+ * @param  {Function} fn     Callback to queue commands in
+ * @param  {Boolean}  atomic Whether to use MULTI/EXEC or pipeline
+ * @return {Promise}         Resolved with callback result
+ */
+async function run(client, fn, atomic) {
+    const tx      = new Transaction(client, atomic);
+    const classes = bind(tx.client);
+
+    Object.keys(classes).forEach((name) => {
+        classes[name] = tx.guard(classes[name]);
+    });
+
+    let result;
+
+    try {
+        result = (await tx.resultOf(fn(classes))).value;
+    } catch (error) {
+        tx.discard(error);
+
+        throw error;
+    }
+
+    await tx.exec();
+
+    return resolve(result);
+}
+
+/**
+ * Bind wrapper classes to the client
+ *
+ * @param  {Object} client           Client of node-redis (v3, v4, cluster), ioredis (standalone, cluster),
+ *                                   in-memory client or adapter, see {@link module:adapters}
+ * @param  {Object} [options={}]     Options
+ * @param  {String} [options.adapter] Flavour of the client, detected by default
+ * @return {Object}                  Bound classes, transaction and batch
+ */
+module.exports = exports = function (client, options = {}) {
+    const adapter = adapters.adapt(client, options.adapter);
+
+    return Object.assign(bind(adapter), {
+        connect: () => adapter.connect(),
+        codecs:  require('./codecs'),
+
+        /**
+         * Run commands of multiple wrappers in one MULTI/EXEC. Wrappers created
+         * from `tx` queue their commands; each method promise is resolved with
+         * its own (decoded) result after EXEC, which is sent once the callback
+         * (maybe async) returns. Return these promises (one, an array or an
+         * object of them) to get the results from transaction: awaiting them
+         * in the callback rejects with an error, as they can't settle before
+         * EXEC. When EXEC fails as a whole, the transaction and all the
+         * queued commands are rejected
+         *
+         * @example
+         * const [length, isNew] = await types.transaction((tx) => [
+         *     new tx.List('queue', true).push({id: 1}),
+         *     new tx.Hash('jobs', true).setIfAbsent('1', {state: 'queued'})
+         * ]);
+         *
+         * // async callback may await other things before queueing commands
+         * const [length] = await types.transaction(async (tx) => {
+         *     const job = await loadJob(id);
+         *
+         *     return [new tx.List('queue', true).push(job), new tx.Hash('jobs', true).set(id, job)];
+         * });
+         *
+         * @param  {Function} fn Callback receiving bound classes: Hash, List, Set etc
+         * @return {Promise}     Resolved with callback result (promise, arrays and objects of promises
+         *                       are resolved)
+         */
+        transaction: (fn) => run(adapter, fn, true),
+
+        /**
+         * Same as transaction but commands are sent in a pipeline without
+         * MULTI/EXEC - not atomic, each command may fail on its own
+         *
+         * @param  {Function} fn Callback receiving bound classes: Hash, List, Set etc
+         * @return {Promise}     Resolved with callback result (promise, arrays and objects of promises
+         *                       are resolved)
+         */
+        batch: (fn) => run(adapter, fn, false),
+
+        /**
+         * Get wrapper classes which prefix their keys; namespaces nest
+         *
+         * @example
+         * const users = types.namespace('app:users');
+         * const sam   = users.namespace('42');
+         * const posts = new sam.List('posts'); // key "app:users:42:posts"
+         *
+         * @param  {String}    prefix                  Prefix of the keys
+         * @param  {Object}    [options={}]            Options
+         * @param  {String}    [options.separator=':'] Separator of prefix and key name
+         * @return {Namespace}                         Namespace with bound classes, keys, entries and clear
+         */
+        namespace: (prefix, options) => new Namespace(adapter, prefix, options),
+
+        /**
+         * Create wrapper of the class matching type of the key: Hash, List,
+         * Set, SortedSet, Stream or base Wrapper for other types
+         *
+         * - Redis command: [TYPE]{@link https://redis.io/commands/type}
+         *
+         * @example
+         * const wrapper = await types.open('users'); // Hash for a hash key
+         *
+         * @param  {String}            key             Key to open
+         * @param  {Boolean|Object}    [options=false] Codec or options of the wrapper, see {@link Wrapper}
+         * @return {Promise<?Wrapper>}                 Wrapper or null when the key does not exist
+         */
+        open: (key, options) => types.open(adapter, key, options),
+
+        /**
+         * Load snapshot made by {@link Wrapper#snapshot} (JSON or binary)
+         * and get wrapper of its type for the key
+         *
+         * - Redis command: [RESTORE]{@link https://redis.io/commands/restore} for binary snapshots
+         *
+         * @example
+         * const doc   = JSON.parse(fs.readFileSync('users.json'));
+         * const users = await types.restore(doc, {key: 'users:staging', replace: true});
+         *
+         * @param  {Object}           doc                     Snapshot document
+         * @param  {Object}           [options={}]            Options
+         * @param  {String}           [options.key]           Key to restore to, the key of the snapshot by default
+         * @param  {Boolean}          [options.replace=false] Replace the key when it exists
+         * @param  {Boolean|Object}   [options.codec]         Codec of the wrapper, taken from the snapshot by default
+         * @return {Promise<Wrapper>}                         Wrapper of the restored key
+         */
+        restore: (doc, options) => types.restore(adapter, doc, options)
+    });
 
 };
 
-exports.Wrapper = require('./wrapper');
-exports.List    = require('./list');
-exports.Hash    = require('./hash');
-exports.Set     = require('./set');
+exports.Wrapper        = require('./wrapper');
+exports.List           = require('./list');
+exports.Hash           = require('./hash');
+exports.Set            = require('./set');
+exports.SortedSet      = require('./sortedset');
+exports.Stream         = require('./stream');
+exports.HyperLogLog    = require('./hyperloglog');
+exports.Bitmap         = require('./bitmap');
+exports.Geo            = require('./geo');
+exports.Value          = require('./value');
+exports.Counter        = require('./counter');
+exports.Cache          = require('./cache');
+exports.Script         = require('./script');
+exports.Transaction    = Transaction;
+exports.Namespace      = Namespace;
+exports.WrongTypeError = errors.WrongTypeError;
+exports.codecs         = require('./codecs');
+exports.adapters       = adapters;
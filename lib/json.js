@@ -1,5 +1,8 @@
 /**
- * Set of methods to parse/stringify objects, arrays etc
+ * Set of methods to parse/stringify objects, arrays etc. Kept for code using
+ * `wrapper.json`; wrappers encode values with codecs now, see {@link module:codecs}
+ *
+ * @deprecated
  */
 
 'use strict';
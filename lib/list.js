@@ -14,21 +14,103 @@
  * - getElementAt (**LINDEX**)
  * - setElementAt (**LSET**)
  * - trim (**LTRIM**)
+ * - indexOf (**LPOS**)
+ * - lastIndexOf (**LPOS**)
+ * - indexesOf (**LPOS**)
+ * - includes (**LPOS**)
+ * - remove (**LREM**)
+ * - splice (**WATCH** + **LRANGE** + **LTRIM** + **RPUSH**)
+ * - take (**BLPOP**)
+ * - takeLast (**BRPOP**)
+ * - moveTo (**LMOVE**)
+ * - takeAndMoveTo (**BLMOVE**)
+ * - consume (**BLMOVE** + **LREM**)
+ * - updateAt (**WATCH** + **LINDEX** + **LSET**)
+ * - forEach (**LRANGE**)
+ * - find (**LRANGE**)
+ * - filter (**LRANGE**)
+ * - scanValues (**LRANGE**)
+ * - scanEntries (**LRANGE**)
+ * - scanKeys (**LRANGE**)
+ * - [Symbol.asyncIterator] (**LRANGE**)
  *
  *
  * Not implemented:
  *
- * - **BLPOP**
- * - **BRPOP**
  * - **LPUSH** (**LPUSHX** used instead)
  * - **RPUSH** (**RPUSHX** used instead)
- * - **RPOPLPUSH**
+ * - **RPOPLPUSH** (deprecated, **LMOVE** used instead)
  */
 
 'use strict';
 
 const Wrapper = require('./wrapper');
 
+/**
+ * Number of elements to get with one LRANGE call when iterating
+ * @type {Number}
+ */
+const SCAN_COUNT = 100;
+
+/**
+ * Build modifiers of LPOS
+ *
+ * @param  {Number}  rank     Rank of the match, negative to search from the tail
+ * @param  {?Number} count    Number of matches, null to get only one
+ * @param  {Number}  [maxLen] Maximal number of elements to compare
+ * @return {Array}            Modifier arguments
+ */
+function positionModifiers(rank, count, maxLen) {
+    const modifiers = ['RANK', rank];
+
+    if (count !== null) {
+        modifiers.push('COUNT', count);
+    }
+
+    if (maxLen !== undefined) {
+        modifiers.push('MAXLEN', maxLen);
+    }
+
+    return modifiers;
+}
+
+/**
+ * Turn Redis glob-style pattern (the one used in MATCH of SCAN commands) into RegExp
+ *
+ * @param  {String} pattern Glob-style pattern: `*`, `?`, `[abc]`, `[^a-z]` and backslash escapes
+ * @return {RegExp}         Expression matching the whole string
+ */
+function globToRegExp(pattern) {
+    const escape = (char) => char.replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&');
+
+    let source = '';
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        const end  = (char === '[') ? pattern.indexOf(']', i + 1) : -1;
+
+        switch (true) {
+            case (char === '*'):
+                source += '[\\s\\S]*';
+                break;
+            case (char === '?'):
+                source += '[\\s\\S]';
+                break;
+            case (char === '\\' && i + 1 < pattern.length):
+                source += escape(pattern[++i]);
+                break;
+            case (end !== -1):
+                source += '[' + pattern.slice(i + 1, end) + ']';
+                i = end;
+                break;
+            default:
+                source += escape(char);
+        }
+    }
+
+    return new RegExp('^' + source + '$');
+}
+
 /**
  * Class to handle Redis LIST type.
  *
@@ -38,7 +120,7 @@ const Wrapper = require('./wrapper');
  * const client = require('redis').createClient();
  * const types  = require('redis-type')(client);
  *
- * const list = new types.List('my_list', true); // last flag for JSON=true
+ * const list = new types.List('my_list', true); // last flag is codec, true for JSON
  *
  * (async () => {
  *
@@ -60,6 +142,24 @@ const Wrapper = require('./wrapper');
  */
 class List extends Wrapper {
 
+    /**
+     * Keyspace events of list commands (notify-keyspace-events class)
+     *
+     * @type {String}
+     */
+    static get keyspaceEvents() {
+        return 'l';
+    }
+
+    /**
+     * Redis type of the key (reply of TYPE)
+     *
+     * @type {String}
+     */
+    static get redisType() {
+        return 'list';
+    }
+
     /**
      * Get length of a list
      *
@@ -93,12 +193,10 @@ class List extends Wrapper {
      *
      * })()
      *
-     * @return {Promise<Object|String>} Shifted value (Object when useJSON=true or String)
+     * @return {Promise<Object|String>} Shifted value (decoded when codec is set or String)
      */
     shift() {
-        return this.useJSON
-            ? this.call('LPOP')().then(this.json.parse)
-            : this.call('LPOP')();
+        return this.write('LPOP')().then((value) => this.decode(value));
     }
 
     /**
@@ -115,12 +213,10 @@ class List extends Wrapper {
      *
      * })()
      *
-     * @return {Promise<Object|String>} Popped value (Object when useJSON=true or String)
+     * @return {Promise<Object|String>} Popped value (decoded when codec is set or String)
      */
     pop() {
-        return this.useJSON
-            ? this.call('RPOP')().then(this.json.parse)
-            : this.call('RPOP')();
+        return this.write('RPOP')().then((value) => this.decode(value));
     }
 
     /**
@@ -141,9 +237,7 @@ class List extends Wrapper {
      * @return {Promise}
      */
     unshift(...els) {
-        return this.useJSON
-            ? this.call('LPUSH').apply(this, els.reverse().map(this.json.toJSON))
-            : this.call('LPUSH').apply(this, els.reverse());
+        return this.write('LPUSH').apply(this, els.reverse().map((el) => this.encode(el)));
     }
 
     /**
@@ -164,9 +258,7 @@ class List extends Wrapper {
      * @return {Promise<Number>}       Resulting length of the list
      */
     push(...els) {
-        return this.useJSON
-            ? this.call('RPUSH').apply(this, els.map(this.json.toJSON))
-            : this.call('RPUSH').apply(this, els);
+        return this.write('RPUSH').apply(this, els.map((el) => this.encode(el)));
     }
 
 
@@ -210,9 +302,7 @@ class List extends Wrapper {
                 end -= 1;
         }
 
-        return this.useJSON
-            ? this.call('LRANGE')(begin, end).then(this.json.parseArray)
-            : this.call('LRANGE')(begin, end);
+        return this.call('LRANGE')(begin, end).then((values) => this.decodeArray(values));
     }
 
     /**
@@ -234,9 +324,7 @@ class List extends Wrapper {
      * @return {Promise<Number>}     Resulting list length
      */
     insertAfter(key, el) {
-        return this.useJSON
-            ? this.call('LINSERT')('after', key, this.json.toJSON(el))
-            : this.call('LINSERT')('after', key, el);
+        return this.write('LINSERT')('after', key, this.encode(el));
     }
 
     /**
@@ -258,9 +346,7 @@ class List extends Wrapper {
      * @return {Promise<Number>}     Resulting list length
      */
     insertBefore(key, el) {
-        return this.useJSON
-            ? this.call('LINSERT')('before', key, this.json.toJSON(el))
-            : this.call('LINSERT')('before', key, el);
+        return this.write('LINSERT')('before', key, this.encode(el));
     }
 
     /**
@@ -283,9 +369,7 @@ class List extends Wrapper {
      * @return {Promise<?String|Object>}      Value under given index or null
      */
     getElementAt(index) {
-        return this.useJSON
-            ? this.call('LINDEX')(index).then(this.json.parse)
-            : this.call('LINDEX')(index);
+        return this.call('LINDEX')(index).then((value) => this.decode(value));
     }
 
     /**
@@ -313,9 +397,43 @@ class List extends Wrapper {
      * @throws {Error} When index is out of range (AKA greater than list.length())
      */
     setElementAt(index, value) {
-        return this.useJSON
-            ? this.call('LSET')(index, this.json.toJSON(value))
-            : this.call('LSET')(index, value);
+        return this.write('LSET')(index, this.encode(value));
+    }
+
+    /**
+     * Atomically update element at given index with function of its current
+     * value. Uses optimistic locking (see {@link Wrapper#watch}) so the function
+     * may be called more than once
+     *
+     * - Redis command: [WATCH]{@link https://redis.io/commands/watch}
+     * - JavaScript analogy: none | or Array[index] = fn(Array[index])
+     *
+     * @example
+     * (async () => {
+     *
+     *   await list.updateAt(0, (job) => Object.assign({}, job, {attempts: job.attempts + 1}));
+     *
+     * })()
+     *
+     * @param  {Number}   index        Index of element to update
+     * @param  {Function} fn           Function (may be async) of current value
+     * @param  {Object}   [options={}] Retry options, see {@link Wrapper#watch}
+     * @return {Promise}               Resolved with the new value
+     *
+     * @throws {Error} When index is out of range
+     */
+    updateAt(index, fn, options = {}) {
+        return this.watch(async (read, write) => {
+            const current = await read.getElementAt(index);
+
+            if (current === null) {
+                throw new Error('Index ' + index + ' is out of range of list "' + this.key + '"');
+            }
+
+            const value = await fn(current);
+
+            return [write.setElementAt(index, value), value];
+        }, options).then(([, value]) => value);
     }
 
     /**
@@ -341,7 +459,565 @@ class List extends Wrapper {
      * @return {Promise<String>}       OK String when success
      */
     trim(begin, end) {
-        return this.call('LTRIM')(begin, end);
+        return this.write('LTRIM')(begin, end);
+    }
+
+    /**
+     * Get index of the first element equal to the value (compared as encoded
+     * with the codec)
+     *
+     * - Redis command: [LPOS]{@link https://redis.io/commands/lpos}
+     * - JavaScript analogy: [Array.prototype.indexOf]{@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/indexOf}
+     *
+     * @example
+     * (async () => {
+     *
+     *   await list.push('a', 'b', 'a');
+     *   await list.indexOf('a');            // 0
+     *   await list.indexOf('a', {rank: 2}); // 2 - the second match
+     *   await list.indexOf('z');            // -1
+     *
+     * })()
+     *
+     * @param  {*}               value            Value to search for
+     * @param  {Object}          [options={}]     Search options
+     * @param  {Number}          [options.rank=1] Number of the match to return (2 - skip the first one)
+     * @param  {Number}          [options.maxLen] Compare only this number of elements from the head
+     * @return {Promise<Number>}                  Index of the element or -1 when not found
+     */
+    indexOf(value, options = {}) {
+        return this._position(value, options.rank || 1, options.maxLen);
+    }
+
+    /**
+     * Get index of the last element equal to the value, see {@link List#indexOf}
+     *
+     * - Redis command: [LPOS]{@link https://redis.io/commands/lpos}
+     * - JavaScript analogy: [Array.prototype.lastIndexOf]{@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/lastIndexOf}
+     *
+     * @param  {*}               value            Value to search for
+     * @param  {Object}          [options={}]     Search options
+     * @param  {Number}          [options.rank=1] Number of the match counting from the tail
+     * @param  {Number}          [options.maxLen] Compare only this number of elements from the tail
+     * @return {Promise<Number>}                  Index (from the head) of the element or -1 when not found
+     */
+    lastIndexOf(value, options = {}) {
+        return this._position(value, -(options.rank || 1), options.maxLen);
+    }
+
+    /**
+     * Get indexes of all (or `count`) elements equal to the value, see {@link List#indexOf}
+     *
+     * - Redis command: [LPOS]{@link https://redis.io/commands/lpos}
+     * - JavaScript analogy: none
+     *
+     * @example
+     * (async () => {
+     *
+     *   await list.push('a', 'b', 'a', 'a');
+     *   await list.indexesOf('a');                       // [0, 2, 3]
+     *   await list.indexesOf('a', {count: 2, rank: -1}); // [3, 2] - from the tail
+     *
+     * })()
+     *
+     * @param  {*}                 value             Value to search for
+     * @param  {Object}            [options={}]      Search options
+     * @param  {Number}            [options.count=0] Maximal number of matches, 0 - all of them
+     * @param  {Number}            [options.rank=1]  Match to start with, negative to search from the tail
+     * @param  {Number}            [options.maxLen]  Compare only this number of elements
+     * @return {Promise<Number[]>}                   Indexes in order of search
+     */
+    indexesOf(value, options = {}) {
+        return this.command('LPOS', this.encode(value), ...positionModifiers(options.rank || 1, options.count || 0, options.maxLen));
+    }
+
+    /**
+     * Check whether the list has an element equal to the value, see {@link List#indexOf}
+     *
+     * - Redis command: [LPOS]{@link https://redis.io/commands/lpos}
+     * - JavaScript analogy: [Array.prototype.includes]{@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/includes}
+     *
+     * @param  {*}                value            Value to search for
+     * @param  {Object}           [options={}]     Search options
+     * @param  {Number}           [options.maxLen] Compare only this number of elements from the head
+     * @return {Promise<Boolean>}
+     */
+    includes(value, options = {}) {
+        return this.indexOf(value, {maxLen: options.maxLen}).then((index) => index !== -1);
+    }
+
+    /**
+     * Remove elements equal to the value (compared as encoded with the codec)
+     *
+     * - Redis command: [LREM]{@link https://redis.io/commands/lrem}
+     * - JavaScript analogy: none
+     *
+     * @example
+     * (async () => {
+     *
+     *   await list.push('a', 'b', 'a', 'a');
+     *   await list.remove('a', 1);  // 1, list: [b, a, a]
+     *   await list.remove('a', -1); // 1, list: [b, a] - from the tail
+     *   await list.remove('a');     // 1, list: [b]
+     *
+     * })()
+     *
+     * @param  {*}               value       Value to remove
+     * @param  {Number}          [count=0]   Number of elements to remove: positive - from the head,
+     *                                       negative - from the tail, 0 - all of them
+     * @return {Promise<Number>}             Number of removed elements
+     */
+    remove(value, count = 0) {
+        return this.writeCommand('LREM', count, this.encode(value));
+    }
+
+    /**
+     * Remove elements and/or insert new ones in their place. The list is read
+     * and rewritten from `start` to the tail under **WATCH** (see
+     * {@link Wrapper#watch}), so concurrent changes (e.g. pushes) make it retry
+     * instead of being lost
+     *
+     * - Redis command: [WATCH]{@link https://redis.io/commands/watch}, [LRANGE]{@link https://redis.io/commands/lrange},
+     *   [LTRIM]{@link https://redis.io/commands/ltrim}, [RPUSH]{@link https://redis.io/commands/rpush}
+     * - JavaScript analogy: [Array.prototype.splice]{@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/splice}
+     *
+     * @example
+     * (async () => {
+     *
+     *   await list.push('a', 'b', 'c', 'd');
+     *   await list.splice(1, 2, 'x');  // ['b', 'c'], list: [a, x, d]
+     *   await list.splice(-1);         // ['d'], list: [a, x]
+     *
+     * })()
+     *
+     * @param  {Number}         start         Index to start at, negative - from the tail
+     * @param  {Number}         [deleteCount] Number of elements to remove, all up to the tail by default
+     * @param  {...*}           items         Elements to insert at `start`
+     * @return {Promise<Array>}               Removed elements
+     */
+    splice(start, deleteCount, ...items) {
+        const toTail = (arguments.length < 2);
+
+        return this.watch(async (read, write) => {
+            const length = await read.length();
+            const from   = (start < 0) ? Math.max(length + start, 0) : Math.min(start, length);
+            const count  = toTail ? length - from : Math.min(Math.max(deleteCount || 0, 0), length - from);
+
+            if (count === 0 && items.length === 0) {
+                return [null, []];
+            }
+
+            const tail = await read.command('LRANGE', from, -1);
+            const rest = items.map((item) => this.encode(item)).concat(tail.slice(count));
+            const writes = [];
+
+            if (from > 0) {
+                writes.push(write.writeCommand('LTRIM', 0, from - 1));
+            }
+
+            if (rest.length > 0) {
+                writes.push(write.writeCommand('RPUSH', ...rest));
+            }
+
+            if (from === 0) {
+                writes.push(write.writeCommand('LTRIM', length, -1));
+            }
+
+            return [Promise.all(writes), tail.slice(0, count)];
+        }).then(([, removed]) => this.decodeArray(removed));
+    }
+
+    /**
+     * Remove and get the first element, waiting for it when list is empty.
+     * Command is sent on isolated connection and does not block the client
+     *
+     * - Redis command: [BLPOP]{@link https://redis.io/commands/blpop}
+     * - JavaScript analogy: none; blocking Array.prototype.shift
+     *
+     * @example
+     * (async () => {
+     *
+     *   const job = await queue.take(5); // wait for 5 seconds at most
+     *
+     *   if (job === null) {
+     *       console.log('nothing to do');
+     *   }
+     *
+     * })()
+     *
+     * @param  {Number}                  [timeout=0] Seconds to wait, 0 - wait forever
+     * @return {Promise<?Object|String>}             Taken element or null on timeout
+     */
+    take(timeout = 0) {
+        return this.blockingCommand('BLPOP', timeout).then((reply) => (reply === null)
+            ? null
+            : this.decode(reply[1]));
+    }
+
+    /**
+     * Remove and get the last element, waiting for it when list is empty,
+     * see {@link List#take}
+     *
+     * - Redis command: [BRPOP]{@link https://redis.io/commands/brpop}
+     * - JavaScript analogy: none; blocking Array.prototype.pop
+     *
+     * @param  {Number}                  [timeout=0] Seconds to wait, 0 - wait forever
+     * @return {Promise<?Object|String>}             Taken element or null on timeout
+     */
+    takeLast(timeout = 0) {
+        return this.blockingCommand('BRPOP', timeout).then((reply) => (reply === null)
+            ? null
+            : this.decode(reply[1]));
+    }
+
+    /**
+     * Atomically remove element from one side of the list and push it to the
+     * other list. Both lists should use the same codec
+     *
+     * - Redis command: [LMOVE]{@link https://redis.io/commands/lmove}
+     * - JavaScript analogy: none; other.push(list.shift())
+     *
+     * @example
+     * (async () => {
+     *
+     *   await queue.push('a', 'b');
+     *   await queue.moveTo(processing);                  // 'a', queue: [b], processing: [a]
+     *   await queue.moveTo(queue, 'right', 'left');      // 'b', rotates the list
+     *
+     * })()
+     *
+     * @param  {List}                    other          List to move element to (may be the same list)
+     * @param  {String}                  [from='left']  Side to take element from: 'left' or 'right'
+     * @param  {String}                  [to='right']   Side to push element to: 'left' or 'right'
+     * @return {Promise<?Object|String>}                Moved element or null when list is empty
+     */
+    moveTo(other, from = 'left', to = 'right') {
+        return this.writeCommand('LMOVE', other.key, from.toUpperCase(), to.toUpperCase()).then((value) => this.decode(value));
+    }
+
+    /**
+     * Blocking version of {@link List#moveTo}: waits for element when list is
+     * empty. Gives reliable queue - element stays in the other (processing)
+     * list until it is removed from there after being handled
+     *
+     * - Redis command: [BLMOVE]{@link https://redis.io/commands/blmove}
+     * - JavaScript analogy: none
+     *
+     * @param  {List}                    other          List to move element to
+     * @param  {Number}                  [timeout=0]    Seconds to wait, 0 - wait forever
+     * @param  {String}                  [from='left']  Side to take element from: 'left' or 'right'
+     * @param  {String}                  [to='right']   Side to push element to: 'left' or 'right'
+     * @return {Promise<?Object|String>}                Moved element or null on timeout
+     */
+    takeAndMoveTo(other, timeout = 0, from = 'left', to = 'right') {
+        return this.blockingCommand('BLMOVE', other.key, from.toUpperCase(), to.toUpperCase(), timeout).then((value) => this.decode(value));
+    }
+
+    /**
+     * Process elements of the list as a reliable queue. Each worker runs on its
+     * own duplicated connection, moves element into the processing list
+     * (**BLMOVE**), passes it to the handler and acknowledges it by removing
+     * from the processing list (**LREM**) once handler resolves. Elements whose
+     * handler failed stay in the processing list to be recovered later.
+     *
+     * Consumer stops when signal is aborted: workers finish current elements
+     * and connections are closed. Abort is checked between blocking calls, so
+     * it takes up to `timeout` seconds to stop an idle consumer
+     *
+     * @example
+     * (async () => {
+     *
+     *   const controller = new AbortController();
+     *
+     *   process.on('SIGTERM', () => controller.abort());
+     *
+     *   await queue.consume(async (job) => {
+     *       await doTheJob(job);
+     *   }, {concurrency: 4, signal: controller.signal});
+     *
+     * })()
+     *
+     * @param  {Function}      handler                  Async function to handle each element
+     * @param  {Object}        [options={}]             Consumer options
+     * @param  {Number}        [options.concurrency=1]  Number of workers (and connections)
+     * @param  {AbortSignal}   [options.signal]         Signal to stop consuming
+     * @param  {String}        [options.processing]     Key of processing list, `<key>:processing` by default
+     * @param  {Number}        [options.timeout=1]      Seconds each blocking call waits for element
+     * @param  {Function}      [options.onError]        Called with (error, element) when handler fails;
+     *                                                  when not set consumer stops and rejects with error
+     * @return {Promise}                                Resolved when consumer is stopped
+     */
+    async consume(handler, options = {}) {
+        const concurrency = options.concurrency || 1;
+        const processing  = options.processing || (this.key + ':processing');
+        const timeout     = options.timeout || 1;
+        const signal      = options.signal;
+
+        let error = null;
+
+        const stopped = () => (error !== null) || (signal !== undefined && signal.aborted);
+
+        const worker = async (client) => {
+            while (!stopped()) {
+                const raw = await client.sendCommand(['BLMOVE', this.key, processing, 'LEFT', 'RIGHT', String(timeout)], this.commandOptions());
+
+                if (raw === null) {
+                    continue;
+                }
+
+                const element = this.decode(raw);
+
+                try {
+                    await handler(element);
+                } catch (e) {
+                    if (options.onError) {
+                        options.onError(e, element);
+                        continue;
+                    }
+
+                    error = e;
+                    return;
+                }
+
+                await client.sendCommand(['LREM', processing, '1', raw]);
+            }
+        };
+
+        const clients = [];
+
+        for (let i = 0; i < concurrency; i++) {
+            clients.push(this.client.duplicate(this.key));
+        }
+
+        try {
+            await Promise.all(clients.map((client) => client.connect()));
+            await Promise.all(clients.map(worker));
+        } finally {
+            await Promise.all(clients.map((client) => client.isOpen && client.quit()));
+        }
+
+        if (error !== null) {
+            throw error;
+        }
+    }
+
+    /**
+     * Call function for each element, reading the list in chunks (see
+     * {@link List#scanEntries}); function may be async and is awaited
+     *
+     * - Redis command: [LRANGE]{@link https://redis.io/commands/lrange}
+     * - JavaScript analogy: [Array.prototype.forEach]{@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/forEach}
+     *
+     * @example
+     * (async () => {
+     *
+     *   await list.forEach((job, index) => console.log(index, job), {batchSize: 500});
+     *
+     * })()
+     *
+     * @param  {Function} fn                      Function of (value, index)
+     * @param  {Object}   [options={}]            Options
+     * @param  {Number}   [options.batchSize=100] Number of elements to read with one LRANGE call
+     * @return {Promise}
+     */
+    async forEach(fn, options = {}) {
+        for await (const [index, value] of this.scanEntries({count: options.batchSize})) {
+            await fn(value, index);
+        }
+    }
+
+    /**
+     * Find the first element the predicate returns truthy value for, reading
+     * the list in chunks until it's found, see {@link List#forEach}
+     *
+     * - Redis command: [LRANGE]{@link https://redis.io/commands/lrange}
+     * - JavaScript analogy: [Array.prototype.find]{@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/find}
+     *
+     * @param  {Function} fn                      Predicate (may be async) of (value, index)
+     * @param  {Object}   [options={}]            Options
+     * @param  {Number}   [options.batchSize=100] Number of elements to read with one LRANGE call
+     * @return {Promise}                          Found element or undefined
+     */
+    async find(fn, options = {}) {
+        for await (const [index, value] of this.scanEntries({count: options.batchSize})) {
+            if (await fn(value, index)) {
+                return value;
+            }
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Get elements the predicate returns truthy value for, reading the list
+     * in chunks, see {@link List#forEach}
+     *
+     * - Redis command: [LRANGE]{@link https://redis.io/commands/lrange}
+     * - JavaScript analogy: [Array.prototype.filter]{@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/filter}
+     *
+     * @param  {Function}       fn                      Predicate (may be async) of (value, index)
+     * @param  {Object}         [options={}]            Options
+     * @param  {Number}         [options.batchSize=100] Number of elements to read with one LRANGE call
+     * @return {Promise<Array>}                         Matching elements
+     */
+    async filter(fn, options = {}) {
+        const result = [];
+
+        for await (const [index, value] of this.scanEntries({count: options.batchSize})) {
+            if (await fn(value, index)) {
+                result.push(value);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Lazily iterate over [index, value] pairs of the list reading it in chunks,
+     * so long lists are not loaded at once. Indexes are taken at the time of
+     * reading, so elements may be skipped or repeated if the list is modified
+     * from its head during iteration
+     *
+     * - Redis command: [LRANGE]{@link https://redis.io/commands/lrange}
+     * - JavaScript analogy: [Array.prototype.entries]{@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/entries}
+     *
+     * @example
+     * (async () => {
+     *
+     *   for await (const [index, value] of list.scanEntries({count: 500})) {
+     *       console.log(index, value);
+     *   }
+     *
+     * })()
+     *
+     * @param  {Object}         [options={}]      Scan options
+     * @param  {String}         [options.match]   Glob-style pattern, as in SCAN, matched against stored (raw) values
+     * @param  {Number}         [options.count]   Number of elements to read with one LRANGE call (100 by default)
+     * @return {AsyncGenerator}                   Generator of [index, value] pairs
+     */
+    async *scanEntries(options = {}) {
+        const count = options.count || SCAN_COUNT;
+        const regex = (options.match !== undefined) ? globToRegExp(options.match) : null;
+
+        for (let start = 0; ; start += count) {
+            const chunk = await this.call('LRANGE')(start, start + count - 1);
+
+            for (let i = 0; i < chunk.length; i++) {
+                if (regex === null || regex.test(chunk[i])) {
+                    yield [start + i, this.decode(chunk[i])];
+                }
+            }
+
+            if (chunk.length < count) {
+                return;
+            }
+        }
+    }
+
+    /**
+     * Lazily iterate over values of the list, see {@link List#scanEntries}
+     *
+     * - Redis command: [LRANGE]{@link https://redis.io/commands/lrange}
+     * - JavaScript analogy: [Array.prototype.values]{@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/values}
+     *
+     * @param  {Object}         [options={}] Scan options, see {@link List#scanEntries}
+     * @return {AsyncGenerator}              Generator of values
+     */
+    async *scanValues(options = {}) {
+        for await (const [, value] of this.scanEntries(options)) {
+            yield value;
+        }
+    }
+
+    /**
+     * Lazily iterate over indexes of the list, see {@link List#scanEntries}
+     *
+     * - Redis command: [LRANGE]{@link https://redis.io/commands/lrange}
+     * - JavaScript analogy: [Array.prototype.keys]{@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/keys}
+     *
+     * @param  {Object}         [options={}] Scan options, see {@link List#scanEntries}
+     * @return {AsyncGenerator}              Generator of indexes
+     */
+    async *scanKeys(options = {}) {
+        for await (const [index] of this.scanEntries(options)) {
+            yield index;
+        }
+    }
+
+    /**
+     * Iterate over list with `for await` - the same as {@link List#scanValues}
+     * with default options, just like Array is iterated with values
+     *
+     * @example
+     * (async () => {
+     *
+     *   for await (const value of list) {
+     *       console.log(value);
+     *   }
+     *
+     * })()
+     *
+     * @return {AsyncGenerator} Generator of values
+     */
+    [Symbol.asyncIterator]() {
+        return this.scanValues();
+    }
+
+    /**
+     * Find position of the value with LPOS
+     *
+     * @private
+     * @param  {*}               value    Value to search for
+     * @param  {Number}          rank     Rank of the match, negative - from the tail
+     * @param  {Number}          [maxLen] Maximal number of elements to compare
+     * @return {Promise<Number>}          Index or -1
+     */
+    _position(value, rank, maxLen) {
+        return this.command('LPOS', this.encode(value), ...positionModifiers(rank, null, maxLen))
+            .then((index) => (index === null) ? -1 : index);
+    }
+
+    /**
+     * Read elements with LRANGE for {@link Wrapper#createReadStream}
+     *
+     * @private
+     * @param  {Number}         batchSize Number of elements to read at once
+     * @return {AsyncGenerator}           Generator of values
+     */
+    _readBatches(batchSize) {
+        return this.scanValues({count: batchSize});
+    }
+
+    /**
+     * Push elements to the tail with RPUSH for {@link Wrapper#createWriteStream}
+     *
+     * @private
+     * @param  {Array}   batch Elements to push
+     * @return {Promise}
+     */
+    _writeBatch(batch) {
+        return this.push(...batch);
+    }
+
+    /**
+     * Read elements for {@link Wrapper#snapshot}
+     *
+     * @private
+     * @return {Promise<Array>} Decoded elements
+     */
+    _snapshotData() {
+        return this.slice();
+    }
+
+    /**
+     * Build **RPUSH** commands for {@link Wrapper#restoreSnapshot}
+     *
+     * @private
+     * @param  {Array}   data Elements
+     * @return {Array[]}
+     */
+    _restoreCommands(data) {
+        return this._chunkedCommands('RPUSH', data.map((value) => this.encode(value)));
     }
 }
 
@@ -0,0 +1,4057 @@
+/**
+ * Commands of the in-memory server. Each command is described by its arity
+ * (as in COMMAND INFO: number of arguments with the name, negative for "at
+ * least") and a function of (args, db, context) where args are binary strings
+ * following the name. Functions reply with binary strings, numbers, nulls and
+ * arrays of them, or throw ErrorReply
+ */
+
+/* global BigInt */
+
+'use strict';
+
+const crypto = require('crypto');
+const util   = require('./util');
+
+const {ErrorReply, ERRORS, parseInteger, parseFloat, formatFloat, matchGlob} = util;
+
+/**
+ * Returned by blocking commands when they have to wait
+ * @type {Symbol}
+ */
+const BLOCKED = Symbol('blocked');
+
+/**
+ * Collections up to this size are scanned in one call, just like Redis
+ * replies for small (listpack-encoded) ones
+ * @type {Number}
+ */
+const SMALL_COLLECTION = 128;
+
+/**
+ * Registered commands by uppercase name
+ * @type {Object}
+ */
+const commands = {};
+
+/**
+ * Register command
+ *
+ * @param {String}   name  Name of the command
+ * @param {Number}   arity Number of arguments with name, negative - minimal number
+ * @param {Function} fn    Implementation
+ */
+function command(name, arity, fn) {
+    commands[name] = {name, arity, fn};
+}
+
+/**
+ * Error of wrong arguments count
+ *
+ * @param  {String}     name Name of command
+ * @return {ErrorReply}
+ */
+function arityError(name) {
+    return new ErrorReply("ERR wrong number of arguments for '" + name.toLowerCase() + "' command");
+}
+
+/**
+ * Turn list index (negative ones count from the end) into offset
+ *
+ * @param  {Number} index
+ * @param  {Number} length
+ * @return {Number}
+ */
+function offset(index, length) {
+    return (index < 0) ? length + index : index;
+}
+
+/**
+ * Normalize start and stop of LRANGE-like commands to offsets within the
+ * collection; empty range has start greater than stop
+ *
+ * @param  {String} start
+ * @param  {String} stop
+ * @param  {Number} length
+ * @return {Number[]}
+ */
+function range(start, stop, length) {
+    let from = Math.max(offset(parseInteger(start), length), 0);
+    let to   = Math.min(offset(parseInteger(stop), length), length - 1);
+
+    if (from > to || from >= length) {
+        from = 1;
+        to   = 0;
+    }
+
+    return [from, to];
+}
+
+/**
+ * Pick random integer below the limit
+ *
+ * @param  {Number} limit
+ * @return {Number}
+ */
+function random(limit) {
+    return Math.floor(Math.random() * limit);
+}
+
+/**
+ * Pick random elements like SRANDMEMBER and HRANDFIELD do: positive count -
+ * distinct ones, negative - exactly -count, possibly repeating
+ *
+ * @param  {Array}  elements
+ * @param  {Number} count
+ * @return {Array}
+ */
+function sample(elements, count) {
+    if (count < 0) {
+        return Array.from({length: -count}, () => elements[random(elements.length)]);
+    }
+
+    const copy = elements.slice();
+
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = random(i + 1);
+
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+
+    return copy.slice(0, count);
+}
+
+/**
+ * Parse SCAN-family arguments and run one step over elements of collection
+ *
+ * @param  {String[]} args     Cursor and modifiers
+ * @param  {Array}    elements All the elements
+ * @param  {Object}   [extra]  Extra modifiers: name => handler(value)
+ * @return {Array}             [next cursor, elements of this step]
+ */
+function scan(args, elements, extra = {}) {
+    const [cursor, ...modifiers] = args;
+    let match = null;
+    let count = 10;
+
+    if (!/^[0-9]+$/.test(cursor)) {
+        throw new ErrorReply('ERR invalid cursor');
+    }
+
+    for (let i = 0; i < modifiers.length; i++) {
+        const modifier = modifiers[i].toUpperCase();
+
+        if (modifier === 'MATCH' && i + 1 < modifiers.length) {
+            match = modifiers[++i];
+        } else if (modifier === 'COUNT' && i + 1 < modifiers.length) {
+            count = parseInteger(modifiers[++i]);
+
+            if (count < 1) {
+                throw new ErrorReply(ERRORS.syntax);
+            }
+        } else if (extra[modifier] !== undefined) {
+            i = extra[modifier](modifiers, i);
+        } else {
+            throw new ErrorReply(ERRORS.syntax);
+        }
+    }
+
+    const start = Number(cursor);
+    const end   = (elements.length <= SMALL_COLLECTION) ? elements.length : Math.min(start + count, elements.length);
+    const step  = elements.slice(start, end);
+    const next  = (end >= elements.length) ? '0' : String(end);
+
+    return [next, (match === null) ? step : step.filter((element) => matchGlob(match, element[0]))];
+}
+
+/**
+ * Parse expiry condition (NX, XX, GT, LT) of EXPIRE-family commands and
+ * check it against current expiry
+ *
+ * @param  {String}  [option] Condition
+ * @return {Function}         Function of (current time or null, new time) telling whether to set
+ */
+function expiryCondition(option) {
+    switch (option === undefined ? '' : option.toUpperCase()) {
+        case '':
+            return () => true;
+        case 'NX':
+            return (current) => current === null;
+        case 'XX':
+            return (current) => current !== null;
+        case 'GT':
+            return (current, time) => current !== null && time > current;
+        case 'LT':
+            return (current, time) => current === null || time < current;
+        default:
+            throw new ErrorReply('ERR Unsupported option ' + option);
+    }
+}
+
+/**
+ * Turn EXPIRE-family argument into unix time in milliseconds
+ *
+ * @param  {String} value    Argument
+ * @param  {Number} unit     Milliseconds in unit (1000 for seconds)
+ * @param  {Boolean} absolute Whether value is unix time
+ * @param  {String} name     Name of the command for error message
+ * @return {Number}
+ */
+function expiryTime(value, unit, absolute, name) {
+    const number = parseInteger(value);
+    const time   = number * unit + (absolute ? 0 : Date.now());
+
+    if (!Number.isSafeInteger(number * unit) || !Number.isSafeInteger(time)) {
+        throw new ErrorReply("ERR invalid expire time in '" + name.toLowerCase() + "' command");
+    }
+
+    return time;
+}
+
+/**
+ * Register EXPIRE-family command
+ *
+ * @param {String}  name     Name of the command
+ * @param {Number}  unit     Milliseconds in unit of its argument
+ * @param {Boolean} absolute Whether argument is unix time
+ */
+function expireCommand(name, unit, absolute) {
+    command(name, -3, ([key, value, option, ...rest], db) => {
+        if (rest.length > 0) {
+            throw new ErrorReply('ERR Unsupported option ' + rest[0]);
+        }
+
+        const time      = expiryTime(value, unit, absolute, name);
+        const condition = expiryCondition(option);
+        const entry     = db.lookup(key);
+
+        if (entry === undefined || !condition(entry.expiresAt, time)) {
+            return 0;
+        }
+
+        if (time <= Date.now()) {
+            db.remove(key);
+            db.notify('g', 'del', key);
+        } else {
+            db.expire(key, time);
+            db.touch(key, 'g', 'expire');
+        }
+
+        return 1;
+    });
+}
+
+/**
+ * Register TTL-family command
+ *
+ * @param {String} name Name of the command
+ * @param {Number} unit Milliseconds in unit of its reply
+ */
+function ttlCommand(name, unit) {
+    command(name, 2, ([key], db) => {
+        const entry = db.lookup(key);
+
+        if (entry === undefined) {
+            return -2;
+        }
+
+        if (entry.expiresAt === null) {
+            return -1;
+        }
+
+        return Math.round((entry.expiresAt - Date.now()) / unit);
+    });
+}
+
+/*
+ * Keys and server
+ */
+
+command('PING', -1, ([message]) => (message === undefined) ? 'PONG' : message);
+
+command('ECHO', 2, ([message]) => message);
+
+command('SELECT', 2, ([index], db, context) => {
+    const number = parseInteger(index, 'ERR invalid DB index');
+
+    if (number < 0 || number >= Number(context.server.config.get('databases'))) {
+        throw new ErrorReply('ERR DB index is out of range');
+    }
+
+    context.client.database = number;
+
+    return 'OK';
+});
+
+command('DBSIZE', 1, (args, db) => {
+    Array.from(db.keys.keys()).forEach((key) => db.lookup(key));
+
+    return db.keys.size;
+});
+
+command('FLUSHDB', -1, (args, db, context) => {
+    db.flush();
+    context.server.invalidate(null);
+
+    return 'OK';
+});
+
+command('FLUSHALL', -1, (args, db, context) => {
+    context.server.databases.forEach((database) => database.flush());
+    context.server.invalidate(null);
+
+    return 'OK';
+});
+
+command('EXISTS', -2, (keys, db) => keys.filter((key) => db.lookup(key) !== undefined).length);
+
+command('TYPE', 2, ([key], db) => {
+    const entry = db.lookup(key);
+
+    return (entry === undefined) ? 'none' : entry.type;
+});
+
+command('DEL', -2, (keys, db) => keys.filter((key) => {
+    if (db.lookup(key) === undefined) {
+        return false;
+    }
+
+    db.remove(key);
+    db.notify('g', 'del', key);
+
+    return true;
+}).length);
+
+commands.UNLINK = Object.assign({}, commands.DEL, {name: 'UNLINK'});
+
+command('KEYS', 2, ([pattern], db) => Array.from(db.keys.keys())
+    .filter((key) => db.lookup(key) !== undefined && matchGlob(pattern, key)));
+
+// cursor is id of the next key to check: ids grow in order of keys creation,
+// so keys removed while scanning do not make SCAN skip the remaining ones
+command('SCAN', -2, ([cursor, ...modifiers], db) => {
+    let type = null;
+
+    if (!/^[0-9]+$/.test(cursor)) {
+        throw new ErrorReply('ERR invalid cursor');
+    }
+
+    const elements = Array.from(db.keys).filter(([, entry]) => entry.id >= Number(cursor));
+
+    const [next, keys] = scan(['0'].concat(modifiers), elements, {
+        TYPE: (modifiers, i) => {
+            type = (modifiers[i + 1] || '').toLowerCase();
+
+            return i + 1;
+        }
+    });
+
+    return [(next === '0') ? '0' : String(elements[Number(next)][1].id), keys.map(([key]) => key).filter((key) => {
+        const entry = db.lookup(key);
+
+        return entry !== undefined && (type === null || entry.type === type);
+    })];
+});
+
+expireCommand('EXPIRE', 1000, false);
+expireCommand('PEXPIRE', 1, false);
+expireCommand('EXPIREAT', 1000, true);
+expireCommand('PEXPIREAT', 1, true);
+
+ttlCommand('TTL', 1000);
+ttlCommand('PTTL', 1);
+
+command('PERSIST', 2, ([key], db) => {
+    const entry = db.lookup(key);
+
+    if (entry === undefined || entry.expiresAt === null) {
+        return 0;
+    }
+
+    db.expire(key, null);
+    db.touch(key, 'g', 'persist');
+
+    return 1;
+});
+
+/**
+ * Prefix of DUMP payloads of the in-memory server; they are not compatible
+ * with Redis ones
+ * @type {String}
+ */
+const DUMP_PREFIX = 'redis-type-memory:1:';
+
+/**
+ * Deep copy of a value of the key: Maps, Sets, Arrays and plain objects are
+ * copied, strings and numbers are immutable
+ *
+ * @param  {*} value
+ * @return {*}
+ */
+function clone(value) {
+    switch (true) {
+        case (value instanceof Map):
+            return new Map(Array.from(value, ([k, v]) => [k, clone(v)]));
+        case (value instanceof Set):
+            return new Set(value);
+        case (Array.isArray(value)):
+            return value.map(clone);
+        case (value !== null && typeof value === 'object'): {
+            const result = {};
+
+            Object.keys(value).forEach((prop) => {
+                result[prop] = clone(value[prop]);
+            });
+
+            return result;
+        }
+        default:
+            return value;
+    }
+}
+
+/**
+ * Store copy of the entry under the key, replacing whatever it was
+ *
+ * @param {Database} db        Database to store the key in
+ * @param {String}   key       Key
+ * @param {Object}   entry     Entry {type, value, expiresAt, fieldExpiry} to copy
+ * @param {String}   event     Name of keyspace event
+ */
+function storeEntry(db, key, entry, event) {
+    db.replace(key, entry.type, clone(entry.value));
+
+    if (entry.fieldExpiry !== undefined) {
+        db.keys.get(key).fieldExpiry = new Map(entry.fieldExpiry);
+    }
+
+    if (entry.expiresAt !== null) {
+        db.expire(key, entry.expiresAt);
+    }
+
+    db.touch(key, 'g', event);
+}
+
+command('COPY', -3, ([source, destination, ...modifiers], db, context) => {
+    let target  = db;
+    let replace = false;
+
+    for (let i = 0; i < modifiers.length; i++) {
+        const modifier = modifiers[i].toUpperCase();
+
+        if (modifier === 'REPLACE') {
+            replace = true;
+        } else if (modifier === 'DB' && i + 1 < modifiers.length) {
+            const index = parseInteger(modifiers[++i]);
+
+            if (index < 0 || index >= Number(context.server.config.get('databases'))) {
+                throw new ErrorReply('ERR DB index is out of range');
+            }
+
+            target = context.server.database(index);
+        } else {
+            throw new ErrorReply(ERRORS.syntax);
+        }
+    }
+
+    if (source === destination && target === db) {
+        throw new ErrorReply('ERR source and destination objects are the same');
+    }
+
+    const entry = db.lookup(source);
+
+    if (entry === undefined || (!replace && target.lookup(destination) !== undefined)) {
+        return 0;
+    }
+
+    storeEntry(target, destination, entry, 'copy_to');
+
+    return 1;
+});
+
+/**
+ * Move the key under new name with its expiry
+ *
+ * @param  {Database} db          Database
+ * @param  {String}   source      Key to rename
+ * @param  {String}   destination New name
+ * @param  {Boolean}  replace     Whether to replace existing destination
+ * @return {Number}               1 when renamed, 0 when destination exists
+ *
+ * @throws {ErrorReply} When there's no source key
+ */
+function rename(db, source, destination, replace) {
+    const entry = db.lookup(source);
+
+    if (entry === undefined) {
+        throw new ErrorReply('ERR no such key');
+    }
+
+    if (source === destination) {
+        return replace ? 1 : 0;
+    }
+
+    if (!replace && db.lookup(destination) !== undefined) {
+        return 0;
+    }
+
+    clearTimeout(entry.timer);
+    db.keys.delete(source);
+    db.signal(source);
+    db.notify('g', 'rename_from', source);
+    db.remove(destination);
+
+    db.keys.set(destination, Object.assign(entry, {timer: null, id: db.nextId++}));
+
+    if (entry.expiresAt !== null) {
+        db.expire(destination, entry.expiresAt);
+    }
+
+    db.touch(destination, 'g', 'rename_to');
+
+    return 1;
+}
+
+command('RENAME', 3, ([source, destination], db) => {
+    rename(db, source, destination, true);
+
+    return 'OK';
+});
+
+command('RENAMENX', 3, ([source, destination], db) => rename(db, source, destination, false));
+
+// payload is JSON of the entry where Maps and Sets are tagged arrays
+command('DUMP', 2, ([key], db) => {
+    const entry = db.lookup(key);
+
+    if (entry === undefined) {
+        return null;
+    }
+
+    const data = {type: entry.type, value: entry.value, fieldExpiry: entry.fieldExpiry};
+
+    return DUMP_PREFIX + util.binary(JSON.stringify(data, function (prop, value) {
+        const original = this[prop];
+
+        switch (true) {
+            case (original instanceof Map):
+                return {$map: Array.from(original)};
+            case (original instanceof Set):
+                return {$set: Array.from(original)};
+            default:
+                return value;
+        }
+    }));
+});
+
+command('RESTORE', -4, ([key, ttl, payload, ...modifiers], db) => {
+    const flags = {REPLACE: false, ABSTTL: false};
+
+    for (let i = 0; i < modifiers.length; i++) {
+        const modifier = modifiers[i].toUpperCase();
+
+        if (modifier === 'REPLACE' || modifier === 'ABSTTL') {
+            flags[modifier] = true;
+        } else if ((modifier === 'IDLETIME' || modifier === 'FREQ') && i + 1 < modifiers.length) {
+            i++;
+        } else {
+            throw new ErrorReply(ERRORS.syntax);
+        }
+    }
+
+    const time = parseInteger(ttl);
+
+    if (time < 0) {
+        throw new ErrorReply('ERR Invalid TTL value, must be >= 0');
+    }
+
+    if (!flags.REPLACE && db.lookup(key) !== undefined) {
+        throw new ErrorReply('BUSYKEY Target key name already exists.');
+    }
+
+    let data;
+
+    try {
+        if (!payload.startsWith(DUMP_PREFIX)) {
+            throw new Error();
+        }
+
+        data = JSON.parse(Buffer.from(payload.slice(DUMP_PREFIX.length), 'latin1').toString(), (prop, value) => {
+            switch (true) {
+                case (value !== null && typeof value === 'object' && Array.isArray(value.$map)):
+                    return new Map(value.$map);
+                case (value !== null && typeof value === 'object' && Array.isArray(value.$set)):
+                    return new Set(value.$set);
+                default:
+                    return value;
+            }
+        });
+    } catch (e) {
+        throw new ErrorReply('ERR DUMP payload version or checksum are wrong');
+    }
+
+    const expiresAt = (time === 0) ? null : (flags.ABSTTL ? time : Date.now() + time);
+
+    if (expiresAt !== null && expiresAt <= Date.now()) {
+        db.remove(key);
+
+        return 'OK';
+    }
+
+    storeEntry(db, key, Object.assign(data, {expiresAt}), 'restore');
+
+    return 'OK';
+});
+
+command('CONFIG', -2, ([subcommand, ...args], db, context) => {
+    switch (subcommand.toUpperCase()) {
+        case 'GET':
+            if (args.length === 0) {
+                throw new ErrorReply("ERR wrong number of arguments for 'config|get' command");
+            }
+
+            return [].concat(...args.map((pattern) => context.server.getConfig(pattern)));
+        case 'SET':
+            if (args.length === 0 || args.length % 2 !== 0) {
+                throw new ErrorReply("ERR wrong number of arguments for 'config|set' command");
+            }
+
+            for (let i = 0; i < args.length; i += 2) {
+                context.server.setConfig(args[i], args[i + 1]);
+            }
+
+            return 'OK';
+        default:
+            throw new ErrorReply("ERR unknown subcommand '" + subcommand + "'. Try CONFIG HELP.");
+    }
+});
+
+/**
+ * Parse arguments of CLIENT TRACKING ON|OFF [REDIRECT id] [PREFIX prefix ...] [BCAST]
+ * (OPTIN, OPTOUT and NOLOOP are accepted and ignored)
+ *
+ * @param  {String[]} args Arguments after TRACKING
+ * @return {Object}        {on, redirect, prefixes, bcast}
+ */
+function trackingArguments([mode, ...args]) {
+    const options = {on: null, redirect: 0, prefixes: [], bcast: false};
+
+    if (mode !== undefined && ['ON', 'OFF'].includes(mode.toUpperCase())) {
+        options.on = mode.toUpperCase() === 'ON';
+    } else {
+        throw new ErrorReply(ERRORS.syntax);
+    }
+
+    for (let i = 0; i < args.length; i++) {
+        const modifier = args[i].toUpperCase();
+
+        if ((modifier === 'REDIRECT' || modifier === 'PREFIX') && i + 1 >= args.length) {
+            throw new ErrorReply(ERRORS.syntax);
+        }
+
+        if (modifier === 'REDIRECT') {
+            options.redirect = parseInteger(args[++i]);
+        } else if (modifier === 'PREFIX') {
+            options.prefixes.push(args[++i]);
+        } else if (modifier === 'BCAST') {
+            options.bcast = true;
+        } else if (!['OPTIN', 'OPTOUT', 'NOLOOP'].includes(modifier)) {
+            throw new ErrorReply(ERRORS.syntax);
+        }
+    }
+
+    return options;
+}
+
+command('CLIENT', -2, ([subcommand, ...args], db, context) => {
+    const tracking = context.server.tracking.get(context.client);
+
+    switch (subcommand.toUpperCase()) {
+        case 'ID':
+            return context.client.id;
+        case 'GETREDIR':
+            return (tracking === undefined) ? -1 : tracking.redirect;
+        case 'TRACKING': {
+            const options = trackingArguments(args);
+
+            if (!options.on) {
+                context.server.tracking.delete(context.client);
+
+                return 'OK';
+            }
+
+            if (options.prefixes.length > 0 && !options.bcast) {
+                throw new ErrorReply('ERR PREFIX option requires BCAST mode to be enabled');
+            }
+
+            if (tracking !== undefined && tracking.bcast !== options.bcast) {
+                throw new ErrorReply("ERR You can't switch BCAST mode on/off before disabling tracking for this client, "
+                    + 'and then re-enabling it with a different mode.');
+            }
+
+            const prefixes = (tracking === undefined) ? [] : tracking.prefixes;
+
+            options.prefixes.forEach((prefix) => {
+                const overlapping = prefixes.find((other) => other !== prefix && (other.startsWith(prefix) || prefix.startsWith(other)));
+
+                if (overlapping !== undefined) {
+                    throw new ErrorReply("ERR Prefix '" + prefix + "' overlaps with an existing prefix '" + overlapping
+                        + "'. Prefixes for a single client must not overlap.");
+                }
+            });
+
+            context.server.tracking.set(context.client, {
+                redirect: options.redirect,
+                bcast:    options.bcast,
+                prefixes: prefixes.concat(options.prefixes.filter((prefix) => !prefixes.includes(prefix))),
+                keys:     (tracking === undefined) ? new Set() : tracking.keys
+            });
+
+            return 'OK';
+        }
+        default:
+            throw new ErrorReply("ERR unknown subcommand '" + subcommand + "'. Try CLIENT HELP.");
+    }
+});
+
+command('PUBLISH', 3,([channel, message], db, context) => context.server.publish(channel, message));
+
+command('WATCH', -2, (keys, db, context) => {
+    keys.forEach((key) => context.client.watchKey(db, key));
+
+    return 'OK';
+});
+
+command('UNWATCH', 1, (args, db, context) => {
+    context.client.unwatchKeys();
+
+    return 'OK';
+});
+
+/*
+ * Hashes
+ */
+
+/**
+ * Set hash fields from flat list of field-value pairs
+ *
+ * @param  {String}   key
+ * @param  {String[]} pairs
+ * @param  {Database} db
+ * @return {Number}         Number of new fields
+ */
+function hashSet(key, pairs, db) {
+    const hash = db.create(key, 'hash');
+    const expiry = db.keys.get(key).fieldExpiry;
+    let added = 0;
+
+    for (let i = 0; i < pairs.length; i += 2) {
+        added += hash.has(pairs[i]) ? 0 : 1;
+        hash.set(pairs[i], pairs[i + 1]);
+        expiry.delete(pairs[i]);
+    }
+
+    db.touch(key, 'h', 'hset');
+
+    return added;
+}
+
+command('HSET', -4, ([key, ...pairs], db) => {
+    if (pairs.length % 2 !== 0) {
+        throw arityError('HSET');
+    }
+
+    return hashSet(key, pairs, db);
+});
+
+command('HMSET', -4, ([key, ...pairs], db) => {
+    if (pairs.length % 2 !== 0) {
+        throw arityError('HMSET');
+    }
+
+    hashSet(key, pairs, db);
+
+    return 'OK';
+});
+
+command('HSETNX', 4, ([key, field, value], db) => {
+    const hash = db.read(key, 'hash');
+
+    if (hash !== undefined && hash.has(field)) {
+        return 0;
+    }
+
+    return hashSet(key, [field, value], db);
+});
+
+command('HGET', 3, ([key, field], db) => {
+    const hash = db.read(key, 'hash');
+
+    return (hash !== undefined && hash.has(field)) ? hash.get(field) : null;
+});
+
+command('HMGET', -3, ([key, ...fields], db) => {
+    const hash = db.read(key, 'hash') || new Map();
+
+    return fields.map((field) => hash.has(field) ? hash.get(field) : null);
+});
+
+command('HGETALL', 2, ([key], db) => [].concat(...(db.read(key, 'hash') || new Map())));
+
+command('HKEYS', 2, ([key], db) => Array.from((db.read(key, 'hash') || new Map()).keys()));
+
+command('HVALS', 2, ([key], db) => Array.from((db.read(key, 'hash') || new Map()).values()));
+
+command('HLEN', 2, ([key], db) => (db.read(key, 'hash') || new Map()).size);
+
+command('HEXISTS', 3, ([key, field], db) => (db.read(key, 'hash') || new Map()).has(field) ? 1 : 0);
+
+command('HSTRLEN', 3, ([key, field], db) => ((db.read(key, 'hash') || new Map()).get(field) || '').length);
+
+command('HDEL', -3, ([key, ...fields], db) => {
+    const hash = db.read(key, 'hash');
+
+    if (hash === undefined) {
+        return 0;
+    }
+
+    const expiry  = db.keys.get(key).fieldExpiry;
+    const deleted = fields.filter((field) => {
+        expiry.delete(field);
+
+        return hash.delete(field);
+    }).length;
+
+    if (deleted > 0) {
+        db.touch(key, 'h', 'hdel');
+    }
+
+    return deleted;
+});
+
+command('HINCRBY', 4, ([key, field, increment], db) => {
+    const by   = util.parseBigInt(increment);
+    const hash = db.create(key, 'hash');
+    const current = hash.has(field) ? util.parseBigInt(hash.get(field), 'ERR hash value is not an integer') : BigInt(0);
+    const result  = util.checkOverflow(current + by);
+
+    hash.set(field, String(result));
+    db.touch(key, 'h', 'hincrby');
+
+    return Number(result);
+});
+
+command('HINCRBYFLOAT', 4, ([key, field, increment], db) => {
+    const by   = parseFloat(increment);
+    const hash = db.create(key, 'hash');
+    const current = hash.has(field) ? parseFloat(hash.get(field), 'ERR hash value is not a float') : 0;
+    const result  = current + by;
+
+    if (!Number.isFinite(result)) {
+        db.touch(key, 'h', null);
+
+        throw new ErrorReply('ERR increment would produce NaN or Infinity');
+    }
+
+    hash.set(field, util.formatIncrement(result));
+    db.touch(key, 'h', 'hincrbyfloat');
+
+    return util.formatIncrement(result);
+});
+
+command('HRANDFIELD', -2, ([key, count, withValues, ...rest], db) => {
+    const hash = db.read(key, 'hash') || new Map();
+
+    if (count === undefined) {
+        return (hash.size === 0) ? null : sample(Array.from(hash.keys()), 1)[0];
+    }
+
+    if (rest.length > 0 || (withValues !== undefined && withValues.toUpperCase() !== 'WITHVALUES')) {
+        throw new ErrorReply(ERRORS.syntax);
+    }
+
+    const number = parseInteger(count);
+
+    if (hash.size === 0) {
+        return [];
+    }
+
+    const fields = sample(Array.from(hash.keys()), number);
+
+    return (withValues === undefined) ? fields : [].concat(...fields.map((field) => [field, hash.get(field)]));
+});
+
+command('HSCAN', -3, ([key, ...args], db) => {
+    let values = true;
+
+    const [next, entries] = scan(args, Array.from(db.read(key, 'hash') || new Map()), {
+        NOVALUES: (modifiers, i) => {
+            values = false;
+
+            return i;
+        }
+    });
+
+    return [next, values ? [].concat(...entries) : entries.map(([field]) => field)];
+});
+
+/**
+ * Parse `FIELDS numfields field...` part of hash field expiry commands
+ *
+ * @param  {String[]} args Arguments starting with FIELDS
+ * @return {String[]}      Fields
+ */
+function fieldsArgument(args) {
+    if (args.length < 2 || args[0].toUpperCase() !== 'FIELDS') {
+        throw new ErrorReply('ERR Mandatory argument FIELDS is missing or not at the right position');
+    }
+
+    const count = parseInteger(args[1], 'ERR Parameter `numFields` should be greater than 0');
+
+    if (count < 1) {
+        throw new ErrorReply('ERR Parameter `numFields` should be greater than 0');
+    }
+
+    if (count !== args.length - 2) {
+        throw new ErrorReply('ERR The `numfields` parameter must match the number of arguments');
+    }
+
+    return args.slice(2);
+}
+
+/**
+ * Register HEXPIRE-family command
+ *
+ * @param {String}  name     Name of the command
+ * @param {Number}  unit     Milliseconds in unit of its argument
+ * @param {Boolean} absolute Whether argument is unix time
+ */
+function fieldExpireCommand(name, unit, absolute) {
+    command(name, -6, ([key, value, ...args], db) => {
+        const time = expiryTime(value, unit, absolute, name);
+        const option = /^FIELDS$/i.test(args[0]) ? undefined : args.shift();
+        const condition = expiryCondition(option);
+        const fields = fieldsArgument(args);
+        const hash = db.read(key, 'hash');
+
+        if (hash === undefined) {
+            return fields.map(() => -2);
+        }
+
+        const expiry = db.keys.get(key).fieldExpiry;
+        let expired = false;
+
+        const reply = fields.map((field) => {
+            if (!hash.has(field)) {
+                return -2;
+            }
+
+            if (!condition(expiry.has(field) ? expiry.get(field) : null, time)) {
+                return 0;
+            }
+
+            if (time <= Date.now()) {
+                hash.delete(field);
+                expiry.delete(field);
+                expired = true;
+
+                return 2;
+            }
+
+            expiry.set(field, time);
+
+            return 1;
+        });
+
+        if (reply.some((code) => code > 0)) {
+            db.touch(key, 'h', expired ? 'hdel' : 'hexpire');
+        }
+
+        return reply;
+    });
+}
+
+/**
+ * Register HTTL-family command
+ *
+ * @param {String}  name     Name of the command
+ * @param {Function} format  Function of expiry time returning the reply
+ */
+function fieldTtlCommand(name, format) {
+    command(name, -5, ([key, ...args], db) => {
+        const fields = fieldsArgument(args);
+        const hash = db.read(key, 'hash');
+
+        return fields.map((field) => {
+            if (hash === undefined || !hash.has(field)) {
+                return -2;
+            }
+
+            const expiry = db.keys.get(key).fieldExpiry;
+
+            return expiry.has(field) ? format(expiry.get(field)) : -1;
+        });
+    });
+}
+
+fieldExpireCommand('HEXPIRE', 1000, false);
+fieldExpireCommand('HPEXPIRE', 1, false);
+fieldExpireCommand('HEXPIREAT', 1000, true);
+fieldExpireCommand('HPEXPIREAT', 1, true);
+
+fieldTtlCommand('HTTL', (time) => Math.round((time - Date.now()) / 1000));
+fieldTtlCommand('HPTTL', (time) => time - Date.now());
+fieldTtlCommand('HEXPIRETIME', (time) => Math.floor(time / 1000));
+fieldTtlCommand('HPEXPIRETIME', (time) => time);
+
+command('HPERSIST', -5, ([key, ...args], db) => {
+    const fields = fieldsArgument(args);
+    const hash = db.read(key, 'hash');
+
+    if (hash === undefined) {
+        return fields.map(() => -2);
+    }
+
+    const expiry = db.keys.get(key).fieldExpiry;
+    const reply  = fields.map((field) => !hash.has(field) ? -2 : (expiry.delete(field) ? 1 : -1));
+
+    if (reply.includes(1)) {
+        db.touch(key, 'h', 'hpersist');
+    }
+
+    return reply;
+});
+
+/*
+ * Lists
+ */
+
+/**
+ * Parse LEFT or RIGHT argument
+ *
+ * @param  {String}  value
+ * @return {Boolean}       Whether it's LEFT
+ */
+function isLeft(value) {
+    switch (value.toUpperCase()) {
+        case 'LEFT':
+            return true;
+        case 'RIGHT':
+            return false;
+        default:
+            throw new ErrorReply(ERRORS.syntax);
+    }
+}
+
+/**
+ * Parse timeout of blocking commands (seconds, may be fractional)
+ *
+ * @param  {String} value
+ * @return {Number}       Milliseconds, 0 - forever
+ */
+function timeoutArgument(value) {
+    const timeout = parseFloat(value, 'ERR timeout is not a float or out of range');
+
+    if (timeout < 0) {
+        throw new ErrorReply('ERR timeout is negative');
+    }
+
+    return timeout * 1000;
+}
+
+/**
+ * Register LPUSH-family command
+ *
+ * @param {String}  name   Name of the command
+ * @param {Boolean} left   Whether to push to the head
+ * @param {Boolean} exists Whether to push only to existing list (LPUSHX)
+ */
+function pushCommand(name, left, exists) {
+    command(name, -3, ([key, ...elements], db) => {
+        const list = exists ? db.read(key, 'list') : db.create(key, 'list');
+
+        if (list === undefined) {
+            return 0;
+        }
+
+        elements.forEach((element) => left ? list.unshift(element) : list.push(element));
+        db.touch(key, 'l', left ? 'lpush' : 'rpush');
+
+        return list.length;
+    });
+}
+
+/**
+ * Register LPOP-family command
+ *
+ * @param {String}  name Name of the command
+ * @param {Boolean} left Whether to pop from the head
+ */
+function popCommand(name, left) {
+    command(name, -2, ([key, count, ...rest], db) => {
+        if (rest.length > 0) {
+            throw arityError(name);
+        }
+
+        const number = (count === undefined) ? null : parseInteger(count, 'ERR value is out of range, must be positive');
+
+        if (number !== null && number < 0) {
+            throw new ErrorReply('ERR value is out of range, must be positive');
+        }
+
+        const list = db.read(key, 'list');
+
+        if (list === undefined) {
+            return null;
+        }
+
+        if (number === 0) {
+            return [];
+        }
+
+        const popped = left ? list.splice(0, number === null ? 1 : number) : list.splice(-(number === null ? 1 : number)).reverse();
+
+        db.touch(key, 'l', left ? 'lpop' : 'rpop');
+
+        return (number === null) ? popped[0] : popped;
+    });
+}
+
+/**
+ * Register BLPOP-family command
+ *
+ * @param {String}  name Name of the command
+ * @param {Boolean} left Whether to pop from the head
+ */
+function blockingPopCommand(name, left) {
+    command(name, -3, (args, db, context) => {
+        const keys    = args.slice(0, -1);
+        const timeout = timeoutArgument(args[args.length - 1]);
+        const key     = keys.find((key) => (db.read(key, 'list') || []).length > 0);
+
+        if (key === undefined) {
+            context.timeout = timeout;
+
+            return BLOCKED;
+        }
+
+        const list = db.read(key, 'list');
+        const element = left ? list.shift() : list.pop();
+
+        db.touch(key, 'l', left ? 'lpop' : 'rpop');
+
+        return [key, element];
+    });
+}
+
+/**
+ * Move element between lists as LMOVE does
+ *
+ * @param  {String[]} args Source, destination, LEFT|RIGHT, LEFT|RIGHT
+ * @param  {Database} db
+ * @return {String}        Moved element or null
+ */
+function move([source, destination, from, to], db) {
+    const fromLeft = isLeft(from);
+    const toLeft   = isLeft(to);
+    const list     = db.read(source, 'list');
+
+    db.read(destination, 'list');
+
+    if (list === undefined) {
+        return null;
+    }
+
+    const element = fromLeft ? list.shift() : list.pop();
+
+    db.touch(source, 'l', fromLeft ? 'lpop' : 'rpop');
+
+    const target = db.create(destination, 'list');
+
+    toLeft ? target.unshift(element) : target.push(element);
+    db.touch(destination, 'l', toLeft ? 'lpush' : 'rpush');
+
+    return element;
+}
+
+pushCommand('LPUSH', true, false);
+pushCommand('RPUSH', false, false);
+pushCommand('LPUSHX', true, true);
+pushCommand('RPUSHX', false, true);
+
+popCommand('LPOP', true);
+popCommand('RPOP', false);
+
+blockingPopCommand('BLPOP', true);
+blockingPopCommand('BRPOP', false);
+
+command('LLEN', 2, ([key], db) => (db.read(key, 'list') || []).length);
+
+command('LRANGE', 4, ([key, start, stop], db) => {
+    const list = db.read(key, 'list') || [];
+    const [from, to] = range(start, stop, list.length);
+
+    return list.slice(from, to + 1);
+});
+
+command('LINDEX', 3, ([key, index], db) => {
+    const list = db.read(key, 'list') || [];
+    const position = offset(parseInteger(index), list.length);
+
+    return (position >= 0 && position < list.length) ? list[position] : null;
+});
+
+command('LSET', 4, ([key, index, element], db) => {
+    const list = db.read(key, 'list');
+
+    if (list === undefined) {
+        throw new ErrorReply('ERR no such key');
+    }
+
+    const position = offset(parseInteger(index), list.length);
+
+    if (position < 0 || position >= list.length) {
+        throw new ErrorReply('ERR index out of range');
+    }
+
+    list[position] = element;
+    db.touch(key, 'l', 'lset');
+
+    return 'OK';
+});
+
+command('LINSERT', 5, ([key, where, pivot, element], db) => {
+    const position = where.toUpperCase();
+
+    if (position !== 'BEFORE' && position !== 'AFTER') {
+        throw new ErrorReply(ERRORS.syntax);
+    }
+
+    const list = db.read(key, 'list');
+
+    if (list === undefined) {
+        return 0;
+    }
+
+    const index = list.indexOf(pivot);
+
+    if (index === -1) {
+        return -1;
+    }
+
+    list.splice(position === 'BEFORE' ? index : index + 1, 0, element);
+    db.touch(key, 'l', 'linsert');
+
+    return list.length;
+});
+
+command('LTRIM', 4, ([key, start, stop], db) => {
+    const list = db.read(key, 'list');
+
+    if (list === undefined) {
+        return 'OK';
+    }
+
+    const [from, to] = range(start, stop, list.length);
+
+    list.splice(0, list.length, ...list.slice(from, to + 1));
+    db.touch(key, 'l', 'ltrim');
+
+    return 'OK';
+});
+
+command('LREM', 4, ([key, count, element], db) => {
+    const number = parseInteger(count);
+    const list   = db.read(key, 'list');
+
+    if (list === undefined) {
+        return 0;
+    }
+
+    const limit = (number === 0) ? Infinity : Math.abs(number);
+    let removed = 0;
+
+    if (number >= 0) {
+        for (let i = 0; i < list.length && removed < limit;) {
+            if (list[i] === element) {
+                list.splice(i, 1);
+                removed++;
+            } else {
+                i++;
+            }
+        }
+    } else {
+        for (let i = list.length - 1; i >= 0 && removed < limit; i--) {
+            if (list[i] === element) {
+                list.splice(i, 1);
+                removed++;
+            }
+        }
+    }
+
+    if (removed > 0) {
+        db.touch(key, 'l', 'lrem');
+    }
+
+    return removed;
+});
+
+command('LPOS', -3, ([key, element, ...modifiers], db) => {
+    const options = {rank: 1, count: null, maxLen: 0};
+
+    for (let i = 0; i < modifiers.length; i += 2) {
+        const name = modifiers[i].toUpperCase();
+
+        if (!['RANK', 'COUNT', 'MAXLEN'].includes(name) || i + 1 >= modifiers.length) {
+            throw new ErrorReply(ERRORS.syntax);
+        }
+
+        options[{RANK: 'rank', COUNT: 'count', MAXLEN: 'maxLen'}[name]] = parseInteger(modifiers[i + 1]);
+    }
+
+    if (options.rank === 0) {
+        throw new ErrorReply("ERR RANK can't be zero: use 1 to start from the first match, 2 from the second ... "
+            + 'or use negative to start from the end of the list');
+    }
+
+    if (options.count !== null && options.count < 0) {
+        throw new ErrorReply("ERR COUNT can't be negative");
+    }
+
+    if (options.maxLen < 0) {
+        throw new ErrorReply("ERR MAXLEN can't be negative");
+    }
+
+    const list    = db.read(key, 'list') || [];
+    const limit   = (options.count === null) ? 1 : (options.count || Infinity);
+    const compare = options.maxLen || Infinity;
+    const matches = [];
+    let skip = Math.abs(options.rank) - 1;
+
+    for (let n = 0; n < list.length && n < compare && matches.length < limit; n++) {
+        const index = (options.rank > 0) ? n : list.length - 1 - n;
+
+        if (list[index] === element && skip-- <= 0) {
+            matches.push(index);
+        }
+    }
+
+    if (options.count === null) {
+        return (matches.length === 0) ? null : matches[0];
+    }
+
+    return matches;
+});
+
+command('LMOVE', 5, (args, db) => move(args, db));
+
+command('BLMOVE', 6, (args, db, context) => {
+    const timeout = timeoutArgument(args[4]);
+
+    isLeft(args[2]);
+    isLeft(args[3]);
+
+    if ((db.read(args[0], 'list') || []).length === 0) {
+        db.read(args[1], 'list');
+        context.timeout = timeout;
+
+        return BLOCKED;
+    }
+
+    return move(args, db);
+});
+
+command('RPOPLPUSH', 3, ([source, destination], db) => move([source, destination, 'RIGHT', 'LEFT'], db));
+
+/*
+ * Sets
+ */
+
+/**
+ * Collect sets stored under the keys (missing ones are empty)
+ *
+ * @param  {String[]} keys
+ * @param  {Database} db
+ * @return {Set[]}
+ */
+function sets(keys, db) {
+    return keys.map((key) => db.read(key, 'set') || new Set());
+}
+
+/**
+ * Set operations by command name
+ * @type {Object}
+ */
+const algebra = {
+    SUNION: (all) => new Set([].concat(...all.map((set) => Array.from(set)))),
+    SINTER: ([first, ...others]) => new Set(Array.from(first).filter((el) => others.every((set) => set.has(el)))),
+    SDIFF:  ([first, ...others]) => new Set(Array.from(first).filter((el) => others.every((set) => !set.has(el))))
+};
+
+Object.keys(algebra).forEach((name) => {
+    command(name, -2, (keys, db) => Array.from(algebra[name](sets(keys, db))));
+
+    command(name + 'STORE', -3, ([destination, ...keys], db) => {
+        const result = algebra[name](sets(keys, db));
+
+        if (result.size === 0) {
+            if (db.remove(destination)) {
+                db.notify('g', 'del', destination);
+            }
+
+            return 0;
+        }
+
+        db.replace(destination, 'set', result);
+        db.touch(destination, 's', name.toLowerCase() + 'store');
+
+        return result.size;
+    });
+});
+
+command('SADD', -3, ([key, ...members], db) => {
+    const set = db.create(key, 'set');
+    const added = members.filter((member) => !set.has(member) && set.add(member)).length;
+
+    db.touch(key, 's', added > 0 ? 'sadd' : null);
+
+    return added;
+});
+
+command('SREM', -3, ([key, ...members], db) => {
+    const set = db.read(key, 'set');
+
+    if (set === undefined) {
+        return 0;
+    }
+
+    const removed = members.filter((member) => set.delete(member)).length;
+
+    if (removed > 0) {
+        db.touch(key, 's', 'srem');
+    }
+
+    return removed;
+});
+
+command('SCARD', 2, ([key], db) => (db.read(key, 'set') || new Set()).size);
+
+command('SISMEMBER', 3, ([key, member], db) => (db.read(key, 'set') || new Set()).has(member) ? 1 : 0);
+
+command('SMISMEMBER', -3, ([key, ...members], db) => {
+    const set = db.read(key, 'set') || new Set();
+
+    return members.map((member) => set.has(member) ? 1 : 0);
+});
+
+command('SMEMBERS', 2, ([key], db) => Array.from(db.read(key, 'set') || new Set()));
+
+command('SPOP', -2, ([key, count, ...rest], db) => {
+    if (rest.length > 0) {
+        throw new ErrorReply(ERRORS.syntax);
+    }
+
+    const number = (count === undefined) ? null : parseInteger(count, 'ERR value is out of range, must be positive');
+
+    if (number !== null && number < 0) {
+        throw new ErrorReply('ERR value is out of range, must be positive');
+    }
+
+    const set = db.read(key, 'set');
+
+    if (set === undefined) {
+        return (number === null) ? null : [];
+    }
+
+    const popped = sample(Array.from(set), number === null ? 1 : number);
+
+    popped.forEach((member) => set.delete(member));
+
+    if (popped.length > 0) {
+        db.touch(key, 's', 'spop');
+    }
+
+    return (number === null) ? popped[0] : popped;
+});
+
+command('SRANDMEMBER', -2, ([key, count], db) => {
+    const members = Array.from(db.read(key, 'set') || new Set());
+
+    if (count === undefined) {
+        return (members.length === 0) ? null : sample(members, 1)[0];
+    }
+
+    const number = parseInteger(count);
+
+    return (members.length === 0) ? [] : sample(members, number);
+});
+
+command('SMOVE', 4, ([source, destination, member], db) => {
+    const set = db.read(source, 'set');
+
+    db.read(destination, 'set');
+
+    if (set === undefined || !set.has(member)) {
+        return 0;
+    }
+
+    set.delete(member);
+    db.touch(source, 's', 'srem');
+
+    const target = db.create(destination, 'set');
+
+    if (!target.has(member)) {
+        target.add(member);
+        db.touch(destination, 's', 'sadd');
+    }
+
+    return 1;
+});
+
+command('SINTERCARD', -3, ([numKeys, ...args], db) => {
+    const count = parseInteger(numKeys, 'ERR numkeys should be greater than 0');
+
+    if (count < 1) {
+        throw new ErrorReply('ERR numkeys should be greater than 0');
+    }
+
+    if (count > args.length) {
+        throw new ErrorReply("ERR Number of keys can't be greater than number of args");
+    }
+
+    const keys = args.slice(0, count);
+    const modifiers = args.slice(count);
+    let limit = 0;
+
+    if (modifiers.length > 0) {
+        if (modifiers.length !== 2 || modifiers[0].toUpperCase() !== 'LIMIT') {
+            throw new ErrorReply(ERRORS.syntax);
+        }
+
+        limit = parseInteger(modifiers[1], "ERR LIMIT can't be negative");
+
+        if (limit < 0) {
+            throw new ErrorReply("ERR LIMIT can't be negative");
+        }
+    }
+
+    const size = algebra.SINTER(sets(keys, db)).size;
+
+    return (limit > 0) ? Math.min(size, limit) : size;
+});
+
+command('SSCAN', -3, ([key, ...args], db) => {
+    const [next, members] = scan(args, Array.from(db.read(key, 'set') || new Set()).map((member) => [member]));
+
+    return [next, members.map(([member]) => member)];
+});
+
+/*
+ * Sorted sets
+ */
+
+/**
+ * Get members of sorted set as [member, score] pairs ordered by score, then
+ * lexicographically
+ *
+ * @param  {Map}     zset
+ * @return {Array[]}
+ */
+function sorted(zset) {
+    return Array.from(zset).sort(([a, x], [b, y]) => {
+        if (x !== y) {
+            return (x < y) ? -1 : 1;
+        }
+
+        return (a < b) ? -1 : (a > b) ? 1 : 0;
+    });
+}
+
+/**
+ * Parse score bound of ZRANGEBYSCORE-like commands
+ *
+ * @param  {String}   value Bound, `(` prefix makes it exclusive
+ * @return {Function}       Function of (score, isMin) telling whether score is within
+ */
+function scoreBound(value) {
+    const exclusive = value[0] === '(';
+    const bound = parseFloat(exclusive ? value.slice(1) : value, 'ERR min or max is not a float');
+
+    return (score, isMin) => {
+        if (isMin) {
+            return exclusive ? score > bound : score >= bound;
+        }
+
+        return exclusive ? score < bound : score <= bound;
+    };
+}
+
+/**
+ * Parse lex bound of ZRANGEBYLEX-like commands
+ *
+ * @param  {String}   value Bound: `-`, `+`, `[value` or `(value`
+ * @return {Function}       Function of (member, isMin) telling whether member is within
+ */
+function lexBound(value) {
+    if (value === '-') {
+        return (member, isMin) => isMin;
+    }
+
+    if (value === '+') {
+        return (member, isMin) => !isMin;
+    }
+
+    if (value[0] !== '[' && value[0] !== '(') {
+        throw new ErrorReply('ERR min or max not valid string range item');
+    }
+
+    const exclusive = value[0] === '(';
+    const bound = value.slice(1);
+
+    return (member, isMin) => {
+        if (isMin) {
+            return exclusive ? member > bound : member >= bound;
+        }
+
+        return exclusive ? member < bound : member <= bound;
+    };
+}
+
+/**
+ * Select members of sorted set as ZRANGE does
+ *
+ * @param  {Map}    zset
+ * @param  {String} start   Start (or min, or max with REV)
+ * @param  {String} stop    Stop
+ * @param  {Object} options {by: 'RANK'|'SCORE'|'LEX', rev, offset, count}
+ * @return {Array[]}        Selected [member, score] pairs
+ */
+function select(zset, start, stop, options) {
+    const members = sorted(zset);
+
+    if (options.by === 'RANK') {
+        const ordered = options.rev ? members.reverse() : members;
+        const [from, to] = range(start, stop, ordered.length);
+
+        return ordered.slice(from, to + 1);
+    }
+
+    const [min, max] = options.rev ? [stop, start] : [start, stop];
+    const parse = (options.by === 'SCORE') ? scoreBound : lexBound;
+    const [inMin, inMax] = [parse(min), parse(max)];
+    const pick = (options.by === 'SCORE') ? ([, score]) => score : ([member]) => member;
+
+    let selected = members.filter((pair) => inMin(pick(pair), true) && inMax(pick(pair), false));
+
+    if (options.rev) {
+        selected = selected.reverse();
+    }
+
+    if (options.offset !== undefined) {
+        selected = (options.count < 0) ? selected.slice(options.offset) : selected.slice(options.offset, options.offset + options.count);
+    }
+
+    return selected;
+}
+
+/**
+ * Flatten [member, score] pairs into reply
+ *
+ * @param  {Array[]} pairs
+ * @param  {Boolean} withScores
+ * @return {Array}
+ */
+function pairsReply(pairs, withScores) {
+    return withScores
+        ? [].concat(...pairs.map(([member, score]) => [member, formatFloat(score)]))
+        : pairs.map(([member]) => member);
+}
+
+/**
+ * Register ZREMRANGEBY* command
+ *
+ * @param {String} name Name of the command
+ * @param {String} by   RANK, SCORE or LEX
+ */
+function removeRangeCommand(name, by) {
+    command(name, 4, ([key, start, stop], db) => {
+        const zset = db.read(key, 'zset');
+        const selected = select(zset || new Map(), start, stop, {by});
+
+        if (zset === undefined || selected.length === 0) {
+            return 0;
+        }
+
+        selected.forEach(([member]) => zset.delete(member));
+        db.touch(key, 'z', name.toLowerCase());
+
+        return selected.length;
+    });
+}
+
+/**
+ * Register ZPOPMIN-family command
+ *
+ * @param {String}  name Name of the command
+ * @param {Boolean} max  Whether to pop the highest scores
+ */
+function zpopCommand(name, max) {
+    command(name, -2, ([key, count, ...rest], db) => {
+        if (rest.length > 0) {
+            throw new ErrorReply(ERRORS.syntax);
+        }
+
+        const number = (count === undefined) ? 1 : parseInteger(count, 'ERR value is out of range, must be positive');
+
+        if (number < 0) {
+            throw new ErrorReply('ERR value is out of range, must be positive');
+        }
+
+        const zset = db.read(key, 'zset');
+
+        if (zset === undefined) {
+            return [];
+        }
+
+        const members = sorted(zset);
+        const popped = (max ? members.reverse() : members).slice(0, number);
+
+        popped.forEach(([member]) => zset.delete(member));
+
+        if (popped.length > 0) {
+            db.touch(key, 'z', name.toLowerCase());
+        }
+
+        return pairsReply(popped, true);
+    });
+}
+
+command('ZADD', -4, ([key, ...args], db) => {
+    const flags = {};
+    let i = 0;
+
+    for (; i < args.length && ['NX', 'XX', 'GT', 'LT', 'CH', 'INCR'].includes(args[i].toUpperCase()); i++) {
+        flags[args[i].toUpperCase()] = true;
+    }
+
+    const pairs = args.slice(i);
+
+    if (pairs.length === 0 || pairs.length % 2 !== 0) {
+        throw new ErrorReply(ERRORS.syntax);
+    }
+
+    if (flags.NX && flags.XX) {
+        throw new ErrorReply('ERR XX and NX options at the same time are not compatible');
+    }
+
+    if ((flags.GT && flags.LT) || (flags.NX && (flags.GT || flags.LT))) {
+        throw new ErrorReply('ERR GT, LT, and/or NX options at the same time are not compatible');
+    }
+
+    if (flags.INCR && pairs.length > 2) {
+        throw new ErrorReply('ERR INCR option supports a single increment-element pair');
+    }
+
+    const scores = [];
+
+    for (let j = 0; j < pairs.length; j += 2) {
+        scores.push([pairs[j + 1], parseFloat(pairs[j])]);
+    }
+
+    if (flags.XX && db.read(key, 'zset') === undefined) {
+        return flags.INCR ? null : 0;
+    }
+
+    const zset = db.create(key, 'zset');
+    let added = 0;
+    let changed = 0;
+    let result = null;
+
+    scores.forEach(([member, score]) => {
+        const current = zset.has(member) ? zset.get(member) : null;
+
+        if ((current !== null && flags.NX) || (current === null && flags.XX)) {
+            return;
+        }
+
+        if (flags.INCR) {
+            score = (current === null ? 0 : current) + score;
+
+            if (Number.isNaN(score)) {
+                throw new ErrorReply('ERR resulting score is not a number (NaN)');
+            }
+        }
+
+        if (current !== null && ((flags.GT && score <= current) || (flags.LT && score >= current))) {
+            return;
+        }
+
+        result = score;
+
+        if (current === null) {
+            added++;
+        } else if (current !== score) {
+            changed++;
+        } else {
+            return;
+        }
+
+        zset.set(member, score);
+    });
+
+    db.touch(key, 'z', (added + changed > 0) ? (flags.INCR ? 'zincr' : 'zadd') : null);
+
+    if (flags.INCR) {
+        return (result === null) ? null : formatFloat(result);
+    }
+
+    return flags.CH ? added + changed : added;
+});
+
+command('ZINCRBY', 4, ([key, increment, member], db) => {
+    const by = parseFloat(increment);
+    const zset = db.create(key, 'zset');
+    const score = (zset.has(member) ? zset.get(member) : 0) + by;
+
+    if (Number.isNaN(score)) {
+        db.touch(key, 'z', null);
+
+        throw new ErrorReply('ERR resulting score is not a number (NaN)');
+    }
+
+    zset.set(member, score);
+    db.touch(key, 'z', 'zincr');
+
+    return formatFloat(score);
+});
+
+command('ZCARD', 2, ([key], db) => (db.read(key, 'zset') || new Map()).size);
+
+command('ZSCORE', 3, ([key, member], db) => {
+    const zset = db.read(key, 'zset') || new Map();
+
+    return zset.has(member) ? formatFloat(zset.get(member)) : null;
+});
+
+command('ZMSCORE', -3, ([key, ...members], db) => {
+    const zset = db.read(key, 'zset') || new Map();
+
+    return members.map((member) => zset.has(member) ? formatFloat(zset.get(member)) : null);
+});
+
+command('ZCOUNT', 4, ([key, min, max], db) => select(db.read(key, 'zset') || new Map(), min, max, {by: 'SCORE'}).length);
+
+command('ZLEXCOUNT', 4, ([key, min, max], db) => select(db.read(key, 'zset') || new Map(), min, max, {by: 'LEX'}).length);
+
+['ZRANK', 'ZREVRANK'].forEach((name) => {
+    command(name, -3, ([key, member, withScore, ...rest], db) => {
+        if (rest.length > 0 || (withScore !== undefined && withScore.toUpperCase() !== 'WITHSCORE')) {
+            throw new ErrorReply(ERRORS.syntax);
+        }
+
+        const zset = db.read(key, 'zset') || new Map();
+
+        if (!zset.has(member)) {
+            return null;
+        }
+
+        const members = sorted(zset);
+        const rank = (name === 'ZRANK' ? members : members.reverse()).findIndex(([m]) => m === member);
+
+        return (withScore === undefined) ? rank : [rank, formatFloat(zset.get(member))];
+    });
+});
+
+command('ZREM', -3, ([key, ...members], db) => {
+    const zset = db.read(key, 'zset');
+
+    if (zset === undefined) {
+        return 0;
+    }
+
+    const removed = members.filter((member) => zset.delete(member)).length;
+
+    if (removed > 0) {
+        db.touch(key, 'z', 'zrem');
+    }
+
+    return removed;
+});
+
+command('ZRANGE', -4, ([key, start, stop, ...args], db) => {
+    const options = {by: 'RANK', rev: false};
+    let withScores = false;
+
+    for (let i = 0; i < args.length; i++) {
+        const modifier = args[i].toUpperCase();
+
+        if (modifier === 'BYSCORE' || modifier === 'BYLEX') {
+            options.by = modifier.slice(2);
+        } else if (modifier === 'REV') {
+            options.rev = true;
+        } else if (modifier === 'WITHSCORES') {
+            withScores = true;
+        } else if (modifier === 'LIMIT' && i + 2 < args.length) {
+            options.offset = parseInteger(args[++i]);
+            options.count  = parseInteger(args[++i]);
+        } else {
+            throw new ErrorReply(ERRORS.syntax);
+        }
+    }
+
+    if (options.offset !== undefined && options.by === 'RANK') {
+        throw new ErrorReply('ERR syntax error, LIMIT is only supported in combination with either BYSCORE or BYLEX');
+    }
+
+    if (withScores && options.by === 'LEX') {
+        throw new ErrorReply('ERR syntax error, WITHSCORES not supported in combination with BYLEX');
+    }
+
+    if (options.offset < 0) {
+        return [];
+    }
+
+    return pairsReply(select(db.read(key, 'zset') || new Map(), start, stop, options), withScores);
+});
+
+removeRangeCommand('ZREMRANGEBYRANK', 'RANK');
+removeRangeCommand('ZREMRANGEBYSCORE', 'SCORE');
+removeRangeCommand('ZREMRANGEBYLEX', 'LEX');
+
+zpopCommand('ZPOPMIN', false);
+zpopCommand('ZPOPMAX', true);
+
+command('ZSCAN', -3, ([key, ...args], db) => {
+    const [next, pairs] = scan(args, Array.from(db.read(key, 'zset') || new Map()));
+
+    return [next, pairsReply(pairs, true)];
+});
+
+/*
+ * Geo
+ */
+
+/**
+ * Limits of coordinates and constants of Redis geohash
+ * @type {Object}
+ */
+const GEO = {
+    step:        26,
+    lonMin:      -180,
+    lonMax:      180,
+    latMin:      -85.05112878,
+    latMax:      85.05112878,
+    earthRadius: 6372797.560856
+};
+
+/**
+ * Meters in units of distance
+ * @type {Object}
+ */
+const GEO_UNITS = {
+    m:  1,
+    km: 1000,
+    ft: 0.3048,
+    mi: 1609.34
+};
+
+/**
+ * Characters of base32 geohash strings
+ * @type {String}
+ */
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+/**
+ * Encode coordinates into 52-bit geohash (interleaved bits of longitude and
+ * latitude) used as score of the member
+ *
+ * @param  {Number} lon
+ * @param  {Number} lat
+ * @param  {Number} [latMin] Lower latitude limit, upper one is the same with `+`
+ * @return {Number}
+ */
+function geoEncode(lon, lat, latMin = GEO.latMin) {
+    const cells = Math.pow(2, GEO.step);
+    const latCell = Math.min(Math.floor((lat - latMin) / (-2 * latMin) * cells), cells - 1);
+    const lonCell = Math.min(Math.floor((lon - GEO.lonMin) / (GEO.lonMax - GEO.lonMin) * cells), cells - 1);
+
+    let bits = 0;
+
+    for (let i = GEO.step - 1; i >= 0; i--) {
+        bits = bits * 4 + Math.floor(lonCell / Math.pow(2, i)) % 2 * 2 + Math.floor(latCell / Math.pow(2, i)) % 2;
+    }
+
+    return bits;
+}
+
+/**
+ * Decode geohash score into coordinates of the center of its cell
+ *
+ * @param  {Number}   bits Score
+ * @return {Number[]}      [lon, lat]
+ */
+function geoDecode(bits) {
+    const cells = Math.pow(2, GEO.step);
+
+    let lonCell = 0;
+    let latCell = 0;
+
+    for (let i = 0; i < GEO.step; i++) {
+        const pair = bits % 4;
+
+        bits = Math.floor(bits / 4);
+        latCell += (pair % 2) * Math.pow(2, i);
+        lonCell += Math.floor(pair / 2) * Math.pow(2, i);
+    }
+
+    const center = (cell, min, max) => {
+        const low  = min + (cell / cells) * (max - min);
+        const high = min + ((cell + 1) / cells) * (max - min);
+
+        return Math.min(Math.max((low + high) / 2, min), max);
+    };
+
+    return [center(lonCell, GEO.lonMin, GEO.lonMax), center(latCell, GEO.latMin, GEO.latMax)];
+}
+
+/**
+ * Get distance between two points on Earth in meters (haversine formula,
+ * as Redis computes it)
+ *
+ * @param  {Number[]} from [lon, lat]
+ * @param  {Number[]} to   [lon, lat]
+ * @return {Number}
+ */
+function geoDistance([lon1, lat1], [lon2, lat2]) {
+    const rad = (deg) => deg * Math.PI / 180;
+    const u   = Math.sin((rad(lat2) - rad(lat1)) / 2);
+    const v   = Math.sin((rad(lon2) - rad(lon1)) / 2);
+
+    return 2 * GEO.earthRadius * Math.asin(Math.sqrt(u * u + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * v * v));
+}
+
+/**
+ * Parse longitude and latitude checking Redis limits
+ *
+ * @param  {String}   lon
+ * @param  {String}   lat
+ * @return {Number[]}     [lon, lat]
+ */
+function geoCoordinates(lon, lat) {
+    const point = [parseFloat(lon), parseFloat(lat)];
+
+    if (point[0] < GEO.lonMin || point[0] > GEO.lonMax || point[1] < GEO.latMin || point[1] > GEO.latMax) {
+        throw new ErrorReply('ERR invalid longitude,latitude pair ' + point[0].toFixed(6) + ',' + point[1].toFixed(6));
+    }
+
+    return point;
+}
+
+/**
+ * Parse unit of distance
+ *
+ * @param  {String} unit
+ * @return {Number}      Meters in the unit
+ */
+function geoUnit(unit) {
+    const meters = GEO_UNITS[String(unit).toLowerCase()];
+
+    if (meters === undefined) {
+        throw new ErrorReply('ERR unsupported unit provided. please use M, KM, FT, MI');
+    }
+
+    return meters;
+}
+
+/**
+ * Format distance as Redis does, with 4 digits after the point
+ *
+ * @param  {Number} meters Distance in meters
+ * @param  {Number} unit   Meters in the unit
+ * @return {String}
+ */
+function formatDistance(meters, unit) {
+    return (meters / unit).toFixed(4);
+}
+
+command('GEOADD', -5, ([key, ...args], db, context) => {
+    const flags = [];
+    let i = 0;
+
+    for (; i < args.length && ['NX', 'XX', 'CH'].includes(args[i].toUpperCase()); i++) {
+        flags.push(args[i].toUpperCase());
+    }
+
+    const triples = args.slice(i);
+
+    if (triples.length === 0 || triples.length % 3 !== 0) {
+        throw new ErrorReply(ERRORS.syntax);
+    }
+
+    const pairs = [];
+
+    for (let j = 0; j < triples.length; j += 3) {
+        pairs.push(String(geoEncode(...geoCoordinates(triples[j], triples[j + 1]))), triples[j + 2]);
+    }
+
+    return commands.ZADD.fn([key, ...flags, ...pairs], db, context);
+});
+
+command('GEOPOS', -2, ([key, ...members], db) => {
+    const zset = db.read(key, 'zset') || new Map();
+
+    return members.map((member) => zset.has(member) ? geoDecode(zset.get(member)).map(String) : null);
+});
+
+command('GEODIST', -4, ([key, first, second, unit, ...rest], db) => {
+    if (rest.length > 0) {
+        throw new ErrorReply(ERRORS.syntax);
+    }
+
+    const meters = geoUnit(unit || 'm');
+    const zset   = db.read(key, 'zset') || new Map();
+
+    if (!zset.has(first) || !zset.has(second)) {
+        return null;
+    }
+
+    return formatDistance(geoDistance(geoDecode(zset.get(first)), geoDecode(zset.get(second))), meters);
+});
+
+command('GEOHASH', -2, ([key, ...members], db) => {
+    const zset = db.read(key, 'zset') || new Map();
+
+    return members.map((member) => {
+        if (!zset.has(member)) {
+            return null;
+        }
+
+        const bits = geoEncode(...geoDecode(zset.get(member)), -90);
+
+        let hash = '';
+
+        for (let i = 0; i < 10; i++) {
+            hash += GEOHASH_ALPHABET[Math.floor(bits / Math.pow(2, 52 - (i + 1) * 5)) % 32];
+        }
+
+        return hash + '0';
+    });
+});
+
+/**
+ * Parse arguments of GEOSEARCH and GEOSEARCHSTORE
+ *
+ * @param  {String[]} args  Arguments after the key
+ * @param  {Boolean}  store Whether it's GEOSEARCHSTORE
+ * @return {Object}         Parsed options
+ */
+function geoSearchArguments(args, store) {
+    const options = {member: null, point: null, radius: null, box: null, unit: 1, sort: null, count: 0, any: false, with: {}};
+
+    for (let i = 0; i < args.length; i++) {
+        const arg  = args[i].toUpperCase();
+        const left = args.length - i - 1;
+
+        if (arg === 'FROMMEMBER' && left >= 1 && options.point === null && options.member === null) {
+            options.member = args[++i];
+        } else if (arg === 'FROMLONLAT' && left >= 2 && options.point === null && options.member === null) {
+            options.point = geoCoordinates(args[i + 1], args[i + 2]);
+            i += 2;
+        } else if (arg === 'FROMMEMBER' || arg === 'FROMLONLAT') {
+            throw new ErrorReply(left > 0 ? 'ERR exactly one of FROMMEMBER or FROMLONLAT can be specified for GEOSEARCH' : ERRORS.syntax);
+        } else if (arg === 'BYRADIUS' && left >= 2 && options.radius === null && options.box === null) {
+            options.radius = parseFloat(args[i + 1], 'ERR need numeric radius');
+            options.unit   = geoUnit(args[i + 2]);
+            i += 2;
+        } else if (arg === 'BYBOX' && left >= 3 && options.radius === null && options.box === null) {
+            options.box  = [parseFloat(args[i + 1], 'ERR need numeric width'), parseFloat(args[i + 2], 'ERR need numeric height')];
+            options.unit = geoUnit(args[i + 3]);
+            i += 3;
+        } else if (arg === 'BYRADIUS' || arg === 'BYBOX') {
+            throw new ErrorReply(left > 0 ? 'ERR exactly one of BYRADIUS and BYBOX can be specified for GEOSEARCH' : ERRORS.syntax);
+        } else if (arg === 'ASC' || arg === 'DESC') {
+            options.sort = arg;
+        } else if (arg === 'COUNT' && left >= 1) {
+            options.count = parseInteger(args[++i]);
+
+            if (options.count <= 0) {
+                throw new ErrorReply('ERR COUNT must be > 0');
+            }
+
+            if (i + 1 < args.length && args[i + 1].toUpperCase() === 'ANY') {
+                options.any = true;
+                i++;
+            }
+        } else if ((store && arg === 'STOREDIST') || (!store && ['WITHCOORD', 'WITHDIST', 'WITHHASH'].includes(arg))) {
+            options.with[arg] = true;
+        } else {
+            throw new ErrorReply(ERRORS.syntax);
+        }
+    }
+
+    if (options.member === null && options.point === null) {
+        throw new ErrorReply('ERR exactly one of FROMMEMBER or FROMLONLAT can be specified for GEOSEARCH');
+    }
+
+    if (options.radius === null && options.box === null) {
+        throw new ErrorReply('ERR exactly one of BYRADIUS and BYBOX can be specified for GEOSEARCH');
+    }
+
+    if (options.any && options.count === 0) {
+        throw new ErrorReply('ERR the ANY argument requires COUNT argument');
+    }
+
+    return options;
+}
+
+/**
+ * Find members of geo set within the area
+ *
+ * @param  {Map}      zset    Geo set
+ * @param  {Object}   options Parsed arguments, see {@link geoSearchArguments}
+ * @return {Object[]}         Matches {member, score, point, distance} (distance in meters)
+ */
+function geoSearch(zset, options) {
+    if (options.member !== null && !zset.has(options.member)) {
+        throw new ErrorReply('ERR could not decode requested zset member');
+    }
+
+    const center  = (options.member === null) ? options.point : geoDecode(zset.get(options.member));
+    const matches = [];
+
+    for (const [member, score] of sorted(zset)) {
+        const point    = geoDecode(score);
+        const distance = geoDistance(center, point);
+
+        const inside = (options.radius !== null)
+            ? distance <= options.radius * options.unit
+            : GEO.earthRadius * Math.abs(point[1] - center[1]) * Math.PI / 180 <= options.box[1] * options.unit / 2
+                && geoDistance(center, [point[0], center[1]]) <= options.box[0] * options.unit / 2;
+
+        if (inside) {
+            matches.push({member, score, point, distance});
+        }
+
+        if (options.any && matches.length === options.count) {
+            break;
+        }
+    }
+
+    const sort = (options.sort === null && options.count > 0 && !options.any) ? 'ASC' : options.sort;
+
+    if (sort !== null) {
+        matches.sort((a, b) => (sort === 'ASC') ? a.distance - b.distance : b.distance - a.distance);
+    }
+
+    return (options.count > 0) ? matches.slice(0, options.count) : matches;
+}
+
+command('GEOSEARCH', -7, ([key, ...args], db) => {
+    const options = geoSearchArguments(args, false);
+    const zset    = db.read(key, 'zset');
+
+    if (zset === undefined) {
+        return [];
+    }
+
+    return geoSearch(zset, options).map((match) => {
+        if (Object.keys(options.with).length === 0) {
+            return match.member;
+        }
+
+        const reply = [match.member];
+
+        if (options.with.WITHDIST) {
+            reply.push(formatDistance(match.distance, options.unit));
+        }
+
+        if (options.with.WITHHASH) {
+            reply.push(match.score);
+        }
+
+        if (options.with.WITHCOORD) {
+            reply.push(match.point.map(String));
+        }
+
+        return reply;
+    });
+});
+
+command('GEOSEARCHSTORE', -8, ([destination, key, ...args], db) => {
+    const options = geoSearchArguments(args, true);
+    const zset    = db.read(key, 'zset');
+    const matches = (zset === undefined) ? [] : geoSearch(zset, options);
+
+    if (matches.length === 0) {
+        if (db.remove(destination)) {
+            db.notify('g', 'del', destination);
+        }
+
+        return 0;
+    }
+
+    db.replace(destination, 'zset', new Map(matches.map((match) => [
+        match.member,
+        options.with.STOREDIST ? Number(formatDistance(match.distance, options.unit)) : match.score
+    ])));
+    db.touch(destination, 'z', 'geosearchstore');
+
+    return matches.length;
+});
+
+/*
+ * Streams
+ */
+
+/**
+ * Greatest number in stream ID parts
+ * @type {Number}
+ */
+const MAX_ID_PART = Number.MAX_SAFE_INTEGER;
+
+/**
+ * Error of malformed stream ID
+ * @type {String}
+ */
+const INVALID_ID = 'ERR Invalid stream ID specified as stream command argument';
+
+/**
+ * Parse stream ID; incomplete one (milliseconds only) gets the given sequence
+ *
+ * @param  {String} value
+ * @param  {Number} [seq=0] Sequence of incomplete ID
+ * @return {Object}         {ms, seq}
+ *
+ * @throws {ErrorReply} When ID is malformed
+ */
+function parseId(value, seq = 0) {
+    const match = /^([0-9]+)(?:-([0-9]+))?$/.exec(value);
+
+    if (match === null) {
+        throw new ErrorReply(INVALID_ID);
+    }
+
+    const id = {ms: Number(match[1]), seq: (match[2] === undefined) ? seq : Number(match[2])};
+
+    if (!Number.isSafeInteger(id.ms) || !Number.isSafeInteger(id.seq)) {
+        throw new ErrorReply(INVALID_ID);
+    }
+
+    return id;
+}
+
+/**
+ * Compare stream IDs
+ *
+ * @param  {Object} a
+ * @param  {Object} b
+ * @return {Number}   Negative when a is smaller, positive when greater
+ */
+function compareIds(a, b) {
+    return (a.ms - b.ms) || (a.seq - b.seq);
+}
+
+/**
+ * Format stream ID as `<ms>-<seq>`
+ *
+ * @param  {Object} id
+ * @return {String}
+ */
+function formatId(id) {
+    return id.ms + '-' + id.seq;
+}
+
+/**
+ * Parse bound of XRANGE-like commands: `-` and `+` are the smallest and the
+ * greatest IDs, `(` makes bound exclusive
+ *
+ * @param  {String}  value
+ * @param  {Boolean} start Whether it's the start of the range
+ * @return {Object}        Inclusive bound
+ */
+function rangeBound(value, start) {
+    if (value === '-') {
+        return {ms: 0, seq: 0};
+    }
+
+    if (value === '+') {
+        return {ms: MAX_ID_PART, seq: MAX_ID_PART};
+    }
+
+    const exclusive = value[0] === '(';
+    const id        = parseId(exclusive ? value.slice(1) : value, start ? 0 : MAX_ID_PART);
+
+    if (!exclusive) {
+        return id;
+    }
+
+    if (start) {
+        return (id.seq === MAX_ID_PART) ? {ms: id.ms + 1, seq: 0} : {ms: id.ms, seq: id.seq + 1};
+    }
+
+    return (id.seq === 0) ? {ms: id.ms - 1, seq: MAX_ID_PART} : {ms: id.ms, seq: id.seq - 1};
+}
+
+/**
+ * Generate ID of new entry as XADD does: `*` - current time, `<ms>-*` -
+ * next sequence within the given milliseconds
+ *
+ * @param  {String} value   ID argument of XADD
+ * @param  {Object} lastId  Last ID of the stream
+ * @return {Object}         New ID
+ *
+ * @throws {ErrorReply} When ID is not greater than the last one
+ */
+function generateId(value, lastId) {
+    let id;
+
+    if (value === '*') {
+        const ms = Date.now();
+
+        id = (ms > lastId.ms) ? {ms, seq: 0} : {ms: lastId.ms, seq: lastId.seq + 1};
+    } else if (value.endsWith('-*')) {
+        const ms = parseId(value.slice(0, -2)).ms;
+
+        id = {ms, seq: (ms === lastId.ms) ? lastId.seq + 1 : 0};
+    } else {
+        id = parseId(value);
+    }
+
+    if (id.ms === 0 && id.seq === 0) {
+        throw new ErrorReply('ERR The ID specified in XADD must be greater than 0-0');
+    }
+
+    if (compareIds(id, lastId) <= 0) {
+        throw new ErrorReply('ERR The ID specified in XADD is equal or smaller than the target stream top item');
+    }
+
+    return id;
+}
+
+/**
+ * Reply of stream entry: [id, [field, value, ...]]
+ *
+ * @param  {Object} entry
+ * @return {Array}
+ */
+function entryReply(entry) {
+    return [formatId(entry.id), entry.fields.slice()];
+}
+
+/**
+ * Find entry by ID
+ *
+ * @param  {Object}  stream
+ * @param  {Object}  id
+ * @return {?Object}        Entry or undefined
+ */
+function findEntry(stream, id) {
+    return stream.entries.find((entry) => compareIds(entry.id, id) === 0);
+}
+
+/**
+ * Parse COUNT argument of stream commands
+ *
+ * @param  {String} value
+ * @return {Number}
+ */
+function countArgument(value) {
+    return Math.max(parseInteger(value), 0);
+}
+
+/**
+ * Parse trimming strategy (`MAXLEN|MINID [=|~] threshold [LIMIT count]`);
+ * entries are always trimmed exactly, which `~` allows
+ *
+ * @param  {String[]} args
+ * @param  {Number}   i    Index of MAXLEN or MINID
+ * @return {Array}         [strategy {by, threshold}, index of the next argument]
+ */
+function trimArguments(args, i) {
+    const by = args[i++].toUpperCase();
+
+    if (args[i] === '=' || args[i] === '~') {
+        i++;
+    }
+
+    if (i >= args.length) {
+        throw new ErrorReply(ERRORS.syntax);
+    }
+
+    let threshold;
+
+    if (by === 'MAXLEN') {
+        threshold = parseInteger(args[i++]);
+
+        if (threshold < 0) {
+            throw new ErrorReply('ERR The MAXLEN argument must be >= 0.');
+        }
+    } else {
+        threshold = parseId(args[i++]);
+    }
+
+    if (i < args.length && args[i].toUpperCase() === 'LIMIT') {
+        if (i + 1 >= args.length) {
+            throw new ErrorReply(ERRORS.syntax);
+        }
+
+        parseInteger(args[i + 1]);
+        i += 2;
+    }
+
+    return [{by, threshold}, i];
+}
+
+/**
+ * Remove the oldest entries by trimming strategy
+ *
+ * @param  {Object} stream
+ * @param  {Object} strategy {by, threshold}
+ * @return {Number}          Number of removed entries
+ */
+function trimStream(stream, {by, threshold}) {
+    const count = (by === 'MAXLEN')
+        ? Math.max(stream.entries.length - threshold, 0)
+        : stream.entries.filter((entry) => compareIds(entry.id, threshold) < 0).length;
+
+    stream.entries.splice(0, count);
+
+    return count;
+}
+
+/**
+ * Get consumer group of the stream or throw NOGROUP
+ *
+ * @param  {Database} db
+ * @param  {String}   key
+ * @param  {String}   name    Name of the group
+ * @param  {String}   message Error message
+ * @return {Array}            [stream, group]
+ */
+function consumerGroup(db, key, name, message) {
+    const stream = db.read(key, 'stream');
+    const group  = (stream === undefined) ? undefined : stream.groups.get(name);
+
+    if (group === undefined) {
+        throw new ErrorReply(message);
+    }
+
+    return [stream, group];
+}
+
+/**
+ * Get consumer of the group, creating it when missing
+ *
+ * @param  {Database} db
+ * @param  {String}   key
+ * @param  {Object}   group
+ * @param  {String}   name  Name of the consumer
+ * @return {Object}         Consumer {seenAt}
+ */
+function consumerOf(db, key, group, name) {
+    if (!group.consumers.has(name)) {
+        group.consumers.set(name, {seenAt: Date.now()});
+        db.notify('t', 'xgroup-createconsumer', key);
+    }
+
+    const consumer = group.consumers.get(name);
+
+    consumer.seenAt = Date.now();
+
+    return consumer;
+}
+
+/**
+ * Pending entries of the group ordered by ID
+ *
+ * @param  {Object}   group
+ * @return {Object[]}       Entries {id, consumer, deliveredAt, deliveries}
+ */
+function pendingEntries(group) {
+    return Array.from(group.pending.values()).sort((a, b) => compareIds(a.id, b.id));
+}
+
+/**
+ * Run XREAD or XREADGROUP. IDs `$` are resolved on the first run only, so
+ * retries of blocked command wait for entries added after it was sent
+ *
+ * @param  {String[]} args    Arguments
+ * @param  {Database} db
+ * @param  {Object}   context Command context
+ * @param  {Boolean}  grouped Whether it's XREADGROUP
+ * @return {*}                Reply or BLOCKED
+ */
+function readStreams(args, db, context, grouped) {
+    const name = grouped ? 'xreadgroup' : 'xread';
+    let count  = Infinity;
+    let block  = null;
+    let noAck  = false;
+    let groupName, consumerName, i = 0;
+
+    for (; i < args.length; i++) {
+        const option = args[i].toUpperCase();
+
+        if (option === 'STREAMS') {
+            break;
+        } else if (option === 'COUNT' && i + 1 < args.length) {
+            count = countArgument(args[++i]) || Infinity;
+        } else if (option === 'BLOCK' && i + 1 < args.length) {
+            block = parseInteger(args[++i], 'ERR timeout is not an integer or out of range');
+
+            if (block < 0) {
+                throw new ErrorReply('ERR timeout is negative');
+            }
+        } else if (grouped && option === 'GROUP' && i + 2 < args.length) {
+            groupName    = args[++i];
+            consumerName = args[++i];
+        } else if (grouped && option === 'NOACK') {
+            noAck = true;
+        } else {
+            throw new ErrorReply(ERRORS.syntax);
+        }
+    }
+
+    const streams = args.slice(i + 1);
+
+    if (grouped && groupName === undefined) {
+        throw new ErrorReply('ERR Missing GROUP option for XREADGROUP');
+    }
+
+    if (i === args.length || streams.length === 0 || streams.length % 2 !== 0) {
+        throw new ErrorReply("ERR Unbalanced '" + name + "' list of streams: for each stream key an ID or '$' must be specified.");
+    }
+
+    const keys = streams.slice(0, streams.length / 2);
+    let ids    = streams.slice(streams.length / 2);
+
+    if (context.retrying && context.streamIds !== undefined) {
+        ids = context.streamIds;
+    } else if (!grouped) {
+        ids = ids.map((id, k) => (id === '$')
+            ? formatId((db.read(keys[k], 'stream') || {lastId: {ms: 0, seq: 0}}).lastId)
+            : formatId(parseId(id)));
+
+        context.streamIds = ids;
+    }
+
+    const reply = [];
+    let history = false;
+
+    keys.forEach((key, k) => {
+        if (!grouped) {
+            const stream  = db.read(key, 'stream');
+            const after   = parseId(ids[k]);
+            const entries = (stream === undefined) ? [] : stream.entries.filter((entry) => compareIds(entry.id, after) > 0);
+
+            if (entries.length > 0) {
+                reply.push([key, entries.slice(0, count).map(entryReply)]);
+            }
+
+            return;
+        }
+
+        const [stream, group] = consumerGroup(db, key, groupName, "NOGROUP No such key '" + key
+            + "' or consumer group '" + groupName + "' in XREADGROUP with GROUP option");
+
+        consumerOf(db, key, group, consumerName);
+
+        if (ids[k] !== '>') {
+            const after   = parseId(ids[k]);
+            const pending = pendingEntries(group)
+                .filter((entry) => entry.consumer === consumerName && compareIds(entry.id, after) > 0)
+                .slice(0, count);
+
+            history = true;
+
+            reply.push([key, pending.map((entry) => {
+                const found = findEntry(stream, entry.id);
+
+                entry.deliveredAt = Date.now();
+                entry.deliveries++;
+
+                return found ? entryReply(found) : [formatId(entry.id), null];
+            })]);
+
+            return;
+        }
+
+        const entries = stream.entries.filter((entry) => compareIds(entry.id, group.lastId) > 0).slice(0, count);
+
+        if (entries.length === 0) {
+            return;
+        }
+
+        group.lastId = entries[entries.length - 1].id;
+
+        if (!noAck) {
+            entries.forEach((entry) => {
+                group.pending.set(formatId(entry.id), {
+                    id:          entry.id,
+                    consumer:    consumerName,
+                    deliveredAt: Date.now(),
+                    deliveries:  1
+                });
+            });
+        }
+
+        db.signal(key);
+        reply.push([key, entries.map(entryReply)]);
+    });
+
+    if (reply.length > 0 || history) {
+        return reply;
+    }
+
+    if (block === null) {
+        return null;
+    }
+
+    context.timeout = block;
+
+    return BLOCKED;
+}
+
+command('XADD', -5, ([key, ...args], db) => {
+    let noMkStream = false;
+    let strategy   = null;
+    let i          = 0;
+
+    for (;;) {
+        const option = args[i].toUpperCase();
+
+        if (option === 'NOMKSTREAM') {
+            noMkStream = true;
+            i++;
+        } else if (option === 'MAXLEN' || option === 'MINID') {
+            [strategy, i] = trimArguments(args, i);
+        } else {
+            break;
+        }
+
+        if (i >= args.length) {
+            throw new ErrorReply(ERRORS.syntax);
+        }
+    }
+
+    const fields = args.slice(i + 1);
+
+    if (fields.length === 0 || fields.length % 2 !== 0) {
+        throw arityError('XADD');
+    }
+
+    const existing = db.read(key, 'stream');
+
+    if (existing === undefined && noMkStream) {
+        return null;
+    }
+
+    const id     = generateId(args[i], existing ? existing.lastId : {ms: 0, seq: 0});
+    const stream = db.create(key, 'stream');
+
+    stream.entries.push({id, fields});
+    stream.lastId = id;
+
+    db.touch(key, 't', 'xadd');
+
+    if (strategy !== null && trimStream(stream, strategy) > 0) {
+        db.notify('t', 'xtrim', key);
+    }
+
+    return formatId(id);
+});
+
+command('XLEN', 2, ([key], db) => (db.read(key, 'stream') || {entries: []}).entries.length);
+
+/**
+ * Register XRANGE or XREVRANGE
+ *
+ * @param {String}  name
+ * @param {Boolean} rev  Whether bounds go in reverse order
+ */
+function rangeCommand(name, rev) {
+    command(name, -4, ([key, first, second, ...args], db) => {
+        let count = Infinity;
+
+        if (args.length > 0) {
+            if (args.length !== 2 || args[0].toUpperCase() !== 'COUNT') {
+                throw new ErrorReply(ERRORS.syntax);
+            }
+
+            count = countArgument(args[1]);
+        }
+
+        const start  = rangeBound(rev ? second : first, true);
+        const end    = rangeBound(rev ? first : second, false);
+        const stream = db.read(key, 'stream');
+
+        if (count === 0) {
+            return null;
+        }
+
+        if (stream === undefined) {
+            return [];
+        }
+
+        const entries = stream.entries.filter((entry) => compareIds(entry.id, start) >= 0 && compareIds(entry.id, end) <= 0);
+
+        return (rev ? entries.reverse() : entries).slice(0, count).map(entryReply);
+    });
+}
+
+rangeCommand('XRANGE', false);
+rangeCommand('XREVRANGE', true);
+
+command('XDEL', -3, ([key, ...ids], db) => {
+    const parsed = ids.map((id) => parseId(id));
+    const stream = db.read(key, 'stream');
+
+    if (stream === undefined) {
+        return 0;
+    }
+
+    const before = stream.entries.length;
+
+    stream.entries = stream.entries.filter((entry) => !parsed.some((id) => compareIds(entry.id, id) === 0));
+
+    const removed = before - stream.entries.length;
+
+    if (removed > 0) {
+        db.touch(key, 't', 'xdel');
+    }
+
+    return removed;
+});
+
+command('XTRIM', -4, ([key, ...args], db) => {
+    const option = args[0].toUpperCase();
+
+    if (option !== 'MAXLEN' && option !== 'MINID') {
+        throw new ErrorReply(ERRORS.syntax);
+    }
+
+    const [strategy, next] = trimArguments(args, 0);
+
+    if (next !== args.length) {
+        throw new ErrorReply(ERRORS.syntax);
+    }
+
+    const stream  = db.read(key, 'stream');
+    const removed = (stream === undefined) ? 0 : trimStream(stream, strategy);
+
+    if (removed > 0) {
+        db.touch(key, 't', 'xtrim');
+    }
+
+    return removed;
+});
+
+command('XREAD', -4, (args, db, context) => readStreams(args, db, context, false));
+
+command('XREADGROUP', -7, (args, db, context) => readStreams(args, db, context, true));
+
+command('XGROUP', -2, ([subcommand, key, name, ...args], db) => {
+    subcommand = subcommand.toUpperCase();
+
+    const arity = {CREATE: 2, SETID: 2, DESTROY: 1, CREATECONSUMER: 2, DELCONSUMER: 2}[subcommand];
+
+    if (arity === undefined) {
+        throw new ErrorReply("ERR unknown subcommand '" + subcommand.toLowerCase() + "'. Try XGROUP HELP.");
+    }
+
+    if (key === undefined || name === undefined || args.length < arity - 1) {
+        throw new ErrorReply("ERR wrong number of arguments for 'xgroup|" + subcommand.toLowerCase() + "' command");
+    }
+
+    let stream = db.read(key, 'stream');
+
+    if (stream === undefined) {
+        if (subcommand !== 'CREATE' || !args.slice(1).some((arg) => arg.toUpperCase() === 'MKSTREAM')) {
+            throw new ErrorReply('ERR The XGROUP subcommand requires the key to exist. Note that for CREATE'
+                + ' you may want to use the MKSTREAM option to create an empty stream automatically.');
+        }
+
+        stream = db.create(key, 'stream');
+    }
+
+    const startId = (id) => (id === '$') ? stream.lastId : parseId(id);
+    const group   = stream.groups.get(name);
+
+    if (subcommand === 'CREATE') {
+        if (group !== undefined) {
+            throw new ErrorReply('BUSYGROUP Consumer Group name already exists');
+        }
+
+        stream.groups.set(name, {lastId: startId(args[0]), pending: new Map(), consumers: new Map()});
+        db.touch(key, 't', 'xgroup-create');
+
+        return 'OK';
+    }
+
+    if (group === undefined) {
+        if (subcommand === 'DESTROY') {
+            return 0;
+        }
+
+        throw new ErrorReply("NOGROUP No such consumer group '" + name + "' for key name '" + key + "'");
+    }
+
+    switch (subcommand) {
+        case 'SETID':
+            group.lastId = startId(args[0]);
+            db.touch(key, 't', 'xgroup-setid');
+
+            return 'OK';
+        case 'DESTROY':
+            stream.groups.delete(name);
+            db.touch(key, 't', 'xgroup-destroy');
+
+            return 1;
+        case 'CREATECONSUMER':
+            if (group.consumers.has(args[0])) {
+                return 0;
+            }
+
+            consumerOf(db, key, group, args[0]);
+            db.signal(key);
+
+            return 1;
+        default: {
+            if (!group.consumers.has(args[0])) {
+                return 0;
+            }
+
+            const pending = pendingEntries(group).filter((entry) => entry.consumer === args[0]);
+
+            pending.forEach((entry) => group.pending.delete(formatId(entry.id)));
+            group.consumers.delete(args[0]);
+            db.touch(key, 't', 'xgroup-delconsumer');
+
+            return pending.length;
+        }
+    }
+});
+
+command('XACK', -4, ([key, name, ...ids], db) => {
+    const parsed = ids.map((id) => formatId(parseId(id)));
+    const stream = db.read(key, 'stream');
+    const group  = (stream === undefined) ? undefined : stream.groups.get(name);
+
+    if (group === undefined) {
+        return 0;
+    }
+
+    const acked = parsed.filter((id) => group.pending.delete(id)).length;
+
+    if (acked > 0) {
+        db.signal(key);
+    }
+
+    return acked;
+});
+
+command('XPENDING', -3, ([key, name, ...args], db) => {
+    const [, group] = consumerGroup(db, key, name, "NOGROUP No such key '" + key + "' or consumer group '" + name + "'");
+    const pending   = pendingEntries(group);
+
+    if (args.length === 0) {
+        if (pending.length === 0) {
+            return [0, null, null, null];
+        }
+
+        const consumers = new Map();
+
+        pending.forEach((entry) => consumers.set(entry.consumer, (consumers.get(entry.consumer) || 0) + 1));
+
+        return [
+            pending.length,
+            formatId(pending[0].id),
+            formatId(pending[pending.length - 1].id),
+            Array.from(consumers).map(([consumer, count]) => [consumer, String(count)])
+        ];
+    }
+
+    let minIdle = 0;
+
+    if (args[0].toUpperCase() === 'IDLE') {
+        minIdle = parseInteger(args[1]);
+        args    = args.slice(2);
+    }
+
+    if (args.length < 3 || args.length > 4) {
+        throw new ErrorReply(ERRORS.syntax);
+    }
+
+    const start = rangeBound(args[0], true);
+    const end   = rangeBound(args[1], false);
+    const count = countArgument(args[2]);
+    const now   = Date.now();
+
+    return pending
+        .filter((entry) => compareIds(entry.id, start) >= 0 && compareIds(entry.id, end) <= 0
+            && (args[3] === undefined || entry.consumer === args[3])
+            && now - entry.deliveredAt >= minIdle)
+        .slice(0, count)
+        .map((entry) => [formatId(entry.id), entry.consumer, now - entry.deliveredAt, entry.deliveries]);
+});
+
+command('XAUTOCLAIM', -6, ([key, name, consumerName, minIdle, start, ...args], db) => {
+    let count   = 100;
+    let justId  = false;
+
+    for (let i = 0; i < args.length; i++) {
+        const option = args[i].toUpperCase();
+
+        if (option === 'COUNT' && i + 1 < args.length) {
+            count = parseInteger(args[++i]);
+
+            if (count < 1) {
+                throw new ErrorReply('ERR COUNT must be > 0');
+            }
+        } else if (option === 'JUSTID') {
+            justId = true;
+        } else {
+            throw new ErrorReply(ERRORS.syntax);
+        }
+    }
+
+    const idle   = parseInteger(minIdle, 'ERR Invalid min-idle-time argument for XAUTOCLAIM');
+    const from   = rangeBound(start, true);
+    const [stream, group] = consumerGroup(db, key, name, "NOGROUP No such key '" + key + "' or consumer group '" + name + "'");
+    const now     = Date.now();
+    const claimed = [];
+    const deleted = [];
+    const pending = pendingEntries(group).filter((entry) => compareIds(entry.id, from) >= 0);
+    let attempts  = count * 10;
+    let i         = 0;
+
+    consumerOf(db, key, group, consumerName);
+
+    // entries deleted from the stream are dropped whatever their idle time
+    // is, and they count against COUNT as the claimed ones do
+    for (; i < pending.length && attempts > 0 && claimed.length + deleted.length < count; i++, attempts--) {
+        const entry = pending[i];
+        const found = findEntry(stream, entry.id);
+
+        if (found === undefined) {
+            group.pending.delete(formatId(entry.id));
+            deleted.push(formatId(entry.id));
+            continue;
+        }
+
+        if (now - entry.deliveredAt < idle) {
+            continue;
+        }
+
+        entry.consumer    = consumerName;
+        entry.deliveredAt = now;
+
+        if (!justId) {
+            entry.deliveries++;
+        }
+
+        claimed.push(justId ? formatId(found.id) : entryReply(found));
+    }
+
+    if (claimed.length > 0 || deleted.length > 0) {
+        db.signal(key);
+    }
+
+    return [(i < pending.length) ? formatId(pending[i].id) : '0-0', claimed, deleted];
+});
+
+/*
+ * Strings
+ */
+
+/**
+ * Store string value under the key keeping its expiry
+ *
+ * @param {Database} db
+ * @param {String}   key
+ * @param {String}   value Binary string
+ * @param {String}   event Name of keyspace event
+ */
+function storeString(db, key, value, event) {
+    const entry = db.lookup(key);
+
+    if (entry === undefined) {
+        db.replace(key, 'string', value);
+    } else {
+        entry.value = value;
+    }
+
+    db.touch(key, '$', event);
+}
+
+command('STRLEN', 2, ([key], db) => (db.read(key, 'string') || '').length);
+
+/**
+ * Expiry modifiers of SET and GETEX: milliseconds in unit and whether time is absolute
+ * @type {Object}
+ */
+const STRING_EXPIRY = {
+    EX:   [1000, false],
+    PX:   [1, false],
+    EXAT: [1000, true],
+    PXAT: [1, true]
+};
+
+/**
+ * Parse expiry modifier of SET or GETEX, times must be positive
+ *
+ * @param  {String} modifier EX, PX, EXAT or PXAT
+ * @param  {String} value    Argument of the modifier
+ * @param  {String} name     Name of the command
+ * @return {Number}          Unix time in milliseconds
+ */
+function stringExpiry(modifier, value, name) {
+    const [unit, absolute] = STRING_EXPIRY[modifier];
+
+    if (parseInteger(value) <= 0) {
+        throw new ErrorReply("ERR invalid expire time in '" + name + "' command");
+    }
+
+    return expiryTime(value, unit, absolute, name);
+}
+
+/**
+ * Set expiry of the key just written, keys expiring in the past are removed
+ *
+ * @param {Database} db
+ * @param {String}   key
+ * @param {Number}   time Unix time in milliseconds
+ */
+function expireString(db, key, time) {
+    if (time <= Date.now()) {
+        db.remove(key);
+        db.notify('g', 'del', key);
+    } else {
+        db.expire(key, time);
+        db.touch(key, 'g', 'expire');
+    }
+}
+
+command('GET', 2, ([key], db) => {
+    const value = db.read(key, 'string');
+
+    return (value === undefined) ? null : value;
+});
+
+command('SET', -3, ([key, value, ...modifiers], db) => {
+    let condition = null;
+    let get       = false;
+    let keepTtl   = false;
+    let expiresAt = null;
+
+    for (let i = 0; i < modifiers.length; i++) {
+        const modifier = modifiers[i].toUpperCase();
+
+        if ((modifier === 'NX' || modifier === 'XX') && condition === null) {
+            condition = modifier;
+        } else if (modifier === 'GET') {
+            get = true;
+        } else if (modifier === 'KEEPTTL' && expiresAt === null) {
+            keepTtl = true;
+        } else if (STRING_EXPIRY[modifier] !== undefined && expiresAt === null && !keepTtl && i + 1 < modifiers.length) {
+            expiresAt = stringExpiry(modifier, modifiers[++i], 'set');
+        } else {
+            throw new ErrorReply(ERRORS.syntax);
+        }
+    }
+
+    const entry    = db.lookup(key);
+    const previous = get ? db.read(key, 'string') : undefined;
+    const reply    = get ? ((previous === undefined) ? null : previous) : 'OK';
+
+    if ((condition === 'NX' && entry !== undefined) || (condition === 'XX' && entry === undefined)) {
+        return get ? reply : null;
+    }
+
+    const keep = (keepTtl && entry !== undefined) ? entry.expiresAt : null;
+
+    db.replace(key, 'string', value);
+    db.touch(key, '$', 'set');
+
+    if (expiresAt !== null) {
+        expireString(db, key, expiresAt);
+    } else if (keep !== null) {
+        db.expire(key, keep);
+    }
+
+    return reply;
+});
+
+command('GETDEL', 2, ([key], db) => {
+    const value = db.read(key, 'string');
+
+    if (value === undefined) {
+        return null;
+    }
+
+    db.remove(key);
+    db.notify('g', 'del', key);
+
+    return value;
+});
+
+command('GETEX', -2, ([key, modifier, time, ...rest], db) => {
+    const name = (modifier === undefined) ? null : modifier.toUpperCase();
+
+    if (name !== null && (rest.length > 0 || (name === 'PERSIST') !== (time === undefined)
+        || (name !== 'PERSIST' && STRING_EXPIRY[name] === undefined))) {
+        throw new ErrorReply(ERRORS.syntax);
+    }
+
+    const expiresAt = (STRING_EXPIRY[name] === undefined) ? null : stringExpiry(name, time, 'getex');
+    const value     = db.read(key, 'string');
+
+    if (value === undefined) {
+        return null;
+    }
+
+    if (expiresAt !== null) {
+        expireString(db, key, expiresAt);
+    } else if (name === 'PERSIST' && db.lookup(key).expiresAt !== null) {
+        db.expire(key, null);
+        db.touch(key, 'g', 'persist');
+    }
+
+    return value;
+});
+
+command('APPEND', 3, ([key, value], db) => {
+    const result = (db.read(key, 'string') || '') + value;
+
+    storeString(db, key, result, 'append');
+
+    return result.length;
+});
+
+command('GETRANGE', 4, ([key, start, end], db) => {
+    const value  = db.read(key, 'string') || '';
+    let   first  = parseInteger(start);
+    let   last   = parseInteger(end);
+
+    if (first < 0) {
+        first = Math.max(value.length + first, 0);
+    }
+
+    if (last < 0) {
+        last = Math.max(value.length + last, 0);
+    }
+
+    last = Math.min(last, value.length - 1);
+
+    return (first > last) ? '' : value.slice(first, last + 1);
+});
+
+command('SETRANGE', 4, ([key, offset, value], db) => {
+    const position = parseInteger(offset);
+    const current  = db.read(key, 'string');
+
+    if (position < 0) {
+        throw new ErrorReply('ERR offset is out of range');
+    }
+
+    if (value.length === 0) {
+        return (current || '').length;
+    }
+
+    if (position + value.length > MAX_BITS / 8) {
+        throw new ErrorReply('ERR string exceeds maximum allowed size (proto-max-bulk-len)');
+    }
+
+    const result = (current || '').padEnd(position, '\0');
+
+    storeString(db, key, result.slice(0, position) + value + result.slice(position + value.length), 'setrange');
+
+    return Math.max(result.length, position + value.length);
+});
+
+/**
+ * Add increment to integer stored under the key
+ *
+ * @param  {Database} db
+ * @param  {String}   key
+ * @param  {BigInt}   by    Increment
+ * @param  {String}   event Name of keyspace event
+ * @return {Number}         New value
+ */
+function incrementString(db, key, by, event) {
+    const value  = db.read(key, 'string');
+    const result = util.checkOverflow(((value === undefined) ? BigInt(0) : util.parseBigInt(value)) + by);
+
+    storeString(db, key, String(result), event);
+
+    return Number(result);
+}
+
+command('INCR', 2, ([key], db) => incrementString(db, key, BigInt(1), 'incrby'));
+
+command('DECR', 2, ([key], db) => incrementString(db, key, BigInt(-1), 'decrby'));
+
+command('INCRBY', 3, ([key, increment], db) => incrementString(db, key, util.parseBigInt(increment), 'incrby'));
+
+command('DECRBY', 3, ([key, decrement], db) => incrementString(db, key, -util.parseBigInt(decrement), 'decrby'));
+
+command('INCRBYFLOAT', 3, ([key, increment], db) => {
+    const by     = parseFloat(increment);
+    const value  = db.read(key, 'string');
+    const result = ((value === undefined) ? 0 : parseFloat(value)) + by;
+
+    if (!Number.isFinite(result)) {
+        throw new ErrorReply('ERR increment would produce NaN or Infinity');
+    }
+
+    storeString(db, key, util.formatIncrement(result), 'incrbyfloat');
+
+    return util.formatIncrement(result);
+});
+
+/*
+ * Bitmaps
+ */
+
+/**
+ * Largest bit offset + 1: strings are limited to 512 MB
+ * @type {Number}
+ */
+const MAX_BITS = 512 * 1024 * 1024 * 8;
+
+/**
+ * Read string under the key as Buffer
+ *
+ * @param  {Database} db
+ * @param  {String}   key
+ * @return {Buffer}       Bytes of the string, undefined when there's no key
+ *
+ * @throws {ErrorReply} WRONGTYPE
+ */
+function readBytes(db, key) {
+    const value = db.read(key, 'string');
+
+    return (value === undefined) ? undefined : Buffer.from(value, 'latin1');
+}
+
+/**
+ * Parse bit offset of SETBIT, GETBIT and BITFIELD
+ *
+ * @param  {String} value
+ * @param  {Number} [width=1] Width of the field, `#N` offsets are multiplied by it
+ * @return {Number}
+ */
+function bitOffset(value, width = 1) {
+    const message = 'ERR bit offset is not an integer or out of range';
+    const offset  = value.startsWith('#') ? parseInteger(value.slice(1), message) * width : parseInteger(value, message);
+
+    if (offset < 0 || offset + width > MAX_BITS) {
+        throw new ErrorReply(message);
+    }
+
+    return offset;
+}
+
+/**
+ * Get bit of the buffer, bits past the end are zero
+ *
+ * @param  {Buffer} bytes
+ * @param  {Number} offset Bit offset, the most significant bit of the first byte is 0
+ * @return {Number}        0 or 1
+ */
+function getBit(bytes, offset) {
+    const byte = offset >> 3;
+
+    return (byte < bytes.length) ? (bytes[byte] >> (7 - (offset & 7))) & 1 : 0;
+}
+
+/**
+ * Get buffer with the bit set, extended with zero bytes when needed
+ *
+ * @param  {Buffer} bytes
+ * @param  {Number} offset Bit offset
+ * @param  {Number} bit    0 or 1
+ * @return {Buffer}
+ */
+function setBit(bytes, offset, bit) {
+    const byte = offset >> 3;
+
+    if (byte >= bytes.length) {
+        bytes = Buffer.concat([bytes, Buffer.alloc(byte + 1 - bytes.length)]);
+    }
+
+    bytes[byte] = bit ? bytes[byte] | (0x80 >> (offset & 7)) : bytes[byte] & ~(0x80 >> (offset & 7));
+
+    return bytes;
+}
+
+/**
+ * Resolve range of BITCOUNT and BITPOS into bit indexes: negative indexes
+ * count from the end, indexes are clamped to the string
+ *
+ * @param  {Number}  length Length of the string in bytes
+ * @param  {Array}   range  [start, end, unit] arguments, any of them may be missing
+ * @return {?Number[]}      [first, last] bits (inclusive) or null for empty range
+ */
+function bitRange(length, [start, end, unit]) {
+    let bits = false;
+
+    if (unit !== undefined) {
+        if (!['BYTE', 'BIT'].includes(unit.toUpperCase())) {
+            throw new ErrorReply(ERRORS.syntax);
+        }
+
+        bits = unit.toUpperCase() === 'BIT';
+    }
+
+    const total = bits ? length * 8 : length;
+
+    let first = (start === undefined) ? 0 : parseInteger(start);
+    let last  = (end === undefined) ? total - 1 : parseInteger(end);
+
+    first = Math.max((first < 0) ? total + first : first, 0);
+    last  = Math.min(Math.max((last < 0) ? total + last : last, 0), total - 1);
+
+    if (first > last || total === 0) {
+        return null;
+    }
+
+    return bits ? [first, last] : [first * 8, last * 8 + 7];
+}
+
+command('SETBIT', 4, ([key, offsetArg, bitArg], db) => {
+    const offset = bitOffset(offsetArg);
+
+    if (bitArg !== '0' && bitArg !== '1') {
+        throw new ErrorReply('ERR bit is not an integer or out of range');
+    }
+
+    const bytes    = readBytes(db, key) || Buffer.alloc(0);
+    const previous = getBit(bytes, offset);
+
+    storeString(db, key, setBit(bytes, offset, Number(bitArg)).toString('latin1'), 'setbit');
+
+    return previous;
+});
+
+command('GETBIT', 3, ([key, offset], db) => getBit(readBytes(db, key) || Buffer.alloc(0), bitOffset(offset)));
+
+command('BITCOUNT', -2, ([key, ...range], db) => {
+    if (range.length === 1 || range.length > 3) {
+        throw new ErrorReply(ERRORS.syntax);
+    }
+
+    const bytes  = readBytes(db, key) || Buffer.alloc(0);
+    const bounds = bitRange(bytes.length, range);
+
+    let count = 0;
+
+    for (let bit = 0; bounds !== null && bit <= bounds[1] - bounds[0]; bit++) {
+        count += getBit(bytes, bounds[0] + bit);
+    }
+
+    return count;
+});
+
+command('BITPOS', -3, ([key, bitArg, ...range], db) => {
+    if (bitArg !== '0' && bitArg !== '1') {
+        throw new ErrorReply('ERR The bit argument must be 1 or 0.');
+    }
+
+    if (range.length > 3) {
+        throw new ErrorReply(ERRORS.syntax);
+    }
+
+    const bit    = Number(bitArg);
+    const bytes  = readBytes(db, key);
+    const bounds = bitRange((bytes === undefined) ? 0 : bytes.length, range);
+
+    if (bytes === undefined) {
+        return bit ? -1 : 0;
+    }
+
+    if (bounds === null) {
+        return -1;
+    }
+
+    for (let position = bounds[0]; position <= bounds[1]; position++) {
+        if (getBit(bytes, position) === bit) {
+            return position;
+        }
+    }
+
+    // looking for clear bit without end: the string is padded with zeros
+    return (bit === 0 && range.length < 2) ? bounds[1] + 1 : -1;
+});
+
+/**
+ * Bitwise operations of BITOP over bytes
+ * @type {Object}
+ */
+const BITOPS = {
+    AND: (a, b) => a & b,
+    OR:  (a, b) => a | b,
+    XOR: (a, b) => a ^ b
+};
+
+command('BITOP', -4, ([operation, destination, ...keys], db) => {
+    const op = operation.toUpperCase();
+
+    if (op !== 'NOT' && BITOPS[op] === undefined) {
+        throw new ErrorReply(ERRORS.syntax);
+    }
+
+    if (op === 'NOT' && keys.length !== 1) {
+        throw new ErrorReply('ERR BITOP NOT must be called with a single source key.');
+    }
+
+    const sources = keys.map((key) => readBytes(db, key) || Buffer.alloc(0));
+    const length  = Math.max(...sources.map((bytes) => bytes.length));
+    const result  = Buffer.alloc(length);
+
+    for (let i = 0; i < length; i++) {
+        const bytes = sources.map((source) => (i < source.length) ? source[i] : 0);
+
+        result[i] = (op === 'NOT') ? ~bytes[0] : bytes.reduce(BITOPS[op]);
+    }
+
+    if (length === 0) {
+        if (db.remove(destination)) {
+            db.notify('g', 'del', destination);
+        }
+
+        return 0;
+    }
+
+    db.replace(destination, 'string', result.toString('latin1'));
+    db.touch(destination, '$', 'bitop');
+
+    return length;
+});
+
+/**
+ * Parse type of BITFIELD field: `i` (signed, up to 64 bits) or `u`
+ * (unsigned, up to 63 bits) and width
+ *
+ * @param  {String} type
+ * @return {Object}      {signed, width}
+ */
+function fieldType(type) {
+    const match = /^([iu])([0-9]+)$/.exec(type);
+    const width = match && Number(match[2]);
+
+    if (match === null || width < 1 || width > ((match[1] === 'i') ? 64 : 63)) {
+        throw new ErrorReply('ERR Invalid bitfield type. Use something like i16 u8. Note that u64 is not supported but i64 is.');
+    }
+
+    return {signed: match[1] === 'i', width};
+}
+
+/**
+ * Read integer field of the buffer
+ *
+ * @param  {Buffer} bytes
+ * @param  {Object} field {signed, width, offset}
+ * @return {BigInt}
+ */
+function readField(bytes, field) {
+    let value = BigInt(0);
+
+    for (let i = 0; i < field.width; i++) {
+        value = (value << BigInt(1)) | BigInt(getBit(bytes, field.offset + i));
+    }
+
+    if (field.signed && getBit(bytes, field.offset) === 1) {
+        value -= BigInt(1) << BigInt(field.width);
+    }
+
+    return value;
+}
+
+/**
+ * Write integer field into the buffer (two's complement for signed fields)
+ *
+ * @param  {Buffer} bytes
+ * @param  {Object} field {width, offset}
+ * @param  {BigInt} value Value fitting the field
+ * @return {Buffer}       Buffer with the field, extended when needed
+ */
+function writeField(bytes, field, value) {
+    const bits = BigInt.asUintN(field.width, value);
+
+    for (let i = 0; i < field.width; i++) {
+        bytes = setBit(bytes, field.offset + i, Number((bits >> BigInt(field.width - 1 - i)) & BigInt(1)));
+    }
+
+    return bytes;
+}
+
+/**
+ * Fit value into the field following overflow policy
+ *
+ * @param  {BigInt}  value  Value to store
+ * @param  {Object}  field  {signed, width}
+ * @param  {String}  policy WRAP, SAT or FAIL
+ * @return {?BigInt}        Value to store or null when it does not fit with FAIL
+ */
+function fitField(value, field, policy) {
+    const size = BigInt(1) << BigInt(field.width);
+    const min  = field.signed ? -(size >> BigInt(1)) : BigInt(0);
+    const max  = (field.signed ? (size >> BigInt(1)) : size) - BigInt(1);
+
+    if (value >= min && value <= max) {
+        return value;
+    }
+
+    switch (policy) {
+        case 'WRAP':
+            return field.signed ? BigInt.asIntN(field.width, value) : BigInt.asUintN(field.width, value);
+        case 'SAT':
+            return (value < min) ? min : max;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Parse BITFIELD subcommands
+ *
+ * @param  {String[]} args     Arguments after the key
+ * @param  {Boolean}  readOnly Whether only GET is allowed (BITFIELD_RO)
+ * @return {Object[]}          Operations {op, signed, width, offset, value, policy}
+ */
+function bitfieldOperations(args, readOnly) {
+    const operations = [];
+
+    let policy = 'WRAP';
+
+    for (let i = 0; i < args.length; i++) {
+        const op = args[i].toUpperCase();
+
+        if (readOnly && op !== 'GET') {
+            throw new ErrorReply('ERR BITFIELD_RO only supports the GET subcommand');
+        }
+
+        if (op === 'OVERFLOW' && i + 1 < args.length && ['WRAP', 'SAT', 'FAIL'].includes(args[i + 1].toUpperCase())) {
+            policy = args[++i].toUpperCase();
+        } else if (op === 'OVERFLOW') {
+            throw new ErrorReply('ERR Invalid OVERFLOW type specified');
+        } else if (op === 'GET' && i + 2 < args.length) {
+            const type = fieldType(args[i + 1]);
+
+            operations.push(Object.assign(type, {op, offset: bitOffset(args[i + 2], type.width)}));
+            i += 2;
+        } else if ((op === 'SET' || op === 'INCRBY') && i + 3 < args.length) {
+            const type = fieldType(args[i + 1]);
+
+            operations.push(Object.assign(type, {
+                op,
+                policy,
+                offset: bitOffset(args[i + 2], type.width),
+                value:  util.parseBigInt(args[i + 3])
+            }));
+            i += 3;
+        } else {
+            throw new ErrorReply(ERRORS.syntax);
+        }
+    }
+
+    return operations;
+}
+
+['BITFIELD', 'BITFIELD_RO'].forEach((name) => command(name, -2, ([key, ...args], db) => {
+    const operations = bitfieldOperations(args, name === 'BITFIELD_RO');
+    const writes     = operations.filter((operation) => operation.op !== 'GET');
+
+    let bytes = readBytes(db, key) || Buffer.alloc(0);
+
+    // string grows to fit written fields even when they fail to be written
+    writes.forEach((operation) => {
+        bytes = setBit(bytes, operation.offset + operation.width - 1, getBit(bytes, operation.offset + operation.width - 1));
+    });
+
+    const replies = operations.map((operation) => {
+        const current = readField(bytes, operation);
+
+        if (operation.op === 'GET') {
+            return Number(current);
+        }
+
+        const value = fitField((operation.op === 'SET') ? operation.value : current + operation.value, operation, operation.policy);
+
+        if (value === null) {
+            return null;
+        }
+
+        bytes = writeField(bytes, operation, value);
+
+        return Number((operation.op === 'SET') ? current : value);
+    });
+
+    if (writes.length > 0) {
+        storeString(db, key, bytes.toString('latin1'), 'setbit');
+    }
+
+    return replies;
+}));
+
+/*
+ * HyperLogLog
+ */
+
+/**
+ * Header of HyperLogLog string values, as in Redis
+ * @type {String}
+ */
+const HLL_HEADER = 'HYLL';
+
+/**
+ * Read members counted by HyperLogLog under the key. In-memory server keeps
+ * them all (in a string starting with HYLL), so its counts are exact
+ *
+ * @param  {Database} db
+ * @param  {String}   key
+ * @return {Set}          Members, undefined when there's no key
+ *
+ * @throws {ErrorReply} WRONGTYPE when the key is not a HyperLogLog
+ */
+function readHll(db, key) {
+    const value = db.read(key, 'string');
+
+    if (value === undefined) {
+        return undefined;
+    }
+
+    try {
+        if (!value.startsWith(HLL_HEADER)) {
+            throw new Error();
+        }
+
+        return new Set(JSON.parse(Buffer.from(value.slice(HLL_HEADER.length), 'latin1').toString()));
+    } catch (e) {
+        throw new ErrorReply('WRONGTYPE Key is not a valid HyperLogLog string value.');
+    }
+}
+
+/**
+ * Store members of HyperLogLog under the key keeping its expiry
+ *
+ * @param {Database} db
+ * @param {String}   key
+ * @param {Set}      members
+ */
+function writeHll(db, key, members) {
+    storeString(db, key, HLL_HEADER + util.binary(JSON.stringify(Array.from(members))), 'pfadd');
+}
+
+command('PFADD', -2, ([key, ...elements], db) => {
+    const members = readHll(db, key);
+    const result  = new Set(members);
+
+    elements.forEach((element) => result.add(element));
+
+    if (members !== undefined && result.size === members.size) {
+        return 0;
+    }
+
+    writeHll(db, key, result);
+
+    return 1;
+});
+
+command('PFCOUNT', -2, (keys, db) => {
+    const union = new Set();
+
+    keys.forEach((key) => (readHll(db, key) || []).forEach((member) => union.add(member)));
+
+    return union.size;
+});
+
+command('PFMERGE', -2, ([destination, ...keys], db) => {
+    const union = new Set(readHll(db, destination));
+
+    keys.forEach((key) => (readHll(db, key) || []).forEach((member) => union.add(member)));
+
+    writeHll(db, destination, union);
+
+    return 'OK';
+});
+
+/*
+ * Scripting
+ */
+
+/**
+ * JavaScript implementations of Lua scripts by SHA1 of the source, shared by
+ * all the servers
+ * @type {Map}
+ */
+const implementations = new Map();
+
+/**
+ * Get SHA1 of the script source
+ *
+ * @param  {String} source Source as binary string
+ * @return {String}        Hex digest
+ */
+function sha1(source) {
+    return crypto.createHash('sha1').update(Buffer.from(source, 'latin1')).digest('hex');
+}
+
+/**
+ * Convert value returned by script implementation into internal reply the way
+ * Redis converts Lua values: numbers are truncated to integers, true becomes
+ * 1 and false - null
+ *
+ * @param  {*} value
+ * @return {*}
+ */
+function scriptReply(value) {
+    switch (true) {
+        case (Array.isArray(value)):
+            return value.map(scriptReply);
+        case (typeof value === 'number'):
+            return Math.trunc(value);
+        case (value === true):
+            return 1;
+        case (value === false || value === null || value === undefined):
+            return null;
+        case (value instanceof Error):
+            throw new ErrorReply(value.message);
+        default:
+            return util.binary(value);
+    }
+}
+
+/**
+ * Run implementation of the script with keys and arguments of EVAL-like command
+ *
+ * @param  {String}   source  Lua source (binary string)
+ * @param  {String[]} args    Number of keys, keys and arguments
+ * @param  {Object}   context Context of the command
+ * @return {*}                Internal reply
+ */
+function runScript(source, [numKeys, ...rest], context) {
+    const count = parseInteger(numKeys);
+
+    if (count < 0) {
+        throw new ErrorReply("ERR Number of keys can't be negative");
+    }
+
+    if (count > rest.length) {
+        throw new ErrorReply("ERR Number of keys can't be greater than number of args");
+    }
+
+    const implementation = implementations.get(sha1(source));
+
+    if (implementation === undefined) {
+        throw new ErrorReply('ERR in-memory client does not run Lua, define JavaScript implementation of the script '
+            + 'with memory.defineScript()');
+    }
+
+    const text = (value) => Buffer.from(value, 'latin1').toString();
+    const call = (...args) => {
+        const reply = exports.run(args.map(util.binary), context);
+
+        return util.toReply((reply === BLOCKED) ? null : reply, false);
+    };
+
+    return scriptReply(implementation(rest.slice(0, count).map(text), rest.slice(count).map(text), call));
+}
+
+/**
+ * Parse function library made of one function of (KEYS, ARGV), the way
+ * {@link Script} builds them
+ *
+ * @param  {String} code Library code (binary string)
+ * @return {Object}      {name, functions: Map of function names and their sources}
+ */
+function parseLibrary(code) {
+    const header = /^#!lua name=([A-Za-z0-9_]+)\n/.exec(code);
+
+    if (header === null) {
+        throw new ErrorReply('ERR Missing library metadata');
+    }
+
+    const body = /redis\.register_function\(\s*'([A-Za-z0-9_]+)'\s*,\s*function\s*\(\s*KEYS\s*,\s*ARGV\s*\)\n([\s\S]*)\nend\)\s*$/
+        .exec(code.slice(header[0].length));
+
+    if (body === null) {
+        throw new ErrorReply('ERR in-memory client supports libraries of one function(KEYS, ARGV)');
+    }
+
+    return {name: header[1], functions: new Map([[body[1], body[2]]])};
+}
+
+/**
+ * Find source of the function in loaded libraries
+ *
+ * @param  {Server}  server
+ * @param  {String}  name   Name of the function
+ * @return {?String}        Source
+ */
+function functionSource(server, name) {
+    for (const library of server.libraries.values()) {
+        if (library.functions.has(name)) {
+            return library.functions.get(name);
+        }
+    }
+
+    return null;
+}
+
+command('EVAL', -3, ([source, ...args], db, context) => runScript(source, args, context));
+
+command('EVALSHA', -3, ([sha, ...args], db, context) => {
+    const source = context.server.scripts.get(sha.toLowerCase());
+
+    if (source === undefined) {
+        throw new ErrorReply('NOSCRIPT No matching script. Please use EVAL.');
+    }
+
+    return runScript(source, args, context);
+});
+
+command('SCRIPT', -2, ([subcommand, ...args], db, context) => {
+    switch (subcommand.toUpperCase()) {
+        case 'LOAD': {
+            if (args.length !== 1) {
+                throw arityError('script|load');
+            }
+
+            const sha = sha1(args[0]);
+
+            context.server.scripts.set(sha, args[0]);
+
+            return sha;
+        }
+        case 'EXISTS':
+            return args.map((sha) => context.server.scripts.has(sha.toLowerCase()) ? 1 : 0);
+        case 'FLUSH':
+            context.server.scripts.clear();
+
+            return 'OK';
+        default:
+            throw new ErrorReply("ERR unknown subcommand '" + subcommand + "'. Try SCRIPT HELP.");
+    }
+});
+
+command('FUNCTION', -2, ([subcommand, ...args], db, context) => {
+    const libraries = context.server.libraries;
+
+    switch (subcommand.toUpperCase()) {
+        case 'LOAD': {
+            const replace = args.length === 2 && args[0].toUpperCase() === 'REPLACE';
+
+            if (args.length !== (replace ? 2 : 1)) {
+                throw new ErrorReply(ERRORS.syntax);
+            }
+
+            const library = parseLibrary(args[args.length - 1]);
+
+            if (libraries.has(library.name) && !replace) {
+                throw new ErrorReply("ERR Library '" + library.name + "' already exists");
+            }
+
+            library.functions.forEach((source, name) => {
+                const owner = Array.from(libraries.values()).find((other) => other.name !== library.name && other.functions.has(name));
+
+                if (owner !== undefined) {
+                    throw new ErrorReply('ERR Function ' + name + ' already exists');
+                }
+            });
+
+            libraries.set(library.name, library);
+
+            return library.name;
+        }
+        case 'DELETE':
+            if (!libraries.delete(args[0])) {
+                throw new ErrorReply('ERR Library not found');
+            }
+
+            return 'OK';
+        case 'FLUSH':
+            libraries.clear();
+
+            return 'OK';
+        default:
+            throw new ErrorReply("ERR unknown subcommand '" + subcommand + "'. Try FUNCTION HELP.");
+    }
+});
+
+// functions of supported libraries are registered without flags, that is
+// they may write and FCALL_RO refuses to run them
+['FCALL', 'FCALL_RO'].forEach((name) => command(name, -3, ([fn, ...args], db, context) => {
+    const source = functionSource(context.server, fn);
+
+    if (source === null) {
+        throw new ErrorReply('ERR Function not found');
+    }
+
+    if (name === 'FCALL_RO') {
+        throw new ErrorReply('ERR Can not execute a script with write flag using *_ro command.');
+    }
+
+    return runScript(source, args, context);
+}));
+
+/**
+ * Define JavaScript implementation of Lua script for in-memory servers, as
+ * they do not interpret Lua. Implementation is a function of (keys, args,
+ * call) where `call(...args)` runs command just like `redis.call` does; it
+ * returns reply the way Lua script would (numbers are truncated to integers)
+ *
+ * @param {String}   source         Lua source of the script
+ * @param {Function} implementation Function of (keys, args, call)
+ */
+exports.defineScript = function (source, implementation) {
+    implementations.set(sha1(util.binary(source)), implementation);
+};
+
+/**
+ * Run command synchronously
+ *
+ * @param  {String[]} args    Name and arguments as binary strings
+ * @param  {Object}   context {server, client, db}; blocking commands set `timeout`
+ * @return {*}                Internal reply or BLOCKED
+ *
+ * @throws {ErrorReply} When command fails
+ */
+exports.run = function (args, context) {
+    const spec     = exports.check(args);
+    const tracking = context.server.tracking.get(context.client);
+
+    if (tracking === undefined || tracking.bcast) {
+        return spec.fn(args.slice(1), context.db, context);
+    }
+
+    return context.db.track(tracking.keys, () => spec.fn(args.slice(1), context.db, context));
+};
+
+/**
+ * Find command and check number of its arguments, as Redis does when command
+ * is queued in MULTI
+ *
+ * @param  {String[]} args Name and arguments
+ * @return {Object}        Command spec
+ *
+ * @throws {ErrorReply} Unknown command or wrong number of arguments
+ */
+exports.check = function (args) {
+    const name = String(args[0]).toUpperCase();
+    const spec = commands[name];
+
+    if (spec === undefined) {
+        throw new ErrorReply("ERR unknown command '" + args[0] + "', with args beginning with: "
+            + args.slice(1).map((arg) => "'" + arg + "' ").join(''));
+    }
+
+    if ((spec.arity > 0 && args.length !== spec.arity) || (spec.arity < 0 && args.length < -spec.arity)) {
+        throw arityError(name);
+    }
+
+    return spec;
+};
+
+exports.commands = commands;
+exports.BLOCKED  = BLOCKED;
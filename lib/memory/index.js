@@ -0,0 +1,602 @@
+/**
+ * In-memory Redis client for tests and prototyping: a stand-in for node-redis
+ * v4 client which keeps data in process memory
+ *
+ * ```JavaScript
+ * const memory = require('redis-type/memory');
+ * const types  = require('redis-type')(memory.createClient());
+ *
+ * const users = new types.Hash('users', true);
+ * ```
+ *
+ * It implements every command the wrappers issue with Redis semantics -
+ * errors (WRONGTYPE etc), negative indexes, expiry of keys and hash fields,
+ * blocking pops, MULTI/EXEC with WATCH, pub/sub and keyspace notifications.
+ * Clients created with `duplicate()` (or by `createClient({server})`) share
+ * data; every `createClient()` starts with an empty server
+ *
+ * @module memory
+ */
+
+'use strict';
+
+const events   = require('events');
+const util     = require('./util');
+const commands = require('./commands');
+const {Server} = require('./server');
+
+/**
+ * Marks options object passed as the first argument of typed commands
+ * @type {Symbol}
+ */
+const OPTIONS = Symbol('Command Options');
+
+/**
+ * Typed commands which turn their arguments into boolean
+ * @type {String[]}
+ */
+const BOOLEAN_REPLIES = ['EXPIRE', 'EXPIREAT', 'PEXPIRE', 'PEXPIREAT', 'PERSIST', 'HEXISTS', 'HSETNX', 'SISMEMBER', 'SMOVE'];
+
+/**
+ * Reply transformations of typed commands, the same node-redis v4 applies
+ * @type {Object}
+ */
+const TRANSFORMS = {
+    SMISMEMBER: (reply) => reply.map((value) => value === 1),
+    HGETALL:    (reply) => {
+        const object = Object.create(null);
+
+        for (let i = 0; i < reply.length; i += 2) {
+            object[reply[i].toString()] = reply[i + 1];
+        }
+
+        return object;
+    },
+    ZSCORE:     (reply) => (reply === null) ? null : util.parseFloat(reply.toString()),
+    ZINCRBY:    (reply) => util.parseFloat(reply.toString())
+};
+
+BOOLEAN_REPLIES.forEach((name) => {
+    TRANSFORMS[name] = (reply) => reply === 1;
+});
+
+/**
+ * Commands available as typed methods (`client.HSET(key, ...)`). Arguments
+ * are flattened: arrays are spread, objects and Maps become field-value pairs,
+ * Dates - unix time in seconds
+ * @type {String[]}
+ */
+const TYPED = [
+    'PING', 'DBSIZE', 'FLUSHDB', 'FLUSHALL', 'SELECT', 'PUBLISH',
+    'EXISTS', 'TYPE', 'DEL', 'UNLINK', 'KEYS', 'EXPIRE', 'PEXPIRE', 'EXPIREAT', 'PEXPIREAT', 'TTL', 'PTTL', 'PERSIST',
+    'WATCH', 'UNWATCH',
+    'HSET', 'HMSET', 'HSETNX', 'HGET', 'HMGET', 'HGETALL', 'HKEYS', 'HVALS', 'HLEN', 'HEXISTS', 'HSTRLEN', 'HDEL',
+    'HINCRBY', 'HINCRBYFLOAT',
+    'LPUSH', 'RPUSH', 'LPUSHX', 'RPUSHX', 'LPOP', 'RPOP', 'LLEN', 'LRANGE', 'LINDEX', 'LSET', 'LINSERT', 'LTRIM', 'LREM',
+    'SADD', 'SREM', 'SCARD', 'SISMEMBER', 'SMISMEMBER', 'SMEMBERS', 'SPOP', 'SRANDMEMBER', 'SMOVE',
+    'SUNION', 'SINTER', 'SDIFF', 'SUNIONSTORE', 'SINTERSTORE', 'SDIFFSTORE',
+    'ZCARD', 'ZSCORE', 'ZINCRBY', 'ZREM', 'ZRANK', 'ZREVRANK', 'ZCOUNT'
+];
+
+/**
+ * Turn arguments of typed method into command arguments
+ *
+ * @param  {String} name Name of the command
+ * @param  {Array}  args Arguments of the method
+ * @return {Array}       Command with arguments
+ */
+function transformArguments(name, args) {
+    const result = [name];
+
+    const push = (value) => {
+        if (Array.isArray(value)) {
+            value.forEach(push);
+        } else if (value instanceof Map) {
+            value.forEach((field, key) => result.push(key, field));
+        } else if (value instanceof Date) {
+            result.push(String(Math.floor(value.getTime() / 1000)));
+        } else if (value !== null && typeof value === 'object' && !Buffer.isBuffer(value)) {
+            Object.keys(value).forEach((key) => result.push(key, value[key]));
+        } else if (value !== undefined) {
+            result.push(value);
+        }
+    };
+
+    args.forEach(push);
+
+    return result;
+}
+
+/**
+ * Commands queued by `client.multi()`, run at once with `exec()`. Typed
+ * methods queue commands through `addCommand`, so it may be replaced to
+ * capture them
+ */
+class Multi {
+
+    /**
+     * @param {Client} client Client to run commands with
+     */
+    constructor(client) {
+        this.client = client;
+        this.queue  = [];
+    }
+
+    /**
+     * Queue raw command
+     *
+     * @param  {Array}    args             Command with arguments
+     * @param  {Function} [transformReply] Function to transform reply with
+     * @return {Multi}
+     */
+    addCommand(args, transformReply) {
+        this.queue.push({args, transformReply});
+
+        return this;
+    }
+
+    /**
+     * Run queued commands atomically
+     *
+     * @return {Promise<Array>} Replies, failed commands are replied with ErrorReply
+     *
+     * @throws {WatchError} When watched key was changed
+     * @throws {ErrorReply} EXECABORT when some command is unknown or has wrong arguments
+     */
+    exec() {
+        const queue = this.queue.splice(0);
+
+        return this.client.runQueue(queue);
+    }
+
+    /**
+     * Run queued commands, node-redis runs them without MULTI - here it's the
+     * same as exec
+     *
+     * @return {Promise<Array>}
+     */
+    execAsPipeline() {
+        return this.exec();
+    }
+}
+
+/**
+ * In-memory client with the same interface node-redis v4 client has:
+ * `sendCommand`, typed methods, `multi`, `executeIsolated`, `duplicate`,
+ * pub/sub and connection methods
+ *
+ * @extends EventEmitter
+ */
+class Client extends events.EventEmitter {
+
+    /**
+     * @param {Object} [options={}]          Options
+     * @param {Server} [options.server]      Server to connect to, new one by default
+     * @param {Number} [options.database=0]  Number of the database
+     */
+    constructor(options = {}) {
+        super();
+
+        this.options       = Object.assign({}, options);
+        this.server        = options.server || new Server();
+        this.database      = options.database || 0;
+        this.isOpen        = false;
+        this.isReady       = false;
+        this.watched       = new Map();
+        this.dirty         = false;
+        this.subscriptions = [];
+        this.pending       = new Set();
+        this.id            = this.server.nextClientId++;
+
+        delete this.options.server;
+    }
+
+    /**
+     * "Connect" the client, commands may be sent without it too
+     *
+     * @return {Promise<Client>}
+     */
+    async connect() {
+        this.isOpen  = true;
+        this.isReady = true;
+        this.emit('connect');
+        this.emit('ready');
+
+        return this;
+    }
+
+    /**
+     * Close the client after pending commands
+     *
+     * @return {Promise<String>}
+     */
+    async quit() {
+        await Promise.all(Array.from(this.pending, (command) => command.promise));
+
+        this.close();
+
+        return 'OK';
+    }
+
+    /**
+     * Close the client at once, blocked commands are rejected
+     *
+     * @return {Promise}
+     */
+    async disconnect() {
+        this.pending.forEach((command) => command.reject(new Error('Disconnects client')));
+        this.close();
+    }
+
+    /**
+     * Create client connected to the same server
+     *
+     * @param  {Object} [overrides] Options to override
+     * @return {Client}
+     */
+    duplicate(overrides) {
+        return new Client(Object.assign({}, this.options, overrides, {server: this.server}));
+    }
+
+    /**
+     * Wrap options of typed commands, e.g. `{returnBuffers: true}`
+     *
+     * @param  {Object} options
+     * @return {Object}
+     */
+    commandOptions(options) {
+        return Object.assign({[OPTIONS]: true}, options);
+    }
+
+    /**
+     * Run raw command
+     *
+     * @param  {Array}   args                    Command with arguments (Strings or Buffers)
+     * @param  {Object}  [options={}]            Options
+     * @param  {Boolean} [options.returnBuffers] Return strings as Buffers
+     * @return {Promise}                         Reply
+     */
+    sendCommand(args, options = {}) {
+        const binary  = args.map(util.binary);
+        const context = this.context();
+
+        try {
+            const reply = commands.run(binary, context);
+
+            context.db.wake();
+
+            if (reply !== commands.BLOCKED) {
+                return Promise.resolve(util.toReply(reply, options.returnBuffers));
+            }
+        } catch (e) {
+            context.db.wake();
+
+            return Promise.reject(e);
+        }
+
+        return this.block(binary, context, options);
+    }
+
+    /**
+     * Create queue of commands to run atomically
+     *
+     * @return {Multi}
+     */
+    multi() {
+        return new Multi(this);
+    }
+
+    /**
+     * Run function with client of its own, so WATCH and blocking commands do
+     * not affect other users of this client
+     *
+     * @param  {Function} fn Function of the isolated client
+     * @return {Promise}     Result of the function
+     */
+    async executeIsolated(fn) {
+        const isolated = this.duplicate();
+
+        try {
+            return await fn(isolated);
+        } finally {
+            isolated.close();
+        }
+    }
+
+    /**
+     * Subscribe to channel(s)
+     *
+     * @param  {String|String[]} channels
+     * @param  {Function}        listener Function of (message, channel)
+     * @param  {Boolean}         [buffers=false] Whether to receive Buffers
+     * @return {Promise}
+     */
+    async subscribe(channels, listener, buffers = false) {
+        this.addSubscriptions(false, channels, listener, buffers);
+    }
+
+    /**
+     * Subscribe to channels matching pattern(s)
+     *
+     * @param  {String|String[]} patterns
+     * @param  {Function}        listener Function of (message, channel)
+     * @param  {Boolean}         [buffers=false] Whether to receive Buffers
+     * @return {Promise}
+     */
+    async pSubscribe(patterns, listener, buffers = false) {
+        this.addSubscriptions(true, patterns, listener, buffers);
+    }
+
+    /**
+     * Unsubscribe listener (all of them when omitted) from channel(s), all
+     * channels when omitted
+     *
+     * @param  {String|String[]} [channels]
+     * @param  {Function}        [listener]
+     * @return {Promise}
+     */
+    async unsubscribe(channels, listener) {
+        this.removeSubscriptions(false, channels, listener);
+    }
+
+    /**
+     * Unsubscribe from pattern(s), see {@link Client#unsubscribe}
+     *
+     * @param  {String|String[]} [patterns]
+     * @param  {Function}        [listener]
+     * @return {Promise}
+     */
+    async pUnsubscribe(patterns, listener) {
+        this.removeSubscriptions(true, patterns, listener);
+    }
+
+    /**
+     * Remember the key for the next EXEC to check
+     *
+     * @private
+     * @param {Database} db
+     * @param {String}   key
+     */
+    watchKey(db, key) {
+        if (!db.watchers.has(key)) {
+            db.watchers.set(key, new Set());
+        }
+
+        db.watchers.get(key).add(this);
+        this.watched.set(db.watchers.get(key), key);
+    }
+
+    /**
+     * Forget watched keys
+     *
+     * @private
+     */
+    unwatchKeys() {
+        this.watched.forEach((key, watchers) => watchers.delete(this));
+        this.watched.clear();
+        this.dirty = false;
+    }
+
+    /**
+     * Run commands of MULTI: they are checked first (EXECABORT), then watched
+     * keys (WatchError), then all the commands are run at once
+     *
+     * @private
+     * @param  {Object[]}       queue Commands {args, transformReply}
+     * @return {Promise<Array>}       Replies
+     */
+    async runQueue(queue) {
+        const dirty = this.dirty;
+
+        this.unwatchKeys();
+
+        const binaries = queue.map(({args}) => args.map(util.binary));
+
+        try {
+            binaries.forEach((args) => commands.check(args));
+        } catch (e) {
+            throw new util.ErrorReply(util.ERRORS.execAbort);
+        }
+
+        if (dirty) {
+            throw new util.WatchError();
+        }
+
+        const context = this.context();
+        const replies = binaries.map((args) => {
+            try {
+                const reply = commands.run(args, context);
+
+                return (reply === commands.BLOCKED) ? null : util.toReply(reply, false);
+            } catch (e) {
+                return e;
+            }
+        });
+
+        context.db.wake();
+
+        return replies.map((reply, i) => (reply instanceof Error || !queue[i].transformReply)
+            ? reply
+            : queue[i].transformReply(reply));
+    }
+
+    /**
+     * Context for commands
+     *
+     * @private
+     * @return {Object}
+     */
+    context() {
+        return {server: this.server, client: this, db: this.server.database(this.database)};
+    }
+
+    /**
+     * Wait until blocked command can be run or its timeout passes
+     *
+     * @private
+     * @param  {String[]} args    Command
+     * @param  {Object}   context Context the command was blocked in (with timeout)
+     * @param  {Object}   options Options of sendCommand
+     * @return {Promise}
+     */
+    block(args, context, options) {
+        const db = context.db;
+        const pending = {};
+
+        context.retrying = true;
+
+        pending.promise = new Promise((resolve, reject) => {
+            const finish = () => {
+                clearTimeout(pending.timer);
+                db.blocked.splice(db.blocked.indexOf(pending.retry), 1);
+                this.pending.delete(pending);
+            };
+
+            pending.retry = () => {
+                try {
+                    const reply = commands.run(args, context);
+
+                    if (reply !== commands.BLOCKED) {
+                        finish();
+                        resolve(util.toReply(reply, options.returnBuffers));
+                    }
+                } catch (e) {
+                    finish();
+                    reject(e);
+                }
+            };
+
+            pending.reject = (error) => {
+                finish();
+                reject(error);
+            };
+
+            if (context.timeout > 0) {
+                pending.timer = setTimeout(() => {
+                    finish();
+                    resolve(null);
+                }, context.timeout);
+            }
+        });
+
+        db.blocked.push(pending.retry);
+        this.pending.add(pending);
+
+        return pending.promise;
+    }
+
+    /**
+     * Add subscriptions to channels or patterns
+     *
+     * @private
+     * @param {Boolean}         pattern
+     * @param {String|String[]} channels
+     * @param {Function}        listener
+     * @param {Boolean}         buffers
+     */
+    addSubscriptions(pattern, channels, listener, buffers) {
+        [].concat(channels).forEach((channel) => {
+            const subscription = {client: this, pattern, channel: util.binary(channel), listener, buffers};
+
+            this.subscriptions.push(subscription);
+            this.server.subscribe(pattern, subscription.channel, subscription);
+        });
+    }
+
+    /**
+     * Remove subscriptions to channels or patterns
+     *
+     * @private
+     * @param {Boolean}         pattern
+     * @param {String|String[]} [channels]
+     * @param {Function}        [listener]
+     */
+    removeSubscriptions(pattern, channels, listener) {
+        const names  = (channels === undefined) ? null : [].concat(channels).map(util.binary);
+        const filter = (subscription) => subscription.pattern === pattern
+            && (names === null || names.includes(subscription.channel))
+            && (listener === undefined || subscription.listener === listener);
+
+        this.subscriptions.filter(filter).forEach((subscription) => {
+            this.server.unsubscribe(pattern, subscription.channel, (other) => other === subscription);
+        });
+
+        this.subscriptions = this.subscriptions.filter((subscription) => !filter(subscription));
+    }
+
+    /**
+     * Mark client as closed and drop its subscriptions and watched keys
+     *
+     * @private
+     */
+    close() {
+        this.removeSubscriptions(false);
+        this.removeSubscriptions(true);
+        this.unwatchKeys();
+        this.server.tracking.delete(this);
+
+        if (this.isOpen) {
+            this.isOpen  = false;
+            this.isReady = false;
+            this.emit('end');
+        }
+    }
+}
+
+TYPED.forEach((name) => {
+    const transformReply = TRANSFORMS[name];
+
+    Client.prototype[name] = function (...args) {
+        const options = (args.length > 0 && args[0] !== null && typeof args[0] === 'object' && args[0][OPTIONS] === true)
+            ? args.shift()
+            : undefined;
+
+        return this.sendCommand(transformArguments(name, args), options)
+            .then((reply) => transformReply ? transformReply(reply) : reply);
+    };
+
+    Multi.prototype[name] = function (...args) {
+        if (args.length > 0 && args[0] !== null && typeof args[0] === 'object' && args[0][OPTIONS] === true) {
+            args.shift();
+        }
+
+        return this.addCommand(transformArguments(name, args), transformReply);
+    };
+});
+
+/**
+ * Create in-memory client
+ *
+ * @param  {Object} [options={}]         Options
+ * @param  {Server} [options.server]     Server to share data with, new one by default
+ * @param  {Number} [options.database=0] Number of the database
+ * @return {Client}
+ */
+exports.createClient = function (options = {}) {
+    return new Client(options);
+};
+
+/**
+ * Define JavaScript implementation of Lua script, see {@link Script}: the
+ * in-memory server does not interpret Lua
+ *
+ * ```JavaScript
+ * memory.defineScript(source, (keys, args, call) => {
+ *     const length = call('RPUSH', keys[0], args[0]);
+ *
+ *     call('LTRIM', keys[0], -Number(args[1]), -1);
+ *
+ *     return Math.min(length, Number(args[1]));
+ * });
+ * ```
+ *
+ * @param {String}   source         Lua source of the script (function body for FUNCTION libraries)
+ * @param {Function} implementation Function of (keys, args, call) where `call(...args)` runs
+ *                                  command like `redis.call` does and returns its reply
+ */
+exports.defineScript = commands.defineScript;
+
+exports.Client     = Client;
+exports.Server     = Server;
+exports.ErrorReply = util.ErrorReply;
+exports.WatchError = util.WatchError;
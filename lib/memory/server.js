@@ -0,0 +1,569 @@
+/**
+ * Data of the in-memory server: databases with typed keys, expiry, WATCH
+ * tracking, blocked clients, config and pub/sub with keyspace notifications
+ */
+
+'use strict';
+
+const {ErrorReply, ERRORS, matchGlob} = require('./util');
+
+/**
+ * Classes of notify-keyspace-events which `A` stands for
+ * @type {String}
+ */
+const ALL_CLASSES = 'g$lshzxetd';
+
+/**
+ * Order in which Redis prints notify-keyspace-events classes
+ * @type {String}
+ */
+const CLASS_ORDER = 'g$lshzxetdmn';
+
+/**
+ * Largest delay setTimeout accepts; later expiry is checked on access only
+ * @type {Number}
+ */
+const MAX_TIMER = 2147483647;
+
+/**
+ * Channel of invalidation messages of client side caching (RESP2 redirect mode)
+ * @type {String}
+ */
+const INVALIDATE_CHANNEL = '__redis__:invalidate';
+
+/**
+ * One numbered database: keys with their types, values and expiry
+ */
+class Database {
+
+    /**
+     * @param {Server} server Server the database belongs to
+     * @param {Number} index  Number of the database
+     */
+    constructor(server, index) {
+        this.server   = server;
+        this.index    = index;
+        this.keys     = new Map();
+        this.watchers = new Map();
+        this.blocked  = [];
+        this.changed  = false;
+        this.version  = 0;
+        this.reads    = null;
+        this.nextId   = 1;
+    }
+
+    /**
+     * Get entry of the key, removing it (and expired hash fields) when expired
+     *
+     * @param  {String} key
+     * @return {Object} Entry {type, value, expiresAt, id} or undefined
+     */
+    lookup(key) {
+        const entry = this.keys.get(key);
+
+        if (this.reads !== null) {
+            this.reads.add(key);
+        }
+
+        if (entry === undefined) {
+            return undefined;
+        }
+
+        const now = Date.now();
+
+        if (entry.expiresAt !== null && entry.expiresAt <= now) {
+            this.remove(key);
+            this.notify('x', 'expired', key);
+
+            return undefined;
+        }
+
+        if (entry.fieldExpiry !== undefined && entry.fieldExpiry.size > 0) {
+            let expired = false;
+
+            entry.fieldExpiry.forEach((time, field) => {
+                if (time <= now) {
+                    entry.value.delete(field);
+                    entry.fieldExpiry.delete(field);
+                    expired = true;
+                }
+            });
+
+            if (expired) {
+                this.touch(key, 'h', 'hexpired');
+
+                return this.keys.get(key);
+            }
+        }
+
+        return entry;
+    }
+
+    /**
+     * Get value of the key checking its type
+     *
+     * @param  {String} key
+     * @param  {String} type Expected type (hash, list, set, zset, string)
+     * @return {*}           Value or undefined when there's no key
+     *
+     * @throws {ErrorReply} WRONGTYPE
+     */
+    read(key, type) {
+        const entry = this.lookup(key);
+
+        if (entry === undefined) {
+            return undefined;
+        }
+
+        if (entry.type !== type) {
+            throw new ErrorReply(ERRORS.wrongType);
+        }
+
+        return entry.value;
+    }
+
+    /**
+     * Get value of the key creating an empty one when there's no key. Empty
+     * values are removed by {@link Database#touch}
+     *
+     * @param  {String} key
+     * @param  {String} type Expected type
+     * @return {*}           Value
+     *
+     * @throws {ErrorReply} WRONGTYPE
+     */
+    create(key, type) {
+        const value = this.read(key, type);
+
+        if (value !== undefined) {
+            return value;
+        }
+
+        const entry = {type, value: empty(type), expiresAt: null, timer: null, id: this.nextId++};
+
+        if (type === 'hash') {
+            entry.fieldExpiry = new Map();
+        }
+
+        this.keys.set(key, entry);
+
+        return entry.value;
+    }
+
+    /**
+     * Store new value under the key, replacing whatever it was (and its expiry)
+     *
+     * @param {String} key
+     * @param {String} type
+     * @param {*}      value
+     */
+    replace(key, type, value) {
+        this.remove(key);
+        this.create(key, type);
+        this.keys.get(key).value = value;
+    }
+
+    /**
+     * Remove the key
+     *
+     * @param  {String}  key
+     * @param  {Boolean} [invalidate=true] Whether to send invalidation message
+     * @return {Boolean}                   Whether key existed
+     */
+    remove(key, invalidate = true) {
+        const entry = this.keys.get(key);
+
+        if (entry === undefined) {
+            return false;
+        }
+
+        clearTimeout(entry.timer);
+        this.keys.delete(key);
+        this.signal(key, invalidate);
+
+        return true;
+    }
+
+    /**
+     * Register modification of the key: watchers are invalidated, blocked
+     * clients are woken up, keyspace event is sent. Keys left empty are removed
+     * (with `del` event)
+     *
+     * @param {String} key
+     * @param {String} type  Class of keyspace event
+     * @param {String} event Name of keyspace event, null when nothing was
+     *                       changed and the key only has to be removed if empty
+     */
+    touch(key, type, event) {
+        const entry = this.keys.get(key);
+
+        if (event === null) {
+            if (entry !== undefined && entry.type !== 'string' && size(entry.value) === 0) {
+                clearTimeout(entry.timer);
+                this.keys.delete(key);
+            }
+
+            return;
+        }
+
+        this.signal(key);
+        this.notify(type, event, key);
+
+        if (entry !== undefined && entry.type !== 'string' && size(entry.value) === 0) {
+            this.remove(key);
+            this.notify('g', 'del', key);
+        }
+    }
+
+    /**
+     * Set expiry of the key
+     *
+     * @param {String} key
+     * @param {Number} time Unix time in milliseconds or null to persist
+     */
+    expire(key, time) {
+        const entry = this.keys.get(key);
+
+        clearTimeout(entry.timer);
+
+        entry.expiresAt = time;
+        entry.timer     = null;
+
+        if (time !== null && time - Date.now() < MAX_TIMER) {
+            entry.timer = setTimeout(() => this.lookup(key), Math.max(time - Date.now(), 0));
+            entry.timer.unref();
+        }
+    }
+
+    /**
+     * Mark clients watching the key as dirty and remember to wake blocked ones
+     *
+     * @param {String}  key
+     * @param {Boolean} [invalidate=true] Whether to send invalidation message
+     */
+    signal(key, invalidate = true) {
+        const watchers = this.watchers.get(key);
+
+        if (watchers !== undefined) {
+            watchers.forEach((client) => {
+                client.dirty = true;
+            });
+        }
+
+        this.changed = true;
+        this.version++;
+
+        if (invalidate) {
+            this.server.invalidate(key);
+        }
+    }
+
+    /**
+     * Run command of a client tracking keys in default mode: keys it looked up
+     * are remembered, unless the command modified the database (tracking keys
+     * of read-only commands only, as Redis does)
+     *
+     * @param  {Set}      keys Keys tracked for the client
+     * @param  {Function} fn   Function running the command
+     * @return {*}             Result of the function
+     */
+    track(keys, fn) {
+        if (this.reads !== null) {
+            return fn();
+        }
+
+        const reads   = this.reads = new Set();
+        const version = this.version;
+
+        try {
+            return fn();
+        } finally {
+            this.reads = null;
+
+            if (this.version === version) {
+                reads.forEach((key) => keys.add(key));
+            }
+        }
+    }
+
+    /**
+     * Send keyspace (and keyevent) notification when it's enabled in config
+     *
+     * @param {String} type  Class of event
+     * @param {String} event Name of event
+     * @param {String} key   Key
+     */
+    notify(type, event, key) {
+        const flags = this.server.notifyFlags;
+
+        if (!flags.includes(type)) {
+            return;
+        }
+
+        if (flags.includes('K')) {
+            this.server.publish('__keyspace@' + this.index + '__:' + key, event);
+        }
+
+        if (flags.includes('E')) {
+            this.server.publish('__keyevent@' + this.index + '__:' + event, key);
+        }
+    }
+
+    /**
+     * Let clients blocked by BLPOP and alike retry their commands, in the
+     * order they were blocked, while some of them succeed
+     */
+    wake() {
+        while (this.changed) {
+            this.changed = false;
+
+            this.blocked.slice().forEach((retry) => retry());
+        }
+    }
+
+    /**
+     * Remove all the keys; invalidation of them is up to the caller, Redis
+     * sends one message for the whole flush (see {@link Server#invalidate})
+     */
+    flush() {
+        Array.from(this.keys.keys()).forEach((key) => this.remove(key, false));
+    }
+}
+
+/**
+ * In-memory Redis server shared by the clients connected to it
+ */
+class Server {
+
+    constructor() {
+        this.databases   = new Map();
+        this.channels    = new Map();
+        this.patterns    = new Map();
+        this.config      = new Map([
+            ['notify-keyspace-events', ''],
+            ['databases', '16']
+        ]);
+        this.notifyFlags = '';
+        this.nextClientId = 1;
+        this.tracking    = new Map();
+        this.scripts     = new Map();
+        this.libraries   = new Map();
+    }
+
+    /**
+     * Get database by number
+     *
+     * @param  {Number}   index
+     * @return {Database}
+     */
+    database(index) {
+        if (!this.databases.has(index)) {
+            this.databases.set(index, new Database(this, index));
+        }
+
+        return this.databases.get(index);
+    }
+
+    /**
+     * Get config parameters matching the pattern
+     *
+     * @param  {String} pattern Glob-style pattern
+     * @return {Array}          Flat array of names and values
+     */
+    getConfig(pattern) {
+        const reply = [];
+
+        this.config.forEach((value, name) => {
+            if (matchGlob(pattern.toLowerCase(), name)) {
+                reply.push(name, value);
+            }
+        });
+
+        return reply;
+    }
+
+    /**
+     * Set config parameter
+     *
+     * @param {String} name
+     * @param {String} value
+     *
+     * @throws {ErrorReply} When parameter is unknown or value is invalid
+     */
+    setConfig(name, value) {
+        name = name.toLowerCase();
+
+        if (name !== 'notify-keyspace-events') {
+            throw new ErrorReply("ERR Unknown option or number of arguments for CONFIG SET - '" + name + "'");
+        }
+
+        if (/[^KEA]/.test(value.replace(/[g$lshzxetdmn]/g, ''))) {
+            throw new ErrorReply("ERR CONFIG SET failed (possibly related to argument 'notify-keyspace-events') - Invalid event class character. Use 'Ag$lshzxeKEtmdn'.");
+        }
+
+        const flags = value.replace('A', ALL_CLASSES);
+        let canonical = CLASS_ORDER.split('').filter((flag) => flags.includes(flag)).join('');
+
+        if (ALL_CLASSES.split('').every((flag) => flags.includes(flag))) {
+            canonical = 'A' + canonical.replace(/[g$lshzxetd]/g, '');
+        }
+
+        if (flags.includes('K')) {
+            canonical += 'K';
+        }
+
+        if (flags.includes('E')) {
+            canonical += 'E';
+        }
+
+        // events are sent only when K or E is present
+        this.notifyFlags = /[KE]/.test(flags) ? flags : '';
+        this.config.set(name, canonical);
+    }
+
+    /**
+     * Subscribe listener to channel or pattern
+     *
+     * @param {Boolean}  pattern  Whether channel is a pattern
+     * @param {String}   channel  Channel (binary string)
+     * @param {Object}   listener Subscription {client, listener, buffers}
+     */
+    subscribe(pattern, channel, listener) {
+        const map = pattern ? this.patterns : this.channels;
+
+        if (!map.has(channel)) {
+            map.set(channel, new Set());
+        }
+
+        map.get(channel).add(listener);
+    }
+
+    /**
+     * Remove subscriptions of the client to channel or pattern
+     *
+     * @param {Boolean}  pattern    Whether channel is a pattern
+     * @param {String}   channel    Channel (binary string)
+     * @param {Function} filter     Function telling which subscriptions to remove
+     */
+    unsubscribe(pattern, channel, filter) {
+        const map = pattern ? this.patterns : this.channels;
+        const subscriptions = map.get(channel);
+
+        if (subscriptions === undefined) {
+            return;
+        }
+
+        subscriptions.forEach((subscription) => {
+            if (filter(subscription)) {
+                subscriptions.delete(subscription);
+            }
+        });
+
+        if (subscriptions.size === 0) {
+            map.delete(channel);
+        }
+    }
+
+    /**
+     * Deliver message to subscribers, asynchronously just like network does
+     *
+     * @param  {String} channel Channel (binary string)
+     * @param  {String} message Message (binary string)
+     * @return {Number}         Number of receivers
+     */
+    publish(channel, message) {
+        const receivers = [];
+
+        (this.channels.get(channel) || []).forEach((subscription) => receivers.push(subscription));
+
+        this.patterns.forEach((subscriptions, pattern) => {
+            if (matchGlob(pattern, channel)) {
+                subscriptions.forEach((subscription) => receivers.push(subscription));
+            }
+        });
+
+        receivers.forEach((subscription) => setImmediate(() => {
+            const convert = (value) => subscription.buffers ? Buffer.from(value, 'latin1') : Buffer.from(value, 'latin1').toString();
+
+            subscription.listener(convert(message), convert(channel));
+        }));
+
+        return receivers.length;
+    }
+
+    /**
+     * Send invalidation message of client side caching to `__redis__:invalidate`
+     * subscriptions of the clients tracking ones redirect to: in BCAST mode
+     * for keys matching their prefixes, in default mode for keys they read
+     * (once per read, see CLIENT TRACKING). Flush of a database is sent to
+     * all of them as null message and makes them forget the keys they read
+     *
+     * @param {?String} key Modified key (binary string), null on flush
+     */
+    invalidate(key) {
+        this.tracking.forEach((tracking) => {
+            let matching;
+
+            if (key === null) {
+                matching = true;
+                tracking.keys.clear();
+            } else {
+                matching = tracking.bcast
+                    ? tracking.prefixes.length === 0 || tracking.prefixes.some((prefix) => key.startsWith(prefix))
+                    : tracking.keys.delete(key);
+            }
+
+            if (!matching) {
+                return;
+            }
+
+            (this.channels.get(INVALIDATE_CHANNEL) || []).forEach((subscription) => {
+                if (subscription.client.id !== tracking.redirect) {
+                    return;
+                }
+
+                setImmediate(() => {
+                    const convert = (value) => subscription.buffers ? Buffer.from(value, 'latin1') : Buffer.from(value, 'latin1').toString();
+
+                    subscription.listener((key === null) ? null : [convert(key)], convert(INVALIDATE_CHANNEL));
+                });
+            });
+        });
+    }
+}
+
+/**
+ * Create empty value of the type
+ *
+ * @param  {String} type
+ * @return {*}
+ */
+function empty(type) {
+    switch (type) {
+        case 'hash':
+        case 'zset':
+            return new Map();
+        case 'set':
+            return new Set();
+        case 'list':
+            return [];
+        case 'stream':
+            return {entries: [], lastId: {ms: 0, seq: 0}, groups: new Map()};
+        default:
+            return '';
+    }
+}
+
+/**
+ * Get number of elements in collection
+ *
+ * @param  {*}      value Map, Set or Array
+ * @return {Number}
+ */
+function size(value) {
+    return Array.isArray(value) ? value.length : value.size;
+}
+
+exports.Server   = Server;
+exports.Database = Database;
+exports.size     = size;
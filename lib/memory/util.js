@@ -0,0 +1,285 @@
+/**
+ * Errors, argument parsing and reply conversion of the in-memory client.
+ *
+ * Values are kept as "binary strings" - one char per byte (latin1) - so any
+ * Buffer survives the round trip, and Map/Set lookups compare bytes just like
+ * Redis does
+ */
+
+/* global BigInt */
+
+'use strict';
+
+/**
+ * Error replied by the server, the same name as node-redis uses
+ */
+class ErrorReply extends Error {
+
+    /**
+     * @param {String} message Redis error message, e.g. "WRONGTYPE Operation..."
+     */
+    constructor(message) {
+        super(message);
+
+        this.name = 'ErrorReply';
+    }
+}
+
+/**
+ * Transaction aborted because one of the watched keys was changed
+ */
+class WatchError extends Error {
+
+    constructor() {
+        super('One (or more) of the watched keys has been changed');
+
+        this.name = 'WatchError';
+    }
+}
+
+/**
+ * Messages of Redis errors used by many commands
+ * @type {Object}
+ */
+const ERRORS = {
+    wrongType:  'WRONGTYPE Operation against a key holding the wrong kind of value',
+    notInteger: 'ERR value is not an integer or out of range',
+    notFloat:   'ERR value is not a valid float',
+    syntax:     'ERR syntax error',
+    overflow:   'ERR increment or decrement would overflow',
+    execAbort:  'EXECABORT Transaction discarded because of previous errors.'
+};
+
+const INT64_MIN = BigInt('-9223372036854775808');
+const INT64_MAX = BigInt('9223372036854775807');
+
+/**
+ * Turn command argument into binary string
+ *
+ * @param  {String|Buffer|Number} value Argument
+ * @return {String}                     Binary string
+ */
+exports.binary = function (value) {
+    return (Buffer.isBuffer(value) ? value : Buffer.from(String(value))).toString('latin1');
+};
+
+/**
+ * Turn internal reply into what node-redis returns: binary strings become
+ * Strings (or Buffers), numbers, nulls and errors are kept as is
+ *
+ * @param  {*}       reply   Internal reply
+ * @param  {Boolean} buffers Whether strings should be returned as Buffers
+ * @return {*}
+ */
+exports.toReply = function toReply(reply, buffers) {
+    if (typeof reply === 'string') {
+        const buffer = Buffer.from(reply, 'latin1');
+
+        return buffers ? buffer : buffer.toString();
+    }
+
+    if (Array.isArray(reply)) {
+        return reply.map((element) => toReply(element, buffers));
+    }
+
+    return reply;
+};
+
+/**
+ * Parse 64-bit signed integer the way Redis does (no spaces, no plus sign,
+ * no leading zeros)
+ *
+ * @param  {String} value           Argument
+ * @param  {String} [message]       Error message when value is not an integer
+ * @return {Number}
+ *
+ * @throws {ErrorReply} When value is not an integer
+ */
+exports.parseInteger = function (value, message = ERRORS.notInteger) {
+    return Number(exports.parseBigInt(value, message));
+};
+
+/**
+ * Parse 64-bit signed integer keeping all its digits
+ *
+ * @param  {String} value     Argument
+ * @param  {String} [message] Error message when value is not an integer
+ * @return {BigInt}
+ *
+ * @throws {ErrorReply} When value is not an integer
+ */
+exports.parseBigInt = function (value, message = ERRORS.notInteger) {
+    if (!/^(0|-?[1-9][0-9]*)$/.test(value)) {
+        throw new ErrorReply(message);
+    }
+
+    const number = BigInt(value);
+
+    if (number < INT64_MIN || number > INT64_MAX) {
+        throw new ErrorReply(message);
+    }
+
+    return number;
+};
+
+/**
+ * Check that integer fits in 64 bits
+ *
+ * @param  {BigInt} number Result of some arithmetic
+ * @return {BigInt}
+ *
+ * @throws {ErrorReply} On overflow
+ */
+exports.checkOverflow = function (number) {
+    if (number < INT64_MIN || number > INT64_MAX) {
+        throw new ErrorReply(ERRORS.overflow);
+    }
+
+    return number;
+};
+
+/**
+ * Parse double, infinities are written as inf, +inf and -inf
+ *
+ * @param  {String} value     Argument
+ * @param  {String} [message] Error message when value is not a float
+ * @return {Number}
+ *
+ * @throws {ErrorReply} When value is not a float (NaN is not one)
+ */
+exports.parseFloat = function (value, message = ERRORS.notFloat) {
+    switch (value.toLowerCase()) {
+        case 'inf':
+        case '+inf':
+        case 'infinity':
+        case '+infinity':
+            return Infinity;
+        case '-inf':
+        case '-infinity':
+            return -Infinity;
+    }
+
+    const number = Number(value);
+
+    if (value === '' || /\s/.test(value) || Number.isNaN(number) || !Number.isFinite(number)) {
+        throw new ErrorReply(message);
+    }
+
+    return number;
+};
+
+/**
+ * Format double as Redis does in replies
+ *
+ * @param  {Number} number
+ * @return {String}
+ */
+exports.formatFloat = function (number) {
+    if (number === Infinity) {
+        return 'inf';
+    }
+
+    if (number === -Infinity) {
+        return '-inf';
+    }
+
+    return String(number);
+};
+
+/**
+ * Format result of INCRBYFLOAT and HINCRBYFLOAT as Redis does: fixed-point
+ * with at most 17 decimals (`%.17Lf`) and no trailing zeros, never with
+ * exponent. Redis computes them in long double, here the double rounded to 16
+ * significant digits stands for that value (0.1 + 0.2 is 0.3, as in Redis)
+ *
+ * @param  {Number} number Finite number
+ * @return {String}
+ */
+exports.formatIncrement = function (number) {
+    const [mantissa, exponent = '0'] = String(Math.abs(Number(number.toPrecision(16)))).split('e');
+    const [whole, fraction = ''] = mantissa.split('.');
+
+    let digits = whole + fraction;
+    let point  = whole.length + Number(exponent);
+
+    if (point <= 0) {
+        digits = '0'.repeat(1 - point) + digits;
+        point  = 1;
+    }
+
+    digits = digits.padEnd(point + 17, '0');
+
+    const rounded  = BigInt(digits.slice(0, point + 17)) + BigInt((digits[point + 17] >= '5') ? 1 : 0);
+    const fixed    = rounded.toString().padStart(18, '0');
+    const decimals = fixed.slice(-17).replace(/0+$/, '');
+    const result   = fixed.slice(0, -17) + (decimals === '' ? '' : '.' + decimals);
+
+    return (number < 0 && result !== '0') ? '-' + result : result;
+};
+
+/**
+ * Check string against glob-style pattern as Redis matches keys and members:
+ * `*`, `?`, `[abc]`, `[^a-z]` and `\` to escape
+ *
+ * @param  {String}  pattern Glob-style pattern
+ * @param  {String}  string  String to check
+ * @return {Boolean}
+ */
+exports.matchGlob = function (pattern, string) {
+    let source = '';
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+
+        switch (char) {
+            case '*':
+                source += '[\\s\\S]*';
+                break;
+            case '?':
+                source += '[\\s\\S]';
+                break;
+            case '\\':
+                i++;
+                source += escape(pattern[i] || '\\');
+                break;
+            case '[': {
+                const end = pattern.indexOf(']', i + 2);
+
+                if (end === -1) {
+                    source += '\\[';
+                    break;
+                }
+
+                let body = pattern.slice(i + 1, end);
+                const negate = body[0] === '^';
+
+                body = (negate ? body.slice(1) : body).split('').map((c) => (c === '-') ? c : escape(c)).join('');
+                source += '[' + (negate ? '^' : '') + body + ']';
+                i = end;
+                break;
+            }
+            default:
+                source += escape(char);
+        }
+    }
+
+    try {
+        return new RegExp('^' + source + '$').test(string);
+    } catch (e) {
+        return false;
+    }
+};
+
+/**
+ * Escape char for RegExp
+ *
+ * @param  {String} char
+ * @return {String}
+ */
+function escape(char) {
+    return char.replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&');
+}
+
+exports.ErrorReply = ErrorReply;
+exports.WatchError = WatchError;
+exports.ERRORS     = ERRORS;
@@ -0,0 +1,265 @@
+/**
+ * Namespace - wrapper classes bound to the client with key prefix
+ *
+ * ```JavaScript
+ * const users    = types.namespace('app:users');
+ * const sessions = new users.Hash('42:sessions'); // key "app:users:42:sessions"
+ *
+ * for await (const [name, wrapper] of users.entries()) {
+ *     console.log(name, wrapper.constructor.name); // '42:sessions', 'Hash'
+ * }
+ * ```
+ *
+ * Implemented methods:
+ *
+ * - namespace (nested namespace)
+ * - open (**TYPE**)
+ * - keys (**SCAN** + **TYPE**)
+ * - entries (**SCAN** + **TYPE**)
+ * - clear (**SCAN** + **UNLINK**)
+ */
+
+'use strict';
+
+const adapters    = require('./adapters');
+const Wrapper     = require('./wrapper');
+const Hash        = require('./hash');
+const List        = require('./list');
+const Set         = require('./set');
+const SortedSet   = require('./sortedset');
+const Stream      = require('./stream');
+const HyperLogLog = require('./hyperloglog');
+const Bitmap      = require('./bitmap');
+const Geo         = require('./geo');
+const Value       = require('./value');
+const Counter     = require('./counter');
+const types       = require('./types');
+
+/**
+ * Number of keys SCAN is asked to check per call and UNLINK removes at once
+ * @type {Number}
+ */
+const BATCH_SIZE = 100;
+
+/**
+ * Escape glob-style special characters so the string is matched literally
+ * in SCAN MATCH
+ *
+ * @param  {String} string
+ * @return {String}
+ */
+function escapeGlob(string) {
+    return string.replace(/[*?[\]\\]/g, '\\$&');
+}
+
+/**
+ * Set of wrapper classes creating their keys under the prefix. Classes are
+ * used just like the ones of the library: `new namespace.Hash('name', true)`
+ */
+class Namespace {
+
+    /**
+     * Create namespace; use `types.namespace(prefix)` instead
+     *
+     * @param {Object} client                  Client or its adapter
+     * @param {String} prefix                  Prefix of the keys, separator is added to it
+     * @param {Object} [options={}]            Options
+     * @param {String} [options.separator=':'] Separator of prefix and key name
+     */
+    constructor(client, prefix, options = {}) {
+        if (typeof prefix !== 'string' || prefix === '') {
+            throw new Error('Namespace prefix must be a valid non-empty string');
+        }
+
+        const separator = (options.separator === undefined) ? ':' : options.separator;
+
+        Object.defineProperties(this, {
+            client:    {value: adapters.adapt(client)},
+            prefix:    {value: prefix + separator},
+            separator: {value: separator}
+        });
+
+        Object.defineProperties(this, {
+            Wrapper:     {value: this._bind(Wrapper)},
+            Hash:        {value: this._bind(Hash)},
+            List:        {value: this._bind(List)},
+            Set:         {value: this._bind(Set)},
+            SortedSet:   {value: this._bind(SortedSet)},
+            Stream:      {value: this._bind(Stream)},
+            HyperLogLog: {value: this._bind(HyperLogLog)},
+            Bitmap:      {value: this._bind(Bitmap)},
+            Geo:         {value: this._bind(Geo)},
+            Value:       {value: this._bind(Value)},
+            Counter:     {value: this._bind(Counter)}
+        });
+    }
+
+    /**
+     * Create nested namespace with prefix `<prefix><separator><name>`
+     *
+     * @param  {String}    name Name of the nested namespace
+     * @return {Namespace}
+     */
+    namespace(name) {
+        return new Namespace(this.client, this.prefix + name, {separator: this.separator});
+    }
+
+    /**
+     * Create wrapper of the class matching type of the key in namespace, just
+     * like `types.open`
+     *
+     * - Redis command: [TYPE]{@link https://redis.io/commands/type}
+     *
+     * @param  {String}            name            Key name without prefix
+     * @param  {Boolean|Object}    [options=false] Codec or options of the wrapper, see {@link Wrapper}
+     * @return {Promise<?Wrapper>}                 Wrapper or null when the key does not exist
+     */
+    open(name, options = false) {
+        return types.open(this.client, this.prefix + name, options);
+    }
+
+    /**
+     * Iterate over wrappers of the keys in namespace matching the pattern.
+     * Class of each wrapper is chosen by TYPE of its key: Hash, List, Set,
+     * SortedSet, Stream or base Wrapper for the rest. Keys may be yielded
+     * more than once, see SCAN guarantees
+     *
+     * - Redis commands: [SCAN]{@link https://redis.io/commands/scan}, [TYPE]{@link https://redis.io/commands/type}
+     *
+     * @example
+     * (async () => {
+     *
+     *   for await (const sessions of users.keys('*:sessions')) {
+     *       await sessions.expire(60);
+     *   }
+     *
+     * })()
+     *
+     * @param  {String}          [pattern='*']   Glob-style pattern of key names without prefix
+     * @param  {Boolean|Object}  [options=false] Codec or options of the wrappers, see {@link Wrapper}
+     * @return {AsyncGenerator}                  Generator of wrappers
+     */
+    async *keys(pattern = '*', options = false) {
+        for await (const [, wrapper] of this.entries(pattern, options)) {
+            yield wrapper;
+        }
+    }
+
+    /**
+     * Iterate over [name, wrapper] pairs of the keys in namespace; name is the
+     * key without prefix. See {@link Namespace#keys}
+     *
+     * - Redis commands: [SCAN]{@link https://redis.io/commands/scan}, [TYPE]{@link https://redis.io/commands/type}
+     *
+     * @param  {String}          [pattern='*']   Glob-style pattern of key names without prefix
+     * @param  {Boolean|Object}  [options=false] Codec or options of the wrappers, see {@link Wrapper}
+     * @return {AsyncGenerator}                  Generator of [name, wrapper] pairs
+     */
+    async *entries(pattern = '*', options = false) {
+        for await (const [node, keys] of this._scan(pattern)) {
+            const replies = await Promise.all(keys.map((key) => node.sendCommand(['TYPE', key])));
+
+            for (let i = 0; i < keys.length; i++) {
+                if (replies[i] === 'none') {
+                    continue;
+                }
+
+                const Class = types.classOf(replies[i]);
+
+                yield [keys[i].slice(this.prefix.length), new Class(this.client, keys[i], options)];
+            }
+        }
+    }
+
+    /**
+     * Remove all the keys in namespace. Keys are removed in batches in the
+     * background of Redis server; keys created while clearing may survive
+     *
+     * - Redis commands: [SCAN]{@link https://redis.io/commands/scan}, [UNLINK]{@link https://redis.io/commands/unlink}
+     *
+     * @return {Promise<Number>} Number of removed keys
+     */
+    async clear() {
+        let removed = 0;
+
+        for await (const [node, keys] of this._scan('*')) {
+            const groups = this.client.cluster ? groupBySlot(keys) : [keys];
+
+            for (const group of groups) {
+                removed += await node.sendCommand(['UNLINK'].concat(group));
+            }
+        }
+
+        return removed;
+    }
+
+    /**
+     * Create constructor of wrapper class which prefixes the key and binds
+     * the client. `instanceof` works with the original class
+     *
+     * @private
+     * @param  {Function} Class Wrapper class
+     * @return {Function}       Bound constructor of (key, options)
+     */
+    _bind(Class) {
+        const namespace = this;
+
+        function Bound(key, options) {
+            return new Class(namespace.client, namespace.prefix + key, options);
+        }
+
+        Bound.prototype = Class.prototype;
+
+        return Bound;
+    }
+
+    /**
+     * Iterate over keys in namespace on every master node, yielding each
+     * non-empty batch SCAN returns along with adapter of its node
+     *
+     * @private
+     * @param  {String}         pattern Glob-style pattern of key names without prefix
+     * @return {AsyncGenerator}         Generator of [node, keys] pairs
+     */
+    async *_scan(pattern) {
+        const match = escapeGlob(this.prefix) + pattern;
+
+        for (const node of this.client.masters()) {
+            let cursor = '0';
+
+            do {
+                const [next, keys] = await node.sendCommand(['SCAN', cursor, 'MATCH', match, 'COUNT', String(BATCH_SIZE)]);
+
+                cursor = String(next);
+
+                if (keys.length > 0) {
+                    yield [node, keys.map(String)];
+                }
+            } while (cursor !== '0');
+        }
+    }
+}
+
+/**
+ * Split keys into groups of the same cluster slot
+ *
+ * @param  {String[]}   keys
+ * @return {String[][]}
+ */
+function groupBySlot(keys) {
+    const groups = new Map();
+
+    keys.forEach((key) => {
+        const slot = adapters.slot(key);
+
+        if (!groups.has(slot)) {
+            groups.set(slot, []);
+        }
+
+        groups.get(slot).push(key);
+    });
+
+    return Array.from(groups.values());
+}
+
+module.exports = exports = Namespace;
@@ -0,0 +1,139 @@
+/**
+ * Keyspace notifications: one shared subscriber connection per client
+ * (duplicated from it) and check of the server configuration
+ */
+
+'use strict';
+
+/**
+ * Subscriber connections by client they are duplicated from
+ * @type {WeakMap}
+ */
+const subscribers = new WeakMap();
+
+/**
+ * Flags which `A` in notify-keyspace-events stands for
+ * @type {String}
+ */
+const ALL_CLASSES = 'g$lshzxetd';
+
+/**
+ * Forget one subscription of the entry; subscriber connection is closed with
+ * the last one
+ *
+ * @param  {Adapter} client Adapter subscriber was duplicated from
+ * @param  {Object}  entry  Its entry {count, ready}
+ * @return {Promise}
+ */
+async function release(client, entry) {
+    if (--entry.count > 0) {
+        return;
+    }
+
+    if (subscribers.get(client) === entry) {
+        subscribers.delete(client);
+    }
+
+    const connection = await entry.ready.catch(() => null);
+
+    if (connection !== null) {
+        await connection.quit();
+    }
+}
+
+/**
+ * Get channel name of keyspace notifications for the key
+ *
+ * @param  {Adapter} client Adapter of the client the key is used with
+ * @param  {String}  key    Key to get channel for
+ * @return {String}         Channel name
+ */
+exports.channel = function (client, key) {
+    return '__keyspace@' + client.database + '__:' + key;
+};
+
+/**
+ * Check that server sends keyspace notifications of the given classes and
+ * optionally enable missing ones with CONFIG SET
+ *
+ * @param  {Adapter} client            Adapter of Redis client
+ * @param  {String}  classes           Required classes of events (e.g. 'gxh')
+ * @param  {Boolean} [configure=false] Whether to enable missing classes
+ * @return {Promise}
+ *
+ * @throws {Error} When notifications are not enabled and configure is false
+ */
+exports.ensureConfigured = async function (client, classes, configure = false) {
+    const reply   = await client.sendCommand(['CONFIG', 'GET', 'notify-keyspace-events']);
+    const current = String(reply[1] || '');
+    const enabled = current.replace('A', ALL_CLASSES);
+    const missing = ('K' + classes).split('').filter((flag) => !enabled.includes(flag)).join('');
+
+    if (missing === '') {
+        return;
+    }
+
+    if (!configure) {
+        throw new Error('Keyspace notifications are not enabled: notify-keyspace-events is "' + current
+            + '", missing flags "' + missing + '"; set them or pass {configure: true}');
+    }
+
+    await client.sendCommand(['CONFIG', 'SET', 'notify-keyspace-events', current + missing]);
+};
+
+/**
+ * Subscribe listener to channel on the shared subscriber connection of the
+ * client; connection is created on the first subscription and closed when
+ * the only subscription fails
+ *
+ * @param  {Adapter}  client   Adapter to duplicate subscriber from
+ * @param  {String}   channel  Channel to subscribe to
+ * @param  {Function} listener Function called with each message
+ * @return {Promise}
+ */
+exports.subscribe = async function (client, channel, listener) {
+    let entry = subscribers.get(client);
+
+    if (entry === undefined) {
+        const connection = client.duplicate();
+
+        entry = {count: 0, ready: connection.connect().then(() => connection, (error) => {
+            subscribers.delete(client);
+            throw error;
+        })};
+
+        subscribers.set(client, entry);
+    }
+
+    entry.count++;
+
+    try {
+        const connection = await entry.ready;
+
+        await connection.subscribe(channel, listener);
+    } catch (error) {
+        await release(client, entry);
+        throw error;
+    }
+};
+
+/**
+ * Unsubscribe listener; subscriber connection is closed with the last one
+ *
+ * @param  {Adapter}  client   Adapter subscriber was duplicated from
+ * @param  {String}   channel  Channel to unsubscribe from
+ * @param  {Function} listener Listener to remove
+ * @return {Promise}
+ */
+exports.unsubscribe = async function (client, channel, listener) {
+    const entry = subscribers.get(client);
+
+    if (entry === undefined) {
+        return;
+    }
+
+    const connection = await entry.ready;
+
+    await connection.unsubscribe(channel, listener);
+    await release(client, entry);
+};
@@ -0,0 +1,269 @@
+/**
+ * Lua scripts run atomically against the key of a wrapper
+ */
+
+'use strict';
+
+const crypto      = require('crypto');
+const Transaction = require('./transaction');
+
+/**
+ * Ways to run scripts, see {@link Script}
+ * @type {String[]}
+ */
+const BACKENDS = ['eval', 'function'];
+
+/**
+ * Names of function libraries loaded (or being loaded) by the client, by
+ * adapter of the client (node of the key in cluster)
+ * @type {WeakMap}
+ */
+const libraries = new WeakMap();
+
+/**
+ * Get names of function libraries the client has loaded
+ *
+ * @param  {Adapter} client Adapter of the client
+ * @return {Set}
+ */
+function loadedLibraries(client) {
+    if (!libraries.has(client)) {
+        libraries.set(client, new Set());
+    }
+
+    return libraries.get(client);
+}
+
+/**
+ * Turn arguments into strings, Buffers are passed as is
+ *
+ * @param  {Array} args
+ * @return {Array}
+ */
+function stringify(args) {
+    return args.map((arg) => Buffer.isBuffer(arg) ? arg : String(arg));
+}
+
+/**
+ * Named Lua script. The key of the wrapper it is run with is `KEYS[1]`, then
+ * go `keys` extra keys taken from the start of arguments (wrappers or
+ * strings), the rest of arguments are `ARGV`.
+ *
+ * By default script is run with **EVALSHA**; when server does not know it
+ * (**NOSCRIPT**) it is loaded with **SCRIPT LOAD** and run again. With
+ * `function` backend (Redis 7) the script becomes a library with one function
+ * named after SHA1 of the source, loaded with **FUNCTION LOAD** on demand and
+ * run with **FCALL**. Scripts queued in transaction are sent with **EVAL**;
+ * functions are queued as **FCALL**; unless the client has loaded their
+ * library already, it is loaded (**FUNCTION LOAD REPLACE**) right away and
+ * the transaction is executed after.
+ *
+ * Scripts are usually defined once for a class with {@link Wrapper.defineScript}
+ * and run as `wrapper.scripts.name(...args)`
+ *
+ * @example
+ * const {List, Script} = require('redis-type');
+ *
+ * const cappedPush = new Script('cappedPush', `
+ *     local length = redis.call('RPUSH', KEYS[1], ARGV[1])
+ *     redis.call('LTRIM', KEYS[1], -tonumber(ARGV[2]), -1)
+ *     return math.min(length, tonumber(ARGV[2]))
+ * `, {encode: [0]});
+ *
+ * (async () => {
+ *
+ *   await cappedPush.run(list, {at: Date.now()}, 100);
+ *
+ * })()
+ */
+class Script {
+
+    /**
+     * @param {String}           name                   Name of the script (letters, digits and underscores)
+     * @param {String}           source                 Lua source
+     * @param {Object}           [options={}]           Options
+     * @param {Number}           [options.keys=0]       Number of extra keys taken from the start of arguments
+     * @param {Boolean|Number[]} [options.encode=false] Encode all `ARGV` with the codec of the wrapper (`true`)
+     *                                                  or only the ones at given indexes
+     * @param {Boolean|Function} [options.decode=false] Decode reply with the codec (each element of array
+     *                                                  reply) or with function of (reply, wrapper)
+     * @param {String}           [options.backend='eval'] `eval` (**EVALSHA**) or `function` (**FCALL**, Redis 7)
+     */
+    constructor(name, source, options = {}) {
+        if (typeof name !== 'string' || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+            throw new Error('Script name must consist of letters, digits and underscores, got: ' + name);
+        }
+
+        if (typeof source !== 'string' || source.trim() === '') {
+            throw new Error('Script "' + name + '" must have Lua source');
+        }
+
+        const backend = options.backend || 'eval';
+
+        if (!BACKENDS.includes(backend)) {
+            throw new Error(`Unknown script backend "${backend}", expected one of: ${BACKENDS.join(', ')}`);
+        }
+
+        Object.defineProperties(this, {
+            name:    {value: name},
+            source:  {value: source},
+            sha:     {value: crypto.createHash('sha1').update(source).digest('hex')},
+            keys:    {value: options.keys || 0},
+            encode:  {value: options.encode || false},
+            decode:  {value: options.decode || false},
+            backend: {value: backend}
+        });
+    }
+
+    /**
+     * Name of the function the script is registered under with `function`
+     * backend; the library has the same name
+     *
+     * @type {String}
+     */
+    get functionName() {
+        return 'redis_type_' + this.sha;
+    }
+
+    /**
+     * Code of the function library for **FUNCTION LOAD**: script source is the
+     * body of the function of (KEYS, ARGV)
+     *
+     * @type {String}
+     */
+    get library() {
+        return '#!lua name=' + this.functionName + '\n'
+            + "redis.register_function('" + this.functionName + "', function(KEYS, ARGV)\n"
+            + this.source + '\n'
+            + 'end)\n';
+    }
+
+    /**
+     * Run the script with the key of the wrapper, see {@link Wrapper#runScript}
+     *
+     * @param  {Wrapper} wrapper Wrapper to run the script with
+     * @param  {...*}    args    Extra keys and arguments
+     * @return {Promise}         Reply of the script, decoded as set by `decode` option
+     */
+    run(wrapper, ...args) {
+        return wrapper.runScript(this, ...args);
+    }
+
+    /**
+     * Load the script to the server (node of the key in cluster) in advance
+     *
+     * - Redis command: [SCRIPT LOAD]{@link https://redis.io/commands/script-load},
+     *   [FUNCTION LOAD]{@link https://redis.io/commands/function-load}
+     *
+     * @param  {Adapter} client Adapter of the client
+     * @param  {String}  [key]  Key to choose the node by in cluster
+     * @return {Promise}
+     */
+    load(client, key) {
+        if (this.backend !== 'function') {
+            return client.sendCommand(['SCRIPT', 'LOAD', this.source], (key === undefined) ? {} : {key});
+        }
+
+        const loaded = loadedLibraries(client.node(key));
+
+        loaded.add(this.functionName);
+
+        return client.sendCommand(['FUNCTION', 'LOAD', 'REPLACE', this.library], (key === undefined) ? {} : {key})
+            .catch((error) => {
+                loaded.delete(this.functionName);
+                throw error;
+            });
+    }
+
+    /**
+     * Send the script, loading it when server does not know it
+     *
+     * @private
+     * @param  {Adapter}  client  Adapter of the client
+     * @param  {String[]} keys    Keys, the first one is used for routing
+     * @param  {Array}    args    Arguments
+     * @param  {Object}   options Options of {@link Adapter#sendCommand}
+     * @return {Promise}          Raw reply
+     */
+    send(client, keys, args, options) {
+        const tail = [String(keys.length)].concat(keys, stringify(args));
+
+        if (this.backend === 'function') {
+            const call    = () => client.sendCommand(['FCALL', this.functionName].concat(tail), options);
+            const missing = (error) => /function not found/i.test(error.message);
+
+            if (client instanceof Transaction.QueueAdapter) {
+                const redis  = client.transaction.redis;
+                const loaded = loadedLibraries(redis.node(keys[0]));
+
+                // FCALL can't be retried in MULTI, library unknown to the client is loaded before EXEC
+                if (!loaded.has(this.functionName)) {
+                    client.transaction.prepare(this.load(redis, keys[0]));
+                }
+
+                return call().catch((error) => {
+                    if (missing(error)) {
+                        loaded.delete(this.functionName);
+                    }
+
+                    throw error;
+                });
+            }
+
+            return call().catch((error) => missing(error)
+                ? this.load(client, keys[0]).then(call)
+                : Promise.reject(error));
+        }
+
+        if (client instanceof Transaction.QueueAdapter) {
+            return client.sendCommand(['EVAL', this.source].concat(tail), options);
+        }
+
+        const call = () => client.sendCommand(['EVALSHA', this.sha].concat(tail), options);
+
+        return call().catch((error) => /^NOSCRIPT/.test(error.message)
+            ? this.load(client, keys[0]).then(call)
+            : Promise.reject(error));
+    }
+
+    /**
+     * Split arguments into extra keys and encoded `ARGV`
+     *
+     * @private
+     * @param  {Wrapper} wrapper Wrapper the script is run with
+     * @param  {Array}   args    Arguments of the call
+     * @return {Array[]}         [keys, argv]
+     */
+    arguments(wrapper, args) {
+        const keys = args.slice(0, this.keys).map((key) => (key !== null && typeof key === 'object' && typeof key.key === 'string')
+            ? key.key
+            : String(key));
+        const argv = args.slice(this.keys).map((arg, i) => (this.encode === true || (Array.isArray(this.encode) && this.encode.includes(i)))
+            ? wrapper.encode(arg)
+            : arg);
+
+        return [[wrapper.key].concat(keys), argv];
+    }
+
+    /**
+     * Decode reply of the script as set by `decode` option
+     *
+     * @private
+     * @param  {Wrapper} wrapper Wrapper the script is run with
+     * @param  {*}       reply   Raw reply
+     * @return {*}
+     */
+    reply(wrapper, reply) {
+        if (typeof this.decode === 'function') {
+            return this.decode(reply, wrapper);
+        }
+
+        if (!this.decode) {
+            return reply;
+        }
+
+        return Array.isArray(reply) ? wrapper.decodeArray(reply) : wrapper.decode(reply);
+    }
+}
+
+module.exports = exports = Script;
@@ -6,13 +6,74 @@
 
 const Wrapper = require('./wrapper');
 
+/**
+ * Key of the (encoded) member in the local cache
+ *
+ * @param  {String|Buffer} value Member as it is stored
+ * @return {String}
+ */
+function memberKey(value) {
+    return Buffer.isBuffer(value) ? value.toString('latin1') : String(value);
+}
+
 /**
  * Class to handle Redis SET type
  *
+ * Algebra methods (union, intersection, difference, isSubsetOf) follow the
+ * names of ES2025 Set methods and accept other Set wrappers. All the sets
+ * taking part in one operation should use the same codec
+ *
+ * With `cache` option (see {@link Cache}) size, has, hasMany and values are
+ * served from the local cache once they are loaded: membership of single
+ * elements is cached by has and hasMany, all the members - by size and values
+ *
+ * @example
+ * const client = require('redis').createClient();
+ * const types  = require('redis-type')(client);
+ *
+ * const admins = new types.Set('admins', true);
+ * const online = new types.Set('online', true);
+ *
+ * (async () => {
+ *
+ *   await admins.add({id: 1}, {id: 2});
+ *   await online.add({id: 2}, {id: 3});
+ *
+ *   console.log(await admins.intersection(online)); // [{id: 2}]
+ *
+ * })();
+ *
  * @extends Wrapper
  */
 class Set extends Wrapper {
 
+    /**
+     * Keyspace events of set commands (notify-keyspace-events class)
+     *
+     * @type {String}
+     */
+    static get keyspaceEvents() {
+        return 's';
+    }
+
+    /**
+     * Redis type of the key (reply of TYPE)
+     *
+     * @type {String}
+     */
+    static get redisType() {
+        return 'set';
+    }
+
+    /**
+     * Set supports `cache` option
+     *
+     * @type {Boolean}
+     */
+    static get cacheable() {
+        return true;
+    }
+
     /**
      * Add element(s) to the set
      * Command: SADD
@@ -21,7 +82,9 @@ class Set extends Wrapper {
      * @returns {Promise}
      */
     add(...el) {
-        return this.call('SADD')(...el);
+        return (this.codec === null)
+            ? this.write('SADD')(...el)
+            : this.write('SADD')(el.map((value) => this.encode(value)));
     }
 
     /**
@@ -31,6 +94,10 @@ class Set extends Wrapper {
      * @return {Promise}
      */
     size() {
+        if (this.cache !== null) {
+            return this._cachedAll().then((members) => members.size);
+        }
+
         return this.call('SCARD')();
     }
 
@@ -42,17 +109,101 @@ class Set extends Wrapper {
      * @return {Promise}
      */
     has(el) {
-        return this.call('SISMEMBER')(el);
+        if (this.cache !== null) {
+            return this.hasMany([el]).then(([found]) => found);
+        }
+
+        return this.call('SISMEMBER')(this.encode(el));
     }
 
     /**
-     * Get all members of set as array
+     * Check multiple elements at once
+     * Command: SMISMEMBER
+     *
+     * @param  {Array}              els Elements to check for
+     * @return {Promise<Boolean[]>}     Whether each element is present, in the same order
+     */
+    hasMany(els) {
+        const encoded = els.map((el) => this.encode(el));
+
+        if (this.cache !== null) {
+            const members = new Map(encoded.map((value) => [memberKey(value), value]));
+
+            return this.cache.getMany(encoded.map(memberKey), (missing) => this.call('SMISMEMBER')(missing.map((key) => members.get(key)))
+                .then((found) => found.map((present, i) => present ? members.get(missing[i]) : null)))
+                .then((values) => values.map((value) => value !== null));
+        }
+
+        return this.call('SMISMEMBER')(encoded);
+    }
+
+    /**
+     * Get all members of set as array when awaited, or iterate over them
+     * lazily with `for await` (**SSCAN**, see {@link Set#scanValues})
      * Command: SMEMBERS
      *
-     * @return {Promise}
+     * @example
+     * (async () => {
+     *
+     *   const members = await set.values();       // SMEMBERS
+     *
+     *   for await (const member of set.values()) { // SSCAN
+     *       console.log(member);
+     *   }
+     *
+     * })()
+     *
+     * @return {Promise<Array>|AsyncIterable} Thenable and async iterable
      */
     values() {
-        return this.call('SMEMBERS')();
+        return this._iterable(() => {
+            if (this.cache !== null) {
+                return this._cachedAll().then((members) => Array.from(members.values(), (value) => this.decode(value)));
+            }
+
+            return this.call('SMEMBERS')().then((values) => this.decodeArray(values));
+        }, () => this.scanValues());
+    }
+
+    /**
+     * Alias for {@link Set#values} just like native Set.prototype.keys is
+     * Command: SMEMBERS
+     *
+     * @return {Promise<Array>|AsyncIterable} Thenable and async iterable
+     */
+    keys() {
+        return this.values();
+    }
+
+    /**
+     * Get [member, member] pairs, as native Set.prototype.entries does, when
+     * awaited, or iterate over them lazily with `for await` (**SSCAN**)
+     * Command: SMEMBERS
+     *
+     * @return {Promise<Array[]>|AsyncIterable} Thenable and async iterable
+     */
+    entries() {
+        return this._iterable(() => this.values().then((members) => members.map((member) => [member, member])),
+            () => this.scanEntries());
+    }
+
+    /**
+     * Synchronously check whether element is present using the local cache,
+     * see {@link Cache}
+     *
+     * @param  {String}             el Element to check for
+     * @return {Boolean|undefined}     Whether element is present, undefined when it is not cached
+     *
+     * @throws {Error} When wrapper is created without cache option
+     */
+    peek(el) {
+        if (this.cache === null) {
+            throw new Error('Set "' + this.key + '" is not cached, create it with cache option');
+        }
+
+        const value = this.cache.peek(memberKey(this.encode(el)));
+
+        return (value === undefined) ? value : value !== null;
     }
 
     /**
@@ -63,7 +214,7 @@ class Set extends Wrapper {
      * @return {Promise}
      */
     pop(count) {
-        return this.call('SPOP')(count || 1);
+        return this.write('SPOP')(count || 1).then((values) => this.decodeArray(values));
     }
 
     /**
@@ -74,7 +225,264 @@ class Set extends Wrapper {
      * @return {Promise}
      */
     delete(...el) {
-        return this.call('SREM')(el);
+        return this.write('SREM')(el.map((value) => this.encode(value)));
+    }
+
+    /**
+     * Atomically move element from this set to the other one
+     * Command: SMOVE
+     *
+     * @param  {String}           el    Element to move
+     * @param  {Set}              other Set to move element to
+     * @return {Promise<Boolean>}       Whether element was moved (false when it's not in this set)
+     */
+    move(el, other) {
+        return this.writeCommand('SMOVE', other.key, this.encode(el)).then((e) => !!e);
+    }
+
+    /**
+     * Get members of this set and all the other sets
+     * Command: SUNION
+     *
+     * @param  {...Set}         others Sets to unite with
+     * @return {Promise<Array>}        Members of the union
+     */
+    union(...others) {
+        return this._algebra('SUNION', others);
+    }
+
+    /**
+     * Get members present in this set and in every other set
+     * Command: SINTER
+     *
+     * @param  {...Set}         others Sets to intersect with
+     * @return {Promise<Array>}        Members of the intersection
+     */
+    intersection(...others) {
+        return this._algebra('SINTER', others);
+    }
+
+    /**
+     * Get members of this set which are not present in any of other sets
+     * Command: SDIFF
+     *
+     * @param  {...Set}         others Sets to subtract
+     * @return {Promise<Array>}        Members of the difference
+     */
+    difference(...others) {
+        return this._algebra('SDIFF', others);
+    }
+
+    /**
+     * Store union of this set and the other sets in destination set
+     * (destination is overwritten)
+     * Command: SUNIONSTORE
+     *
+     * @param  {Set}             destination Set to store result in
+     * @param  {...Set}          others      Sets to unite with
+     * @return {Promise<Number>}             Number of members in destination
+     */
+    unionInto(destination, ...others) {
+        return destination.writeCommand('SUNIONSTORE', this.key, ...others.map((set) => set.key));
+    }
+
+    /**
+     * Store intersection of this set and the other sets in destination set
+     * (destination is overwritten)
+     * Command: SINTERSTORE
+     *
+     * @param  {Set}             destination Set to store result in
+     * @param  {...Set}          others      Sets to intersect with
+     * @return {Promise<Number>}             Number of members in destination
+     */
+    intersectionInto(destination, ...others) {
+        return destination.writeCommand('SINTERSTORE', this.key, ...others.map((set) => set.key));
+    }
+
+    /**
+     * Store difference of this set and the other sets in destination set
+     * (destination is overwritten)
+     * Command: SDIFFSTORE
+     *
+     * @param  {Set}             destination Set to store result in
+     * @param  {...Set}          others      Sets to subtract
+     * @return {Promise<Number>}             Number of members in destination
+     */
+    differenceInto(destination, ...others) {
+        return destination.writeCommand('SDIFFSTORE', this.key, ...others.map((set) => set.key));
+    }
+
+    /**
+     * Get size of intersection without transferring its members. With limit
+     * Redis stops counting once limit is reached. Requires Redis 7
+     * Command: SINTERCARD
+     *
+     * @example
+     * (async () => {
+     *
+     *   await admins.intersectionSize(online);                  // 1
+     *   await admins.intersectionSize(online, staff, {limit: 10}); // counts up to 10
+     *
+     * })()
+     *
+     * @param  {...Set|Object}   others                  Sets to intersect with, optionally followed by
+     *                                                   options object
+     * @param  {Number}          [others.limit=0]        Maximal number to count to, 0 - no limit
+     * @return {Promise<Number>}                         Size of the intersection
+     */
+    intersectionSize(...others) {
+        const options = (others.length > 0 && !(others[others.length - 1] instanceof Wrapper)) ? others.pop() : {};
+        const keys    = [this.key].concat(others.map((set) => set.key));
+        const args    = ['SINTERCARD', String(keys.length)].concat(keys, 'LIMIT', String(options.limit || 0));
+
+        return this.checked(() => this.client.sendCommand(args, this.commandOptions({key: this.key}))).then(Number);
+    }
+
+    /**
+     * Check whether every member of this set is present in the other set.
+     * Servers older than Redis 7 have no SINTERCARD, there members of the
+     * difference are loaded instead (not in transactions and batches, where
+     * Redis 7 is required)
+     * Commands: SCARD, SINTERCARD (SDIFF before Redis 7)
+     *
+     * @param  {Set}              other Set to check against
+     * @return {Promise<Boolean>}
+     */
+    isSubsetOf(other) {
+        return Promise.all([this.size(), this.intersectionSize(other)])
+            .then(([size, common]) => size === common, (error) => {
+                if (!/unknown command/i.test(error.message)) {
+                    throw error;
+                }
+
+                return this.command('SDIFF', other.key).then((members) => members.length === 0);
+            });
+    }
+
+    /**
+     * Lazily iterate over members of the set with cursor, so big sets are not
+     * loaded at once. Just like SCAN does, may yield the same member more than
+     * once if set is modified during iteration
+     * Command: SSCAN
+     *
+     * @example
+     * (async () => {
+     *
+     *   for await (const member of set.scanValues({match: 'a*', count: 100})) {
+     *       console.log(member);
+     *   }
+     *
+     * })()
+     *
+     * @param  {Object}         [options={}]    Scan options
+     * @param  {String}         [options.match] Glob-style pattern for (stored) members
+     * @param  {Number}         [options.count] Number of elements Redis checks per call
+     * @return {AsyncGenerator}                 Generator of members
+     */
+    async *scanValues(options = {}) {
+        for await (const batch of this._scan('SSCAN', options)) {
+            yield* this.decodeArray(batch);
+        }
+    }
+
+    /**
+     * Lazily iterate over members of the set, alias for {@link Set#scanValues}
+     * just like native Set.prototype.keys is
+     * Command: SSCAN
+     *
+     * @param  {Object}         [options={}] Scan options, see {@link Set#scanValues}
+     * @return {AsyncGenerator}              Generator of members
+     */
+    scanKeys(options = {}) {
+        return this.scanValues(options);
+    }
+
+    /**
+     * Lazily iterate over [member, member] pairs, as native Set.prototype.entries does
+     * Command: SSCAN
+     *
+     * @param  {Object}         [options={}] Scan options, see {@link Set#scanValues}
+     * @return {AsyncGenerator}              Generator of [member, member] pairs
+     */
+    async *scanEntries(options = {}) {
+        for await (const member of this.scanValues(options)) {
+            yield [member, member];
+        }
+    }
+
+    /**
+     * Iterate over set with `for await` - the same as {@link Set#scanValues}
+     * with default options
+     *
+     * @return {AsyncGenerator} Generator of members
+     */
+    [Symbol.asyncIterator]() {
+        return this.scanValues();
+    }
+
+    /**
+     * Read members with SSCAN for {@link Wrapper#createReadStream}
+     *
+     * @private
+     * @param  {Number}         batchSize Number of elements Redis checks per call
+     * @return {AsyncGenerator}           Generator of members
+     */
+    _readBatches(batchSize) {
+        return this.scanValues({count: batchSize});
+    }
+
+    /**
+     * Add members with SADD for {@link Wrapper#createWriteStream}
+     *
+     * @private
+     * @param  {Array}   batch Members to add
+     * @return {Promise}
+     */
+    _writeBatch(batch) {
+        return this.add(...batch);
+    }
+
+    /**
+     * Read members for {@link Wrapper#snapshot}
+     *
+     * @private
+     * @return {Promise<Array>} Decoded members
+     */
+    _snapshotData() {
+        return this.values();
+    }
+
+    /**
+     * Build **SADD** commands for {@link Wrapper#restoreSnapshot}
+     *
+     * @private
+     * @param  {Array}   data Members
+     * @return {Array[]}
+     */
+    _restoreCommands(data) {
+        return this._chunkedCommands('SADD', data.map((value) => this.encode(value)));
+    }
+
+    /**
+     * Get all the members through the cache
+     *
+     * @private
+     * @return {Promise<Map>} Map of cache keys and members as Redis replies them
+     */
+    _cachedAll() {
+        return this.cache.all(() => this.call('SMEMBERS')().then((values) => new Map(values.map((value) => [memberKey(value), value]))));
+    }
+
+    /**
+     * Run one of SUNION, SINTER, SDIFF with other sets and decode the reply
+     *
+     * @private
+     * @param  {String}         command Command to run
+     * @param  {Set[]}          others  Other sets
+     * @return {Promise<Array>}
+     */
+    _algebra(command, others) {
+        return this.command(command, ...others.map((set) => set.key)).then((values) => this.decodeArray(values));
     }
 }
 
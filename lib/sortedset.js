@@ -0,0 +1,589 @@
+/**
+ * Redis ZSET (sorted set) type wrapper
+ *
+ * Implemented methods:
+ *
+ * - add (**ZADD**)
+ * - addMul (**ZADD**)
+ * - increment (**ZINCRBY**)
+ * - size (**ZCARD**)
+ * - count (**ZCOUNT**)
+ * - score (**ZSCORE**)
+ * - rank (**ZRANK**)
+ * - reverseRank (**ZREVRANK**)
+ * - delete (**ZREM**)
+ * - range (**ZRANGE**)
+ * - rangeByScore (**ZRANGE BYSCORE**)
+ * - rangeByLex (**ZRANGE BYLEX**)
+ * - removeRange (**ZREMRANGEBYRANK**)
+ * - removeRangeByScore (**ZREMRANGEBYSCORE**)
+ * - removeRangeByLex (**ZREMRANGEBYLEX**)
+ * - popMin (**ZPOPMIN**)
+ * - popMax (**ZPOPMAX**)
+ * - scanEntries (**ZSCAN**)
+ * - scanValues (**ZSCAN**)
+ * - [Symbol.asyncIterator] (**ZSCAN**)
+ */
+
+'use strict';
+
+const Wrapper = require('./wrapper');
+
+/**
+ * Turn ZADD options object into list of command modifiers
+ *
+ * @param  {Object}   options ZADD options
+ * @return {String[]}         Modifiers to put before score-member pairs
+ */
+function addModifiers(options) {
+    return ['nx', 'xx', 'gt', 'lt', 'ch', 'incr']
+        .filter((flag) => options[flag])
+        .map((flag) => flag.toUpperCase());
+}
+
+/**
+ * Turn JS number into Redis score bound; strings ('(1', '-inf') are passed as is
+ *
+ * @param  {Number|String} score Score or score bound
+ * @return {String}              Score in Redis format
+ */
+function toScore(score) {
+    switch (score) {
+        case Infinity:  return '+inf';
+        case -Infinity: return '-inf';
+        default:        return String(score);
+    }
+}
+
+/**
+ * Parse score returned by Redis (including 'inf' and '-inf')
+ *
+ * @param  {?String} score Score as Redis returns it
+ * @return {?Number}       Parsed score or null
+ */
+function parseScore(score) {
+    switch (score) {
+        case null:
+        case undefined: return null;
+        case 'inf':
+        case '+inf':    return Infinity;
+        case '-inf':    return -Infinity;
+        default:        return parseFloat(score);
+    }
+}
+
+/**
+ * Build LIMIT modifier for range commands
+ *
+ * @param  {Object}   [limit] Object with offset and count properties
+ * @return {String[]}         Modifier arguments (empty when no limit given)
+ */
+function limitModifier(limit) {
+    return limit ? ['LIMIT', limit.offset || 0, limit.count] : [];
+}
+
+/**
+ * Class to handle Redis ZSET type.
+ *
+ * Every member is stored with a score; members are kept ordered by score and
+ * then lexicographically. When codec is set members are encoded with it.
+ *
+ * @example
+ * const client = require('redis').createClient();
+ * const types  = require('redis-type')(client);
+ *
+ * const board = new types.SortedSet('leaderboard');
+ *
+ * (async () => {
+ *
+ *   await board.addMul([['alice', 30], ['bob', 10], ['carol', 20]]);
+ *
+ *   console.log(await board.range(0, -1, {rev: true})); // ['alice', 'carol', 'bob']
+ *   console.log(await board.rank('carol'));             // 1
+ *
+ * })();
+ *
+ * @extends Wrapper
+ */
+class SortedSet extends Wrapper {
+
+    /**
+     * Keyspace events of sorted set commands (notify-keyspace-events class)
+     *
+     * @type {String}
+     */
+    static get keyspaceEvents() {
+        return 'z';
+    }
+
+    /**
+     * Redis type of the key (reply of TYPE)
+     *
+     * @type {String}
+     */
+    static get redisType() {
+        return 'zset';
+    }
+
+    /**
+     * Add member with given score. By default adds new members and updates
+     * scores of existing ones, use options to change this behavior
+     *
+     * - Redis command: [ZADD]{@link https://redis.io/commands/zadd}
+     * - JavaScript analogy: [Set.prototype.add]{@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Set/add}
+     *
+     * @example
+     * (async () => {
+     *
+     *   await zset.add('bob', 10);                        // 1 - added
+     *   await zset.add('bob', 5, {gt: true});             // 0 - score stays 10
+     *   await zset.add('bob', 5, {incr: true});           // 15 - new score
+     *   await zset.add('bob', 1, {nx: true, incr: true}); // null - already exists
+     *
+     * })()
+     *
+     * @param  {String|Object}   member                Member to add
+     * @param  {Number}          score                 Score of the member
+     * @param  {Object}          [options={}]          ZADD modifiers
+     * @param  {Boolean}         [options.nx=false]    Only add new members
+     * @param  {Boolean}         [options.xx=false]    Only update existing members
+     * @param  {Boolean}         [options.gt=false]    Only update when new score is greater
+     * @param  {Boolean}         [options.lt=false]    Only update when new score is less
+     * @param  {Boolean}         [options.ch=false]    Count changed members, not only added
+     * @param  {Boolean}         [options.incr=false]  Increment score instead of setting it
+     * @return {Promise<?Number>}                      Number of added (changed) members or new score with `incr`
+     */
+    add(member, score, options = {}) {
+        return options.incr
+            ? this.writeCommand('ZADD', ...addModifiers(options), toScore(score), this.encode(member)).then(parseScore)
+            : this.addMul([[member, score]], options);
+    }
+
+    /**
+     * Add multiple members by passing an array of [member, score] pairs (or a Map)
+     * This command has no analogy in JS
+     *
+     * - Redis command: [ZADD]{@link https://redis.io/commands/zadd}
+     * - JavaScript analogy: none
+     *
+     * @param  {Array[]|Map}     entries      Pairs of [member, score]
+     * @param  {Object}          [options={}] ZADD modifiers, see {@link SortedSet#add}; `incr` is not allowed
+     * @return {Promise<Number>}              Number of added (changed with `ch`) members
+     */
+    addMul(entries, options = {}) {
+        if (options.incr) {
+            return Promise.reject(new Error('INCR option supports only one member, use SortedSet#add'));
+        }
+
+        const args = [];
+
+        for (const [member, score] of entries) {
+            args.push(toScore(score), this.encode(member));
+        }
+
+        return this.writeCommand('ZADD', ...addModifiers(options), ...args).then(Number);
+    }
+
+    /**
+     * Increment score of the member by given number; member is added if missing
+     *
+     * - Redis command: [ZINCRBY]{@link https://redis.io/commands/zincrby}
+     * - JavaScript analogy: none
+     *
+     * @param  {String|Object}   member Member to increment score of
+     * @param  {Number}          [by=1] Increment
+     * @return {Promise<Number>}        New score of the member
+     */
+    increment(member, by = 1) {
+        return this.writeCommand('ZINCRBY', by, this.encode(member)).then(parseScore);
+    }
+
+    /**
+     * Get number of members in the sorted set
+     *
+     * - Redis command: [ZCARD]{@link https://redis.io/commands/zcard}
+     * - JavaScript analogy: [Set.prototype.size]{@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Set/size}
+     *
+     * @return {Promise<Number>}
+     */
+    size() {
+        return this.call('ZCARD')();
+    }
+
+    /**
+     * Count members with scores within given range (inclusive by default,
+     * use '(' prefix in string bound for exclusive: `'(10'`)
+     *
+     * - Redis command: [ZCOUNT]{@link https://redis.io/commands/zcount}
+     * - JavaScript analogy: none
+     *
+     * @param  {Number|String}   [min=-Infinity] Minimal score
+     * @param  {Number|String}   [max=Infinity]  Maximal score
+     * @return {Promise<Number>}                 Number of members in range
+     */
+    count(min = -Infinity, max = Infinity) {
+        return this.command('ZCOUNT', toScore(min), toScore(max)).then(Number);
+    }
+
+    /**
+     * Get score of the member
+     *
+     * - Redis command: [ZSCORE]{@link https://redis.io/commands/zscore}
+     * - JavaScript analogy: none
+     *
+     * @param  {String|Object}    member Member to get score of
+     * @return {Promise<?Number>}        Score or null when member is missing
+     */
+    score(member) {
+        return this.command('ZSCORE', this.encode(member)).then(parseScore);
+    }
+
+    /**
+     * Get index of the member in the set ordered from low to high scores
+     *
+     * - Redis command: [ZRANK]{@link https://redis.io/commands/zrank}
+     * - JavaScript analogy: none
+     *
+     * @param  {String|Object}    member Member to get rank of
+     * @return {Promise<?Number>}        Zero-based rank or null when member is missing
+     */
+    rank(member) {
+        return this.command('ZRANK', this.encode(member));
+    }
+
+    /**
+     * Get index of the member in the set ordered from high to low scores
+     *
+     * - Redis command: [ZREVRANK]{@link https://redis.io/commands/zrevrank}
+     * - JavaScript analogy: none
+     *
+     * @param  {String|Object}    member Member to get rank of
+     * @return {Promise<?Number>}        Zero-based rank or null when member is missing
+     */
+    reverseRank(member) {
+        return this.command('ZREVRANK', this.encode(member));
+    }
+
+    /**
+     * Remove member(s) from the sorted set
+     *
+     * - Redis command: [ZREM]{@link https://redis.io/commands/zrem}
+     * - JavaScript analogy: [Set.prototype.delete]{@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Set/delete}
+     *
+     * @param  {...String|Object} members Member(s) to remove
+     * @return {Promise<Number>}          Number of removed members
+     */
+    delete(...members) {
+        return this.writeCommand('ZREM', ...members.map((member) => this.encode(member))).then(Number);
+    }
+
+    /**
+     * Get members by index range; both indexes are inclusive and may be negative
+     *
+     * - Redis command: [ZRANGE]{@link https://redis.io/commands/zrange}
+     * - JavaScript analogy: none; maybe Array.prototype.slice()
+     *
+     * @example
+     * (async () => {
+     *
+     *   await zset.range();                                  // all members, lowest score first
+     *   await zset.range(0, 2, {rev: true});                 // top 3
+     *   await zset.range(0, 0, {withScores: true});          // [['bob', 10]]
+     *
+     * })()
+     *
+     * @param  {Number}          [start=0]                   Start index
+     * @param  {Number}          [stop=-1]                   Stop index
+     * @param  {Object}          [options={}]                Range options
+     * @param  {Boolean}         [options.rev=false]         Order from highest to lowest score
+     * @param  {Boolean}         [options.withScores=false]  Return [member, score] pairs
+     * @return {Promise<Array>}                              Members or [member, score] pairs
+     */
+    range(start = 0, stop = -1, options = {}) {
+        return this._range([start, stop], null, options);
+    }
+
+    /**
+     * Get members with scores within range. Bounds are inclusive, use '(' prefix
+     * in string bound to make it exclusive. With `rev` bounds stay the same -
+     * min is still lower than max
+     *
+     * - Redis command: [ZRANGE BYSCORE]{@link https://redis.io/commands/zrange}
+     * - JavaScript analogy: none
+     *
+     * @example
+     * (async () => {
+     *
+     *   await zset.rangeByScore(10, '(20');                                 // 10 <= score < 20
+     *   await zset.rangeByScore(-Infinity, Infinity, {limit: {count: 10}}); // first 10
+     *
+     * })()
+     *
+     * @param  {Number|String}   [min=-Infinity]             Minimal score
+     * @param  {Number|String}   [max=Infinity]              Maximal score
+     * @param  {Object}          [options={}]                Range options
+     * @param  {Boolean}         [options.rev=false]         Order from highest to lowest score
+     * @param  {Boolean}         [options.withScores=false]  Return [member, score] pairs
+     * @param  {Object}          [options.limit]             Object with `offset` and `count` of members to return
+     * @return {Promise<Array>}                              Members or [member, score] pairs
+     */
+    rangeByScore(min = -Infinity, max = Infinity, options = {}) {
+        const bounds = options.rev
+            ? [toScore(max), toScore(min)]
+            : [toScore(min), toScore(max)];
+
+        return this._range(bounds, 'BYSCORE', options);
+    }
+
+    /**
+     * Get members within lexicographical range; should be used when all the
+     * members have the same score. Bounds must start with '[' (inclusive) or
+     * '(' (exclusive) or be '-' and '+'. They are compared with stored values,
+     * so with JSON codec strings are compared with their quotes: `'["abc'`
+     *
+     * - Redis command: [ZRANGE BYLEX]{@link https://redis.io/commands/zrange}
+     * - JavaScript analogy: none
+     *
+     * @param  {String}          [min='-']            Lower bound
+     * @param  {String}          [max='+']            Upper bound
+     * @param  {Object}          [options={}]         Range options
+     * @param  {Boolean}         [options.rev=false]  Order from highest to lowest
+     * @param  {Object}          [options.limit]      Object with `offset` and `count` of members to return
+     * @return {Promise<Array>}                       Members in range
+     */
+    rangeByLex(min = '-', max = '+', options = {}) {
+        const bounds = options.rev ? [max, min] : [min, max];
+
+        return this._range(bounds, 'BYLEX', {rev: options.rev, limit: options.limit});
+    }
+
+    /**
+     * Remove members within index range (inclusive)
+     *
+     * - Redis command: [ZREMRANGEBYRANK]{@link https://redis.io/commands/zremrangebyrank}
+     * - JavaScript analogy: none
+     *
+     * @param  {Number}          start Start index
+     * @param  {Number}          stop  Stop index
+     * @return {Promise<Number>}       Number of removed members
+     */
+    removeRange(start, stop) {
+        return this.writeCommand('ZREMRANGEBYRANK', start, stop).then(Number);
+    }
+
+    /**
+     * Remove members with scores within range
+     *
+     * - Redis command: [ZREMRANGEBYSCORE]{@link https://redis.io/commands/zremrangebyscore}
+     * - JavaScript analogy: none
+     *
+     * @param  {Number|String}   min Minimal score
+     * @param  {Number|String}   max Maximal score
+     * @return {Promise<Number>}     Number of removed members
+     */
+    removeRangeByScore(min, max) {
+        return this.writeCommand('ZREMRANGEBYSCORE', toScore(min), toScore(max)).then(Number);
+    }
+
+    /**
+     * Remove members within lexicographical range, see {@link SortedSet#rangeByLex}
+     * for bounds format
+     *
+     * - Redis command: [ZREMRANGEBYLEX]{@link https://redis.io/commands/zremrangebylex}
+     * - JavaScript analogy: none
+     *
+     * @param  {String}          min Lower bound
+     * @param  {String}          max Upper bound
+     * @return {Promise<Number>}     Number of removed members
+     */
+    removeRangeByLex(min, max) {
+        return this.writeCommand('ZREMRANGEBYLEX', min, max).then(Number);
+    }
+
+    /**
+     * Remove and get member(s) with the lowest score. Without count resolves
+     * with single [member, score] pair (or null), with count - with array of pairs
+     *
+     * - Redis command: [ZPOPMIN]{@link https://redis.io/commands/zpopmin}
+     * - JavaScript analogy: none
+     *
+     * @param  {Number}          [count] Number of members to pop
+     * @return {Promise<?Array>}         Popped pair or array of pairs
+     */
+    popMin(count) {
+        return this._pop('ZPOPMIN', count);
+    }
+
+    /**
+     * Remove and get member(s) with the highest score, see {@link SortedSet#popMin}
+     *
+     * - Redis command: [ZPOPMAX]{@link https://redis.io/commands/zpopmax}
+     * - JavaScript analogy: none
+     *
+     * @param  {Number}          [count] Number of members to pop
+     * @return {Promise<?Array>}         Popped pair or array of pairs
+     */
+    popMax(count) {
+        return this._pop('ZPOPMAX', count);
+    }
+
+    /**
+     * Lazily iterate over [member, score] pairs with cursor. Order is not
+     * guaranteed; the same member may be yielded more than once if the set
+     * is modified during iteration
+     *
+     * - Redis command: [ZSCAN]{@link https://redis.io/commands/zscan}
+     * - JavaScript analogy: [Map.prototype.entries]{@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Map/entries}
+     *
+     * @param  {Object}         [options={}]    Scan options
+     * @param  {String}         [options.match] Glob-style pattern for (stored) members
+     * @param  {Number}         [options.count] Number of elements Redis checks per call
+     * @return {AsyncGenerator}                 Generator of [member, score] pairs
+     */
+    async *scanEntries(options = {}) {
+        for await (const batch of this._scan('ZSCAN', options)) {
+            yield* this._entries(batch);
+        }
+    }
+
+    /**
+     * Lazily iterate over members, see {@link SortedSet#scanEntries}
+     *
+     * - Redis command: [ZSCAN]{@link https://redis.io/commands/zscan}
+     * - JavaScript analogy: [Set.prototype.values]{@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Set/values}
+     *
+     * @param  {Object}         [options={}] Scan options, see {@link SortedSet#scanEntries}
+     * @return {AsyncGenerator}              Generator of members
+     */
+    async *scanValues(options = {}) {
+        for await (const [member] of this.scanEntries(options)) {
+            yield member;
+        }
+    }
+
+    /**
+     * Iterate over sorted set with `for await` - the same as
+     * {@link SortedSet#scanEntries} with default options
+     *
+     * @return {AsyncGenerator} Generator of [member, score] pairs
+     */
+    [Symbol.asyncIterator]() {
+        return this.scanEntries();
+    }
+
+    /**
+     * Read [member, score] pairs with ZSCAN for {@link Wrapper#createReadStream}
+     *
+     * @private
+     * @param  {Number}         batchSize Number of elements Redis checks per call
+     * @return {AsyncGenerator}           Generator of [member, score] pairs
+     */
+    _readBatches(batchSize) {
+        return this.scanEntries({count: batchSize});
+    }
+
+    /**
+     * Add [member, score] pairs with ZADD for {@link Wrapper#createWriteStream}
+     *
+     * @private
+     * @param  {Array[]} batch Pairs of [member, score]
+     * @return {Promise}
+     */
+    _writeBatch(batch) {
+        return this.addMul(batch);
+    }
+
+    /**
+     * Read members with scores for {@link Wrapper#snapshot}; infinite scores
+     * are kept as '+inf' and '-inf' strings, JSON has no Infinity
+     *
+     * @private
+     * @return {Promise<Array[]>} [member, score] pairs
+     */
+    _snapshotData() {
+        return this.range(0, -1, {withScores: true})
+            .then((entries) => entries.map(([member, score]) => [member, Number.isFinite(score) ? score : toScore(score)]));
+    }
+
+    /**
+     * Build **ZADD** commands for {@link Wrapper#restoreSnapshot}
+     *
+     * @private
+     * @param  {Array[]} data [member, score] pairs
+     * @return {Array[]}
+     */
+    _restoreCommands(data) {
+        const args = [];
+
+        data.forEach(([member, score]) => args.push(toScore(score), this.encode(member)));
+
+        return this._chunkedCommands('ZADD', args, 2);
+    }
+
+    /**
+     * Run ZRANGE with given arguments and decode the reply
+     *
+     * @private
+     * @param  {Array}   bounds  Start and stop arguments
+     * @param  {?String} by      BYSCORE, BYLEX or null for index range
+     * @param  {Object}  options Object with `rev`, `limit` and `withScores` options
+     * @return {Promise<Array>}
+     */
+    _range(bounds, by, options) {
+        const args = bounds.slice();
+
+        if (by) {
+            args.push(by);
+        }
+
+        if (options.rev) {
+            args.push('REV');
+        }
+
+        args.push(...limitModifier(options.limit));
+
+        if (options.withScores) {
+            args.push('WITHSCORES');
+        }
+
+        return this.command('ZRANGE', ...args).then((reply) => options.withScores
+            ? this._entries(reply)
+            : this.decodeArray(reply));
+    }
+
+    /**
+     * Run ZPOPMIN or ZPOPMAX and decode the reply
+     *
+     * @private
+     * @param  {String}  command Command to run
+     * @param  {Number}  [count] Number of members to pop
+     * @return {Promise}
+     */
+    _pop(command, count) {
+        return (count === undefined)
+            ? this.writeCommand(command).then((reply) => this._entries(reply)[0] || null)
+            : this.writeCommand(command, count).then((reply) => this._entries(reply));
+    }
+
+    /**
+     * Turn flat [member, score, member, score] reply into [member, score] pairs
+     *
+     * @private
+     * @param  {String[]} reply Flat reply of Redis
+     * @return {Array[]}        Array of [member, score] pairs
+     */
+    _entries(reply) {
+        const entries = [];
+
+        for (let i = 0; i < reply.length; i += 2) {
+            entries.push([
+                this.decode(reply[i]),
+                parseScore(reply[i + 1])
+            ]);
+        }
+
+        return entries;
+    }
+}
+
+module.exports = exports = SortedSet;
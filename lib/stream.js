@@ -0,0 +1,732 @@
+/**
+ * Redis STREAM type wrapper
+ *
+ * Implemented methods:
+ *
+ * - append (**XADD**)
+ * - length (**XLEN**)
+ * - range (**XRANGE**)
+ * - revRange (**XREVRANGE**)
+ * - delete (**XDEL**)
+ * - trim (**XTRIM**)
+ * - read (**XREAD**)
+ * - group (consumer group, see {@link StreamGroup} and {@link StreamConsumer})
+ *
+ * Entries are returned as `[id, fields]` pairs. Field names are strings,
+ * field values are encoded with the codec of the stream - so with JSON
+ * enabled each value is stored as JSON on its own.
+ *
+ * Streams require Redis 5 or newer, XAUTOCLAIM - Redis 6.2.
+ */
+
+'use strict';
+
+const Wrapper = require('./wrapper');
+
+/**
+ * Seconds blocking reads wait for entries when iterating over consumer, so
+ * abort signal is checked at least this often
+ * @type {Number}
+ */
+const ITERATION_TIMEOUT = 1;
+
+/**
+ * Number of entries read at once when iterating over consumer
+ * @type {Number}
+ */
+const ITERATION_COUNT = 10;
+
+/**
+ * Stringify arguments of raw command, Buffers are passed as is
+ *
+ * @param  {Array} args
+ * @return {Array}
+ */
+function stringify(args) {
+    return args.map((arg) => Buffer.isBuffer(arg) ? arg : String(arg));
+}
+
+/**
+ * Build trimming modifier of XADD and XTRIM
+ *
+ * @param  {Object}  options               Trimming options
+ * @param  {Number}  [options.maxLen]      Maximal number of entries to keep
+ * @param  {String}  [options.minId]       Entries with smaller IDs are removed
+ * @param  {Boolean} [options.approximate] Let Redis trim less for efficiency (`~`)
+ * @return {Array}                         Modifier arguments
+ */
+function trimModifier(options) {
+    const modifier = [];
+
+    if (options.maxLen !== undefined) {
+        modifier.push('MAXLEN');
+    } else if (options.minId !== undefined) {
+        modifier.push('MINID');
+    } else {
+        return modifier;
+    }
+
+    if (options.approximate) {
+        modifier.push('~');
+    }
+
+    modifier.push((options.maxLen !== undefined) ? options.maxLen : options.minId);
+
+    return modifier;
+}
+
+/**
+ * Convert timeout of blocking read from seconds to BLOCK milliseconds
+ *
+ * @param  {Number} timeout Seconds, 0 - forever
+ * @return {Number}
+ */
+function blockTime(timeout) {
+    return Math.round(timeout * 1000);
+}
+
+/**
+ * Class to handle Redis STREAM type - append-only log of entries with
+ * consumer groups
+ *
+ * @example
+ * const events = new types.Stream('events', true);
+ *
+ * (async () => {
+ *
+ *   const id = await events.append({type: 'signup', user: {id: 42}}, {maxLen: 10000, approximate: true});
+ *
+ *   for (const [id, fields] of await events.range('-', '+', 10)) {
+ *       console.log(id, fields.type, fields.user.id);
+ *   }
+ *
+ *   const mailer = events.group('mailer');
+ *
+ *   await mailer.create({from: '0'});
+ *
+ *   for await (const [id, fields] of mailer.consumer('worker-1')) {
+ *       await sendMail(fields.user);
+ *       await mailer.consumer('worker-1').ack(id);
+ *   }
+ *
+ * })()
+ *
+ * @extends Wrapper
+ */
+class Stream extends Wrapper {
+
+    /**
+     * Keyspace events of stream commands (notify-keyspace-events class)
+     *
+     * @type {String}
+     */
+    static get keyspaceEvents() {
+        return 't';
+    }
+
+    /**
+     * Redis type of the key (reply of TYPE)
+     *
+     * @type {String}
+     */
+    static get redisType() {
+        return 'stream';
+    }
+
+    /**
+     * Append entry to the stream, trimming it when asked
+     *
+     * - Redis command: [XADD]{@link https://redis.io/commands/xadd}
+     * - JavaScript analogy: [Array.prototype.push]{@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/push}
+     *
+     * @example
+     * (async () => {
+     *
+     *   await stream.append({type: 'login', user: 'sam'}, {maxLen: 1000, approximate: true});
+     *
+     * })()
+     *
+     * @param  {Object}          fields                      Fields of the entry, values are encoded
+     * @param  {Object}          [options={}]                Options
+     * @param  {String}          [options.id='*']            ID of the entry, generated by Redis by default
+     * @param  {Number}          [options.maxLen]            Trim stream to this number of entries
+     * @param  {String}          [options.minId]             Trim entries with smaller IDs (Redis 6.2)
+     * @param  {Boolean}         [options.approximate=false] Let Redis trim less for efficiency (`~`)
+     * @param  {Boolean}         [options.noMkStream=false]  Do not create missing stream (Redis 6.2)
+     * @return {Promise<?String>}                            ID of the entry, null when stream does not
+     *                                                       exist and noMkStream is set
+     */
+    append(fields, options = {}) {
+        const names = Object.keys(fields);
+
+        if (names.length === 0) {
+            return Promise.reject(new Error('Stream entry must have at least one field'));
+        }
+
+        const args = [];
+
+        if (options.noMkStream) {
+            args.push('NOMKSTREAM');
+        }
+
+        args.push(...trimModifier(options), options.id || '*');
+
+        names.forEach((name) => args.push(name, this.encode(fields[name])));
+
+        return this.writeCommand('XADD', ...args).then((id) => (id === null) ? null : String(id));
+    }
+
+    /**
+     * Get number of entries in the stream
+     *
+     * - Redis command: [XLEN]{@link https://redis.io/commands/xlen}
+     * - JavaScript analogy: [Array.length]{@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/length}
+     *
+     * @return {Promise<Number>}
+     */
+    length() {
+        return this.command('XLEN');
+    }
+
+    /**
+     * Get entries with IDs between start and end (both inclusive, prefix ID
+     * with `(` to exclude it) from the oldest to the newest
+     *
+     * - Redis command: [XRANGE]{@link https://redis.io/commands/xrange}
+     * - JavaScript analogy: [Array.prototype.slice]{@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/slice}
+     *
+     * @example
+     * (async () => {
+     *
+     *   const lastHour = await stream.range(String(Date.now() - 3600 * 1000));
+     *
+     * })()
+     *
+     * @param  {String}          [start='-'] Smallest ID, `-` - the oldest entry
+     * @param  {String}          [end='+']   Greatest ID, `+` - the newest entry
+     * @param  {Number}          [count]     Maximal number of entries
+     * @return {Promise<Array[]>}            Entries as [id, fields] pairs
+     */
+    range(start = '-', end = '+', count) {
+        const args = (count === undefined) ? [start, end] : [start, end, 'COUNT', count];
+
+        return this.command('XRANGE', ...args).then((entries) => this._entries(entries));
+    }
+
+    /**
+     * Get entries with IDs between end and start from the newest to the
+     * oldest, see {@link Stream#range}
+     *
+     * - Redis command: [XREVRANGE]{@link https://redis.io/commands/xrevrange}
+     *
+     * @param  {String}          [end='+']   Greatest ID, `+` - the newest entry
+     * @param  {String}          [start='-'] Smallest ID, `-` - the oldest entry
+     * @param  {Number}          [count]     Maximal number of entries
+     * @return {Promise<Array[]>}            Entries as [id, fields] pairs
+     */
+    revRange(end = '+', start = '-', count) {
+        const args = (count === undefined) ? [end, start] : [end, start, 'COUNT', count];
+
+        return this.command('XREVRANGE', ...args).then((entries) => this._entries(entries));
+    }
+
+    /**
+     * Remove entries by their IDs
+     *
+     * - Redis command: [XDEL]{@link https://redis.io/commands/xdel}
+     *
+     * @param  {...String}       ids IDs of entries
+     * @return {Promise<Number>}     Number of removed entries
+     */
+    delete(...ids) {
+        return this.writeCommand('XDEL', ...ids);
+    }
+
+    /**
+     * Remove the oldest entries
+     *
+     * - Redis command: [XTRIM]{@link https://redis.io/commands/xtrim}
+     *
+     * @param  {Object}          options                     Trimming options, maxLen or minId is required
+     * @param  {Number}          [options.maxLen]            Number of entries to keep
+     * @param  {String}          [options.minId]             Remove entries with smaller IDs (Redis 6.2)
+     * @param  {Boolean}         [options.approximate=false] Let Redis trim less for efficiency (`~`)
+     * @return {Promise<Number>}                             Number of removed entries
+     */
+    trim(options) {
+        const modifier = trimModifier(options);
+
+        if (modifier.length === 0) {
+            return Promise.reject(new Error('Either maxLen or minId is required to trim stream'));
+        }
+
+        return this.writeCommand('XTRIM', ...modifier);
+    }
+
+    /**
+     * Wait for entries added after the given ID. Command is sent on isolated
+     * connection and does not block the client
+     *
+     * - Redis command: [XREAD]{@link https://redis.io/commands/xread}
+     *
+     * @example
+     * (async () => {
+     *
+     *   let last = '$';
+     *
+     *   for (;;) {
+     *       for (const [id, fields] of await stream.read({after: last, timeout: 5})) {
+     *           console.log(fields);
+     *           last = id;
+     *       }
+     *   }
+     *
+     * })()
+     *
+     * @param  {Object}          [options={}]          Options
+     * @param  {String}          [options.after='$']   ID to read entries after, `$` - the newest one
+     * @param  {Number}          [options.count]       Maximal number of entries
+     * @param  {Number}          [options.timeout=0]   Seconds to wait, 0 - wait forever
+     * @return {Promise<Array[]>}                      Entries as [id, fields] pairs, empty on timeout
+     */
+    read(options = {}) {
+        const args = ['XREAD'];
+
+        if (options.count !== undefined) {
+            args.push('COUNT', options.count);
+        }
+
+        args.push('BLOCK', blockTime(options.timeout || 0), 'STREAMS', this.key, options.after || '$');
+
+        return this._send(args, true).then((reply) => this._streamEntries(reply));
+    }
+
+    /**
+     * Get consumer group of the stream; group is created with
+     * {@link StreamGroup#create}
+     *
+     * @param  {String}      name Name of the group
+     * @return {StreamGroup}
+     */
+    group(name) {
+        return new StreamGroup(this, name);
+    }
+
+    /**
+     * Read entries in order with XRANGE for {@link Wrapper#createReadStream}
+     *
+     * @private
+     * @param  {Number}         batchSize Number of entries to read at once
+     * @return {AsyncGenerator}           Generator of [id, fields] pairs
+     */
+    async *_readBatches(batchSize) {
+        let start = '-';
+
+        for (;;) {
+            const entries = await this.range(start, '+', batchSize);
+
+            yield* entries;
+
+            if (entries.length < batchSize) {
+                return;
+            }
+
+            start = '(' + entries[entries.length - 1][0];
+        }
+    }
+
+    /**
+     * Append entries with new ids for {@link Wrapper#createWriteStream}
+     *
+     * @private
+     * @param  {Array}   batch Objects with fields or [id, fields] entries (ids are not kept)
+     * @return {Promise}
+     */
+    _writeBatch(batch) {
+        return Promise.all(batch.map((chunk) => this.append(Array.isArray(chunk) ? chunk[1] : chunk)));
+    }
+
+    /**
+     * Read entries for {@link Wrapper#snapshot}
+     *
+     * @private
+     * @return {Promise<Array[]>} [id, fields] entries
+     */
+    _snapshotData() {
+        return this.range();
+    }
+
+    /**
+     * Build **XADD** commands for {@link Wrapper#restoreSnapshot}, entries keep
+     * their ids
+     *
+     * @private
+     * @param  {Array[]} data [id, fields] entries
+     * @return {Array[]}
+     */
+    _restoreCommands(data) {
+        return data.map(([id, fields]) => {
+            const args = ['XADD', id];
+
+            Object.keys(fields).forEach((name) => args.push(name, this.encode(fields[name])));
+
+            return args;
+        });
+    }
+
+    /**
+     * Send raw command which does not have the key as the first argument
+     *
+     * @private
+     * @param  {Array}   args             Command with arguments
+     * @param  {Boolean} [blocking=false] Whether to send on isolated connection
+     * @return {Promise}                  Raw reply
+     */
+    _send(args, blocking = false) {
+        const options = blocking ? {key: this.key, isolated: true} : {key: this.key};
+
+        return this.checked(() => this.client.sendCommand(stringify(args), this.commandOptions(options)));
+    }
+
+    /**
+     * Decode raw entries of XRANGE-like reply
+     *
+     * @private
+     * @param  {?Array}  entries Raw entries [id, [field, value, ...]]
+     * @return {Array[]}         Entries as [id, fields] pairs; fields of deleted entries are null
+     */
+    _entries(entries) {
+        return (entries || []).map(([id, flat]) => {
+            if (flat === null) {
+                return [String(id), null];
+            }
+
+            const fields = {};
+
+            for (let i = 0; i < flat.length; i += 2) {
+                fields[String(flat[i])] = this.decode(flat[i + 1]);
+            }
+
+            return [String(id), fields];
+        });
+    }
+
+    /**
+     * Decode entries of this stream from XREAD-like reply
+     *
+     * @private
+     * @param  {?Array}  reply Raw reply [[key, entries], ...] or null
+     * @return {Array[]}       Entries as [id, fields] pairs
+     */
+    _streamEntries(reply) {
+        return (reply === null) ? [] : this._entries(reply[0][1]);
+    }
+}
+
+/**
+ * Consumer group of a stream: each entry is delivered to one consumer of the
+ * group and stays pending until it's acknowledged
+ */
+class StreamGroup {
+
+    /**
+     * @param {Stream} stream Stream of the group
+     * @param {String} name   Name of the group
+     */
+    constructor(stream, name) {
+        Object.defineProperties(this, {
+            stream: {value: stream},
+            name:   {value: name}
+        });
+    }
+
+    /**
+     * Create the group; missing stream is created as well
+     *
+     * - Redis command: [XGROUP CREATE]{@link https://redis.io/commands/xgroup-create}
+     *
+     * @param  {Object}           [options={}]          Options
+     * @param  {String}           [options.from='$']    ID of the last entry considered delivered, `$` - the
+     *                                                  newest one, `0` - deliver the whole stream
+     * @return {Promise<Boolean>}                       Whether group was created (false when it exists)
+     */
+    create(options = {}) {
+        return this.stream._send(['XGROUP', 'CREATE', this.stream.key, this.name, options.from || '$', 'MKSTREAM'])
+            .then(() => true, (error) => {
+                if (/^BUSYGROUP/.test(error.message)) {
+                    return false;
+                }
+
+                throw error;
+            });
+    }
+
+    /**
+     * Remove the group with its consumers and pending entries
+     *
+     * - Redis command: [XGROUP DESTROY]{@link https://redis.io/commands/xgroup-destroy}
+     *
+     * @return {Promise<Boolean>} Whether group existed
+     */
+    destroy() {
+        return this.stream._send(['XGROUP', 'DESTROY', this.stream.key, this.name]).then((reply) => reply === 1);
+    }
+
+    /**
+     * Set ID of the last entry considered delivered
+     *
+     * - Redis command: [XGROUP SETID]{@link https://redis.io/commands/xgroup-setid}
+     *
+     * @param  {String}  id ID, `$` - the newest entry
+     * @return {Promise}
+     */
+    setId(id) {
+        return this.stream._send(['XGROUP', 'SETID', this.stream.key, this.name, id]);
+    }
+
+    /**
+     * Get summary of entries pending in the group
+     *
+     * - Redis command: [XPENDING]{@link https://redis.io/commands/xpending}
+     *
+     * @return {Promise<Object>} Object {count, first, last, consumers} where first and last are the
+     *                           smallest and the greatest pending IDs (null when nothing is pending)
+     *                           and consumers is an object of pending counts by consumer name
+     */
+    pending() {
+        return this.stream.command('XPENDING', this.name).then(([count, first, last, consumers]) => ({
+            count,
+            first:     (first === null) ? null : String(first),
+            last:      (last === null) ? null : String(last),
+            consumers: (consumers || []).reduce((result, [name, pending]) => Object.assign(result, {
+                [String(name)]: Number(pending)
+            }), {})
+        }));
+    }
+
+    /**
+     * Get consumer of the group; it's created by Redis on the first read
+     *
+     * @param  {String}         name Name of the consumer
+     * @return {StreamConsumer}
+     */
+    consumer(name) {
+        return new StreamConsumer(this, name);
+    }
+}
+
+/**
+ * Consumer of a stream group. Entries read by consumer are pending until
+ * acknowledged with {@link StreamConsumer#ack}; entries of consumers which
+ * died can be taken over with {@link StreamConsumer#claim}.
+ *
+ * Consumer is an async iterable of entries: first its own pending entries
+ * are yielded, then new ones as they come
+ */
+class StreamConsumer {
+
+    /**
+     * @param {StreamGroup} group Group of the consumer
+     * @param {String}      name  Name of the consumer
+     */
+    constructor(group, name) {
+        Object.defineProperties(this, {
+            stream: {value: group.stream},
+            group:  {value: group},
+            name:   {value: name}
+        });
+    }
+
+    /**
+     * Read entries never delivered to the group, waiting for them when there
+     * are none; or, with `pending` option, entries delivered to this consumer
+     * and not acknowledged yet. Blocking read is sent on isolated connection
+     *
+     * - Redis command: [XREADGROUP]{@link https://redis.io/commands/xreadgroup}
+     *
+     * @param  {Object}           [options={}]            Options
+     * @param  {Number}           [options.count]         Maximal number of entries
+     * @param  {Number}           [options.timeout=0]     Seconds to wait, 0 - wait forever
+     * @param  {Boolean|String}   [options.pending=false] Read own pending entries (never blocks); ID to
+     *                                                    read pending entries after
+     * @param  {Boolean}          [options.noAck=false]   Do not add entries to pending ones
+     * @return {Promise<Array[]>}                         Entries as [id, fields] pairs, empty on timeout;
+     *                                                    fields of deleted pending entries are null
+     */
+    read(options = {}) {
+        const args = ['XREADGROUP', 'GROUP', this.group.name, this.name];
+
+        if (options.count !== undefined) {
+            args.push('COUNT', options.count);
+        }
+
+        if (!options.pending) {
+            args.push('BLOCK', blockTime(options.timeout || 0));
+        }
+
+        if (options.noAck) {
+            args.push('NOACK');
+        }
+
+        const id = options.pending
+            ? ((options.pending === true) ? '0' : options.pending)
+            : '>';
+
+        args.push('STREAMS', this.stream.key, id);
+
+        return this.stream._send(args, !options.pending).then((reply) => this.stream._streamEntries(reply));
+    }
+
+    /**
+     * Acknowledge processed entries - remove them from pending ones
+     *
+     * - Redis command: [XACK]{@link https://redis.io/commands/xack}
+     *
+     * @param  {...String}       ids IDs of entries
+     * @return {Promise<Number>}     Number of acknowledged entries
+     */
+    ack(...ids) {
+        return this.stream.writeCommand('XACK', this.group.name, ...ids);
+    }
+
+    /**
+     * Take over entries pending in the group for at least `minIdle`
+     * milliseconds (e.g. of crashed consumers). Entries are scanned from
+     * `start` - pass returned cursor to continue, scan is done when it's `0-0`
+     *
+     * - Redis command: [XAUTOCLAIM]{@link https://redis.io/commands/xautoclaim}
+     *
+     * @example
+     * (async () => {
+     *
+     *   let cursor = '0-0';
+     *
+     *   do {
+     *       const [next, entries] = await consumer.claim(60000, {start: cursor});
+     *
+     *       await handle(entries);
+     *       cursor = next;
+     *   } while (cursor !== '0-0');
+     *
+     * })()
+     *
+     * @param  {Number}          minIdle               Milliseconds entry has to be idle for
+     * @param  {Object}          [options={}]          Options
+     * @param  {String}          [options.start='0-0'] ID to start scanning pending entries from
+     * @param  {Number}          [options.count=100]   Maximal number of entries to claim
+     * @return {Promise<Array>}                        Pair of [cursor, entries as [id, fields] pairs]
+     */
+    claim(minIdle, options = {}) {
+        const args = [this.group.name, this.name, minIdle, options.start || '0-0'];
+
+        if (options.count !== undefined) {
+            args.push('COUNT', options.count);
+        }
+
+        return this.stream.writeCommand('XAUTOCLAIM', ...args).then(([next, entries]) => [
+            String(next),
+            this.stream._entries(entries)
+        ]);
+    }
+
+    /**
+     * Get entries delivered to this consumer and not acknowledged yet
+     *
+     * - Redis command: [XPENDING]{@link https://redis.io/commands/xpending}
+     *
+     * @param  {Object}           [options={}]        Options
+     * @param  {String}           [options.start='-'] Smallest ID
+     * @param  {String}           [options.end='+']   Greatest ID
+     * @param  {Number}           [options.count=100] Maximal number of entries
+     * @param  {Number}           [options.minIdle]   Only entries idle for at least this number of
+     *                                                milliseconds (Redis 6.2)
+     * @return {Promise<Object[]>}                    Objects {id, consumer, idle, deliveries} where idle
+     *                                                is milliseconds since the last delivery
+     */
+    pending(options = {}) {
+        const args = [this.group.name];
+
+        if (options.minIdle !== undefined) {
+            args.push('IDLE', options.minIdle);
+        }
+
+        args.push(options.start || '-', options.end || '+', options.count || 100, this.name);
+
+        return this.stream.command('XPENDING', ...args).then((entries) => entries.map(([id, consumer, idle, deliveries]) => ({
+            id:       String(id),
+            consumer: String(consumer),
+            idle,
+            deliveries
+        })));
+    }
+
+    /**
+     * Iterate over entries of the consumer: its own pending entries first (the
+     * ones not acknowledged before restart), then new ones as they come.
+     * Entries are not acknowledged automatically
+     *
+     * - Redis command: [XREADGROUP]{@link https://redis.io/commands/xreadgroup}
+     *
+     * @example
+     * (async () => {
+     *
+     *   const controller = new AbortController();
+     *
+     *   for await (const [id, fields] of consumer.entries({signal: controller.signal})) {
+     *       await handle(fields);
+     *       await consumer.ack(id);
+     *   }
+     *
+     * })()
+     *
+     * @param  {Object}         [options={}]         Options
+     * @param  {Number}         [options.count=10]   Number of entries read at once
+     * @param  {Number}         [options.timeout=1]  Seconds each blocking read waits, abort signal
+     *                                               is checked between reads
+     * @param  {AbortSignal}    [options.signal]     Signal to stop iteration
+     * @return {AsyncGenerator}                      Generator of [id, fields] pairs
+     */
+    async *entries(options = {}) {
+        const count   = options.count || ITERATION_COUNT;
+        const timeout = options.timeout || ITERATION_TIMEOUT;
+        const signal  = options.signal;
+
+        const stopped = () => signal !== undefined && signal.aborted;
+
+        let after = '0';
+
+        while (!stopped()) {
+            const entries = await this.read({count, pending: after});
+
+            if (entries.length === 0) {
+                break;
+            }
+
+            for (const entry of entries) {
+                yield entry;
+            }
+
+            after = entries[entries.length - 1][0];
+        }
+
+        while (!stopped()) {
+            for (const entry of await this.read({count, timeout})) {
+                yield entry;
+            }
+        }
+    }
+
+    /**
+     * Iterate over entries with default options, see {@link StreamConsumer#entries}
+     *
+     * @return {AsyncGenerator} Generator of [id, fields] pairs
+     */
+    [Symbol.asyncIterator]() {
+        return this.entries();
+    }
+}
+
+module.exports = exports = Stream;
+
+exports.StreamGroup    = StreamGroup;
+exports.StreamConsumer = StreamConsumer;
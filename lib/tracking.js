@@ -0,0 +1,161 @@
+/**
+ * Invalidation of client side caches: **CLIENT TRACKING** in default mode
+ * redirected to one shared subscriber connection per client (duplicated from
+ * it), which receives messages on `__redis__:invalidate`. Server remembers
+ * keys the client reads and sends each of them once it's modified; messages
+ * are dispatched to listeners of exact keys, the rest are ignored. Redirection
+ * works with RESP2 connections, so it does not require client support of RESP3
+ */
+
+'use strict';
+
+/**
+ * Channel Redis sends invalidation messages to in redirect mode
+ * @type {String}
+ */
+const CHANNEL = '__redis__:invalidate';
+
+/**
+ * Trackers by client they track keys of
+ * @type {WeakMap}
+ */
+const trackers = new WeakMap();
+
+/**
+ * Get keys of invalidation message: array of keys or null when all the keys
+ * are invalidated (FLUSHALL, FLUSHDB)
+ *
+ * @param  {?(Array|String|Buffer)} message Message as the client delivers it
+ * @return {?String[]}                      Invalidated keys
+ */
+function invalidatedKeys(message) {
+    return (message === null || message === undefined) ? null : [].concat(message).map(String);
+}
+
+/**
+ * Remove tracker of the client unless it's already replaced with a new one
+ *
+ * @param {Adapter} client  Adapter of the tracked client
+ * @param {Object}  tracker Tracker to remove
+ */
+function forget(client, tracker) {
+    if (trackers.get(client) === tracker) {
+        trackers.delete(client);
+    }
+}
+
+/**
+ * Create tracker of the client: connect subscriber connection, get its id,
+ * subscribe it to invalidation messages and turn tracking of the client on
+ * with redirection to it
+ *
+ * @param  {Adapter} client Adapter of the client to track keys of
+ * @return {Object}         Tracker {count, listeners, connection, ready}
+ */
+function start(client) {
+    const connection = client.duplicate();
+    const tracker    = {count: 0, listeners: new Map(), connection, ready: null};
+
+    const dispatch = (message) => {
+        const keys = invalidatedKeys(message);
+
+        (keys === null ? Array.from(tracker.listeners.keys()) : keys).forEach((key) => {
+            (tracker.listeners.get(key) || []).forEach((listener) => listener(key));
+        });
+    };
+
+    tracker.ready = connection.connect()
+        .then(() => connection.sendCommand(['CLIENT', 'ID']))
+        .then((id) => connection.subscribe(CHANNEL, dispatch)
+            .then(() => client.sendCommand(['CLIENT', 'TRACKING', 'ON', 'REDIRECT', String(id)])))
+        .catch((error) => {
+            forget(client, tracker);
+            connection.quit().catch(() => {});
+            throw error;
+        });
+
+    return tracker;
+}
+
+/**
+ * Forget one subscriber of the tracker; tracking is turned off and the
+ * subscriber connection is closed with the last one
+ *
+ * @param  {Adapter} client  Adapter of the tracked client
+ * @param  {Object}  tracker Its tracker
+ * @return {Promise}
+ */
+async function release(client, tracker) {
+    if (--tracker.count > 0) {
+        return;
+    }
+
+    forget(client, tracker);
+
+    if (!await tracker.ready.then(() => true, () => false)) {
+        return;
+    }
+
+    await client.sendCommand(['CLIENT', 'TRACKING', 'OFF']);
+    await tracker.connection.quit();
+}
+
+/**
+ * Call listener when the key is modified. Tracking of the client is turned on
+ * with the first listener; server tracks the key once the client reads it, so
+ * listener has to be subscribed before the key is read
+ *
+ * @param  {Adapter}  client   Adapter of the client (node of the key in cluster)
+ * @param  {String}   key      Key to track
+ * @param  {Function} listener Function called with the key on each invalidation
+ * @return {Promise}           Resolved when tracking is on
+ *
+ * @throws {Error} When server does not support tracking
+ */
+exports.subscribe = async function (client, key, listener) {
+    let tracker = trackers.get(client);
+
+    if (tracker === undefined) {
+        tracker = start(client);
+        trackers.set(client, tracker);
+    }
+
+    tracker.count++;
+
+    try {
+        await tracker.ready;
+    } catch (error) {
+        await release(client, tracker);
+        throw error;
+    }
+
+    if (!tracker.listeners.has(key)) {
+        tracker.listeners.set(key, new Set());
+    }
+
+    tracker.listeners.get(key).add(listener);
+};
+
+/**
+ * Stop calling listener on modifications of the key. Tracking is turned off
+ * and subscriber connection is closed with the last listener of the client
+ *
+ * @param  {Adapter}  client   Adapter of the client
+ * @param  {String}   key      Tracked key
+ * @param  {Function} listener Listener to remove
+ * @return {Promise}
+ */
+exports.unsubscribe = async function (client, key, listener) {
+    const tracker   = trackers.get(client);
+    const listeners = (tracker === undefined) ? undefined : tracker.listeners.get(key);
+
+    if (listeners === undefined || !listeners.delete(listener)) {
+        return;
+    }
+
+    if (listeners.size === 0) {
+        tracker.listeners.delete(key);
+    }
+
+    await release(client, tracker);
+};
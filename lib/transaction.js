@@ -0,0 +1,335 @@
+/**
+ * Command queue to run commands of multiple wrappers in one MULTI/EXEC or in
+ * one pipeline
+ */
+
+'use strict';
+
+const adapters = require('./adapters');
+
+/**
+ * Message of the error awaited results of queued commands are rejected with
+ * @type {String}
+ */
+const AWAITED_ERROR = 'Result of a queued command was awaited before the queue is executed: commands '
+    + 'are sent after the callback returns, so awaiting them in it would never settle. Return the '
+    + 'promises (or an array of them) from the callback instead';
+
+/**
+ * Errors given to results of queued commands chained after the callback
+ * returned, by the results: an async callback returning a result chains it
+ * this way too, see {@link Transaction#resultOf}
+ * @type {WeakMap}
+ */
+const RETURNED = new WeakMap();
+
+/**
+ * Adapter which queues commands instead of sending them; wrappers bound to it
+ * take part in the transaction
+ *
+ * @extends Adapter
+ */
+class QueueAdapter extends adapters.Adapter {
+
+    /**
+     * @param {Transaction} transaction Transaction to queue commands in
+     */
+    constructor(transaction) {
+        super(transaction.redis.client);
+
+        Object.defineProperty(this, 'transaction', {value: transaction});
+    }
+
+    get database() {
+        return this.transaction.redis.database;
+    }
+
+    get cluster() {
+        return this.transaction.redis.cluster;
+    }
+
+    sendCommand(args, options) {
+        return this.transaction.add(args, options);
+    }
+
+    /**
+     * MULTI requested by a wrapper (e.g. for sliding expiry) - its commands are
+     * put into the queue and its exec is resolved when the queue is executed
+     *
+     * @return {Batch}
+     */
+    multi() {
+        return new adapters.Batch((commands) => Promise.all(commands.map((args) => this.transaction.add(args)
+            .catch((error) => error))));
+    }
+
+    executeIsolated() {
+        return Promise.reject(new Error('Commands which need a connection of their own can not be queued'));
+    }
+
+    duplicate() {
+        throw new Error('Commands which need a connection of their own can not be queued');
+    }
+
+    node(key) {
+        return this.transaction.redis.node(key);
+    }
+
+    masters() {
+        return this.transaction.redis.masters();
+    }
+}
+
+/**
+ * Collects commands sent by wrappers and runs them at once. Wrappers are bound
+ * to the `client` of the queue - an adapter which queues every command and
+ * returns a promise for its reply. Promises are settled when the queue is
+ * executed, each one with its own reply or error
+ */
+class Transaction {
+
+    /**
+     * Create queue for the given client
+     *
+     * @param {Object}  client        Redis client (or its adapter) to run commands with
+     * @param {Boolean} [atomic=true] Whether to use MULTI/EXEC (true) or plain pipeline (false)
+     */
+    constructor(client, atomic = true) {
+        Object.defineProperties(this, {
+            redis:    {value: adapters.adapt(client)},
+            atomic:   {value: atomic},
+            queue:    {value: []},
+            pending:  {value: []},
+            executed: {value: false, writable: true}
+        });
+
+        Object.defineProperty(this, 'client', {value: new QueueAdapter(this)});
+    }
+
+    /**
+     * Queue raw command
+     *
+     * @param  {Array}   args      Command with arguments
+     * @param  {Object}  [options] Command options (used only in pipeline)
+     * @return {Promise}           Promise settled on execution
+     */
+    add(args, options) {
+        const entry = {args, options};
+
+        entry.promise = new Promise((resolve, reject) => {
+            entry.resolve = resolve;
+            entry.reject  = reject;
+        });
+
+        this.queue.push(entry);
+
+        return entry.promise;
+    }
+
+    /**
+     * Make execution wait for a command sent to the server directly (e.g.
+     * loading of a script the queued commands call)
+     *
+     * @param  {Promise}     promise Reply of the command
+     * @return {Transaction}
+     */
+    prepare(promise) {
+        // rejection is handled by exec
+        promise.catch(() => undefined);
+
+        this.pending.push(promise);
+
+        return this;
+    }
+
+    /**
+     * Wait for the value returned by the callback queueing commands. Results
+     * of queued commands in it are not awaited, as they settle only after
+     * execution: resolved with object holding the value as is. When an async
+     * callback returns a result of a queued command, its promise adopts the
+     * result - it's told from awaiting it in the callback, so the result is
+     * taken as value instead of rejecting
+     *
+     * @param  {*}               value Value returned by the callback
+     * @return {Promise<Object>}       Resolved with `{value}`
+     */
+    resultOf(value) {
+        if (!(value instanceof Promise)) {
+            return Promise.resolve({value});
+        }
+
+        return value.then((result) => ({value: result}), (error) => RETURNED.has(error)
+            ? {value: RETURNED.get(error)}
+            : Promise.reject(error));
+    }
+
+    /**
+     * Reject all the queued commands without sending them, e.g. when the
+     * callback queueing them fails
+     *
+     * @param {Error} error Error to reject the commands with
+     */
+    discard(error) {
+        const queue = this.queue.splice(0);
+
+        this.pending.splice(0);
+        this.executed = true;
+
+        queue.forEach((entry) => settle(entry, error));
+    }
+
+    /**
+     * Run all the queued commands and settle their promises. When the queue
+     * fails as a whole, every command is rejected with the error
+     *
+     * @return {Promise} Resolved when all the commands are done
+     *
+     * @throws {Error} When MULTI/EXEC fails as a whole (e.g. WATCH abort) or one of
+     *                 {@link Transaction#prepare} commands fails
+     */
+    async exec() {
+        const queue   = this.queue.splice(0);
+        const pending = this.pending.splice(0);
+
+        this.executed = true;
+
+        if (queue.length === 0) {
+            return;
+        }
+
+        try {
+            await Promise.all(pending);
+        } catch (error) {
+            queue.forEach((entry) => settle(entry, error));
+
+            throw error;
+        }
+
+        if (!this.atomic) {
+            await Promise.all(queue.map((entry) => this.redis.sendCommand(entry.args, entry.options)
+                .then((reply) => settle(entry, reply), (error) => settle(entry, error))));
+
+            return;
+        }
+
+        const multi = this.redis.multi();
+
+        queue.forEach((entry) => multi.addCommand(entry.args));
+
+        let replies;
+
+        try {
+            replies = await multi.exec();
+        } catch (error) {
+            queue.forEach((entry) => settle(entry, error));
+
+            throw error;
+        }
+
+        replies.forEach((reply, i) => settle(queue[i], reply));
+    }
+
+    /**
+     * Guard wrapper class bound to the queue: promises returned by methods of
+     * its instances reject with a clear error when they are awaited (or
+     * chained asynchronously) before the queue is executed, instead of never
+     * settling. Chaining them right away and returning them is fine
+     *
+     * @param  {Function} Class Wrapper class bound to `client` of the queue
+     * @return {Function}       Class creating guarded instances
+     */
+    guard(Class) {
+        return new Proxy(Class, {
+            construct: (target, args) => new Proxy(Reflect.construct(target, args), {
+                get: (wrapper, name) => {
+                    const value = wrapper[name];
+
+                    if (typeof value !== 'function' || name === 'constructor') {
+                        return value;
+                    }
+
+                    return (...args) => {
+                        const result = value.apply(wrapper, args);
+
+                        return (result instanceof Object && typeof result.then === 'function')
+                            ? this._guardResult(result)
+                            : result;
+                    };
+                }
+            })
+        });
+    }
+
+    /**
+     * Wrap promise of a queued command: it may be chained in the same tick
+     * it's created (giving guarded promise again), later chaining (e.g.
+     * await) is allowed after execution only. Errors of the commands are
+     * reported to the ones who chain them - failure of the whole queue
+     * rejects the transaction itself
+     *
+     * @private
+     * @param  {Promise} promise Result of wrapper method
+     * @return {Object}          Thenable
+     */
+    _guardResult(promise) {
+        let sealed = false;
+
+        Promise.resolve().then(() => {
+            sealed = true;
+        });
+
+        promise.catch(() => undefined);
+
+        return {
+            then: (onFulfilled, onRejected) => {
+                if (this.executed) {
+                    return promise.then(onFulfilled, onRejected);
+                }
+
+                if (!sealed) {
+                    return this._guardResult(promise.then(onFulfilled, onRejected));
+                }
+
+                const error = new Error(AWAITED_ERROR);
+
+                RETURNED.set(error, promise);
+
+                return Promise.reject(error).then(onFulfilled, (reason) => {
+                    try {
+                        return (typeof onRejected === 'function') ? onRejected(reason) : Promise.reject(reason);
+                    } finally {
+                        // a promise adopting the result (async callback returning it) is rejected right
+                        // away, so its handlers run before this; code awaiting the result gets the error later
+                        Promise.resolve().then(() => RETURNED.delete(error));
+                    }
+                });
+            },
+
+            catch(onRejected) {
+                return this.then(undefined, onRejected);
+            },
+
+            finally(fn) {
+                return this.then((value) => Promise.resolve(fn()).then(() => value),
+                    (error) => Promise.resolve(fn()).then(() => Promise.reject(error)));
+            }
+        };
+    }
+}
+
+/**
+ * Settle promise of queued command with its raw reply
+ *
+ * @param {Object} entry Queued command
+ * @param {*}      reply Raw reply or error
+ */
+function settle(entry, reply) {
+    if (reply instanceof Error) {
+        return entry.reject(reply);
+    }
+
+    entry.resolve(reply);
+}
+
+module.exports = exports = Transaction;
+exports.QueueAdapter = QueueAdapter;
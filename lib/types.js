@@ -0,0 +1,102 @@
+/**
+ * Wrapper classes by Redis type of the key
+ */
+
+'use strict';
+
+const Wrapper     = require('./wrapper');
+const Bitmap      = require('./bitmap');
+const Counter     = require('./counter');
+const Geo         = require('./geo');
+const Hash        = require('./hash');
+const HyperLogLog = require('./hyperloglog');
+const List        = require('./list');
+const Set         = require('./set');
+const SortedSet   = require('./sortedset');
+const Stream      = require('./stream');
+const Value       = require('./value');
+const codecs      = require('./codecs');
+
+/**
+ * Wrapper classes by reply of TYPE
+ * @type {Map}
+ */
+const CLASSES = new Map([Hash, List, Set, SortedSet, Stream, Value].map((Class) => [Class.redisType, Class]));
+
+/**
+ * Wrapper classes by name, snapshots are restored with the class they were
+ * made by
+ * @type {Map}
+ */
+const NAMES = new Map([Bitmap, Counter, Geo, Hash, HyperLogLog, List, Set, SortedSet, Stream, Value]
+    .map((Class) => [Class.name, Class]));
+
+/**
+ * Get wrapper class of the Redis type; keys of types without own class get
+ * base Wrapper
+ *
+ * @param  {String}   type Reply of TYPE
+ * @return {Function}      Wrapper class
+ */
+exports.classOf = function (type) {
+    return CLASSES.get(type) || Wrapper;
+};
+
+/**
+ * Create wrapper of the class matching type of the key
+ *
+ * - Redis command: [TYPE]{@link https://redis.io/commands/type}
+ *
+ * @param  {Adapter}           client          Adapter of the client
+ * @param  {String}            key             Key to open
+ * @param  {Boolean|Object}    [options=false] Codec or options of the wrapper, see {@link Wrapper}
+ * @return {Promise<?Wrapper>}                 Wrapper or null when the key does not exist
+ */
+exports.open = async function (client, key, options = false) {
+    const type = String(await client.sendCommand(['TYPE', key]));
+
+    return (type === 'none') ? null : new (exports.classOf(type))(client, key, options);
+};
+
+/**
+ * Load snapshot document made by {@link Wrapper#snapshot} and create wrapper
+ * of the class it was made by (of its type for subclasses and documents
+ * without class). Codec is taken from the document by name, snapshots of
+ * `custom` codecs need `codec` option
+ *
+ * @param  {Adapter}          client                   Adapter of the client
+ * @param  {Object}           doc                      Snapshot document
+ * @param  {Object}           [options={}]             Options
+ * @param  {String}           [options.key]            Key to restore to, the key of the snapshot by default
+ * @param  {Boolean}          [options.replace=false]  Replace the key when it exists
+ * @param  {Boolean|Object}   [options.codec]          Codec to encode values with, see {@link Wrapper}
+ * @return {Promise<Wrapper>}                          Wrapper of the restored key
+ *
+ * @throws {Error} When the key exists and `replace` is false
+ */
+exports.restore = async function (client, doc, options = {}) {
+    if (doc === null || typeof doc !== 'object') {
+        throw new Error('Expected snapshot document, got: ' + doc);
+    }
+
+    let codec = options.codec;
+
+    if (codec === undefined && doc.encoding === 'custom') {
+        throw new Error('Snapshot was made with custom codec, pass it with codec option');
+    }
+
+    if (codec === undefined && doc.encoding !== null && !Object.prototype.hasOwnProperty.call(codecs, doc.encoding)) {
+        throw new Error('Unknown codec of snapshot: ' + doc.encoding);
+    }
+
+    if (codec === undefined) {
+        codec = (doc.encoding === null) ? false : codecs[doc.encoding];
+    }
+
+    const Class   = NAMES.get(doc.class) || exports.classOf(doc.type);
+    const wrapper = new Class(client, options.key || doc.key, codec);
+
+    await wrapper.restoreSnapshot(doc, {replace: options.replace});
+
+    return wrapper;
+};
@@ -0,0 +1,215 @@
+/**
+ * Redis STRING wrapper for a single value
+ *
+ * Implemented methods:
+ *
+ * - get (**GET**)
+ * - set (**SET**)
+ * - getAndDelete (**GETDEL**)
+ * - getAndExpire (**GETEX**)
+ * - append (**APPEND**)
+ * - getRange (**GETRANGE**)
+ * - setRange (**SETRANGE**)
+ *
+ * GETDEL, GETEX and `get` option of SET require Redis 6.2. APPEND,
+ * GETRANGE and SETRANGE work with raw strings: they skip the codec.
+ */
+
+'use strict';
+
+const Wrapper = require('./wrapper');
+
+/**
+ * Class to handle Redis STRING type holding one value: a config blob, a
+ * token, a cached response. Values are encoded with the codec of the
+ * wrapper, so with JSON enabled any JSON-serializable value can be stored
+ *
+ * @example
+ * const client = require('redis').createClient();
+ * const types  = require('redis-type')(client);
+ *
+ * const config = new types.Value('config', true);
+ *
+ * (async () => {
+ *
+ *   await config.set({theme: 'dark', beta: false});
+ *   await config.get(); // {theme: 'dark', beta: false}
+ *
+ *   await config.set({theme: 'light'}, {ttl: 60, get: true}); // {theme: 'dark', beta: false}
+ *
+ * })();
+ *
+ * @extends Wrapper
+ */
+class Value extends Wrapper {
+
+    /**
+     * Keyspace events of string commands (notify-keyspace-events class)
+     *
+     * @type {String}
+     */
+    static get keyspaceEvents() {
+        return '$';
+    }
+
+    /**
+     * Redis type of the key (reply of TYPE)
+     *
+     * @type {String}
+     */
+    static get redisType() {
+        return 'string';
+    }
+
+    /**
+     * Get the value
+     *
+     * - Redis command: [GET]{@link https://redis.io/commands/get}
+     * - JavaScript analogy: reading a variable
+     *
+     * @return {Promise<*>} Decoded value, null when there's no key
+     */
+    get() {
+        return this.command('GET').then((value) => this.decode(value));
+    }
+
+    /**
+     * Set the value. Expiry of the key is removed unless `ttl` or `keepTtl`
+     * is given; `ttl` option of the wrapper is re-applied when neither is
+     *
+     * - Redis command: [SET]{@link https://redis.io/commands/set}
+     * - JavaScript analogy: assigning a variable
+     *
+     * @param  {*}                value                    Value to store
+     * @param  {Object}           [options={}]             SET modifiers
+     * @param  {Number}           [options.ttl]            Seconds to expire the key in (fractions are allowed)
+     * @param  {Boolean}          [options.keepTtl=false]  Keep expiry the key had
+     * @param  {Boolean}          [options.nx=false]       Only set when there's no key
+     * @param  {Boolean}          [options.xx=false]       Only set when the key exists
+     * @param  {Boolean}          [options.get=false]      Resolve with the previous value
+     * @return {Promise<Boolean|*>}                        Whether the value was set (false when `nx` or `xx`
+     *                                                     condition failed), previous value with `get`
+     */
+    set(value, options = {}) {
+        const args = [this.encode(value)];
+
+        ['nx', 'xx', 'get'].filter((flag) => options[flag]).forEach((flag) => args.push(flag.toUpperCase()));
+
+        if (options.ttl !== undefined) {
+            args.push('PX', Math.round(options.ttl * 1000));
+        }
+
+        if (options.keepTtl) {
+            args.push('KEEPTTL');
+        }
+
+        const reply = (options.ttl !== undefined || options.keepTtl)
+            ? this.uncached(() => this.command('SET', ...args))
+            : this.writeCommand('SET', ...args);
+
+        return reply.then((result) => options.get ? this.decode(result) : result !== null);
+    }
+
+    /**
+     * Get the value and remove the key
+     *
+     * - Redis command: [GETDEL]{@link https://redis.io/commands/getdel}
+     * - JavaScript analogy: none
+     *
+     * @return {Promise<*>} Decoded value, null when there's no key
+     */
+    getAndDelete() {
+        return this.uncached(() => this.command('GETDEL')).then((value) => this.decode(value));
+    }
+
+    /**
+     * Get the value and set expiry of the key
+     *
+     * - Redis command: [GETEX]{@link https://redis.io/commands/getex}
+     * - JavaScript analogy: none
+     *
+     * @param  {?Number}    [seconds] Seconds to expire the key in (fractions are allowed), null to
+     *                                remove expiry; expiry is not changed when omitted
+     * @return {Promise<*>}           Decoded value, null when there's no key
+     */
+    getAndExpire(seconds) {
+        const args = [];
+
+        if (seconds === null) {
+            args.push('PERSIST');
+        } else if (seconds !== undefined) {
+            args.push('PX', Math.round(seconds * 1000));
+        }
+
+        return this.uncached(() => this.command('GETEX', ...args)).then((value) => this.decode(value));
+    }
+
+    /**
+     * Append string to the value. Works on raw strings only: the string is not
+     * encoded, so appending is meant for wrappers without codec (or with
+     * buffer one)
+     *
+     * - Redis command: [APPEND]{@link https://redis.io/commands/append}
+     * - JavaScript analogy: `value += string`
+     *
+     * @param  {String|Buffer}   string String to append
+     * @return {Promise<Number>}        Length of the value after append
+     */
+    append(string) {
+        return this.writeCommand('APPEND', string).then(Number);
+    }
+
+    /**
+     * Get part of the value between offsets (both inclusive, negative ones
+     * count from the end). Offsets are in bytes and the part is not decoded
+     *
+     * - Redis command: [GETRANGE]{@link https://redis.io/commands/getrange}
+     * - JavaScript analogy: [String.slice]{@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/slice}
+     *
+     * @param  {Number}                  start    Offset of the first byte
+     * @param  {Number}                  [end=-1] Offset of the last byte
+     * @return {Promise<String|Buffer>}           Part of the value, empty when there's no key
+     */
+    getRange(start, end = -1) {
+        return this.command('GETRANGE', start, end);
+    }
+
+    /**
+     * Overwrite part of the value starting at offset, the value is padded
+     * with zero bytes when it's shorter. Works on raw strings only: the string
+     * is not encoded
+     *
+     * - Redis command: [SETRANGE]{@link https://redis.io/commands/setrange}
+     * - JavaScript analogy: none
+     *
+     * @param  {Number}          offset Offset in bytes
+     * @param  {String|Buffer}   string String to write
+     * @return {Promise<Number>}        Length of the value after write
+     */
+    setRange(offset, string) {
+        return this.writeCommand('SETRANGE', offset, string).then(Number);
+    }
+
+    /**
+     * Read decoded value for {@link Wrapper#snapshot}
+     *
+     * @private
+     * @return {Promise<*>}
+     */
+    _snapshotData() {
+        return this.get();
+    }
+
+    /**
+     * Build **SET** command for {@link Wrapper#restoreSnapshot}
+     *
+     * @private
+     * @param  {*}       data Decoded value
+     * @return {Array[]}
+     */
+    _restoreCommands(data) {
+        return [['SET', this.encode(data)]];
+    }
+}
+
+module.exports = exports = Value;
@@ -4,46 +4,1267 @@
 
 'use strict';
 
-const util = require('util');
-const json = require('./json');
+const events        = require('events');
+const stream        = require('stream');
+const adapters      = require('./adapters');
+const codecs        = require('./codecs');
+const json          = require('./json');
+const notifications = require('./notifications');
+const Transaction   = require('./transaction');
+const errors        = require('./errors');
+const Cache         = require('./cache');
+const Script        = require('./script');
+
+/**
+ * Events of EventEmitter itself which do not require keyspace subscription
+ * @type {String[]}
+ */
+const EMITTER_EVENTS = ['newListener', 'removeListener', 'error'];
+
+/**
+ * Friendly names for keyspace events, emitted along with original ones
+ * @type {Object}
+ */
+const EVENT_ALIASES = {
+    lpush: 'push',
+    rpush: 'push',
+    lpop:  'pop',
+    rpop:  'pop',
+    del:   'deleted'
+};
+
+/**
+ * Default options of {@link Wrapper#watch}
+ * @type {Object}
+ */
+const WATCH_DEFAULTS = {
+    attempts: 5,
+    backoff:  10
+};
+
+/**
+ * Default number of elements read or written with one command by Node.js
+ * streams of wrappers
+ * @type {Number}
+ */
+const STREAM_BATCH_SIZE = 100;
+
+/**
+ * Format name and version of documents made by {@link Wrapper#snapshot}
+ * @type {Object}
+ */
+const SNAPSHOT = {
+    format:  'redis-type-snapshot',
+    version: 1
+};
+
+/**
+ * Number of elements written with one command when snapshot is restored
+ * @type {Number}
+ */
+const RESTORE_CHUNK_SIZE = 1000;
+
+/**
+ * Wait for given number of milliseconds
+ *
+ * @param  {Number}  ms Milliseconds to wait
+ * @return {Promise}
+ */
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Build arguments array for raw command: Buffers are passed as is, everything
+ * else is turned into String
+ *
+ * @param  {String} name Name of the command
+ * @param  {String} key  Key to put after command name
+ * @param  {Array}  args Rest of the arguments
+ * @return {Array}       Arguments ready to be sent
+ */
+function toArguments(name, key, args) {
+    return [name, key].concat(args.map((arg) => Buffer.isBuffer(arg) ? arg : String(arg)));
+}
+
+/**
+ * Get name of the codec in {@link module:codecs}; codecs of your own are `custom`
+ *
+ * @param  {?Object} codec Codec of the wrapper
+ * @return {?String}       Name of the codec or null when values are stored as is
+ */
+function codecName(codec) {
+    if (codec === null) {
+        return null;
+    }
+
+    return Object.keys(codecs).find((name) => codecs[name] === codec) || 'custom';
+}
+
+/**
+ * Split array into chunks of given size
+ *
+ * @param  {Array}   arr  Array to split
+ * @param  {Number}  size Maximal size of a chunk
+ * @return {Array[]}      Chunks
+ */
+function chunks(arr, size) {
+    const result = [];
+
+    for (let i = 0; i < arr.length; i += size) {
+        result.push(arr.slice(i, i + size));
+    }
+
+    return result;
+}
 
 /**
  * Base class for all the data wrappers in Redis
+ *
+ * Every wrapper is an EventEmitter of keyspace notifications for its key: once
+ * the first listener is added, wrapper subscribes to `__keyspace@<db>__:<key>`
+ * on a shared duplicated connection and emits each event under its Redis name
+ * (`hset`, `lpush`, `expired`, `del` etc), its alias if there's one (`push`,
+ * `pop`, `deleted`) and as `change` with the Redis name as argument. Errors of
+ * automatic subscription are emitted as `error` when it is listened to; await
+ * {@link Wrapper#listen} to subscribe and get them instead
+ *
+ * @example
+ * await hash.listen(); // rejects when notifications are not enabled
+ *
+ * hash.on('change', (event) => console.log('hash changed by', event));
+ * list.on('push', () => console.log('new element'));
+ * list.on('expired', () => console.log('gone'));
+ *
+ * @extends EventEmitter
  */
-class Wrapper {
+class Wrapper extends events.EventEmitter {
+
+    /**
+     * Classes of keyspace events (as in notify-keyspace-events) the type
+     * produces in addition to generic (g) and expired (x) ones
+     *
+     * @type {String}
+     */
+    static get keyspaceEvents() {
+        return '';
+    }
+
+    /**
+     * Redis type of the key (reply of TYPE); base wrapper works with any
+     *
+     * @type {?String}
+     */
+    static get redisType() {
+        return null;
+    }
+
+    /**
+     * Whether the type supports `cache` option, see {@link Cache}
+     *
+     * @type {Boolean}
+     */
+    static get cacheable() {
+        return false;
+    }
+
+    /**
+     * Define named Lua script for the class and its subclasses, see {@link Script}.
+     * Script is run as `wrapper.scripts[name](...args)` with the key of the
+     * wrapper as `KEYS[1]`. Subclasses may redefine scripts of their parents
+     *
+     * @example
+     * const {Hash} = require('redis-type');
+     *
+     * Hash.defineScript('getOrSet', `
+     *     if redis.call('HSETNX', KEYS[1], ARGV[1], ARGV[2]) == 1 then
+     *         return ARGV[2]
+     *     end
+     *     return redis.call('HGET', KEYS[1], ARGV[1])
+     * `, {encode: [1], decode: true});
+     *
+     * (async () => {
+     *
+     *   const user = await users.scripts.getOrSet('sam', {age: 19});
+     *
+     * })()
+     *
+     * @param  {String} name         Name of the script
+     * @param  {String} source       Lua source
+     * @param  {Object} [options={}] Options of {@link Script}
+     * @return {Script}
+     *
+     * @throws {Error} When the class already has script with this name
+     */
+    static defineScript(name, source, options = {}) {
+        if (!Object.prototype.hasOwnProperty.call(this, 'ownScripts')) {
+            Object.defineProperty(this, 'ownScripts', {value: new Map()});
+        }
+
+        if (this.ownScripts.has(name)) {
+            throw new Error('Script "' + name + '" is already defined for ' + this.name);
+        }
+
+        const script = new Script(name, source, options);
+
+        this.ownScripts.set(name, script);
+
+        return script;
+    }
+
+    /**
+     * Get scripts defined for the class and its parents by name
+     *
+     * @return {Map<String, Script>}
+     */
+    static definedScripts() {
+        const parent  = Object.getPrototypeOf(this);
+        const scripts = (typeof parent.definedScripts === 'function') ? parent.definedScripts() : new Map();
+
+        if (Object.prototype.hasOwnProperty.call(this, 'ownScripts')) {
+            this.ownScripts.forEach((script, name) => scripts.set(name, script));
+        }
+
+        return scripts;
+    }
 
     /**
      * Construct base class and all it's children with bound client
      *
-     * @param {Object}  client          Client to provide all the operations
-     * @param {String}  key             Name of the key under which the Redis structure is stored
-     * @param {Boolean} [useJSON=false] Whether information in this structure should be stored as JSON
+     * Third argument is either codec or an object with options:
+     *
+     * ```JavaScript
+     * new Hash('sessions', true);                       // JSON codec
+     * new Hash('sessions', {codec: true, ttl: 60 * 60}); // JSON codec and sliding expiry
+     * new Hash('sessions', {strict: true});              // WrongTypeError on a list key
+     * new Hash('config', {codec: true, cache: true});    // reads served from local cache
+     * ```
+     *
+     * Read-only `useJSON` property tells whether values are stored as JSON (by
+     * `json` or `typedJSON` codec), `json` one keeps the former JSON helpers
+     *
+     * @param {Object}          client                  Client to provide all the operations: node-redis (v3, v4,
+     *                                                  cluster), ioredis (standalone, cluster) or their
+     *                                                  adapter, see {@link module:adapters}
+     * @param {String}          key                     Name of the key under which the Redis structure is stored
+     * @param {Boolean|Object}  [options=false]         Codec or options object
+     * @param {Boolean|Object}  [options.codec=false]   Codec to encode values with (object with `encode` and
+     *                                                  `decode` methods, see {@link module:codecs}); `true` is
+     *                                                  an alias for JSON codec, `false` - store values as is
+     * @param {Number}          [options.ttl]           Seconds to expire the key in, re-applied after
+     *                                                  each write in the same MULTI (blocking commands
+     *                                                  can't be sent in MULTI and don't re-apply it)
+     * @param {Boolean}         [options.strict=false]  Check type of the key with **TYPE** before the first
+     *                                                  command and throw {@link WrongTypeError} on mismatch
+     *                                                  (not checked for commands queued in transaction)
+     * @param {Boolean|Object}  [options.cache=false]   Keep local mirror of the structure, `true` or options
+     *                                                  of {@link Cache}; supported by Hash and Set
      */
-    constructor(client, key, useJSON = false) {
+    constructor(client, key, options = false) {
+        super();
+
         if (!client || !(client instanceof Object)) {
             throw new Error('Expected Redis client, got: ' + client);
         }
 
-        if (!key || !key.constructor === 'String') {
+        if (typeof key !== 'string' || key === '') {
             throw new Error('Key must be a valid non-empty string');
         }
 
+        if (!(options instanceof Object) || typeof options.encode === 'function') {
+            options = {codec: options};
+        }
+
+        let codec = options.codec || false;
+
+        if (codec === true) {
+            codec = codecs.json;
+        }
+
+        if (codec && (typeof codec.encode !== 'function' || typeof codec.decode !== 'function')) {
+            throw new Error('Codec must have encode and decode methods, got: ' + codec);
+        }
+
+        if (options.cache && !this.constructor.cacheable) {
+            throw new Error(this.constructor.name + ' does not support cache option');
+        }
+
+        if (options.cache && client instanceof Transaction.QueueAdapter) {
+            throw new Error('Cache option can not be used with transaction');
+        }
+
         Object.defineProperties(this, {
-            useJSON: {value: useJSON},
-            client:  {value: client},
-            json:    {value: json},
-            key:     {value: key}
+            codec:            {value: codec || null},
+            useJSON:          {value: codec === codecs.json || codec === codecs.typedJSON},
+            json:             {value: json},
+            expireAfterWrite: {value: options.ttl || null},
+            strict:           {value: !!options.strict},
+            typeCheck:        {value: null, writable: true},
+            client:           {value: adapters.adapt(client)},
+            key:              {value: key},
+            subscription:     {value: null, writable: true},
+            keyspaceListener: {value: (event) => this.emitKeyspaceEvent(event)}
+        });
+
+        Object.defineProperty(this, 'cache', {
+            value: options.cache ? new Cache(this, (options.cache === true) ? {} : options.cache) : null
+        });
+
+        this.on('newListener', (event) => {
+            if (!EMITTER_EVENTS.includes(event)) {
+                this.listen().catch((error) => this.emitSubscriptionError(error));
+            }
+        });
+
+        this.on('removeListener', () => {
+            if (this.eventNames().every((event) => EMITTER_EVENTS.includes(event))) {
+                this.unlisten().catch((error) => this.emitSubscriptionError(error));
+            }
+        });
+    }
+
+    /**
+     * Encode value with instance codec; value is returned as is when there's no codec
+     *
+     * @param  {*}             value Value to encode
+     * @return {String|Buffer}       Value to store in Redis
+     */
+    encode(value) {
+        return (this.codec === null) ? value : this.codec.encode(value);
+    }
+
+    /**
+     * Decode value returned by Redis with instance codec. Missing values
+     * (null and undefined) are never passed to codec
+     *
+     * @param  {?String|Buffer} value Value returned by Redis
+     * @return {*}                    Decoded value
+     */
+    decode(value) {
+        return (this.codec === null || value === null || value === undefined)
+            ? value
+            : this.codec.decode(value);
+    }
+
+    /**
+     * Decode each value in array, see {@link Wrapper#decode}
+     *
+     * @param  {?Array} arr Array of values returned by Redis
+     * @return {?Array}     Array of decoded values
+     */
+    decodeArray(arr) {
+        return (this.codec === null || !arr) ? arr : arr.map((value) => this.decode(value));
+    }
+
+    /**
+     * Decode each property value of the object (e.g. reply of HGETALL)
+     *
+     * @param  {?Object} obj Object with values returned by Redis
+     * @return {?Object}     New object with decoded values
+     */
+    decodeObjectValues(obj) {
+        if (this.codec === null || !obj) {
+            return obj;
+        }
+
+        const result = {};
+
+        Object.keys(obj).forEach((prop) => {
+            result[prop] = this.decode(obj[prop]);
+        });
+
+        return result;
+    }
+
+    /**
+     * Encode each property value of the object (e.g. to be passed to HMSET)
+     *
+     * @param  {Object} obj Object to encode values of
+     * @return {Object}     New object with encoded values
+     */
+    encodeObjectValues(obj) {
+        if (this.codec === null || !obj) {
+            return obj;
+        }
+
+        const result = {};
+
+        Object.keys(obj).forEach((prop) => {
+            result[prop] = this.encode(obj[prop]);
+        });
+
+        return result;
+    }
+
+    /**
+     * Create wrapper of the same type and options for the same key bound to
+     * another client (e.g. isolated connection or transaction)
+     *
+     * @param  {Object}  client Client to bind new wrapper to
+     * @return {Wrapper}        New wrapper
+     */
+    withClient(client) {
+        return new this.constructor(client, this.key, {
+            codec:  this.codec,
+            ttl:    this.expireAfterWrite,
+            strict: this.strict
+        });
+    }
+
+    /**
+     * Create wrapper of the same type and options for another key bound to
+     * the same client
+     *
+     * @param  {String}  key Key of new wrapper
+     * @return {Wrapper}     New wrapper
+     */
+    withKey(key) {
+        return new this.constructor(this.client, key, {
+            codec:  this.codec,
+            ttl:    this.expireAfterWrite,
+            strict: this.strict
         });
     }
 
     /**
-     * Calls specific method in Redis client.
+     * Calls typed command with the key as the first argument. Arguments are
+     * flattened by the adapter (arrays are spread, objects become field-value
+     * pairs), see {@link Adapter#call}
      *
-     * @param  {String}   method Method to return promisified
-     * @return {Function}        Clients method to call
+     * @param  {String}   method Name of the Redis command
+     * @return {Function}        Function of the rest of the arguments resolved with the reply
      */
     call(method) {
-        return this.client[method].bind(this.client, this.key);
+        return (...args) => this.checked(() => this.client.call(method, [this.key].concat(args), this.commandOptions()));
+    }
+
+    /**
+     * Calls specific writing method in Redis client. Works just like
+     * {@link Wrapper#call} unless `ttl` option is set - then command is sent
+     * in MULTI with **EXPIRE** to keep the key alive after each write
+     *
+     * @param  {String}   method Method to call
+     * @return {Function}        Function resolved with the command reply
+     */
+    write(method) {
+        if (this.expireAfterWrite === null) {
+            return (...args) => this.uncached(() => this.call(method)(...args));
+        }
+
+        return (...args) => this.uncached(() => this.checked(() => this.client.multi()
+            .call(method, [this.key].concat(args))
+            .addCommand(['EXPIRE', this.key, String(this.expireAfterWrite)])
+            .exec()))
+            .then((replies) => {
+                if (replies[0] instanceof Error) {
+                    throw replies[0];
+                }
+
+                return replies[0];
+            });
+    }
+
+    /**
+     * Sends raw writing command, see {@link Wrapper#command} and {@link Wrapper#write}
+     *
+     * @param  {String}    name    Name of the Redis command
+     * @param  {...*}      args    Arguments to follow the key, numbers are stringified
+     * @return {Promise}           Promise resolved with raw command reply
+     */
+    writeCommand(name, ...args) {
+        if (this.expireAfterWrite === null) {
+            return this.uncached(() => this.command(name, ...args));
+        }
+
+        return this.writeCommands([[name, ...args]]).then((replies) => replies[0]);
+    }
+
+    /**
+     * Sends multiple raw writing commands in one MULTI (with **EXPIRE** when
+     * `ttl` option is set). Each command is an array of its name and arguments
+     * to follow the key
+     *
+     * @param  {Array[]}        commands Commands to send, e.g. `[['HSET', 'a', 1], ['HDEL', 'b']]`
+     * @return {Promise<Array>}          Replies of the given commands
+     *
+     * @throws {Error} First error replied by any of the commands
+     */
+    writeCommands(commands) {
+        return this.uncached(() => this.checked(() => {
+            const multi = this.client.multi();
+
+            commands.forEach(([name, ...args]) => multi.addCommand(toArguments(name, this.key, args)));
+
+            if (this.expireAfterWrite !== null) {
+                multi.addCommand(['EXPIRE', this.key, String(this.expireAfterWrite)]);
+            }
+
+            return multi.exec();
+        })).then((replies) => {
+            const error = replies.find((reply) => reply instanceof Error);
+
+            if (error !== undefined) {
+                throw error;
+            }
+
+            return replies.slice(0, commands.length);
+        });
+    }
+
+    /**
+     * Options for raw commands: replies are requested as Buffers when codec
+     * works with binary data
+     *
+     * @param  {Object} [options={}] Extra options to add
+     * @return {Object}              Options for sendCommand
+     */
+    commandOptions(options = {}) {
+        return (this.codec !== null && this.codec.buffers)
+            ? Object.assign({returnBuffers: true}, options)
+            : options;
+    }
+
+    /**
+     * Sends raw command with the key as the first argument. Use it for commands
+     * with modifiers (NX, BYSCORE, LIMIT etc) which are hard to express through
+     * client's typed methods. Reply is returned as is - without any transformation
+     *
+     * @param  {String}    name    Name of the Redis command
+     * @param  {...*}      args    Arguments to follow the key, numbers are stringified
+     * @return {Promise}           Promise resolved with raw command reply
+     */
+    command(name, ...args) {
+        return this.checked(() => this.client.sendCommand(toArguments(name, this.key, args), this.commandOptions()));
+    }
+
+    /**
+     * Sends raw blocking command (BLPOP, BLMOVE etc) with the key as the first
+     * argument. Command is sent on isolated connection so it does not block
+     * the shared client while waiting
+     *
+     * @param  {String}    name    Name of the Redis command
+     * @param  {...*}      args    Arguments to follow the key, numbers are stringified
+     * @return {Promise}           Promise resolved with raw command reply
+     */
+    blockingCommand(name, ...args) {
+        return this.checked(() => this.client.sendCommand(toArguments(name, this.key, args), this.commandOptions({isolated: true})));
+    }
+
+    /**
+     * Scripts defined for the class (see {@link Wrapper.defineScript}) as
+     * functions bound to this wrapper
+     *
+     * @type {Object<String, Function>}
+     */
+    get scripts() {
+        const scripts = {};
+
+        this.constructor.definedScripts().forEach((script, name) => {
+            scripts[name] = (...args) => this.runScript(script, ...args);
+        });
+
+        return scripts;
+    }
+
+    /**
+     * Run Lua script with the key as `KEYS[1]`, see {@link Script}. Cached data
+     * is dropped, as the script may write
+     *
+     * - Redis command: [EVALSHA]{@link https://redis.io/commands/evalsha},
+     *   [FCALL]{@link https://redis.io/commands/fcall}
+     *
+     * @param  {Script|String} script Script or name of the script defined for the class
+     * @param  {...*}          args   Extra keys and arguments of the script
+     * @return {Promise}              Reply of the script, decoded as the script defines
+     *
+     * @throws {Error} When there's no script with given name
+     */
+    runScript(script, ...args) {
+        if (!(script instanceof Script)) {
+            const name = script;
+
+            script = this.constructor.definedScripts().get(name);
+
+            if (script === undefined) {
+                return Promise.reject(new Error('Script "' + name + '" is not defined for ' + this.constructor.name));
+            }
+        }
+
+        const [keys, argv] = script.arguments(this, args);
+
+        return this.uncached(() => this.checked(() => script.send(this.client, keys, argv, this.commandOptions({key: this.key}))))
+            .then((reply) => script.reply(this, reply));
+    }
+
+    /**
+     * Check that the key holds the Redis type of the wrapper. Missing key
+     * passes the check. Result is remembered, failed check is repeated next time
+     *
+     * - Redis command: [TYPE]{@link https://redis.io/commands/type}
+     *
+     * @return {Promise}
+     *
+     * @throws {WrongTypeError} When the key holds another type
+     */
+    checkType() {
+        const expected = this.constructor.redisType;
+
+        if (expected === null) {
+            return Promise.resolve();
+        }
+
+        if (this.typeCheck === null) {
+            this.typeCheck = this.client.sendCommand(['TYPE', this.key]).then((type) => {
+                type = String(type);
+
+                if (type !== 'none' && type !== expected) {
+                    throw new errors.WrongTypeError(this.key, expected, type);
+                }
+            }).catch((error) => {
+                this.typeCheck = null;
+                throw error;
+            });
+        }
+
+        return this.typeCheck;
+    }
+
+    /**
+     * Run function sending command after type check in `strict` mode
+     *
+     * @private
+     * @param  {Function} fn Function sending command
+     * @return {Promise}     Its result
+     */
+    checked(fn) {
+        if (!this.strict || this.client instanceof Transaction.QueueAdapter) {
+            return fn();
+        }
+
+        return this.checkType().then(fn);
+    }
+
+    /**
+     * Run function sending writing command dropping cached data (if any)
+     * before and after it, so reads never get what was there before the write
+     *
+     * @private
+     * @param  {Function} fn Function sending command
+     * @return {Promise}     Its result
+     */
+    uncached(fn) {
+        if (this.cache === null) {
+            return fn();
+        }
+
+        this.cache.clear();
+
+        return fn().finally(() => this.cache.clear());
+    }
+
+    /**
+     * Result of Map-like methods (keys, values, entries) which is both a
+     * Promise of the whole array and an async iterable over the structure:
+     * `await hash.keys()` loads all the keys with one command, while
+     * `for await (const key of hash.keys())` scans them lazily. The command
+     * loading the array is sent once the result is awaited - or right away
+     * in transactions and batches, so it's queued in order
+     *
+     * @private
+     * @param  {Function} load Function sending the command, resolved with the array
+     * @param  {Function} scan Function returning async iterator over the elements
+     * @return {Object}        Thenable and async iterable object
+     */
+    _iterable(load, scan) {
+        let promise = (this.client instanceof Transaction.QueueAdapter) ? load() : null;
+
+        const loaded = () => promise || (promise = load());
+
+        return {
+            then:    (resolve, reject) => loaded().then(resolve, reject),
+            catch:   (reject) => loaded().catch(reject),
+            finally: (fn) => loaded().finally(fn),
+            [Symbol.asyncIterator]: () => scan()[Symbol.asyncIterator]()
+        };
+    }
+
+    /**
+     * Iterate over the structure with one of SCAN-family commands (HSCAN, SSCAN,
+     * ZSCAN) yielding each batch of elements as Redis returns it - flat array.
+     * Iteration ends when Redis returns cursor 0
+     *
+     * @private
+     * @param  {String}         command               Command to iterate with
+     * @param  {Object}         [options={}]          Scan options
+     * @param  {String}         [options.match]       Glob-style pattern to filter elements by
+     * @param  {Number}         [options.count]       Hint for amount of work Redis does per call
+     * @return {AsyncGenerator}                       Generator of batches
+     */
+    async *_scan(command, options = {}) {
+        const modifiers = [];
+
+        if (options.match !== undefined) {
+            modifiers.push('MATCH', options.match);
+        }
+
+        if (options.count !== undefined) {
+            modifiers.push('COUNT', options.count);
+        }
+
+        let cursor = '0';
+
+        do {
+            const [next, batch] = await this.command(command, cursor, ...modifiers);
+
+            cursor = String(next);
+
+            yield batch;
+        } while (cursor !== '0');
+    }
+
+    /**
+     * Set the key to expire in given number of seconds
+     *
+     * - Redis command: [EXPIRE]{@link https://redis.io/commands/expire}
+     *
+     * @param  {Number}           seconds Seconds to live
+     * @return {Promise<Boolean>}         Whether timeout was set (false when key does not exist)
+     */
+    expire(seconds) {
+        return this.call('EXPIRE')(seconds).then((e) => !!e);
+    }
+
+    /**
+     * Set the key to expire at given moment
+     *
+     * - Redis command: [EXPIREAT]{@link https://redis.io/commands/expireat}
+     *
+     * @param  {Date|Number}      date Date or UNIX timestamp in seconds
+     * @return {Promise<Boolean>}      Whether timeout was set (false when key does not exist)
+     */
+    expireAt(date) {
+        const timestamp = (date instanceof Date) ? Math.floor(date.getTime() / 1000) : date;
+
+        return this.call('EXPIREAT')(timestamp).then((e) => !!e);
+    }
+
+    /**
+     * Get number of seconds the key has to live
+     *
+     * - Redis command: [TTL]{@link https://redis.io/commands/ttl}
+     *
+     * @return {Promise<?Number>} Seconds to live, -1 when key never expires or null when key does not exist
+     */
+    ttl() {
+        return this.call('TTL')().then((ttl) => (ttl === -2) ? null : ttl);
+    }
+
+    /**
+     * Remove expiry from the key
+     *
+     * - Redis command: [PERSIST]{@link https://redis.io/commands/persist}
+     *
+     * @return {Promise<Boolean>} Whether timeout was removed
+     */
+    persist() {
+        return this.call('PERSIST')().then((e) => !!e);
+    }
+
+    /**
+     * Check whether the key exists. Empty structures are removed by Redis,
+     * so it's also a check for the structure to have any data
+     *
+     * - Redis command: [EXISTS]{@link https://redis.io/commands/exists}
+     *
+     * @return {Promise<Boolean>}
+     */
+    exists() {
+        return this.call('EXISTS')().then((e) => !!e);
+    }
+
+    /**
+     * Copy the key with its expiry to another key. In cluster both keys must
+     * be in one slot
+     *
+     * - Redis command: [COPY]{@link https://redis.io/commands/copy}
+     *
+     * @example
+     * (async () => {
+     *
+     *   const backup = await users.copyTo('users:backup', {replace: true}); // Hash
+     *
+     * })()
+     *
+     * @param  {String}            key                     Key to copy to
+     * @param  {Object}            [options={}]            Options
+     * @param  {Boolean}           [options.replace=false] Replace the key when it exists
+     * @return {Promise<?Wrapper>}                         Wrapper of the same type and options for the new key,
+     *                                                     null when there's nothing to copy or the key exists
+     */
+    copyTo(key, options = {}) {
+        const args = ['COPY', this.key, key].concat(options.replace ? ['REPLACE'] : []);
+
+        return this.checked(() => this.client.sendCommand(args, {key: this.key}))
+            .then((copied) => copied ? this.withKey(key) : null);
+    }
+
+    /**
+     * Rename the key, expiry is kept. The wrapper still works with the old
+     * key; use the one it's resolved with. In cluster both keys must be in
+     * one slot
+     *
+     * - Redis command: [RENAME]{@link https://redis.io/commands/rename},
+     *   [RENAMENX]{@link https://redis.io/commands/renamenx}
+     *
+     * @param  {String}            key                    New name of the key
+     * @param  {Object}            [options={}]           Options
+     * @param  {Boolean}           [options.replace=true] Replace the key when it exists (**RENAME**),
+     *                                                    otherwise **RENAMENX** is used
+     * @return {Promise<?Wrapper>}                        Wrapper of the same type and options for the new key,
+     *                                                    null when the key exists and `replace` is false
+     *
+     * @throws {Error} When the key does not exist
+     */
+    renameTo(key, options = {}) {
+        const replace = options.replace !== false;
+
+        return this.uncached(() => this.checked(() => this.client.sendCommand([replace ? 'RENAME' : 'RENAMENX', this.key, key], {key: this.key})))
+            .then((renamed) => (renamed === 0) ? null : this.withKey(key));
+    }
+
+    /**
+     * Export the key into portable JSON document: Redis type, wrapper class, TTL (milliseconds
+     * left, null when the key never expires), name of the codec (`json`,
+     * `typedJSON`, `buffer`, `custom` or null) and decoded contents. Values the
+     * JSON can't keep (Dates, Buffers, Maps etc) are tagged as by `typedJSON`
+     * codec. Data is read under **WATCH** and read again when the key is
+     * changed meanwhile, so the snapshot is consistent. Hash field expiry and
+     * stream consumer groups are not exported.
+     *
+     * With `binary` option the key is exported with **DUMP** instead: the
+     * document has `dump` (base64) in place of `data`, can be restored only on
+     * Redis of the same (or newer) version and keeps everything the key has.
+     *
+     * Snapshots are restored with `types.restore(doc)`, see {@link module:redis-type}
+     *
+     * @example
+     * (async () => {
+     *
+     *   const doc = await users.snapshot();
+     *   // {format: 'redis-type-snapshot', version: 1, key: 'users', type: 'hash', class: 'Hash',
+     *   //  ttl: null, encoding: 'json', data: {sam: {age: 19}}}
+     *
+     *   await types.restore(doc, {key: 'users:copy'});
+     *
+     * })()
+     *
+     * @param  {Object}           [options={}]           Options
+     * @param  {Boolean}          [options.binary=false] Export with **DUMP**
+     * @return {Promise<?Object>}                        Snapshot document, null when the key does not exist
+     *
+     * @throws {WrongTypeError} When the key holds another type
+     * @throws {Error}          When the type can't be exported as JSON (use `binary` or `types.open()`)
+     */
+    snapshot(options = {}) {
+        const expected = this.constructor.redisType;
+
+        if (!options.binary && expected === null) {
+            return Promise.reject(new Error(this.constructor.name + ' does not support snapshots, use binary option'));
+        }
+
+        return this.watch(async (read, write) => {
+            const type = String(await read.client.sendCommand(['TYPE', this.key]));
+
+            if (type === 'none') {
+                return null;
+            }
+
+            if (expected !== null && type !== expected) {
+                throw new errors.WrongTypeError(this.key, expected, type);
+            }
+
+            const ttl  = await read.client.sendCommand(['PTTL', this.key]);
+            const body = options.binary
+                ? {dump: (await read.client.sendCommand(['DUMP', this.key], {returnBuffers: true})).toString('base64')}
+                : {data: JSON.parse(codecs.typedJSON.encode(await read._snapshotData()))};
+
+            // queued read makes EXEC fail when the key is changed after WATCH
+            write.client.sendCommand(['EXISTS', this.key]);
+
+            return Object.assign({}, SNAPSHOT, {
+                key:      this.key,
+                type:     type,
+                class:    this.constructor.name,
+                ttl:      (ttl >= 0) ? ttl : null,
+                encoding: codecName(this.codec)
+            }, body);
+        });
+    }
+
+    /**
+     * Load snapshot document made by {@link Wrapper#snapshot} into the key of
+     * this wrapper, in one transaction. Values are encoded with the codec of
+     * the wrapper. TTL is counted from the moment of restoring
+     *
+     * @param  {Object}  doc                     Snapshot document
+     * @param  {Object}  [options={}]            Options
+     * @param  {Boolean} [options.replace=false] Replace the key when it exists
+     * @return {Promise}
+     *
+     * @throws {Error} When the key exists and `replace` is false
+     */
+    restoreSnapshot(doc, options = {}) {
+        if (doc === null || typeof doc !== 'object' || doc.format !== SNAPSHOT.format) {
+            return Promise.reject(new Error('Expected snapshot document, got: ' + doc));
+        }
+
+        if (doc.version !== SNAPSHOT.version) {
+            return Promise.reject(new Error('Unsupported snapshot version: ' + doc.version));
+        }
+
+        const exists = new Error('Key "' + this.key + '" already exists, use replace option to overwrite it');
+
+        if (doc.dump !== undefined) {
+            const args = ['RESTORE', this.key, String(doc.ttl || 0), Buffer.from(doc.dump, 'base64')];
+
+            return this.uncached(() => this.client.sendCommand(options.replace ? args.concat('REPLACE') : args, {key: this.key}))
+                .catch((error) => Promise.reject(/^BUSYKEY/.test(error.message) ? exists : error));
+        }
+
+        if (doc.type !== this.constructor.redisType) {
+            return Promise.reject(new Error('Snapshot of ' + doc.type + ' can not be restored by ' + this.constructor.name));
+        }
+
+        const commands = this._restoreCommands(codecs.typedJSON.decode(JSON.stringify(doc.data)));
+
+        return this.uncached(() => this.watch(async (read, write) => {
+            if (!options.replace && await read.exists()) {
+                throw exists;
+            }
+
+            const replies = [write.client.sendCommand(['DEL', this.key])]
+                .concat(commands.map(([name, ...args]) => write.command(name, ...args)));
+
+            if (doc.ttl !== null) {
+                replies.push(write.client.sendCommand(['PEXPIRE', this.key, String(doc.ttl)]));
+            }
+
+            return replies;
+        })).then(() => undefined);
+    }
+
+    /**
+     * Optimistic read-modify-write: **WATCH** the key on isolated connection,
+     * run the mutator and send the writes it queued in **MULTI** and **EXEC**. When
+     * the key is changed by someone else before EXEC, transaction is aborted
+     * and mutator is run again (up to `attempts` times, waiting between them).
+     *
+     * Mutator gets two wrappers for this key: one to read current data with
+     * and one to queue writes with. Promises of queued writes are settled after
+     * EXEC - do not await them in the mutator
+     *
+     * @example
+     * (async () => {
+     *
+     *   await hash.watch(async (read, write) => {
+     *       const user = await read.get('sam');
+     *
+     *       write.set('sam', Object.assign(user, {visits: user.visits + 1}));
+     *   });
+     *
+     * })()
+     *
+     * @param  {Function}        fn                  Mutator receiving (read, write) wrappers
+     * @param  {Object}          [options={}]        Retry options
+     * @param  {Number}          [options.attempts=5] Number of attempts before giving up
+     * @param  {Number|Function} [options.backoff=10] Milliseconds to wait before the second attempt
+     *                                               (doubled each time) or function of attempt number
+     * @return {Promise}                             Resolved with mutator result (arrays of promises are resolved)
+     *
+     * @throws {Error} When transaction is aborted on every attempt
+     */
+    watch(fn, options = {}) {
+        const {attempts, backoff} = Object.assign({}, WATCH_DEFAULTS, options);
+
+        return this.client.executeIsolated(async (isolated) => {
+            for (let attempt = 1; attempt <= attempts; attempt++) {
+                const tx = new Transaction(isolated);
+
+                let result;
+
+                await isolated.sendCommand(['WATCH', this.key]);
+
+                try {
+                    result = await fn(this.withClient(isolated), this.withClient(tx.client));
+                } catch (e) {
+                    await isolated.sendCommand(['UNWATCH']);
+                    throw e;
+                }
+
+                try {
+                    if (tx.queue.length > 0) {
+                        await tx.exec();
+                    } else {
+                        await isolated.sendCommand(['UNWATCH']);
+                    }
+
+                    return Array.isArray(result) ? Promise.all(result) : result;
+                } catch (e) {
+                    if (!(e instanceof adapters.WatchError)) {
+                        throw e;
+                    }
+
+                    // queued writes of the aborted attempt are rejected, nobody awaits them
+                    [].concat(result).forEach((value) => value instanceof Promise && value.catch(() => undefined));
+                }
+
+                if (attempt < attempts) {
+                    await sleep((typeof backoff === 'function') ? backoff(attempt) : backoff * Math.pow(2, attempt - 1));
+                }
+            }
+
+            throw new Error('Transaction on key "' + this.key + '" was aborted ' + attempts + ' times by concurrent changes');
+        }, this.key);
+    }
+
+    /**
+     * Subscribe to keyspace notifications of the key. Called automatically when
+     * the first listener is added; call it directly to wait for subscription
+     * and get its errors, or to enable notifications in server config
+     *
+     * @param  {Object}  [options={}]            Options
+     * @param  {Boolean} [options.configure=false] Enable missing notify-keyspace-events flags
+     *                                           with CONFIG SET instead of throwing
+     * @return {Promise}                         Resolved when subscribed
+     *
+     * @throws {Error} When server does not send required notifications
+     */
+    listen(options = {}) {
+        if (this.subscription === null) {
+            this.subscription = notifications.ensureConfigured(this.client.node(this.key), 'gx' + this.constructor.keyspaceEvents, options.configure)
+                .then(() => {
+                    const node = this.client.node(this.key);
+
+                    return notifications.subscribe(node, notifications.channel(node, this.key), this.keyspaceListener);
+                })
+                .catch((error) => {
+                    this.subscription = null;
+                    throw error;
+                });
+        }
+
+        return this.subscription;
+    }
+
+    /**
+     * Unsubscribe from keyspace notifications. Called automatically when the
+     * last listener is removed
+     *
+     * @return {Promise}
+     */
+    async unlisten() {
+        const subscription = this.subscription;
+
+        if (subscription === null) {
+            return;
+        }
+
+        this.subscription = null;
+
+        await subscription;
+
+        const node = this.client.node(this.key);
+
+        await notifications.unsubscribe(node, notifications.channel(node, this.key), this.keyspaceListener);
+    }
+
+    /**
+     * Iterate over keyspace events of the key with `for await`; yields Redis
+     * event names, see {@link Wrapper}
+     *
+     * @example
+     * (async () => {
+     *
+     *   for await (const event of hash.changes()) {
+     *       console.log(event); // 'hset', 'hdel', 'del' ...
+     *   }
+     *
+     * })()
+     *
+     * @param  {Object}         [options={}]     Options
+     * @param  {AbortSignal}    [options.signal] Signal to stop iteration
+     * @return {AsyncGenerator}                  Generator of event names
+     */
+    async *changes(options = {}) {
+        for await (const [event] of events.on(this, 'change', options)) {
+            yield event;
+        }
+    }
+
+    /**
+     * Create readable stream (object mode) of the structure, read in batches
+     * so big structures are not loaded at once. Values are decoded with the
+     * codec; chunks are the same as the wrapper yields with `for await`:
+     * list elements, [field, value] pairs of hash, set members, [member, score]
+     * pairs of sorted set and [id, fields] entries of stream
+     *
+     * @example
+     * list.createReadStream({batchSize: 500})
+     *     .pipe(transform)
+     *     .pipe(otherList.createWriteStream());
+     *
+     * @param  {Object}          [options={}]            Options
+     * @param  {Number}          [options.batchSize=100] Number of elements to read with one command
+     * @return {stream.Readable}
+     *
+     * @throws {Error} When the type does not support streams
+     */
+    createReadStream(options = {}) {
+        const batchSize = options.batchSize || STREAM_BATCH_SIZE;
+
+        return stream.Readable.from(this._readBatches(batchSize), {objectMode: true, highWaterMark: batchSize});
+    }
+
+    /**
+     * Create writable stream (object mode) adding chunks to the structure in
+     * batches: pushes to list, **HMSET** of [field, value] pairs or objects to
+     * hash, adds of members to set or of [member, score] pairs to sorted set,
+     * pipelined appends of fields or [id, fields] entries to stream (with new
+     * ids). Batch is sent once `batchSize` chunks are collected and when the
+     * stream ends; writes wait for Redis to reply to it, so the stream applies
+     * backpressure
+     *
+     * @param  {Object}          [options={}]            Options
+     * @param  {Number}          [options.batchSize=100] Maximal number of elements written with one command
+     * @return {stream.Writable}
+     *
+     * @throws {Error} When the type does not support streams
+     */
+    createWriteStream(options = {}) {
+        const batchSize = options.batchSize || STREAM_BATCH_SIZE;
+
+        if (this._writeBatch === Wrapper.prototype._writeBatch) {
+            throw new Error(this.constructor.name + ' does not support streams');
+        }
+
+        let batch = [];
+
+        const flush = (callback) => {
+            const chunks = batch;
+
+            batch = [];
+
+            if (chunks.length === 0) {
+                return callback();
+            }
+
+            this._writeBatch(chunks).then(() => callback(), callback);
+        };
+
+        return new stream.Writable({
+            objectMode:    true,
+            highWaterMark: batchSize,
+            write:         (chunk, encoding, callback) => {
+                batch.push(chunk);
+
+                if (batch.length < batchSize) {
+                    return callback();
+                }
+
+                flush(callback);
+            },
+            final: flush
+        });
+    }
+
+    /**
+     * Read the structure in batches for {@link Wrapper#createReadStream},
+     * implemented by types
+     *
+     * @private
+     * @param  {Number}         batchSize Number of elements to read with one command
+     * @return {AsyncIterable}            Iterable of chunks
+     */
+    _readBatches() {
+        throw new Error(this.constructor.name + ' does not support streams');
+    }
+
+    /**
+     * Write batch of chunks for {@link Wrapper#createWriteStream}, implemented
+     * by types
+     *
+     * @private
+     * @param  {Array}   batch Chunks written to the stream
+     * @return {Promise}
+     */
+    _writeBatch() {
+        return Promise.reject(new Error(this.constructor.name + ' does not support streams'));
+    }
+
+    /**
+     * Read decoded contents of the structure for {@link Wrapper#snapshot},
+     * implemented by types
+     *
+     * @private
+     * @return {Promise} Contents ready for JSON
+     */
+    _snapshotData() {
+        return Promise.reject(new Error(this.constructor.name + ' does not support snapshots'));
+    }
+
+    /**
+     * Build commands writing snapshot contents (see {@link Wrapper#_snapshotData})
+     * back, implemented by types
+     *
+     * @private
+     * @param  {*}       data Decoded contents
+     * @return {Array[]}      Commands as arrays of name and arguments to follow the key
+     */
+    _restoreCommands() {
+        throw new Error(this.constructor.name + ' does not support snapshots');
+    }
+
+    /**
+     * Split elements into commands of {@link Wrapper#_restoreCommands}
+     *
+     * @private
+     * @param  {String}  name     Name of the command
+     * @param  {Array}   elements  Arguments to spread between commands
+     * @param  {Number}  [arity=1] Number of arguments per element, they are not split
+     * @return {Array[]}           Commands
+     */
+    _chunkedCommands(name, elements, arity = 1) {
+        return chunks(elements, RESTORE_CHUNK_SIZE * arity).map((chunk) => [name].concat(chunk));
+    }
+
+    /**
+     * Report error of automatic (un)subscription as `error` event when it is
+     * listened to. Otherwise it's dropped instead of being thrown by the
+     * emitter as unhandled rejection; `await wrapper.listen()` rejects with it
+     *
+     * @private
+     * @param {Error} error
+     */
+    emitSubscriptionError(error) {
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', error);
+        }
+    }
+
+    /**
+     * Emit keyspace event under its name, alias and as `change`
+     *
+     * @private
+     * @param {String} event Name of the event as Redis sends it
+     */
+    emitKeyspaceEvent(event) {
+        this.emit(event);
+
+        if (EVENT_ALIASES[event] !== undefined) {
+            this.emit(EVENT_ALIASES[event]);
+        }
+
+        this.emit('change', event);
     }
 
     /**
@@ -56,7 +1277,7 @@ class Wrapper {
      * @return {Promise} Promise resolved with **DEL** operation response
      */
     clear() {
-        return util.promisify(this.client.del).bind(this.client)(this.key);
+        return this.uncached(() => this.command('DEL'));
     }
 }
 
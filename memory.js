@@ -0,0 +1,9 @@
+/**
+ * In-memory client access point: `require('redis-type/memory')`
+ *
+ * @module memory
+ */
+
+'use strict';
+
+module.exports = exports = require('./lib/memory');
@@ -0,0 +1,204 @@
+'use strict';
+
+const assert   = require('assert');
+const events   = require('events');
+const memory   = require('../memory');
+const typesOf  = require('..');
+const clients  = require('./support/clients');
+const adapters = typesOf.adapters;
+
+/**
+ * Fake node-redis v3 client counting its duplicates and their quits; every
+ * command replies OK, FAIL fails
+ *
+ * @param  {Object} counts Object to count `created` and `quits` in
+ * @return {Object}
+ */
+function counted(counts) {
+    const client = new events.EventEmitter();
+
+    return Object.assign(client, {
+        connected: true,
+        ready:     true,
+
+        send_command: (name, args, fn) => setImmediate(() => fn((name === 'FAIL') ? new Error('failed') : null, 'OK')),
+
+        duplicate: () => {
+            counts.created++;
+
+            return counted(counts);
+        },
+
+        quit: (fn) => {
+            counts.quits++;
+            client.connected = false;
+
+            setImmediate(() => {
+                fn(null);
+                client.emit('end');
+            });
+        }
+    });
+}
+
+describe('adapters', function () {
+    describe('adapt', function () {
+        it('detects flavour of the client', function () {
+            assert.strictEqual(adapters.detect(memory.createClient()), 'node-redis');
+            assert.strictEqual(adapters.detect(clients.ioredis()), 'ioredis');
+            assert.strictEqual(adapters.detect(Object.assign(clients.ioredis(), {nodes: () => []})), 'ioredis-cluster');
+            assert.strictEqual(adapters.detect({send_command: () => {}}), 'node-redis-v3');
+            assert.strictEqual(adapters.detect({getSlotMaster: () => {}}), 'node-redis-cluster');
+            assert.throws(() => adapters.detect({}), /Unsupported Redis client/);
+        });
+
+        it('gives one adapter per client', function () {
+            const client  = memory.createClient();
+            const adapter = adapters.adapt(client);
+
+            assert.ok(adapter instanceof adapters.NodeRedisAdapter);
+            assert.strictEqual(adapters.adapt(client), adapter);
+            assert.strictEqual(adapters.adapt(client, 'node-redis'), adapter);
+            assert.strictEqual(adapters.adapt(adapter), adapter);
+            assert.throws(() => adapters.adapt(client, 'ioredis'), /already adapted as "node-redis"/);
+        });
+
+        it('rejects missing client and unknown flavour', function () {
+            assert.throws(() => typesOf(null), /Redis client is required/);
+            assert.throws(() => typesOf(memory.createClient(), {adapter: 'memcached'}), /Unknown adapter "memcached"/);
+        });
+    });
+
+    describe('helpers', function () {
+        it('flatten arguments', function () {
+            const args = ['HSET', 'key', {a: 1, b: Buffer.from('x')}, new Map([['c', null]]), [new Date(5000)], undefined];
+
+            assert.deepStrictEqual(adapters.flatten(args), ['HSET', 'key', 'a', '1', 'b', Buffer.from('x'), 'c', 'null', '5']);
+        });
+
+        it('compute cluster slot of the key, using hash tag', function () {
+            assert.strictEqual(adapters.slot('123456789'), 12739);
+            assert.strictEqual(adapters.slot('{user1000}.following'), adapters.slot('user1000'));
+            assert.strictEqual(adapters.slot('{user1000}.following'), adapters.slot('{user1000}.followers'));
+            assert.strictEqual(adapters.slot('foo{}{bar}'), adapters.slot(Buffer.from('foo{}{bar}')));
+        });
+    });
+
+    [
+        {name: 'node-redis', createClient: () => memory.createClient()},
+        {name: 'ioredis', createClient: () => clients.ioredis()},
+        {name: 'node-redis-v3', createClient: () => clients.nodeRedisV3()}
+    ].forEach((flavour) => {
+        describe(`wrappers with ${flavour.name} client`, function () {
+            let client;
+            let types;
+
+            beforeEach(async function () {
+                client = flavour.createClient();
+                types  = typesOf(client);
+
+                await types.connect();
+            });
+
+            afterEach(() => adapters.adapt(client).quit());
+
+            it('send commands and decode replies', async function () {
+                const hash = new types.Hash('hash', true);
+                const list = new types.List('list');
+
+                await hash.set('a', {x: 1});
+                await hash.setMul({b: 2});
+                await list.push('1', '2', '3');
+
+                assert.deepStrictEqual(await hash.getAll(), {a: {x: 1}, b: 2});
+                assert.strictEqual(await hash.has('b'), true);
+                assert.deepStrictEqual(await list.slice(), ['1', '2', '3']);
+                assert.strictEqual(await list.pop(), '3');
+            });
+
+            it('reply with Buffers for buffer codec', async function () {
+                const set = new types.Set('set', types.codecs.buffer);
+
+                await set.add(Buffer.from([0xff, 0x00]));
+
+                assert.deepStrictEqual(await set.values(), [Buffer.from([0xff, 0x00])]);
+            });
+
+            it('run transactions and watch keys', async function () {
+                const hash = new types.Hash('hash');
+
+                await hash.set('n', '1');
+
+                const [size, length] = await types.transaction((tx) => [new tx.Hash('hash').size(), new tx.List('list').push('a')]);
+
+                assert.deepStrictEqual([size, length], [1, 1]);
+
+                let attempts = 0;
+
+                await hash.watch(async (read, write) => {
+                    const value = await read.get('n');
+
+                    if (attempts++ === 0) {
+                        await adapters.adapt(client).sendCommand(['HSET', 'hash', 'n', '10']);
+                    }
+
+                    write.set('n', String(Number(value) + 1));
+                });
+
+                assert.strictEqual(attempts, 2);
+                assert.strictEqual(await hash.get('n'), '11');
+            });
+
+            it('run blocking commands on a connection of their own', async function () {
+                const list  = new types.List('list');
+                const taken = list.take(1);
+
+                await list.push('a');
+
+                assert.strictEqual(await taken, 'a');
+            });
+
+            it('emit keyspace notifications', async function () {
+                const list = new types.List('list');
+
+                await list.listen({configure: true});
+
+                const pushed = events.once(list, 'push');
+
+                await list.push('a');
+                await pushed;
+
+                await list.unlisten();
+            });
+        });
+    });
+
+    describe('isolated connections', function () {
+        it('are reused by clients without pool', async function () {
+            const counts  = {created: 0, quits: 0};
+            const client  = counted(counts);
+            const adapter = new adapters.NodeRedisV3Adapter(client);
+
+            for (let i = 0; i < 3; i++) {
+                await adapter.sendCommand(['BLPOP', 'list', '1'], {isolated: true});
+            }
+
+            await adapter.executeIsolated((isolated) => isolated.sendCommand(['WATCH', 'key']));
+            assert.strictEqual(counts.created, 1);
+
+            await Promise.all([1, 2, 3].map(() => adapter.sendCommand(['BLPOP', 'list', '1'], {isolated: true})));
+            assert.strictEqual(counts.created, 3);
+
+            await assert.rejects(adapter.sendCommand(['FAIL'], {isolated: true}), {message: 'failed'});
+            assert.strictEqual(counts.quits, 1);
+
+            const ended = events.once(client, 'end');
+
+            await adapter.quit();
+            await ended;
+            await new Promise(setImmediate);
+
+            assert.strictEqual(counts.quits, 4);
+        });
+    });
+});
@@ -0,0 +1,116 @@
+'use strict';
+
+/* global BigInt */
+
+const assert  = require('assert');
+const memory  = require('../memory');
+const typesOf = require('..');
+
+describe('Bitmap', function () {
+    let client;
+    let types;
+    let bitmap;
+
+    beforeEach(async function () {
+        client = memory.createClient();
+        types  = typesOf(client);
+        bitmap = new types.Bitmap('bitmap', {strict: true});
+
+        await client.connect();
+    });
+
+    afterEach(() => client.quit());
+
+    describe('bits', function () {
+        beforeEach(async function () {
+            assert.strictEqual(await bitmap.set(5), 0);
+            assert.strictEqual(await bitmap.set(17), 0);
+        });
+
+        it('set and get bits', async function () {
+            assert.strictEqual(await bitmap.get(5), 1);
+            assert.strictEqual(await bitmap.get(6), 0);
+            assert.strictEqual(await bitmap.set(5, false), 1);
+            assert.strictEqual(await bitmap.get(5), 0);
+            assert.strictEqual(await bitmap.byteLength(), 3);
+        });
+
+        it('count bits and find positions', async function () {
+            const ones = new types.Bitmap('ones');
+
+            for (let i = 0; i < 8; i++) {
+                await ones.set(i);
+            }
+
+            assert.strictEqual(await bitmap.count(), 2);
+            assert.strictEqual(await bitmap.count({start: 1}), 1);
+            assert.strictEqual(await bitmap.count({start: 0, end: 7, unit: 'bit'}), 1);
+            assert.strictEqual(await bitmap.position(1), 5);
+            assert.strictEqual(await bitmap.position(1, {start: 1}), 17);
+            assert.strictEqual(await bitmap.position(0), 0);
+            assert.strictEqual(await ones.position(0), 8);
+            assert.strictEqual(await ones.position(0, {start: 0, end: 0}), -1);
+            assert.strictEqual(await new types.Bitmap('missing').position(1), -1);
+        });
+
+        it('combine bitmaps into destination', async function () {
+            const ones        = new types.Bitmap('ones');
+            const destination = new types.Bitmap('destination');
+
+            for (let i = 0; i < 8; i++) {
+                await ones.set(i);
+            }
+
+            assert.strictEqual(await bitmap.and(destination, ones), 3);
+            assert.strictEqual(await destination.count(), 1);
+            assert.strictEqual(await bitmap.or(destination, ones), 3);
+            assert.strictEqual(await destination.count(), 9);
+            assert.strictEqual(await bitmap.xor(destination, ones), 3);
+            assert.strictEqual(await destination.count(), 8);
+            assert.strictEqual(await ones.not(destination), 1);
+            assert.strictEqual(await destination.count(), 0);
+        });
+    });
+
+    describe('fields', function () {
+        it('read and write integers of one type', async function () {
+            const counters = bitmap.fields('u8', {overflow: 'sat'});
+
+            assert.strictEqual(await counters.increment(3), 1);
+            assert.strictEqual(await counters.increment(3, 300), 255);
+            assert.strictEqual(await counters.set(3, 7), 255);
+            assert.deepStrictEqual(await counters.slice(), [0, 0, 0, 7]);
+            assert.strictEqual(await counters.length(), 4);
+            assert.strictEqual(await counters.increment(3, 250, {overflow: 'fail'}), null);
+            assert.strictEqual(await counters.increment(3, 250, {overflow: 'wrap'}), 1);
+        });
+
+        it('read and write structs', async function () {
+            const stats = bitmap.fields({views: 'u32', likes: 'u16', rating: 'i8'});
+
+            assert.deepStrictEqual(await stats.set(10, {views: 100}), {views: 0});
+            assert.deepStrictEqual(await stats.get(10), {views: 100, likes: 0, rating: 0});
+            assert.deepStrictEqual(await stats.increment(10, {rating: -130}), {rating: 126});
+            assert.deepStrictEqual(await stats.increment(10, {likes: 2, views: 1}), {views: 101, likes: 2});
+            assert.deepStrictEqual(await stats.get(10), {views: 101, likes: 2, rating: 126});
+
+            await assert.rejects(stats.set(1, {unknown: 1}), /Unknown bit field/);
+            await assert.rejects(stats.set(-1, {views: 1}), /non-negative/);
+        });
+
+        it('use BigInt for 64 bit integers', async function () {
+            const big = bitmap.fields('i64');
+
+            assert.strictEqual(await big.set(0, -5), BigInt(0));
+            assert.strictEqual(await big.get(0), BigInt(-5));
+            assert.throws(() => bitmap.fields('u64'), /i1-i64/);
+        });
+    });
+
+    it('checks type of the key in strict mode', async function () {
+        await client.sendCommand(['RPUSH', 'list', 'x']);
+
+        await assert.rejects(new types.Bitmap('list', {strict: true}).get(1), typesOf.WrongTypeError);
+        await assert.rejects(new types.Bitmap('list').get(1), {message: /^WRONGTYPE/});
+    });
+});
@@ -0,0 +1,188 @@
+'use strict';
+
+const assert  = require('assert');
+const memory  = require('../memory');
+const typesOf = require('..');
+
+/**
+ * Wait for milliseconds
+ *
+ * @param  {Number}  ms
+ * @return {Promise}
+ */
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+describe('cache', function () {
+    let client;
+    let other;
+    let types;
+    let caches;
+
+    beforeEach(async function () {
+        client = memory.createClient();
+        other  = client.duplicate();
+        types  = typesOf(client);
+        caches = [];
+
+        await client.connect();
+        await other.connect();
+    });
+
+    afterEach(async function () {
+        await Promise.all(caches.map((wrapper) => wrapper.cache.close()));
+        await other.quit();
+        await client.quit();
+    });
+
+    /**
+     * Create wrapper with cache, closed after the case
+     *
+     * @param  {Function} Class   Wrapper class
+     * @param  {String}   key
+     * @param  {Object}   options Options of the wrapper
+     * @return {Wrapper}
+     */
+    function cached(Class, key, options) {
+        const wrapper = new Class(key, options);
+
+        caches.push(wrapper);
+
+        return wrapper;
+    }
+
+    describe('Hash', function () {
+        let hash;
+
+        beforeEach(async function () {
+            hash = cached(types.Hash, 'config', {codec: true, cache: {maxSize: 3}});
+
+            await hash.setMul({a: 1, b: {x: 2}});
+        });
+
+        it('serves repeated reads from the cache', async function () {
+            assert.strictEqual(await hash.get('a'), 1);
+            assert.strictEqual(await hash.get('a'), 1);
+
+            const {hits, misses, invalidation} = hash.cache.stats;
+
+            assert.deepStrictEqual({hits, misses, invalidation}, {hits: 1, misses: 1, invalidation: 'tracking'});
+            assert.strictEqual(hash.peek('a'), 1);
+            assert.strictEqual(hash.peek('b'), undefined);
+            assert.strictEqual(await hash.get('missing'), null);
+            assert.strictEqual(hash.peek('missing'), null);
+        });
+
+        it('caches the whole hash', async function () {
+            assert.deepStrictEqual({...await hash.getAll()}, {a: 1, b: {x: 2}});
+            assert.deepStrictEqual(await hash.keys(), ['a', 'b']);
+            assert.strictEqual(await hash.size(), 2);
+            assert.strictEqual(hash.peek('missing'), null);
+            assert.deepStrictEqual(await hash.getMul(['a', 'missing']), [1, null]);
+            assert.strictEqual(await hash.has('b'), true);
+            assert.strictEqual(hash.cache.stats.misses, 1);
+        });
+
+        it('does not cache hash bigger than maxSize as a whole', async function () {
+            await hash.setMul({c: 3, d: 4});
+
+            assert.strictEqual(Object.keys(await hash.getAll()).length, 4);
+            assert.strictEqual(hash.peek('missing'), undefined);
+            assert.ok(hash.cache.stats.size <= 3);
+        });
+
+        it('is invalidated by writes of other clients', async function () {
+            await hash.get('a');
+            await other.sendCommand(['HSET', 'config', 'a', '5']);
+            await sleep(10);
+
+            assert.strictEqual(hash.peek('a'), undefined);
+            assert.strictEqual(await hash.get('a'), 5);
+            assert.strictEqual(hash.cache.stats.invalidations, 1);
+        });
+
+        it('is invalidated by flush', async function () {
+            await hash.getAll();
+            await other.sendCommand(['FLUSHDB']);
+            await sleep(10);
+
+            assert.deepStrictEqual({...await hash.getAll()}, {});
+        });
+
+        it('reads own writes', async function () {
+            await hash.get('a');
+            await hash.set('a', 7);
+
+            assert.strictEqual(hash.peek('a'), undefined);
+            assert.strictEqual(await hash.get('a'), 7);
+
+            await hash.update('a', (value) => value + 1);
+
+            assert.strictEqual(await hash.get('a'), 8);
+        });
+
+        it('does not use entries older than maxAge', async function () {
+            const stale = cached(types.Hash, 'config', {cache: {maxAge: 20}});
+
+            await stale.get('a');
+            assert.strictEqual(stale.peek('a'), '1');
+
+            await sleep(30);
+            assert.strictEqual(stale.peek('a'), undefined);
+        });
+
+        it('is invalidated by keyspace notifications', async function () {
+            const notified = cached(types.Hash, 'config', {cache: {invalidation: 'notifications', configure: true}});
+
+            await notified.get('a');
+            await other.sendCommand(['HSET', 'config', 'a', '2']);
+            await sleep(10);
+
+            assert.strictEqual(notified.cache.stats.invalidation, 'notifications');
+            assert.strictEqual(notified.peek('a'), undefined);
+            assert.strictEqual(await notified.get('a'), '2');
+        });
+    });
+
+    describe('Set', function () {
+        let set;
+
+        beforeEach(async function () {
+            set = cached(types.Set, 'tags', {cache: true});
+
+            await set.add('x', 'y');
+        });
+
+        it('serves membership checks from the cache', async function () {
+            assert.strictEqual(await set.has('x'), true);
+            assert.strictEqual(await set.has('missing'), false);
+            assert.strictEqual(set.peek('x'), true);
+            assert.strictEqual(set.peek('missing'), false);
+            assert.strictEqual(set.peek('y'), undefined);
+            assert.deepStrictEqual(await set.hasMany(['x', 'y', 'missing']), [true, true, false]);
+        });
+
+        it('caches all members', async function () {
+            assert.deepStrictEqual((await set.values()).sort(), ['x', 'y']);
+            assert.strictEqual(await set.size(), 2);
+            assert.strictEqual(set.peek('missing'), false);
+        });
+
+        it('is invalidated by writes of other clients', async function () {
+            await set.values();
+            await other.sendCommand(['SREM', 'tags', 'x']);
+            await sleep(10);
+
+            assert.strictEqual(set.peek('x'), undefined);
+            assert.strictEqual(await set.has('x'), false);
+        });
+    });
+
+    it('rejects unsupported wrappers and options', function () {
+        assert.throws(() => new types.List('list', {cache: true}), /cache/i);
+        assert.throws(() => new types.Hash('hash').peek('a'), /cache/i);
+        assert.throws(() => new types.Hash('hash', {cache: {invalidation: 'polling'}}), /Unknown cache invalidation "polling"/);
+        assert.throws(() => new types.Hash('hash', {cache: {maxSize: 0}}), /maxSize must be a positive number/);
+    });
+});
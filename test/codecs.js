@@ -0,0 +1,95 @@
+'use strict';
+
+/* global BigInt */
+
+const assert  = require('assert');
+const memory  = require('../memory');
+const typesOf = require('..');
+
+const codecs = typesOf.codecs;
+
+describe('codecs', function () {
+    let client;
+    let types;
+
+    beforeEach(async function () {
+        client = memory.createClient();
+        types  = typesOf(client);
+
+        await client.connect();
+    });
+
+    afterEach(() => client.quit());
+
+    it('stores values as is without codec', async function () {
+        const hash = new types.Hash('hash');
+
+        await hash.set('a', 1);
+
+        assert.strictEqual(await hash.get('a'), '1');
+        assert.strictEqual(hash.codec, null);
+    });
+
+    it('uses JSON codec for true', async function () {
+        const hash = new types.Hash('hash', true);
+
+        await hash.set('a', {at: new Date(0), list: [1, 'b']});
+
+        assert.strictEqual(hash.codec, codecs.json);
+        assert.deepStrictEqual(await hash.get('a'), {at: '1970-01-01T00:00:00.000Z', list: [1, 'b']});
+        assert.strictEqual(await client.sendCommand(['HGET', 'hash', 'a']), '{"at":"1970-01-01T00:00:00.000Z","list":[1,"b"]}');
+    });
+
+    it('keeps types with typedJSON codec', async function () {
+        const list  = new types.List('list', codecs.typedJSON);
+        const value = {
+            at:     new Date(0),
+            big:    BigInt('9007199254740993'),
+            map:    new Map([['a', new Set([1, 2])]]),
+            buffer: Buffer.from([0, 255])
+        };
+
+        await list.push(value, new Date(1000));
+
+        assert.deepStrictEqual(await list.slice(), [value, new Date(1000)]);
+    });
+
+    it('stores and replies Buffers with buffer codec', async function () {
+        const set = new types.Set('set', codecs.buffer);
+
+        await set.add(Buffer.from([0xff, 0x00]), 'text');
+
+        const values = (await set.values()).sort(Buffer.compare);
+
+        assert.deepStrictEqual(values, [Buffer.from('text'), Buffer.from([0xff, 0x00])]);
+    });
+
+    it('uses custom codec', async function () {
+        const hash = new types.Hash('prices', {
+            encode: (value) => value.toFixed(2),
+            decode: (value) => parseFloat(value)
+        });
+
+        await hash.setMul({a: 1, b: 2.555});
+
+        assert.deepStrictEqual(await hash.getAll(), {a: 1, b: 2.56});
+        assert.strictEqual(await client.sendCommand(['HGET', 'prices', 'b']), '2.56');
+    });
+
+    it('rejects codec without encode and decode', function () {
+        assert.throws(() => new types.Hash('hash', {codec: {encode: String}}), /Codec must have encode and decode methods/);
+    });
+
+    it('keeps useJSON and json properties', function () {
+        assert.strictEqual(new types.Hash('hash').useJSON, false);
+        assert.strictEqual(new types.Hash('hash', true).useJSON, true);
+        assert.strictEqual(new types.Hash('hash', codecs.typedJSON).useJSON, true);
+        assert.strictEqual(new types.Hash('hash', codecs.buffer).useJSON, false);
+
+        const json = new types.Hash('hash').json;
+
+        assert.deepStrictEqual(json.parseObjectValues({a: '1', b: '{"c":2}'}), {a: 1, b: {c: 2}});
+        assert.deepStrictEqual(json.stringifyObjectValues({a: [1]}), {a: '[1]'});
+        assert.deepStrictEqual(json.parseArray(['1', 'null']), [1, null]);
+    });
+});
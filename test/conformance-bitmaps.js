@@ -0,0 +1,147 @@
+'use strict';
+
+const assert      = require('assert');
+const conformance = require('./support/conformance');
+
+const WRONGTYPE = /^WRONGTYPE/;
+
+conformance('bitmaps', (redis) => {
+    const send = (...args) => redis.send(...args);
+
+    /**
+     * Store bytes under the key with BITFIELD SET
+     *
+     * @param  {String}   key
+     * @param  {Number[]} bytes
+     * @return {Promise}
+     */
+    function store(key, bytes) {
+        return send('BITFIELD', key, ...[].concat(...bytes.map((byte, i) => ['SET', 'u8', '#' + i, byte])));
+    }
+
+    describe('SETBIT and GETBIT', function () {
+        it('set bits, replying with the previous ones', async function () {
+            assert.strictEqual(await send('SETBIT', 'bits', 7, 1), 0);
+            assert.strictEqual(await send('SETBIT', 'bits', 7, 1), 1);
+            assert.strictEqual(await send('GETBIT', 'bits', 7), 1);
+            assert.strictEqual(await send('GETBIT', 'bits', 6), 0);
+            assert.strictEqual(await send('GETBIT', 'bits', 1000), 0);
+            assert.strictEqual(await send('GETBIT', 'missing', 0), 0);
+            assert.deepStrictEqual(await send('BITFIELD', 'bits', 'GET', 'u8', 0), [1]);
+        });
+
+        it('grow string to the bit', async function () {
+            await send('SETBIT', 'bits', 100, 1);
+
+            assert.strictEqual(await send('STRLEN', 'bits'), 13);
+            assert.strictEqual(await send('STRLEN', 'missing'), 0);
+        });
+
+        it('reject bad bit and offset', async function () {
+            await assert.rejects(send('SETBIT', 'bits', 0, 2), {message: /bit is not an integer/});
+            await assert.rejects(send('SETBIT', 'bits', -1, 1), {message: /bit offset is not an integer/});
+            await assert.rejects(send('GETBIT', 'bits', 'first'), {message: /bit offset is not an integer/});
+        });
+
+        it('reject other type', async function () {
+            await send('RPUSH', 'list', 'a');
+
+            await assert.rejects(send('SETBIT', 'list', 0, 1), {message: WRONGTYPE});
+            await assert.rejects(send('BITCOUNT', 'list'), {message: WRONGTYPE});
+        });
+    });
+
+    describe('BITCOUNT and BITPOS', function () {
+        beforeEach(() => store('bits', [0x00, 0xff, 0xf0]));
+
+        it('count set bits in byte and bit ranges', async function () {
+            assert.strictEqual(await send('BITCOUNT', 'bits'), 12);
+            assert.strictEqual(await send('BITCOUNT', 'bits', 1, 1), 8);
+            assert.strictEqual(await send('BITCOUNT', 'bits', -1, -1), 4);
+            assert.strictEqual(await send('BITCOUNT', 'bits', 5, 10, 'BIT'), 3);
+            assert.strictEqual(await send('BITCOUNT', 'bits', 2, 1), 0);
+            assert.strictEqual(await send('BITCOUNT', 'missing'), 0);
+        });
+
+        it('find first set and clear bit', async function () {
+            assert.strictEqual(await send('BITPOS', 'bits', 1), 8);
+            assert.strictEqual(await send('BITPOS', 'bits', 0), 0);
+            assert.strictEqual(await send('BITPOS', 'bits', 0, 1), 20);
+            assert.strictEqual(await send('BITPOS', 'bits', 1, 2, -1), 16);
+            assert.strictEqual(await send('BITPOS', 'bits', 1, 2, 9, 'BIT'), 8);
+        });
+
+        it('treat the string as padded with zeros unless the end is given', async function () {
+            await store('ones', [0xff]);
+
+            assert.strictEqual(await send('BITPOS', 'ones', 0), 8);
+            assert.strictEqual(await send('BITPOS', 'ones', 0, 0, -1), -1);
+            assert.strictEqual(await send('BITPOS', 'missing', 0), 0);
+            assert.strictEqual(await send('BITPOS', 'missing', 1), -1);
+        });
+    });
+
+    describe('BITOP', function () {
+        beforeEach(async function () {
+            await store('first', [0x0f, 0xff]);
+            await store('second', [0xf0]);
+        });
+
+        it('stores result, padding shorter strings with zeros', async function () {
+            assert.strictEqual(await send('BITOP', 'AND', 'result', 'first', 'second'), 2);
+            assert.deepStrictEqual(await send('BITFIELD', 'result', 'GET', 'u16', 0), [0x0000]);
+            assert.strictEqual(await send('BITOP', 'OR', 'result', 'first', 'second'), 2);
+            assert.deepStrictEqual(await send('BITFIELD', 'result', 'GET', 'u16', 0), [0xffff]);
+            assert.strictEqual(await send('BITOP', 'XOR', 'result', 'first', 'second', 'missing'), 2);
+            assert.deepStrictEqual(await send('BITFIELD', 'result', 'GET', 'u16', 0), [0xffff]);
+            assert.strictEqual(await send('BITOP', 'NOT', 'result', 'first'), 2);
+            assert.deepStrictEqual(await send('BITFIELD', 'result', 'GET', 'u16', 0), [0xf000]);
+        });
+
+        it('deletes destination for empty result', async function () {
+            assert.strictEqual(await send('BITOP', 'OR', 'first', 'missing'), 0);
+            assert.strictEqual(await send('EXISTS', 'first'), 0);
+        });
+
+        it('rejects NOT of many keys', async function () {
+            await assert.rejects(send('BITOP', 'NOT', 'result', 'first', 'second'), {message: /single source key/});
+        });
+    });
+
+    describe('BITFIELD', function () {
+        it('sets and gets fields, replying with the previous values', async function () {
+            assert.deepStrictEqual(await send('BITFIELD', 'bits', 'SET', 'u8', 0, 255, 'GET', 'u8', 0, 'GET', 'i8', 0), [0, 255, -1]);
+            assert.deepStrictEqual(await send('BITFIELD', 'bits', 'SET', 'i4', '#1', -2, 'GET', 'u4', 4), [-1, 14]);
+            assert.deepStrictEqual(await send('BITFIELD', 'bits', 'GET', 'u8', 100), [0]);
+            assert.deepStrictEqual(await send('BITFIELD', 'bits'), []);
+        });
+
+        it('reads wide signed fields', async function () {
+            await store('bits', [0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xfe]);
+
+            assert.deepStrictEqual(await send('BITFIELD', 'bits', 'GET', 'i64', 0, 'GET', 'u63', 0), [-2, 0x7fffffffffffffff]);
+        });
+
+        it('increments fields handling overflow', async function () {
+            await send('BITFIELD', 'bits', 'SET', 'u8', 0, 250);
+
+            assert.deepStrictEqual(await send('BITFIELD', 'bits', 'INCRBY', 'u8', 0, 10), [4]);
+            assert.deepStrictEqual(await send('BITFIELD', 'bits', 'OVERFLOW', 'SAT', 'INCRBY', 'u8', 0, 300), [255]);
+            assert.deepStrictEqual(await send('BITFIELD', 'bits', 'OVERFLOW', 'FAIL', 'INCRBY', 'u8', 0, 1, 'GET', 'u8', 0), [null, 255]);
+            assert.deepStrictEqual(await send('BITFIELD', 'bits', 'OVERFLOW', 'SAT', 'SET', 'i8', 0, -1000, 'GET', 'i8', 0), [-1, -128]);
+        });
+
+        it('only gets fields with BITFIELD_RO', async function () {
+            await send('BITFIELD', 'bits', 'SET', 'u8', 0, 7);
+
+            assert.deepStrictEqual(await send('BITFIELD_RO', 'bits', 'GET', 'u8', 0, 'GET', 'u4', 4), [7, 7]);
+            await assert.rejects(send('BITFIELD_RO', 'bits', 'SET', 'u8', 0, 1), {message: /only supports the GET subcommand/});
+        });
+
+        it('rejects unsupported types and offsets', async function () {
+            await assert.rejects(send('BITFIELD', 'bits', 'GET', 'u64', 0), {message: /Invalid bitfield type/});
+            await assert.rejects(send('BITFIELD', 'bits', 'GET', 'i65', 0), {message: /Invalid bitfield type/});
+            await assert.rejects(send('BITFIELD', 'bits', 'GET', 'u8', -1), {message: /bit offset is not an integer/});
+        });
+    });
+});
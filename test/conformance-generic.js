@@ -0,0 +1,299 @@
+'use strict';
+
+const assert      = require('assert');
+const conformance = require('./support/conformance');
+
+conformance('generic', (redis) => {
+    const send = (...args) => redis.send(...args);
+
+    describe('server', function () {
+        it('replies to PING and ECHO', async function () {
+            assert.strictEqual(await send('PING'), 'PONG');
+            assert.strictEqual(await send('PING', 'message'), 'message');
+            assert.strictEqual(await send('ECHO', 'message'), 'message');
+        });
+
+        it('selects other database', async function () {
+            const other = await redis.duplicate();
+
+            await send('RPUSH', 'list', 'a');
+
+            assert.strictEqual(await other.sendCommand(['SELECT', '1']), 'OK');
+            assert.strictEqual(await other.sendCommand(['EXISTS', 'list']), 0);
+            await assert.rejects(other.sendCommand(['SELECT', '100000']), {message: /out of range/});
+        });
+
+        it('counts keys', async function () {
+            await send('RPUSH', 'list', 'a');
+            await send('SADD', 'set', 'a');
+
+            assert.strictEqual(await send('DBSIZE'), 2);
+        });
+
+        it('gets and sets keyspace events config', async function () {
+            const [, previous] = await send('CONFIG', 'GET', 'notify-keyspace-events');
+
+            try {
+                assert.strictEqual(await send('CONFIG', 'SET', 'notify-keyspace-events', 'Klg'), 'OK');
+                assert.deepStrictEqual(await send('CONFIG', 'GET', 'notify-keyspace-events'), ['notify-keyspace-events', 'glK']);
+
+                await send('CONFIG', 'SET', 'notify-keyspace-events', 'KEA');
+                assert.deepStrictEqual(await send('CONFIG', 'GET', 'notify-keyspace-events'), ['notify-keyspace-events', 'AKE']);
+
+                await assert.rejects(send('CONFIG', 'SET', 'notify-keyspace-events', 'Q'), {message: /Invalid event class/});
+            } finally {
+                await send('CONFIG', 'SET', 'notify-keyspace-events', previous);
+            }
+        });
+    });
+
+    describe('keys', function () {
+        beforeEach(async function () {
+            await send('RPUSH', 'list', 'a');
+            await send('HSET', 'hash', 'field', 'value');
+            await send('SADD', 'set', 'a');
+            await send('ZADD', 'zset', 1, 'a');
+        });
+
+        it('check existence, counting repeated keys', async function () {
+            assert.strictEqual(await send('EXISTS', 'list', 'missing', 'list'), 2);
+        });
+
+        it('reply with types', async function () {
+            assert.deepStrictEqual(
+                await Promise.all(['list', 'hash', 'set', 'zset', 'missing'].map((key) => send('TYPE', key))),
+                ['list', 'hash', 'set', 'zset', 'none']
+            );
+        });
+
+        it('delete keys and reply with the number of deleted ones', async function () {
+            assert.strictEqual(await send('DEL', 'list', 'hash', 'missing'), 2);
+            assert.strictEqual(await send('UNLINK', 'set', 'set'), 1);
+            assert.strictEqual(await send('EXISTS', 'list', 'hash', 'set'), 0);
+        });
+
+        it('match keys by pattern', async function () {
+            assert.deepStrictEqual((await send('KEYS', '*')).sort(), ['hash', 'list', 'set', 'zset']);
+            assert.deepStrictEqual((await send('KEYS', '?set')).sort(), ['zset']);
+            assert.deepStrictEqual((await send('KEYS', '[hl]*')).sort(), ['hash', 'list']);
+        });
+
+        it('scan keys by pattern and type', async function () {
+            const scanAll = async (...modifiers) => {
+                const found = [];
+                let cursor  = '0';
+
+                do {
+                    const [next, keys] = await send('SCAN', cursor, ...modifiers);
+
+                    found.push(...keys);
+                    cursor = next;
+                } while (cursor !== '0');
+
+                return found.sort();
+            };
+
+            assert.deepStrictEqual(await scanAll('COUNT', 1), ['hash', 'list', 'set', 'zset']);
+            assert.deepStrictEqual(await scanAll('MATCH', '*set'), ['set', 'zset']);
+            assert.deepStrictEqual(await scanAll('TYPE', 'hash'), ['hash']);
+        });
+    });
+
+    describe('expiry', function () {
+        beforeEach(() => send('RPUSH', 'list', 'a'));
+
+        it('expires keys', async function () {
+            assert.strictEqual(await send('PEXPIRE', 'list', 100), 1);
+
+            const ttl = await send('PTTL', 'list');
+
+            assert.ok(ttl > 0 && ttl <= 100, `PTTL is ${ttl}`);
+
+            await conformance.sleep(150);
+
+            assert.deepStrictEqual(await send('LRANGE', 'list', 0, -1), []);
+            assert.strictEqual(await send('EXISTS', 'list'), 0);
+        });
+
+        it('sets expiry at unix time', async function () {
+            const at = Math.floor(Date.now() / 1000) + 100;
+
+            assert.strictEqual(await send('EXPIREAT', 'list', at), 1);
+            assert.ok(await send('TTL', 'list') > 98);
+            assert.strictEqual(await send('PEXPIREAT', 'list', at * 1000 + 500), 1);
+            assert.ok(await send('PTTL', 'list') > 99000);
+        });
+
+        it('replies with -2 and -1 from TTL', async function () {
+            assert.strictEqual(await send('TTL', 'missing'), -2);
+            assert.strictEqual(await send('TTL', 'list'), -1);
+            assert.strictEqual(await send('PTTL', 'list'), -1);
+        });
+
+        it('replies with 0 for missing key', async function () {
+            assert.strictEqual(await send('EXPIRE', 'missing', 100), 0);
+        });
+
+        it('checks conditions', async function () {
+            assert.strictEqual(await send('EXPIRE', 'list', 100, 'XX'), 0);
+            assert.strictEqual(await send('EXPIRE', 'list', 100, 'NX'), 1);
+            assert.strictEqual(await send('EXPIRE', 'list', 200, 'NX'), 0);
+            assert.strictEqual(await send('EXPIRE', 'list', 50, 'GT'), 0);
+            assert.strictEqual(await send('EXPIRE', 'list', 50, 'LT'), 1);
+        });
+
+        it('removes expiry with PERSIST and on DEL', async function () {
+            await send('EXPIRE', 'list', 100);
+
+            assert.strictEqual(await send('PERSIST', 'list'), 1);
+            assert.strictEqual(await send('PERSIST', 'list'), 0);
+            assert.strictEqual(await send('TTL', 'list'), -1);
+
+            await send('EXPIRE', 'list', 100);
+            await send('DEL', 'list');
+            await send('RPUSH', 'list', 'a');
+            assert.strictEqual(await send('TTL', 'list'), -1);
+        });
+
+        it('keeps expiry on modification of a collection', async function () {
+            await send('EXPIRE', 'list', 100);
+            await send('RPUSH', 'list', 'b');
+
+            assert.ok(await send('TTL', 'list') > 0);
+        });
+
+        it('deletes key for expiry in the past', async function () {
+            assert.strictEqual(await send('EXPIRE', 'list', -1), 1);
+            assert.strictEqual(await send('EXISTS', 'list'), 0);
+        });
+
+        it('rejects time which is not an integer', async function () {
+            await assert.rejects(send('EXPIRE', 'list', 'soon'), {message: /not an integer/});
+        });
+    });
+
+    describe('COPY', function () {
+        beforeEach(async function () {
+            await send('RPUSH', 'list', 'a', 'b');
+            await send('PEXPIRE', 'list', 100000);
+        });
+
+        it('copies value and expiry of the key', async function () {
+            assert.strictEqual(await send('COPY', 'list', 'copy'), 1);
+            await send('RPUSH', 'copy', 'c');
+
+            assert.deepStrictEqual(await send('LRANGE', 'list', 0, -1), ['a', 'b']);
+            assert.deepStrictEqual(await send('LRANGE', 'copy', 0, -1), ['a', 'b', 'c']);
+            assert.ok(await send('PTTL', 'copy') > 99000);
+        });
+
+        it('replaces existing destination only with REPLACE', async function () {
+            await send('SADD', 'set', 'a');
+
+            assert.strictEqual(await send('COPY', 'list', 'set'), 0);
+            assert.strictEqual(await send('TYPE', 'set'), 'set');
+            assert.strictEqual(await send('COPY', 'list', 'set', 'REPLACE'), 1);
+            assert.strictEqual(await send('TYPE', 'set'), 'list');
+            assert.strictEqual(await send('COPY', 'missing', 'other'), 0);
+        });
+
+        it('copies to other database', async function () {
+            const other = await redis.duplicate();
+
+            await other.sendCommand(['SELECT', '1']);
+
+            try {
+                assert.strictEqual(await send('COPY', 'list', 'list', 'DB', 1), 1);
+                assert.deepStrictEqual(await other.sendCommand(['LRANGE', 'list', '0', '-1']), ['a', 'b']);
+            } finally {
+                await other.sendCommand(['FLUSHDB']);
+            }
+        });
+
+        it('rejects the same source and destination', async function () {
+            await assert.rejects(send('COPY', 'list', 'list'), {message: /are the same/});
+        });
+    });
+
+    describe('RENAME', function () {
+        beforeEach(async function () {
+            await send('RPUSH', 'list', 'a');
+            await send('PEXPIRE', 'list', 100000);
+        });
+
+        it('moves value and expiry of the key', async function () {
+            assert.strictEqual(await send('RENAME', 'list', 'other'), 'OK');
+            assert.strictEqual(await send('EXISTS', 'list'), 0);
+            assert.deepStrictEqual(await send('LRANGE', 'other', 0, -1), ['a']);
+            assert.ok(await send('PTTL', 'other') > 99000);
+        });
+
+        it('replaces existing destination', async function () {
+            await send('SADD', 'set', 'a');
+
+            assert.strictEqual(await send('RENAME', 'list', 'set'), 'OK');
+            assert.strictEqual(await send('TYPE', 'set'), 'list');
+        });
+
+        it('does not replace existing destination with RENAMENX', async function () {
+            await send('SADD', 'set', 'a');
+
+            assert.strictEqual(await send('RENAMENX', 'list', 'set'), 0);
+            assert.strictEqual(await send('RENAMENX', 'list', 'other'), 1);
+            assert.strictEqual(await send('RENAMENX', 'other', 'other'), 0);
+            assert.strictEqual(await send('RENAME', 'other', 'other'), 'OK');
+        });
+
+        it('rejects missing key', async function () {
+            await assert.rejects(send('RENAME', 'missing', 'other'), {message: /no such key/});
+            await assert.rejects(send('RENAMENX', 'missing', 'other'), {message: /no such key/});
+        });
+    });
+
+    describe('DUMP and RESTORE', function () {
+        beforeEach(async function () {
+            await send('HSET', 'hash', 'a', '1', 'b', '2');
+            await send('HPEXPIRE', 'hash', 100000, 'FIELDS', 1, 'a');
+            await send('ZADD', 'zset', 1, 'a', 2, 'b');
+        });
+
+        it('restores dumped value', async function () {
+            const hash = await redis.sendBuffers('DUMP', 'hash');
+            const zset = await redis.sendBuffers('DUMP', 'zset');
+
+            assert.strictEqual(await send('RESTORE', 'restored', 0, hash), 'OK');
+            assert.deepStrictEqual(await send('HGETALL', 'restored'), ['a', '1', 'b', '2']);
+            assert.strictEqual(await send('TTL', 'restored'), -1);
+
+            const [ttl] = await send('HTTL', 'restored', 'FIELDS', 1, 'a');
+
+            assert.ok(ttl > 98, `HTTL is ${ttl}`);
+
+            assert.strictEqual(await send('RESTORE', 'restored', 100000, zset, 'REPLACE'), 'OK');
+            assert.deepStrictEqual(await send('ZRANGE', 'restored', 0, -1, 'WITHSCORES'), ['a', '1', 'b', '2']);
+            assert.ok(await send('PTTL', 'restored') > 99000);
+        });
+
+        it('replies with null for missing key', async function () {
+            assert.strictEqual(await send('DUMP', 'missing'), null);
+        });
+
+        it('sets expiry at unix time with ABSTTL, not restoring expired key', async function () {
+            const dump = await redis.sendBuffers('DUMP', 'zset');
+
+            await send('RESTORE', 'restored', Date.now() + 100000, dump, 'ABSTTL');
+            assert.ok(await send('PTTL', 'restored') > 99000);
+
+            assert.strictEqual(await send('RESTORE', 'expired', Date.now() - 1000, dump, 'ABSTTL'), 'OK');
+            assert.strictEqual(await send('EXISTS', 'expired'), 0);
+        });
+
+        it('rejects existing key without REPLACE and bad payload', async function () {
+            const dump = await redis.sendBuffers('DUMP', 'zset');
+
+            await assert.rejects(send('RESTORE', 'hash', 0, dump), {message: /^BUSYKEY/});
+            await assert.rejects(send('RESTORE', 'restored', -1, dump), {message: /Invalid TTL/});
+            await assert.rejects(send('RESTORE', 'restored', 0, 'payload'), {message: /payload version or checksum/});
+        });
+    });
+});
@@ -0,0 +1,131 @@
+'use strict';
+
+const assert      = require('assert');
+const conformance = require('./support/conformance');
+
+const WRONGTYPE = /^WRONGTYPE/;
+
+/**
+ * Assert that number in reply is close to the expected one
+ *
+ * @param {String} actual    Reply
+ * @param {Number} expected
+ * @param {Number} tolerance Absolute difference allowed
+ */
+function assertClose(actual, expected, tolerance) {
+    assert.ok(Math.abs(Number(actual) - expected) <= tolerance, `${actual} is not ${expected}`);
+}
+
+conformance('geo', (redis) => {
+    const send = (...args) => redis.send(...args);
+
+    beforeEach(() => send('GEOADD', 'sicily', 13.361389, 38.115556, 'Palermo', 15.087269, 37.502669, 'Catania'));
+
+    describe('GEOADD', function () {
+        it('adds members and replies with the number of new ones', async function () {
+            assert.strictEqual(await send('GEOADD', 'sicily', 13.5833, 37.3167, 'Agrigento', 13.361389, 38.115556, 'Palermo'), 1);
+            assert.strictEqual(await send('ZCARD', 'sicily'), 3);
+            assert.strictEqual(await send('TYPE', 'sicily'), 'zset');
+        });
+
+        it('checks conditions', async function () {
+            assert.strictEqual(await send('GEOADD', 'sicily', 'NX', 'CH', 13, 38, 'Palermo', 13.5833, 37.3167, 'Agrigento'), 1);
+            assert.strictEqual(await send('GEOADD', 'sicily', 'XX', 'CH', 13, 38, 'Palermo', 14.5, 37.5, 'Enna'), 1);
+            assert.strictEqual(await send('ZSCORE', 'sicily', 'Enna'), null);
+        });
+
+        it('rejects invalid coordinates and options', async function () {
+            await assert.rejects(send('GEOADD', 'sicily', 200, 100, 'Nowhere'), {message: /invalid longitude,latitude pair/});
+            await assert.rejects(send('GEOADD', 'sicily', 13, 86, 'Pole'), {message: /invalid longitude,latitude pair/});
+            await assert.rejects(send('GEOADD', 'sicily', 'NX', 'XX', 13, 38, 'Palermo'), {message: /XX and NX options at the same time are not compatible/});
+        });
+
+        it('rejects other type', async function () {
+            await send('RPUSH', 'list', 'a');
+
+            await assert.rejects(send('GEOADD', 'list', 13, 38, 'Palermo'), {message: WRONGTYPE});
+        });
+    });
+
+    describe('members', function () {
+        it('reply with positions', async function () {
+            const [palermo, missing] = await send('GEOPOS', 'sicily', 'Palermo', 'Nowhere');
+
+            assertClose(palermo[0], 13.361389, 1e-5);
+            assertClose(palermo[1], 38.115556, 1e-5);
+            assert.strictEqual(missing, null);
+            assert.deepStrictEqual(await send('GEOPOS', 'missing', 'Palermo'), [null]);
+        });
+
+        it('reply with distance in units', async function () {
+            assertClose(await send('GEODIST', 'sicily', 'Palermo', 'Catania'), 166274.1516, 0.1);
+            assertClose(await send('GEODIST', 'sicily', 'Palermo', 'Catania', 'km'), 166.2742, 0.0001);
+            assertClose(await send('GEODIST', 'sicily', 'Palermo', 'Catania', 'mi'), 103.3182, 0.0001);
+            assert.strictEqual(await send('GEODIST', 'sicily', 'Palermo', 'Nowhere'), null);
+            await assert.rejects(send('GEODIST', 'sicily', 'Palermo', 'Catania', 'au'), {message: /unsupported unit/});
+        });
+
+        it('reply with geohashes', async function () {
+            assert.deepStrictEqual(await send('GEOHASH', 'sicily', 'Palermo', 'Catania', 'Nowhere'), ['sqc8b49rny0', 'sqdtr74hyu0', null]);
+        });
+    });
+
+    describe('GEOSEARCH', function () {
+        it('finds members in radius ordered by distance', async function () {
+            assert.deepStrictEqual(await send('GEOSEARCH', 'sicily', 'FROMLONLAT', 15, 37, 'BYRADIUS', 200, 'km', 'ASC'), ['Catania', 'Palermo']);
+            assert.deepStrictEqual(await send('GEOSEARCH', 'sicily', 'FROMLONLAT', 15, 37, 'BYRADIUS', 200, 'km', 'DESC'), ['Palermo', 'Catania']);
+            assert.deepStrictEqual(await send('GEOSEARCH', 'sicily', 'FROMLONLAT', 15, 37, 'BYRADIUS', 100, 'km'), ['Catania']);
+            assert.deepStrictEqual(await send('GEOSEARCH', 'missing', 'FROMLONLAT', 15, 37, 'BYRADIUS', 100, 'km'), []);
+        });
+
+        it('finds members in box around member', async function () {
+            assert.deepStrictEqual(await send('GEOSEARCH', 'sicily', 'FROMMEMBER', 'Palermo', 'BYBOX', 400, 400, 'km', 'ASC'), ['Palermo', 'Catania']);
+            assert.deepStrictEqual(await send('GEOSEARCH', 'sicily', 'FROMMEMBER', 'Palermo', 'BYBOX', 100, 400, 'km'), ['Palermo']);
+        });
+
+        it('replies with distances, coordinates and hashes', async function () {
+            const [[name, dist, hash, [lon, lat]]] = await send('GEOSEARCH', 'sicily', 'FROMLONLAT', 15, 37, 'BYRADIUS', 100, 'km',
+                'WITHDIST', 'WITHHASH', 'WITHCOORD');
+
+            assert.strictEqual(name, 'Catania');
+            assertClose(dist, 56.4413, 0.0001);
+            assert.strictEqual(hash, 3479447370796909);
+            assertClose(lon, 15.087269, 1e-5);
+            assertClose(lat, 37.502669, 1e-5);
+        });
+
+        it('limits number of members with COUNT', async function () {
+            assert.deepStrictEqual(await send('GEOSEARCH', 'sicily', 'FROMLONLAT', 15, 37, 'BYRADIUS', 200, 'km', 'COUNT', 1, 'ASC'), ['Catania']);
+            assert.deepStrictEqual(await send('GEOSEARCH', 'sicily', 'FROMLONLAT', 15, 37, 'BYRADIUS', 200, 'km', 'COUNT', 1, 'DESC'), ['Palermo']);
+        });
+
+        it('rejects missing member and options', async function () {
+            await assert.rejects(send('GEOSEARCH', 'sicily', 'FROMMEMBER', 'Nowhere', 'BYRADIUS', 1, 'km'), {message: /could not decode requested zset member/});
+            await assert.rejects(send('GEOSEARCH', 'sicily', 'BYRADIUS', 1, 'km', 'ASC', 'WITHDIST'), {message: /exactly one of FROMMEMBER or FROMLONLAT/});
+            await assert.rejects(send('GEOSEARCH', 'sicily', 'FROMLONLAT', 15, 37, 'ASC', 'WITHDIST'), {message: /exactly one of BYRADIUS and BYBOX/});
+        });
+    });
+
+    describe('GEOSEARCHSTORE', function () {
+        it('stores found members with their scores', async function () {
+            assert.strictEqual(await send('GEOSEARCHSTORE', 'found', 'sicily', 'FROMLONLAT', 15, 37, 'BYRADIUS', 200, 'km'), 2);
+            assert.deepStrictEqual(await send('ZRANGE', 'found', 0, -1, 'WITHSCORES'), await send('ZRANGE', 'sicily', 0, -1, 'WITHSCORES'));
+        });
+
+        it('stores distances with STOREDIST', async function () {
+            assert.strictEqual(await send('GEOSEARCHSTORE', 'found', 'sicily', 'FROMLONLAT', 15, 37, 'BYRADIUS', 200, 'km', 'STOREDIST'), 2);
+
+            const [catania, dist] = await send('ZRANGE', 'found', 0, 0, 'WITHSCORES');
+
+            assert.strictEqual(catania, 'Catania');
+            assertClose(dist, 56.4413, 0.0001);
+        });
+
+        it('deletes destination when nothing is found', async function () {
+            await send('RPUSH', 'found', 'a');
+
+            assert.strictEqual(await send('GEOSEARCHSTORE', 'found', 'sicily', 'FROMLONLAT', 0, 0, 'BYRADIUS', 1, 'km'), 0);
+            assert.strictEqual(await send('EXISTS', 'found'), 0);
+        });
+    });
+});
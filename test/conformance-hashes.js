@@ -0,0 +1,232 @@
+'use strict';
+
+const assert      = require('assert');
+const conformance = require('./support/conformance');
+
+const WRONGTYPE = /^WRONGTYPE/;
+
+conformance('hashes', (redis) => {
+    const send = (...args) => redis.send(...args);
+
+    describe('HSET and HGET', function () {
+        it('set fields and reply with the number of new ones', async function () {
+            assert.strictEqual(await send('HSET', 'hash', 'a', '1', 'b', '2'), 2);
+            assert.strictEqual(await send('HSET', 'hash', 'a', '3', 'c', '4'), 1);
+            assert.strictEqual(await send('HMSET', 'hash', 'd', '5'), 'OK');
+            assert.strictEqual(await send('HGET', 'hash', 'a'), '3');
+            assert.strictEqual(await send('HGET', 'hash', 'missing'), null);
+            assert.strictEqual(await send('HGET', 'missing', 'a'), null);
+        });
+
+        it('set field only when it does not exist with HSETNX', async function () {
+            assert.strictEqual(await send('HSETNX', 'hash', 'a', '1'), 1);
+            assert.strictEqual(await send('HSETNX', 'hash', 'a', '2'), 0);
+            assert.strictEqual(await send('HGET', 'hash', 'a'), '1');
+        });
+
+        it('get many fields, nulls in place of missing ones', async function () {
+            await send('HSET', 'hash', 'a', '1', 'b', '2');
+
+            assert.deepStrictEqual(await send('HMGET', 'hash', 'a', 'missing', 'b'), ['1', null, '2']);
+            assert.deepStrictEqual(await send('HMGET', 'missing', 'a'), [null]);
+        });
+
+        it('reject wrong number of arguments', async function () {
+            await assert.rejects(send('HSET', 'hash', 'a'), {message: /wrong number of arguments/});
+        });
+
+        it('reject hash command on other type', async function () {
+            await send('RPUSH', 'list', 'a');
+
+            await assert.rejects(send('HSET', 'list', 'a', '1'), {message: WRONGTYPE});
+            await assert.rejects(send('HGETALL', 'list'), {message: WRONGTYPE});
+        });
+    });
+
+    describe('whole hash', function () {
+        beforeEach(() => send('HSET', 'hash', 'a', '1', 'b', '22', 'c', '333'));
+
+        it('get fields and values', async function () {
+            assert.deepStrictEqual(await send('HGETALL', 'hash'), ['a', '1', 'b', '22', 'c', '333']);
+            assert.deepStrictEqual((await send('HKEYS', 'hash')).sort(), ['a', 'b', 'c']);
+            assert.deepStrictEqual((await send('HVALS', 'hash')).sort(), ['1', '22', '333']);
+            assert.deepStrictEqual(await send('HGETALL', 'missing'), []);
+        });
+
+        it('count fields and check them', async function () {
+            assert.strictEqual(await send('HLEN', 'hash'), 3);
+            assert.strictEqual(await send('HLEN', 'missing'), 0);
+            assert.strictEqual(await send('HEXISTS', 'hash', 'a'), 1);
+            assert.strictEqual(await send('HEXISTS', 'hash', 'z'), 0);
+            assert.strictEqual(await send('HSTRLEN', 'hash', 'c'), 3);
+            assert.strictEqual(await send('HSTRLEN', 'hash', 'z'), 0);
+        });
+
+        it('delete fields and the key with the last one', async function () {
+            assert.strictEqual(await send('HDEL', 'hash', 'a', 'z'), 1);
+            assert.strictEqual(await send('HDEL', 'hash', 'b', 'c'), 2);
+            assert.strictEqual(await send('EXISTS', 'hash'), 0);
+        });
+    });
+
+    describe('HINCRBY and HINCRBYFLOAT', function () {
+        it('increment integer field', async function () {
+            assert.strictEqual(await send('HINCRBY', 'hash', 'a', 5), 5);
+            assert.strictEqual(await send('HINCRBY', 'hash', 'a', -7), -2);
+        });
+
+        it('format float result', async function () {
+            assert.strictEqual(await send('HINCRBYFLOAT', 'hash', 'a', '10.5'), '10.5');
+            assert.strictEqual(await send('HINCRBYFLOAT', 'hash', 'a', '0.1'), '10.6');
+            assert.strictEqual(await send('HINCRBYFLOAT', 'hash', 'a', '-10.6'), '0');
+            assert.strictEqual(await send('HINCRBYFLOAT', 'hash', 'a', '5.0e3'), '5000');
+            assert.strictEqual(await send('HINCRBYFLOAT', 'hash', 'a', '2.0e-3'), '5000.002');
+        });
+
+        it('reject value which is not a number', async function () {
+            await send('HSET', 'hash', 'a', 'value');
+
+            await assert.rejects(send('HINCRBY', 'hash', 'a', 1), {message: /not an integer/});
+            await assert.rejects(send('HINCRBYFLOAT', 'hash', 'a', 1), {message: /not a float/});
+        });
+    });
+
+    describe('HRANDFIELD', function () {
+        beforeEach(() => send('HSET', 'hash', 'a', '1', 'b', '2', 'c', '3'));
+
+        it('replies with one field without count', async function () {
+            assert.ok(['a', 'b', 'c'].includes(await send('HRANDFIELD', 'hash')));
+            assert.strictEqual(await send('HRANDFIELD', 'missing'), null);
+        });
+
+        it('replies with distinct fields for positive count', async function () {
+            const fields = await send('HRANDFIELD', 'hash', 5);
+
+            assert.deepStrictEqual(fields.sort(), ['a', 'b', 'c']);
+        });
+
+        it('replies with exactly as many fields for negative count', async function () {
+            const fields = await send('HRANDFIELD', 'hash', -5);
+
+            assert.strictEqual(fields.length, 5);
+            assert.ok(fields.every((field) => ['a', 'b', 'c'].includes(field)));
+        });
+
+        it('replies with values', async function () {
+            const reply = await send('HRANDFIELD', 'hash', 1, 'WITHVALUES');
+
+            assert.strictEqual(reply.length, 2);
+            assert.strictEqual(await send('HGET', 'hash', reply[0]), reply[1]);
+        });
+    });
+
+    describe('HSCAN', function () {
+        it('iterates over all the fields', async function () {
+            const fields = Array.from({length: 50}, (_, i) => ['field:' + i, String(i)]);
+
+            await send('HSET', 'hash', ...[].concat(...fields));
+
+            const found = new Map();
+            let cursor  = '0';
+
+            do {
+                const [next, flat] = await send('HSCAN', 'hash', cursor, 'COUNT', 10);
+
+                for (let i = 0; i < flat.length; i += 2) {
+                    found.set(flat[i], flat[i + 1]);
+                }
+
+                cursor = next;
+            } while (cursor !== '0');
+
+            assert.deepStrictEqual(found, new Map(fields));
+        });
+
+        it('filters fields by pattern', async function () {
+            await send('HSET', 'hash', 'user:1', 'a', 'user:2', 'b', 'group:1', 'c');
+
+            const found = [];
+            let cursor  = '0';
+
+            do {
+                const [next, flat] = await send('HSCAN', 'hash', cursor, 'MATCH', 'user:*');
+
+                for (let i = 0; i < flat.length; i += 2) {
+                    found.push(flat[i]);
+                }
+
+                cursor = next;
+            } while (cursor !== '0');
+
+            assert.deepStrictEqual(found.sort(), ['user:1', 'user:2']);
+        });
+
+        it('replies with nothing for missing key', async function () {
+            assert.deepStrictEqual(await send('HSCAN', 'missing', 0), ['0', []]);
+        });
+    });
+
+    describe('field expiry', function () {
+        beforeEach(() => send('HSET', 'hash', 'a', '1', 'b', '2'));
+
+        it('sets expiry of fields', async function () {
+            assert.deepStrictEqual(await send('HEXPIRE', 'hash', 100, 'FIELDS', 2, 'a', 'missing'), [1, -2]);
+
+            const [ttl, noTtl, missing] = await send('HTTL', 'hash', 'FIELDS', 3, 'a', 'b', 'missing');
+
+            assert.ok(ttl > 0 && ttl <= 100, `HTTL is ${ttl}`);
+            assert.deepStrictEqual([noTtl, missing], [-1, -2]);
+
+            const [pttl] = await send('HPTTL', 'hash', 'FIELDS', 1, 'a');
+
+            assert.ok(pttl > 99000 && pttl <= 100000, `HPTTL is ${pttl}`);
+        });
+
+        it('sets expiry in milliseconds and at unix time', async function () {
+            const at = Math.floor(Date.now() / 1000) + 100;
+
+            assert.deepStrictEqual(await send('HPEXPIRE', 'hash', 100000, 'FIELDS', 1, 'a'), [1]);
+            assert.deepStrictEqual(await send('HEXPIREAT', 'hash', at, 'FIELDS', 1, 'b'), [1]);
+            assert.deepStrictEqual(await send('HEXPIRETIME', 'hash', 'FIELDS', 1, 'b'), [at]);
+            assert.deepStrictEqual(await send('HPEXPIREAT', 'hash', at * 1000, 'FIELDS', 1, 'a'), [1]);
+            assert.deepStrictEqual(await send('HPEXPIRETIME', 'hash', 'FIELDS', 1, 'a'), [at * 1000]);
+        });
+
+        it('checks conditions', async function () {
+            await send('HEXPIRE', 'hash', 100, 'FIELDS', 1, 'a');
+
+            assert.deepStrictEqual(await send('HEXPIRE', 'hash', 200, 'NX', 'FIELDS', 2, 'a', 'b'), [0, 1]);
+            assert.deepStrictEqual(await send('HEXPIRE', 'hash', 50, 'GT', 'FIELDS', 1, 'a'), [0]);
+            assert.deepStrictEqual(await send('HEXPIRE', 'hash', 50, 'LT', 'FIELDS', 1, 'a'), [1]);
+
+            await send('HSET', 'hash', 'c', '3');
+
+            assert.deepStrictEqual(await send('HEXPIRE', 'hash', 50, 'XX', 'FIELDS', 1, 'c'), [0]);
+        });
+
+        it('deletes field for expiry in the past', async function () {
+            assert.deepStrictEqual(await send('HEXPIRE', 'hash', 0, 'FIELDS', 1, 'a'), [2]);
+            assert.strictEqual(await send('HEXISTS', 'hash', 'a'), 0);
+        });
+
+        it('removes expiry with HPERSIST', async function () {
+            await send('HEXPIRE', 'hash', 100, 'FIELDS', 1, 'a');
+
+            assert.deepStrictEqual(await send('HPERSIST', 'hash', 'FIELDS', 3, 'a', 'b', 'missing'), [1, -1, -2]);
+            assert.deepStrictEqual(await send('HTTL', 'hash', 'FIELDS', 1, 'a'), [-1]);
+        });
+
+        it('expires fields and the key with the last one', async function () {
+            await send('HPEXPIRE', 'hash', 50, 'FIELDS', 1, 'a');
+            await conformance.sleep(100);
+
+            assert.strictEqual(await send('HGET', 'hash', 'a'), null);
+            assert.deepStrictEqual(await send('HGETALL', 'hash'), ['b', '2']);
+
+            await send('HPEXPIRE', 'hash', 50, 'FIELDS', 1, 'b');
+            await conformance.sleep(100);
+
+            assert.strictEqual(await send('EXISTS', 'hash'), 0);
+        });
+    });
+});
@@ -0,0 +1,74 @@
+'use strict';
+
+const assert      = require('assert');
+const conformance = require('./support/conformance');
+
+const WRONGTYPE = /^WRONGTYPE/;
+
+conformance('HyperLogLog', (redis) => {
+    const send = (...args) => redis.send(...args);
+
+    describe('PFADD and PFCOUNT', function () {
+        it('reply whether the estimate changed', async function () {
+            assert.strictEqual(await send('PFADD', 'hll', 'a', 'b', 'c'), 1);
+            assert.strictEqual(await send('PFADD', 'hll', 'a', 'b'), 0);
+            assert.strictEqual(await send('PFCOUNT', 'hll'), 3);
+            assert.strictEqual(await send('TYPE', 'hll'), 'string');
+        });
+
+        it('create empty HyperLogLog without elements', async function () {
+            assert.strictEqual(await send('PFADD', 'hll'), 1);
+            assert.strictEqual(await send('PFADD', 'hll'), 0);
+            assert.strictEqual(await send('PFCOUNT', 'hll'), 0);
+            assert.strictEqual(await send('PFCOUNT', 'missing'), 0);
+        });
+
+        it('estimate cardinality of many elements', async function () {
+            const elements = Array.from({length: 1000}, (_, i) => 'element:' + i);
+
+            await send('PFADD', 'hll', ...elements);
+
+            const count = await send('PFCOUNT', 'hll');
+
+            assert.ok(Math.abs(count - 1000) <= 20, `PFCOUNT is ${count}`);
+        });
+
+        it('count union of many keys', async function () {
+            await send('PFADD', 'first', 'a', 'b');
+            await send('PFADD', 'second', 'b', 'c');
+
+            assert.strictEqual(await send('PFCOUNT', 'first', 'second', 'missing'), 3);
+        });
+
+        it('rejects other type', async function () {
+            await send('RPUSH', 'list', 'a');
+
+            await assert.rejects(send('PFADD', 'list', 'a'), {message: WRONGTYPE});
+            await assert.rejects(send('PFCOUNT', 'list'), {message: WRONGTYPE});
+        });
+    });
+
+    describe('PFMERGE', function () {
+        beforeEach(async function () {
+            await send('PFADD', 'first', 'a', 'b');
+            await send('PFADD', 'second', 'b', 'c');
+        });
+
+        it('merges HyperLogLogs into destination', async function () {
+            assert.strictEqual(await send('PFMERGE', 'merged', 'first', 'second', 'missing'), 'OK');
+            assert.strictEqual(await send('PFCOUNT', 'merged'), 3);
+        });
+
+        it('merges destination too', async function () {
+            assert.strictEqual(await send('PFMERGE', 'first', 'second'), 'OK');
+            assert.strictEqual(await send('PFCOUNT', 'first'), 3);
+        });
+
+        it('keeps expiry of destination', async function () {
+            await send('PEXPIRE', 'first', 100000);
+            await send('PFMERGE', 'first', 'second');
+
+            assert.ok(await send('PTTL', 'first') > 99000);
+        });
+    });
+});
@@ -0,0 +1,241 @@
+'use strict';
+
+const assert      = require('assert');
+const conformance = require('./support/conformance');
+
+const WRONGTYPE = /^WRONGTYPE/;
+
+conformance('lists', (redis) => {
+    const send = (...args) => redis.send(...args);
+
+    describe('LPUSH and RPUSH', function () {
+        it('push to both ends and reply with the length', async function () {
+            assert.strictEqual(await send('RPUSH', 'list', 'b', 'c'), 2);
+            assert.strictEqual(await send('LPUSH', 'list', 'a', 'z'), 4);
+            assert.deepStrictEqual(await send('LRANGE', 'list', 0, -1), ['z', 'a', 'b', 'c']);
+            assert.strictEqual(await send('LLEN', 'list'), 4);
+        });
+
+        it('push only to existing list with LPUSHX and RPUSHX', async function () {
+            assert.strictEqual(await send('LPUSHX', 'list', 'a'), 0);
+            assert.strictEqual(await send('RPUSHX', 'list', 'a'), 0);
+            assert.strictEqual(await send('EXISTS', 'list'), 0);
+
+            await send('RPUSH', 'list', 'b');
+
+            assert.strictEqual(await send('LPUSHX', 'list', 'a'), 2);
+            assert.strictEqual(await send('RPUSHX', 'list', 'c'), 3);
+        });
+
+        it('rejects push to other type', async function () {
+            await send('HSET', 'hash', 'field', 'value');
+
+            await assert.rejects(send('LPUSH', 'hash', 'a'), {message: WRONGTYPE});
+            await assert.rejects(send('LRANGE', 'hash', 0, -1), {message: WRONGTYPE});
+            await assert.rejects(send('LLEN', 'hash'), {message: WRONGTYPE});
+        });
+    });
+
+    describe('LPOP and RPOP', function () {
+        beforeEach(() => send('RPUSH', 'list', 'a', 'b', 'c', 'd'));
+
+        it('pop one element without count', async function () {
+            assert.strictEqual(await send('LPOP', 'list'), 'a');
+            assert.strictEqual(await send('RPOP', 'list'), 'd');
+        });
+
+        it('pop as many elements as the count', async function () {
+            assert.deepStrictEqual(await send('LPOP', 'list', 2), ['a', 'b']);
+            assert.deepStrictEqual(await send('RPOP', 'list', 5), ['d', 'c']);
+            assert.strictEqual(await send('EXISTS', 'list'), 0);
+        });
+
+        it('reply with null for missing key', async function () {
+            assert.strictEqual(await send('LPOP', 'missing'), null);
+            assert.strictEqual(await send('RPOP', 'missing', 2), null);
+        });
+    });
+
+    describe('LRANGE and LTRIM', function () {
+        beforeEach(() => send('RPUSH', 'list', 'a', 'b', 'c', 'd', 'e'));
+
+        it('counts negative indexes from the end', async function () {
+            assert.deepStrictEqual(await send('LRANGE', 'list', -3, -1), ['c', 'd', 'e']);
+            assert.deepStrictEqual(await send('LRANGE', 'list', 0, -2), ['a', 'b', 'c', 'd']);
+            assert.deepStrictEqual(await send('LRANGE', 'list', -1, -1), ['e']);
+        });
+
+        it('clamps indexes out of range', async function () {
+            assert.deepStrictEqual(await send('LRANGE', 'list', -100, 100), ['a', 'b', 'c', 'd', 'e']);
+            assert.deepStrictEqual(await send('LRANGE', 'list', 5, 10), []);
+            assert.deepStrictEqual(await send('LRANGE', 'list', -1, -3), []);
+            assert.deepStrictEqual(await send('LRANGE', 'missing', 0, -1), []);
+        });
+
+        it('trims with negative indexes', async function () {
+            assert.strictEqual(await send('LTRIM', 'list', 1, -2), 'OK');
+            assert.deepStrictEqual(await send('LRANGE', 'list', 0, -1), ['b', 'c', 'd']);
+
+            await send('LTRIM', 'list', -100, 1);
+            assert.deepStrictEqual(await send('LRANGE', 'list', 0, -1), ['b', 'c']);
+        });
+
+        it('removes the key when trimmed to nothing', async function () {
+            assert.strictEqual(await send('LTRIM', 'list', 10, -1), 'OK');
+            assert.strictEqual(await send('EXISTS', 'list'), 0);
+        });
+    });
+
+    describe('LINDEX and LSET', function () {
+        beforeEach(() => send('RPUSH', 'list', 'a', 'b', 'c'));
+
+        it('get element by index', async function () {
+            assert.strictEqual(await send('LINDEX', 'list', 0), 'a');
+            assert.strictEqual(await send('LINDEX', 'list', -1), 'c');
+            assert.strictEqual(await send('LINDEX', 'list', 3), null);
+            assert.strictEqual(await send('LINDEX', 'missing', 0), null);
+        });
+
+        it('set element by index', async function () {
+            assert.strictEqual(await send('LSET', 'list', -1, 'z'), 'OK');
+            assert.deepStrictEqual(await send('LRANGE', 'list', 0, -1), ['a', 'b', 'z']);
+        });
+
+        it('rejects index out of range and missing key', async function () {
+            await assert.rejects(send('LSET', 'list', 3, 'z'), {message: /index out of range/});
+            await assert.rejects(send('LSET', 'missing', 0, 'z'), {message: /no such key/});
+        });
+    });
+
+    describe('LINSERT', function () {
+        it('replies with the length of the list', async function () {
+            await send('RPUSH', 'list', 'a', 'c');
+
+            assert.strictEqual(await send('LINSERT', 'list', 'BEFORE', 'c', 'b'), 3);
+            assert.strictEqual(await send('LINSERT', 'list', 'AFTER', 'c', 'd'), 4);
+            assert.deepStrictEqual(await send('LRANGE', 'list', 0, -1), ['a', 'b', 'c', 'd']);
+        });
+
+        it('replies with -1 when there is no pivot', async function () {
+            await send('RPUSH', 'list', 'a');
+
+            assert.strictEqual(await send('LINSERT', 'list', 'BEFORE', 'z', 'b'), -1);
+        });
+
+        it('replies with 0 when there is no key', async function () {
+            assert.strictEqual(await send('LINSERT', 'list', 'BEFORE', 'a', 'b'), 0);
+            assert.strictEqual(await send('EXISTS', 'list'), 0);
+        });
+
+        it('rejects position other than BEFORE and AFTER', async function () {
+            await send('RPUSH', 'list', 'a');
+
+            await assert.rejects(send('LINSERT', 'list', 'INTO', 'a', 'b'), {message: /syntax error/});
+        });
+    });
+
+    describe('LREM', function () {
+        beforeEach(() => send('RPUSH', 'list', 'a', 'b', 'a', 'c', 'a'));
+
+        it('removes from the head for positive count', async function () {
+            assert.strictEqual(await send('LREM', 'list', 2, 'a'), 2);
+            assert.deepStrictEqual(await send('LRANGE', 'list', 0, -1), ['b', 'c', 'a']);
+        });
+
+        it('removes from the tail for negative count', async function () {
+            assert.strictEqual(await send('LREM', 'list', -1, 'a'), 1);
+            assert.deepStrictEqual(await send('LRANGE', 'list', 0, -1), ['a', 'b', 'a', 'c']);
+        });
+
+        it('removes all for count 0', async function () {
+            assert.strictEqual(await send('LREM', 'list', 0, 'a'), 3);
+            assert.strictEqual(await send('LREM', 'list', 0, 'z'), 0);
+            assert.deepStrictEqual(await send('LRANGE', 'list', 0, -1), ['b', 'c']);
+        });
+    });
+
+    describe('LMOVE and RPOPLPUSH', function () {
+        beforeEach(() => send('RPUSH', 'source', 'a', 'b', 'c'));
+
+        it('move element between lists', async function () {
+            assert.strictEqual(await send('LMOVE', 'source', 'target', 'LEFT', 'RIGHT'), 'a');
+            assert.strictEqual(await send('LMOVE', 'source', 'target', 'RIGHT', 'LEFT'), 'c');
+            assert.strictEqual(await send('RPOPLPUSH', 'source', 'target'), 'b');
+            assert.deepStrictEqual(await send('LRANGE', 'target', 0, -1), ['b', 'c', 'a']);
+            assert.strictEqual(await send('EXISTS', 'source'), 0);
+        });
+
+        it('rotate the list moved to itself', async function () {
+            assert.strictEqual(await send('LMOVE', 'source', 'source', 'LEFT', 'RIGHT'), 'a');
+            assert.deepStrictEqual(await send('LRANGE', 'source', 0, -1), ['b', 'c', 'a']);
+        });
+
+        it('reply with null for missing source', async function () {
+            assert.strictEqual(await send('LMOVE', 'missing', 'target', 'LEFT', 'RIGHT'), null);
+            assert.strictEqual(await send('EXISTS', 'target'), 0);
+        });
+    });
+
+    describe('LPOS', function () {
+        beforeEach(() => send('RPUSH', 'list', 'a', 'b', 'c', 'b', 'b'));
+
+        it('replies with index of the first match', async function () {
+            assert.strictEqual(await send('LPOS', 'list', 'b'), 1);
+            assert.strictEqual(await send('LPOS', 'list', 'z'), null);
+            assert.strictEqual(await send('LPOS', 'missing', 'b'), null);
+        });
+
+        it('skips matches with RANK, counting from the end for negative one', async function () {
+            assert.strictEqual(await send('LPOS', 'list', 'b', 'RANK', 2), 3);
+            assert.strictEqual(await send('LPOS', 'list', 'b', 'RANK', -1), 4);
+            assert.strictEqual(await send('LPOS', 'list', 'b', 'RANK', -3), 1);
+            assert.strictEqual(await send('LPOS', 'list', 'b', 'RANK', 4), null);
+        });
+
+        it('replies with indexes of matches with COUNT', async function () {
+            assert.deepStrictEqual(await send('LPOS', 'list', 'b', 'COUNT', 2), [1, 3]);
+            assert.deepStrictEqual(await send('LPOS', 'list', 'b', 'COUNT', 0), [1, 3, 4]);
+            assert.deepStrictEqual(await send('LPOS', 'list', 'b', 'RANK', -1, 'COUNT', 2), [4, 3]);
+            assert.deepStrictEqual(await send('LPOS', 'list', 'z', 'COUNT', 0), []);
+            assert.deepStrictEqual(await send('LPOS', 'missing', 'z', 'COUNT', 0), []);
+        });
+
+        it('compares as many elements as MAXLEN', async function () {
+            assert.strictEqual(await send('LPOS', 'list', 'c', 'MAXLEN', 2), null);
+            assert.deepStrictEqual(await send('LPOS', 'list', 'b', 'COUNT', 0, 'MAXLEN', 4), [1, 3]);
+        });
+
+        it('rejects zero RANK and negative COUNT', async function () {
+            await assert.rejects(send('LPOS', 'list', 'b', 'RANK', 0), {message: /RANK can't be zero/});
+            await assert.rejects(send('LPOS', 'list', 'b', 'COUNT', -1), {message: /COUNT can't be negative/});
+        });
+    });
+
+    describe('blocking pops', function () {
+        it('reply with key and element when list is not empty', async function () {
+            await send('RPUSH', 'second', 'a', 'b');
+
+            assert.deepStrictEqual(await send('BLPOP', 'first', 'second', 1), ['second', 'a']);
+            assert.deepStrictEqual(await send('BRPOP', 'first', 'second', 1), ['second', 'b']);
+        });
+
+        it('reply with null on timeout', async function () {
+            assert.strictEqual(await send('BLPOP', 'list', '0.05'), null);
+            assert.strictEqual(await send('BLMOVE', 'list', 'target', 'LEFT', 'RIGHT', '0.05'), null);
+        });
+
+        it('wait for element pushed by other client', async function () {
+            const blocked = await redis.duplicate();
+            const popped  = blocked.sendCommand(['BLPOP', 'list', '1']);
+            const moved   = (await redis.duplicate()).sendCommand(['BLMOVE', 'other', 'target', 'LEFT', 'RIGHT', '1']);
+
+            await conformance.sleep(20);
+            await send('RPUSH', 'list', 'a');
+            await send('RPUSH', 'other', 'b');
+
+            assert.deepStrictEqual(await popped, ['list', 'a']);
+            assert.strictEqual(await moved, 'b');
+            assert.deepStrictEqual(await send('LRANGE', 'target', 0, -1), ['b']);
+        });
+    });
+});
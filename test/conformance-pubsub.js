@@ -0,0 +1,117 @@
+'use strict';
+
+const assert      = require('assert');
+const conformance = require('./support/conformance');
+
+conformance('pub/sub', (redis) => {
+    const send = (...args) => redis.send(...args);
+
+    /**
+     * Subscribe other connection, collecting messages
+     *
+     * @param  {String}  method   subscribe or pSubscribe
+     * @param  {String}  channel  Channel or pattern
+     * @param  {Boolean} [buffers]
+     * @return {Promise<Array>}   Collected [message, channel] pairs
+     */
+    async function listen(method, channel, buffers) {
+        const subscriber = await redis.duplicate();
+        const messages   = [];
+
+        await subscriber[method](channel, (message, from) => messages.push([message, from]), buffers);
+
+        return messages;
+    }
+
+    describe('PUBLISH', function () {
+        it('delivers messages to subscribers and replies with their number', async function () {
+            const first  = await listen('subscribe', 'channel');
+            const second = await listen('subscribe', 'channel');
+
+            assert.strictEqual(await send('PUBLISH', 'channel', 'message'), 2);
+            assert.strictEqual(await send('PUBLISH', 'other', 'message'), 0);
+
+            await conformance.sleep(20);
+
+            assert.deepStrictEqual(first, [['message', 'channel']]);
+            assert.deepStrictEqual(second, [['message', 'channel']]);
+        });
+
+        it('delivers messages to pattern subscribers', async function () {
+            const messages = await listen('pSubscribe', 'channel:*');
+
+            await send('PUBLISH', 'channel:1', 'a');
+            await send('PUBLISH', 'other', 'b');
+            await conformance.sleep(20);
+
+            assert.deepStrictEqual(messages, [['a', 'channel:1']]);
+        });
+
+        it('delivers Buffers to subscribers asking for them', async function () {
+            const messages = await listen('subscribe', 'channel', true);
+
+            await send('PUBLISH', 'channel', Buffer.from([0xff, 0x00]));
+            await conformance.sleep(20);
+
+            assert.deepStrictEqual(messages, [[Buffer.from([0xff, 0x00]), Buffer.from('channel')]]);
+        });
+    });
+
+    describe('keyspace notifications', function () {
+        let previous;
+
+        before(async function () {
+            [, previous] = await send('CONFIG', 'GET', 'notify-keyspace-events');
+        });
+
+        after(() => send('CONFIG', 'SET', 'notify-keyspace-events', previous));
+
+        it('publishes events of the enabled classes', async function () {
+            await send('CONFIG', 'SET', 'notify-keyspace-events', 'Klgh');
+
+            const messages = await listen('pSubscribe', '__keyspace@0__:*');
+
+            await send('RPUSH', 'list', 'a');
+            await send('SADD', 'set', 'a');
+            await send('HSET', 'hash', 'field', 'value');
+            await send('LPOP', 'list');
+            await conformance.sleep(20);
+
+            assert.deepStrictEqual(messages, [
+                ['rpush', '__keyspace@0__:list'],
+                ['hset', '__keyspace@0__:hash'],
+                ['lpop', '__keyspace@0__:list'],
+                ['del', '__keyspace@0__:list']
+            ]);
+        });
+
+        it('publishes key events', async function () {
+            await send('CONFIG', 'SET', 'notify-keyspace-events', 'Ezgx');
+
+            const messages = await listen('pSubscribe', '__keyevent@0__:*');
+
+            await send('ZADD', 'zset', 1, 'a');
+            await send('PEXPIRE', 'zset', 10);
+            await conformance.sleep(100);
+            await send('EXISTS', 'zset');
+            await conformance.sleep(20);
+
+            assert.deepStrictEqual(messages, [
+                ['zset', '__keyevent@0__:zadd'],
+                ['zset', '__keyevent@0__:expire'],
+                ['zset', '__keyevent@0__:expired']
+            ]);
+        });
+
+        it('does not publish when disabled', async function () {
+            await send('CONFIG', 'SET', 'notify-keyspace-events', '');
+
+            const messages = await listen('pSubscribe', '__key*');
+
+            await send('RPUSH', 'list', 'a');
+            await conformance.sleep(20);
+
+            assert.deepStrictEqual(messages, []);
+        });
+    });
+});
@@ -0,0 +1,122 @@
+'use strict';
+
+const assert      = require('assert');
+const crypto      = require('crypto');
+const memory      = require('../memory');
+const conformance = require('./support/conformance');
+
+const PUSH = "return redis.call('RPUSH', KEYS[1], unpack(ARGV))";
+
+const VALUES = "return {3.7, true, false, 'text', {1, 'nested'}}";
+
+const FAIL = "return redis.error_reply('ERR custom failure')";
+
+const COUNT = 'return #KEYS + #ARGV';
+
+memory.defineScript(PUSH, (keys, args, call) => call('RPUSH', keys[0], ...args));
+memory.defineScript(VALUES, () => [3.7, true, false, 'text', [1, 'nested']]);
+memory.defineScript(FAIL, () => new Error('ERR custom failure'));
+memory.defineScript(COUNT, (keys, args) => keys.length + args.length);
+
+/**
+ * Library of one function, the way {@link Script} builds them
+ *
+ * @param  {String} name Name of the library and its function
+ * @param  {String} body Body of the function
+ * @return {String}
+ */
+function library(name, body) {
+    return '#!lua name=' + name + '\n'
+        + "redis.register_function('" + name + "', function(KEYS, ARGV)\n"
+        + body + '\n'
+        + 'end)';
+}
+
+conformance('scripting', (redis) => {
+    const send = (...args) => redis.send(...args);
+    const sha  = (source) => crypto.createHash('sha1').update(source).digest('hex');
+
+    beforeEach(async function () {
+        await send('SCRIPT', 'FLUSH');
+        await send('FUNCTION', 'FLUSH');
+    });
+
+    describe('EVAL', function () {
+        it('runs script with keys and arguments', async function () {
+            assert.strictEqual(await send('EVAL', PUSH, 1, 'list', 'a', 'b'), 2);
+            assert.deepStrictEqual(await send('LRANGE', 'list', 0, -1), ['a', 'b']);
+            assert.strictEqual(await send('EVAL', COUNT, 0), 0);
+            assert.strictEqual(await send('EVAL', COUNT, 2, 'a', 'b', 'c'), 3);
+        });
+
+        it('converts returned values', async function () {
+            assert.deepStrictEqual(await send('EVAL', VALUES, 0), [3, 1, null, 'text', [1, 'nested']]);
+        });
+
+        it('replies with error returned by script', async function () {
+            await assert.rejects(send('EVAL', FAIL, 0), {message: 'ERR custom failure'});
+        });
+
+        it('rejects wrong number of keys', async function () {
+            await assert.rejects(send('EVAL', COUNT, -1), {message: /can't be negative/});
+            await assert.rejects(send('EVAL', COUNT, 2, 'a'), {message: /can't be greater/});
+        });
+    });
+
+    describe('EVALSHA and SCRIPT', function () {
+        it('runs loaded script', async function () {
+            assert.strictEqual(await send('SCRIPT', 'LOAD', PUSH), sha(PUSH));
+            assert.deepStrictEqual(await send('SCRIPT', 'EXISTS', sha(PUSH), sha(COUNT)), [1, 0]);
+            assert.strictEqual(await send('EVALSHA', sha(PUSH), 1, 'list', 'a'), 1);
+            assert.strictEqual(await send('EVALSHA', sha(PUSH).toUpperCase(), 1, 'list', 'b'), 2);
+        });
+
+        it('rejects script which is not loaded', async function () {
+            await assert.rejects(send('EVALSHA', sha(COUNT), 0), {message: /^NOSCRIPT/});
+
+            await send('SCRIPT', 'LOAD', COUNT);
+            assert.strictEqual(await send('SCRIPT', 'FLUSH'), 'OK');
+
+            await assert.rejects(send('EVALSHA', sha(COUNT), 0), {message: /^NOSCRIPT/});
+        });
+    });
+
+    describe('FUNCTION and FCALL', function () {
+        it('calls function of loaded library', async function () {
+            assert.strictEqual(await send('FUNCTION', 'LOAD', library('push', PUSH)), 'push');
+            assert.strictEqual(await send('FCALL', 'push', 1, 'list', 'a', 'b'), 2);
+            assert.deepStrictEqual(await send('LRANGE', 'list', 0, -1), ['a', 'b']);
+        });
+
+        it('replaces library only with REPLACE', async function () {
+            await send('FUNCTION', 'LOAD', library('push', PUSH));
+
+            await assert.rejects(send('FUNCTION', 'LOAD', library('push', PUSH)), {message: /already exists/});
+            assert.strictEqual(await send('FUNCTION', 'LOAD', 'REPLACE', library('push', PUSH)), 'push');
+        });
+
+        it('rejects missing function and library', async function () {
+            await assert.rejects(send('FCALL', 'push', 0), {message: /Function not found/});
+            await assert.rejects(send('FUNCTION', 'DELETE', 'push'), {message: /Library not found/});
+            await assert.rejects(send('FUNCTION', 'LOAD', PUSH), {message: /Missing library metadata/});
+        });
+
+        it('deletes and flushes libraries', async function () {
+            await send('FUNCTION', 'LOAD', library('push', PUSH));
+            await send('FUNCTION', 'LOAD', library('count', COUNT));
+
+            assert.strictEqual(await send('FUNCTION', 'DELETE', 'push'), 'OK');
+            await assert.rejects(send('FCALL', 'push', 0), {message: /Function not found/});
+            assert.strictEqual(await send('FCALL', 'count', 1, 'a', 'b'), 2);
+
+            assert.strictEqual(await send('FUNCTION', 'FLUSH'), 'OK');
+            await assert.rejects(send('FCALL', 'count', 0), {message: /Function not found/});
+        });
+
+        it('does not run function without no-writes flag with FCALL_RO', async function () {
+            await send('FUNCTION', 'LOAD', library('count', COUNT));
+
+            await assert.rejects(send('FCALL_RO', 'count', 0), {message: /write flag/});
+        });
+    });
+});
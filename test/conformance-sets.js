@@ -0,0 +1,176 @@
+'use strict';
+
+const assert      = require('assert');
+const conformance = require('./support/conformance');
+
+const WRONGTYPE = /^WRONGTYPE/;
+
+conformance('sets', (redis) => {
+    const send   = (...args) => redis.send(...args);
+    const sorted = async (reply) => (await reply).sort();
+
+    describe('SADD and SREM', function () {
+        it('add and remove members, replying with the number of changed ones', async function () {
+            assert.strictEqual(await send('SADD', 'set', 'a', 'b', 'a'), 2);
+            assert.strictEqual(await send('SADD', 'set', 'b', 'c'), 1);
+            assert.strictEqual(await send('SREM', 'set', 'a', 'z'), 1);
+            assert.deepStrictEqual(await sorted(send('SMEMBERS', 'set')), ['b', 'c']);
+        });
+
+        it('remove the key with the last member', async function () {
+            await send('SADD', 'set', 'a');
+            await send('SREM', 'set', 'a');
+
+            assert.strictEqual(await send('EXISTS', 'set'), 0);
+        });
+
+        it('reject set command on other type', async function () {
+            await send('HSET', 'hash', 'field', 'value');
+
+            await assert.rejects(send('SADD', 'hash', 'a'), {message: WRONGTYPE});
+            await assert.rejects(send('SMEMBERS', 'hash'), {message: WRONGTYPE});
+        });
+    });
+
+    describe('membership', function () {
+        beforeEach(() => send('SADD', 'set', 'a', 'b', 'c'));
+
+        it('count and check members', async function () {
+            assert.strictEqual(await send('SCARD', 'set'), 3);
+            assert.strictEqual(await send('SCARD', 'missing'), 0);
+            assert.strictEqual(await send('SISMEMBER', 'set', 'a'), 1);
+            assert.strictEqual(await send('SISMEMBER', 'set', 'z'), 0);
+            assert.deepStrictEqual(await send('SMISMEMBER', 'set', 'a', 'z', 'c'), [1, 0, 1]);
+            assert.deepStrictEqual(await send('SMEMBERS', 'missing'), []);
+        });
+
+        it('move member to other set', async function () {
+            assert.strictEqual(await send('SMOVE', 'set', 'other', 'a'), 1);
+            assert.strictEqual(await send('SMOVE', 'set', 'other', 'z'), 0);
+            assert.deepStrictEqual(await send('SMEMBERS', 'other'), ['a']);
+            assert.strictEqual(await send('SISMEMBER', 'set', 'a'), 0);
+        });
+    });
+
+    describe('SPOP', function () {
+        beforeEach(() => send('SADD', 'set', 'a', 'b', 'c'));
+
+        it('pops one member without count', async function () {
+            assert.ok(['a', 'b', 'c'].includes(await send('SPOP', 'set')));
+            assert.strictEqual(await send('SCARD', 'set'), 2);
+        });
+
+        it('pops as many members as the count', async function () {
+            const popped = await send('SPOP', 'set', 2);
+
+            assert.strictEqual(popped.length, 2);
+            assert.strictEqual(new Set(popped).size, 2);
+            assert.strictEqual(await send('SCARD', 'set'), 1);
+        });
+
+        it('replies with empty array for count 0', async function () {
+            assert.deepStrictEqual(await send('SPOP', 'set', 0), []);
+            assert.strictEqual(await send('SCARD', 'set'), 3);
+        });
+
+        it('pops the whole set for count above its size', async function () {
+            assert.deepStrictEqual(await sorted(send('SPOP', 'set', 10)), ['a', 'b', 'c']);
+            assert.strictEqual(await send('EXISTS', 'set'), 0);
+        });
+
+        it('replies for missing key', async function () {
+            assert.strictEqual(await send('SPOP', 'missing'), null);
+            assert.deepStrictEqual(await send('SPOP', 'missing', 2), []);
+        });
+
+        it('rejects negative count', async function () {
+            await assert.rejects(send('SPOP', 'set', -1), {message: /out of range/});
+        });
+    });
+
+    describe('SRANDMEMBER', function () {
+        beforeEach(() => send('SADD', 'set', 'a', 'b', 'c'));
+
+        it('replies with one member without count', async function () {
+            assert.ok(['a', 'b', 'c'].includes(await send('SRANDMEMBER', 'set')));
+            assert.strictEqual(await send('SRANDMEMBER', 'missing'), null);
+        });
+
+        it('replies with distinct members for positive count', async function () {
+            assert.deepStrictEqual(await sorted(send('SRANDMEMBER', 'set', 5)), ['a', 'b', 'c']);
+        });
+
+        it('replies with exactly as many members for negative count', async function () {
+            const members = await send('SRANDMEMBER', 'set', -5);
+
+            assert.strictEqual(members.length, 5);
+            assert.ok(members.every((member) => ['a', 'b', 'c'].includes(member)));
+        });
+    });
+
+    describe('set operations', function () {
+        beforeEach(async function () {
+            await send('SADD', 'first', 'a', 'b', 'c');
+            await send('SADD', 'second', 'b', 'c', 'd');
+        });
+
+        it('reply with union, intersection and difference', async function () {
+            assert.deepStrictEqual(await sorted(send('SUNION', 'first', 'second', 'missing')), ['a', 'b', 'c', 'd']);
+            assert.deepStrictEqual(await sorted(send('SINTER', 'first', 'second')), ['b', 'c']);
+            assert.deepStrictEqual(await send('SINTER', 'first', 'missing'), []);
+            assert.deepStrictEqual(await sorted(send('SDIFF', 'first', 'second')), ['a']);
+            assert.deepStrictEqual(await sorted(send('SDIFF', 'first', 'missing')), ['a', 'b', 'c']);
+        });
+
+        it('store the result and reply with its size', async function () {
+            assert.strictEqual(await send('SUNIONSTORE', 'result', 'first', 'second'), 4);
+            assert.strictEqual(await send('SINTERSTORE', 'result', 'first', 'second'), 2);
+            assert.deepStrictEqual(await sorted(send('SMEMBERS', 'result')), ['b', 'c']);
+            assert.strictEqual(await send('SDIFFSTORE', 'result', 'first', 'second'), 1);
+            assert.deepStrictEqual(await send('SMEMBERS', 'result'), ['a']);
+        });
+
+        it('delete destination for empty result', async function () {
+            await send('SADD', 'result', 'z');
+
+            assert.strictEqual(await send('SINTERSTORE', 'result', 'first', 'missing'), 0);
+            assert.strictEqual(await send('EXISTS', 'result'), 0);
+        });
+
+        it('count intersection with limit', async function () {
+            assert.strictEqual(await send('SINTERCARD', 2, 'first', 'second'), 2);
+            assert.strictEqual(await send('SINTERCARD', 2, 'first', 'second', 'LIMIT', 1), 1);
+            assert.strictEqual(await send('SINTERCARD', 2, 'first', 'missing'), 0);
+        });
+
+        it('reject other type', async function () {
+            await send('HSET', 'hash', 'field', 'value');
+
+            await assert.rejects(send('SUNION', 'first', 'hash'), {message: WRONGTYPE});
+        });
+    });
+
+    describe('SSCAN', function () {
+        it('iterates over all the members', async function () {
+            const members = Array.from({length: 50}, (_, i) => 'member:' + i);
+
+            await send('SADD', 'set', ...members);
+
+            const found = new Set();
+            let cursor  = '0';
+
+            do {
+                const [next, batch] = await send('SSCAN', 'set', cursor, 'COUNT', 10);
+
+                batch.forEach((member) => found.add(member));
+                cursor = next;
+            } while (cursor !== '0');
+
+            assert.deepStrictEqual(Array.from(found).sort(), members.sort());
+        });
+
+        it('replies with nothing for missing key', async function () {
+            assert.deepStrictEqual(await send('SSCAN', 'missing', 0), ['0', []]);
+        });
+    });
+});
@@ -0,0 +1,163 @@
+'use strict';
+
+const assert      = require('assert');
+const conformance = require('./support/conformance');
+
+const WRONGTYPE = /^WRONGTYPE/;
+
+conformance('sorted sets', (redis) => {
+    const send = (...args) => redis.send(...args);
+
+    describe('ZADD', function () {
+        it('adds members and replies with the number of new ones', async function () {
+            assert.strictEqual(await send('ZADD', 'zset', 1, 'a', 2, 'b'), 2);
+            assert.strictEqual(await send('ZADD', 'zset', 3, 'a', 4, 'c'), 1);
+            assert.strictEqual(await send('ZSCORE', 'zset', 'a'), '3');
+            assert.strictEqual(await send('ZSCORE', 'zset', 'missing'), null);
+        });
+
+        it('replies with the number of changed members with CH', async function () {
+            await send('ZADD', 'zset', 1, 'a');
+
+            assert.strictEqual(await send('ZADD', 'zset', 'CH', 2, 'a', 1, 'b', 1, 'b'), 2);
+        });
+
+        it('adds only new members with NX and updates only existing ones with XX', async function () {
+            await send('ZADD', 'zset', 1, 'a');
+
+            assert.strictEqual(await send('ZADD', 'zset', 'NX', 5, 'a', 2, 'b'), 1);
+            assert.strictEqual(await send('ZADD', 'zset', 'XX', 'CH', 5, 'a', 3, 'c'), 1);
+            assert.deepStrictEqual(await send('ZRANGE', 'zset', 0, -1, 'WITHSCORES'), ['b', '2', 'a', '5']);
+        });
+
+        it('updates only to greater or lesser score with GT and LT', async function () {
+            await send('ZADD', 'zset', 5, 'a');
+
+            assert.strictEqual(await send('ZADD', 'zset', 'GT', 'CH', 3, 'a'), 0);
+            assert.strictEqual(await send('ZADD', 'zset', 'LT', 'CH', 3, 'a'), 1);
+            assert.strictEqual(await send('ZADD', 'zset', 'GT', 1, 'b'), 1);
+            assert.strictEqual(await send('ZSCORE', 'zset', 'a'), '3');
+        });
+
+        it('increments score with INCR', async function () {
+            assert.strictEqual(await send('ZADD', 'zset', 'INCR', 1.5, 'a'), '1.5');
+            assert.strictEqual(await send('ZADD', 'zset', 'INCR', 2, 'a'), '3.5');
+            assert.strictEqual(await send('ZADD', 'zset', 'NX', 'INCR', 1, 'a'), null);
+            assert.strictEqual(await send('ZINCRBY', 'zset', -0.5, 'a'), '3');
+        });
+
+        it('rejects incompatible options and bad scores', async function () {
+            await assert.rejects(send('ZADD', 'zset', 'NX', 'XX', 1, 'a'), {message: /not compatible/});
+            await assert.rejects(send('ZADD', 'zset', 'GT', 'NX', 1, 'a'), {message: /not compatible/});
+            await assert.rejects(send('ZADD', 'zset', 'score', 'a'), {message: /not a valid float/});
+        });
+
+        it('rejects other type', async function () {
+            await send('SADD', 'set', 'a');
+
+            await assert.rejects(send('ZADD', 'set', 1, 'a'), {message: WRONGTYPE});
+            await assert.rejects(send('ZRANGE', 'set', 0, -1), {message: WRONGTYPE});
+        });
+    });
+
+    describe('reads', function () {
+        beforeEach(() => send('ZADD', 'zset', 1, 'a', 2, 'b', 2, 'c', 3, 'd'));
+
+        it('count members', async function () {
+            assert.strictEqual(await send('ZCARD', 'zset'), 4);
+            assert.strictEqual(await send('ZCARD', 'missing'), 0);
+            assert.strictEqual(await send('ZCOUNT', 'zset', '(1', '+inf'), 3);
+            assert.strictEqual(await send('ZCOUNT', 'zset', '-inf', 2), 3);
+        });
+
+        it('get scores of many members', async function () {
+            assert.deepStrictEqual(await send('ZMSCORE', 'zset', 'a', 'missing', 'd'), ['1', null, '3']);
+        });
+
+        it('get ranks, ties ordered by member', async function () {
+            assert.strictEqual(await send('ZRANK', 'zset', 'c'), 2);
+            assert.strictEqual(await send('ZREVRANK', 'zset', 'c'), 1);
+            assert.strictEqual(await send('ZRANK', 'zset', 'missing'), null);
+        });
+
+        it('get range by rank', async function () {
+            assert.deepStrictEqual(await send('ZRANGE', 'zset', 0, -1), ['a', 'b', 'c', 'd']);
+            assert.deepStrictEqual(await send('ZRANGE', 'zset', -2, -1, 'WITHSCORES'), ['c', '2', 'd', '3']);
+            assert.deepStrictEqual(await send('ZRANGE', 'zset', 0, 1, 'REV'), ['d', 'c']);
+            assert.deepStrictEqual(await send('ZRANGE', 'missing', 0, -1), []);
+        });
+
+        it('get range by score', async function () {
+            assert.deepStrictEqual(await send('ZRANGE', 'zset', '(1', '+inf', 'BYSCORE'), ['b', 'c', 'd']);
+            assert.deepStrictEqual(await send('ZRANGE', 'zset', '-inf', '+inf', 'BYSCORE', 'LIMIT', 1, 2), ['b', 'c']);
+            assert.deepStrictEqual(await send('ZRANGE', 'zset', '+inf', 2, 'BYSCORE', 'REV', 'WITHSCORES'), ['d', '3', 'c', '2', 'b', '2']);
+        });
+
+        it('get range by member', async function () {
+            await send('ZADD', 'lex', 0, 'a', 0, 'b', 0, 'c', 0, 'd');
+
+            assert.deepStrictEqual(await send('ZRANGE', 'lex', '[b', '(d', 'BYLEX'), ['b', 'c']);
+            assert.deepStrictEqual(await send('ZRANGE', 'lex', '+', '[c', 'BYLEX', 'REV'), ['d', 'c']);
+            assert.deepStrictEqual(await send('ZRANGE', 'lex', '-', '+', 'BYLEX', 'LIMIT', 0, 1), ['a']);
+            assert.strictEqual(await send('ZLEXCOUNT', 'lex', '(a', '+'), 3);
+        });
+
+        it('rejects bad range', async function () {
+            await assert.rejects(send('ZRANGE', 'zset', 'a', 'b', 'BYLEX'), {message: /not valid string range/});
+            await assert.rejects(send('ZRANGE', 'zset', 'x', 2, 'BYSCORE'), {message: /not a float/});
+        });
+    });
+
+    describe('removal', function () {
+        beforeEach(() => send('ZADD', 'zset', 1, 'a', 2, 'b', 3, 'c', 4, 'd'));
+
+        it('removes members', async function () {
+            assert.strictEqual(await send('ZREM', 'zset', 'a', 'missing'), 1);
+            assert.strictEqual(await send('ZREMRANGEBYRANK', 'zset', -1, -1), 1);
+            assert.strictEqual(await send('ZREMRANGEBYSCORE', 'zset', '(2', 3), 1);
+            assert.deepStrictEqual(await send('ZRANGE', 'zset', 0, -1), ['b']);
+        });
+
+        it('removes members by lexicographic range', async function () {
+            await send('ZADD', 'lex', 0, 'a', 0, 'b', 0, 'c');
+
+            assert.strictEqual(await send('ZREMRANGEBYLEX', 'lex', '[a', '(c'), 2);
+            assert.deepStrictEqual(await send('ZRANGE', 'lex', 0, -1), ['c']);
+        });
+
+        it('pops members with the lowest and highest scores', async function () {
+            assert.deepStrictEqual(await send('ZPOPMIN', 'zset'), ['a', '1']);
+            assert.deepStrictEqual(await send('ZPOPMAX', 'zset', 2), ['d', '4', 'c', '3']);
+            assert.deepStrictEqual(await send('ZPOPMIN', 'missing'), []);
+        });
+
+        it('removes the key with the last member', async function () {
+            await send('ZREMRANGEBYRANK', 'zset', 0, -1);
+
+            assert.strictEqual(await send('EXISTS', 'zset'), 0);
+        });
+    });
+
+    describe('ZSCAN', function () {
+        it('iterates over all the members with scores', async function () {
+            const members = Array.from({length: 50}, (_, i) => [String(i), 'member:' + i]);
+
+            await send('ZADD', 'zset', ...[].concat(...members));
+
+            const found = new Map();
+            let cursor  = '0';
+
+            do {
+                const [next, flat] = await send('ZSCAN', 'zset', cursor, 'COUNT', 10);
+
+                for (let i = 0; i < flat.length; i += 2) {
+                    found.set(flat[i], flat[i + 1]);
+                }
+
+                cursor = next;
+            } while (cursor !== '0');
+
+            assert.deepStrictEqual(found, new Map(members.map(([score, member]) => [member, score])));
+        });
+    });
+});
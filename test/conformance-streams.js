@@ -0,0 +1,220 @@
+'use strict';
+
+const assert      = require('assert');
+const conformance = require('./support/conformance');
+
+const WRONGTYPE = /^WRONGTYPE/;
+
+conformance('streams', (redis) => {
+    const send = (...args) => redis.send(...args);
+
+    describe('XADD', function () {
+        it('adds entries and replies with their IDs', async function () {
+            assert.match(await send('XADD', 'stream', '*', 'a', '1'), /^[0-9]+-[0-9]+$/);
+            assert.strictEqual(await send('XADD', 'other', '5-1', 'a', '1'), '5-1');
+            assert.strictEqual(await send('XADD', 'other', '5-*', 'b', '2'), '5-2');
+            assert.strictEqual(await send('XADD', 'other', '7-*', 'c', '3'), '7-0');
+            assert.strictEqual(await send('XLEN', 'other'), 3);
+            assert.strictEqual(await send('XLEN', 'missing'), 0);
+        });
+
+        it('rejects IDs which are not greater than the last one', async function () {
+            await send('XADD', 'stream', '5-1', 'a', '1');
+
+            await assert.rejects(send('XADD', 'stream', '5-1', 'a', '1'), {message: /equal or smaller/});
+            await assert.rejects(send('XADD', 'other', '0-0', 'a', '1'), {message: /greater than 0-0/});
+            await assert.rejects(send('XADD', 'other', 'id', 'a', '1'), {message: /Invalid stream ID/});
+        });
+
+        it('does not create stream with NOMKSTREAM', async function () {
+            assert.strictEqual(await send('XADD', 'stream', 'NOMKSTREAM', '*', 'a', '1'), null);
+            assert.strictEqual(await send('EXISTS', 'stream'), 0);
+        });
+
+        it('trims stream', async function () {
+            for (let i = 1; i <= 5; i++) {
+                await send('XADD', 'stream', 'MAXLEN', 3, i + '-0', 'n', i);
+            }
+
+            assert.deepStrictEqual((await send('XRANGE', 'stream', '-', '+')).map(([id]) => id), ['3-0', '4-0', '5-0']);
+        });
+
+        it('rejects other type', async function () {
+            await send('RPUSH', 'list', 'a');
+
+            await assert.rejects(send('XADD', 'list', '*', 'a', '1'), {message: WRONGTYPE});
+        });
+    });
+
+    describe('ranges', function () {
+        beforeEach(async function () {
+            await send('XADD', 'stream', '1-1', 'a', '1');
+            await send('XADD', 'stream', '1-2', 'b', '2', 'c', '3');
+            await send('XADD', 'stream', '2-0', 'd', '4');
+        });
+
+        it('reply with entries between IDs', async function () {
+            assert.deepStrictEqual(await send('XRANGE', 'stream', '-', '+'), [
+                ['1-1', ['a', '1']],
+                ['1-2', ['b', '2', 'c', '3']],
+                ['2-0', ['d', '4']]
+            ]);
+            assert.deepStrictEqual((await send('XRANGE', 'stream', '1-2', '2')).map(([id]) => id), ['1-2', '2-0']);
+            assert.deepStrictEqual((await send('XRANGE', 'stream', '(1-1', '+', 'COUNT', 1)).map(([id]) => id), ['1-2']);
+            assert.deepStrictEqual(await send('XRANGE', 'missing', '-', '+'), []);
+        });
+
+        it('reply with entries in reverse order', async function () {
+            assert.deepStrictEqual((await send('XREVRANGE', 'stream', '+', '-')).map(([id]) => id), ['2-0', '1-2', '1-1']);
+            assert.deepStrictEqual((await send('XREVRANGE', 'stream', '1', '-', 'COUNT', 1)).map(([id]) => id), ['1-2']);
+        });
+
+        it('delete entries', async function () {
+            assert.strictEqual(await send('XDEL', 'stream', '1-1', '9-9'), 1);
+            assert.strictEqual(await send('XLEN', 'stream'), 2);
+        });
+
+        it('trim entries', async function () {
+            assert.strictEqual(await send('XTRIM', 'stream', 'MINID', '1-2'), 1);
+            assert.strictEqual(await send('XTRIM', 'stream', 'MAXLEN', '=', 1), 1);
+            assert.deepStrictEqual((await send('XRANGE', 'stream', '-', '+')).map(([id]) => id), ['2-0']);
+            assert.strictEqual(await send('XTRIM', 'missing', 'MAXLEN', 0), 0);
+        });
+    });
+
+    describe('XREAD', function () {
+        beforeEach(async function () {
+            await send('XADD', 'first', '1-0', 'a', '1');
+            await send('XADD', 'first', '2-0', 'b', '2');
+            await send('XADD', 'second', '3-0', 'c', '3');
+        });
+
+        it('reads entries after IDs', async function () {
+            assert.deepStrictEqual(await send('XREAD', 'STREAMS', 'first', 'second', '1-0', '0'), [
+                ['first', [['2-0', ['b', '2']]]],
+                ['second', [['3-0', ['c', '3']]]]
+            ]);
+            assert.deepStrictEqual(await send('XREAD', 'COUNT', 1, 'STREAMS', 'first', '0'), [['first', [['1-0', ['a', '1']]]]]);
+        });
+
+        it('replies with null when there is nothing to read', async function () {
+            assert.strictEqual(await send('XREAD', 'STREAMS', 'first', 'missing', '2-0', '0'), null);
+            assert.strictEqual(await send('XREAD', 'BLOCK', 50, 'STREAMS', 'first', '$'), null);
+        });
+
+        it('waits for entries added by other client', async function () {
+            const blocked = await redis.duplicate();
+            const read    = blocked.sendCommand(['XREAD', 'BLOCK', '1000', 'STREAMS', 'first', '$']);
+
+            await conformance.sleep(20);
+            await send('XADD', 'first', '5-0', 'e', '5');
+
+            assert.deepStrictEqual(await read, [['first', [['5-0', ['e', '5']]]]]);
+        });
+
+        it('rejects unbalanced streams', async function () {
+            await assert.rejects(send('XREAD', 'STREAMS', 'first', 'second', '0'), {message: /Unbalanced/});
+        });
+    });
+
+    describe('consumer groups', function () {
+        beforeEach(async function () {
+            await send('XADD', 'stream', '1-0', 'a', '1');
+            await send('XADD', 'stream', '2-0', 'b', '2');
+            await send('XGROUP', 'CREATE', 'stream', 'group', '0');
+        });
+
+        it('create and destroy groups', async function () {
+            await assert.rejects(send('XGROUP', 'CREATE', 'stream', 'group', '$'), {message: /^BUSYGROUP/});
+            await assert.rejects(send('XGROUP', 'CREATE', 'missing', 'group', '$'), {message: /requires the key to exist/});
+            assert.strictEqual(await send('XGROUP', 'CREATE', 'missing', 'group', '$', 'MKSTREAM'), 'OK');
+            assert.strictEqual(await send('XLEN', 'missing'), 0);
+            assert.strictEqual(await send('XGROUP', 'DESTROY', 'stream', 'group'), 1);
+            assert.strictEqual(await send('XGROUP', 'DESTROY', 'stream', 'group'), 0);
+        });
+
+        it('deliver new entries to consumers once', async function () {
+            assert.deepStrictEqual(await send('XREADGROUP', 'GROUP', 'group', 'alice', 'COUNT', 1, 'STREAMS', 'stream', '>'), [
+                ['stream', [['1-0', ['a', '1']]]]
+            ]);
+            assert.deepStrictEqual(await send('XREADGROUP', 'GROUP', 'group', 'bob', 'STREAMS', 'stream', '>'), [
+                ['stream', [['2-0', ['b', '2']]]]
+            ]);
+            assert.strictEqual(await send('XREADGROUP', 'GROUP', 'group', 'bob', 'STREAMS', 'stream', '>'), null);
+        });
+
+        it('deliver pending entries of the consumer again', async function () {
+            await send('XREADGROUP', 'GROUP', 'group', 'alice', 'STREAMS', 'stream', '>');
+            await send('XDEL', 'stream', '2-0');
+
+            assert.deepStrictEqual(await send('XREADGROUP', 'GROUP', 'group', 'alice', 'STREAMS', 'stream', '0'), [
+                ['stream', [['1-0', ['a', '1']], ['2-0', null]]]
+            ]);
+            assert.deepStrictEqual(await send('XREADGROUP', 'GROUP', 'group', 'bob', 'STREAMS', 'stream', '0'), [
+                ['stream', []]
+            ]);
+        });
+
+        it('move the group to other ID', async function () {
+            assert.strictEqual(await send('XGROUP', 'SETID', 'stream', 'group', '1-0'), 'OK');
+            assert.deepStrictEqual((await send('XREADGROUP', 'GROUP', 'group', 'alice', 'STREAMS', 'stream', '>'))[0][1].length, 1);
+
+            await send('XGROUP', 'SETID', 'stream', 'group', '$');
+            assert.strictEqual(await send('XREADGROUP', 'GROUP', 'group', 'alice', 'STREAMS', 'stream', '>'), null);
+        });
+
+        it('acknowledge entries and report pending ones', async function () {
+            assert.deepStrictEqual(await send('XPENDING', 'stream', 'group'), [0, null, null, null]);
+
+            await send('XREADGROUP', 'GROUP', 'group', 'alice', 'COUNT', 1, 'STREAMS', 'stream', '>');
+            await send('XREADGROUP', 'GROUP', 'group', 'bob', 'COUNT', 1, 'STREAMS', 'stream', '>');
+
+            assert.deepStrictEqual(await send('XPENDING', 'stream', 'group'), [2, '1-0', '2-0', [['alice', '1'], ['bob', '1']]]);
+
+            const [[id, consumer, idle, deliveries]] = await send('XPENDING', 'stream', 'group', '-', '+', 10, 'bob');
+
+            assert.deepStrictEqual([id, consumer, deliveries], ['2-0', 'bob', 1]);
+            assert.ok(idle >= 0 && idle < 1000, `idle is ${idle}`);
+
+            assert.strictEqual(await send('XACK', 'stream', 'group', '1-0', '2-0', '3-0'), 2);
+            assert.strictEqual(await send('XACK', 'stream', 'group', '1-0'), 0);
+            assert.deepStrictEqual(await send('XPENDING', 'stream', 'group', '-', '+', 10), []);
+        });
+
+        it('does not add entries read with NOACK to pending ones', async function () {
+            await send('XREADGROUP', 'GROUP', 'group', 'alice', 'NOACK', 'STREAMS', 'stream', '>');
+
+            assert.deepStrictEqual(await send('XPENDING', 'stream', 'group'), [0, null, null, null]);
+        });
+
+        it('claim idle entries of other consumers', async function () {
+            await send('XREADGROUP', 'GROUP', 'group', 'alice', 'STREAMS', 'stream', '>');
+            await send('XDEL', 'stream', '2-0');
+
+            assert.deepStrictEqual(await send('XAUTOCLAIM', 'stream', 'group', 'bob', 60000, '0'), ['0-0', [], ['2-0']]);
+
+            await conformance.sleep(20);
+
+            assert.deepStrictEqual(await send('XAUTOCLAIM', 'stream', 'group', 'bob', 10, '0'), ['0-0', [['1-0', ['a', '1']]], []]);
+
+            const [[, consumer, , deliveries]] = await send('XPENDING', 'stream', 'group', '-', '+', 10);
+
+            assert.deepStrictEqual([consumer, deliveries], ['bob', 2]);
+        });
+
+        it('claim entries in pages, deleted ones count too', async function () {
+            await send('XADD', 'stream', '3-0', 'c', '3');
+            await send('XREADGROUP', 'GROUP', 'group', 'alice', 'STREAMS', 'stream', '>');
+            await send('XDEL', 'stream', '1-0');
+
+            assert.deepStrictEqual(await send('XAUTOCLAIM', 'stream', 'group', 'bob', 0, '0', 'COUNT', 2, 'JUSTID'), ['3-0', ['2-0'], ['1-0']]);
+            assert.deepStrictEqual(await send('XAUTOCLAIM', 'stream', 'group', 'bob', 0, '3-0', 'COUNT', 2, 'JUSTID'), ['0-0', ['3-0'], []]);
+        });
+
+        it('rejects missing group', async function () {
+            await assert.rejects(send('XREADGROUP', 'GROUP', 'missing', 'alice', 'STREAMS', 'stream', '>'), {message: /^NOGROUP/});
+            await assert.rejects(send('XPENDING', 'stream', 'missing'), {message: /^NOGROUP/});
+            await assert.rejects(send('XGROUP', 'SETID', 'stream', 'missing', '0'), {message: /^NOGROUP/});
+        });
+    });
+});
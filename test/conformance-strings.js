@@ -0,0 +1,200 @@
+'use strict';
+
+const assert      = require('assert');
+const conformance = require('./support/conformance');
+
+const WRONGTYPE = /^WRONGTYPE/;
+
+conformance('strings', (redis) => {
+    const send = (...args) => redis.send(...args);
+
+    describe('SET and GET', function () {
+        it('set and get values', async function () {
+            assert.strictEqual(await send('SET', 'key', 'value'), 'OK');
+            assert.strictEqual(await send('GET', 'key'), 'value');
+            assert.strictEqual(await send('GET', 'missing'), null);
+            assert.strictEqual(await send('STRLEN', 'key'), 5);
+        });
+
+        it('keep binary values', async function () {
+            await send('SET', 'key', Buffer.from([0xff, 0x00, 0x80]));
+
+            assert.deepStrictEqual(await redis.sendBuffers('GET', 'key'), Buffer.from([0xff, 0x00, 0x80]));
+            assert.strictEqual(await send('STRLEN', 'key'), 3);
+        });
+
+        it('set only missing or existing key with NX and XX', async function () {
+            assert.strictEqual(await send('SET', 'key', 'a', 'XX'), null);
+            assert.strictEqual(await send('SET', 'key', 'a', 'NX'), 'OK');
+            assert.strictEqual(await send('SET', 'key', 'b', 'NX'), null);
+            assert.strictEqual(await send('SET', 'key', 'c', 'XX'), 'OK');
+            assert.strictEqual(await send('GET', 'key'), 'c');
+        });
+
+        it('reply with the previous value with GET', async function () {
+            assert.strictEqual(await send('SET', 'key', 'a', 'GET'), null);
+            assert.strictEqual(await send('SET', 'key', 'b', 'GET'), 'a');
+            assert.strictEqual(await send('SET', 'key', 'c', 'NX', 'GET'), 'b');
+            assert.strictEqual(await send('GET', 'key'), 'b');
+        });
+
+        it('does not check type of the key it overwrites', async function () {
+            await send('RPUSH', 'key', 'a');
+
+            assert.strictEqual(await send('SET', 'key', 'value'), 'OK');
+            assert.strictEqual(await send('TYPE', 'key'), 'string');
+        });
+
+        it('rejects GET of other type', async function () {
+            await send('RPUSH', 'key', 'a');
+
+            await assert.rejects(send('SET', 'key', 'value', 'GET'), {message: WRONGTYPE});
+            await assert.rejects(send('GET', 'key'), {message: WRONGTYPE});
+            await assert.rejects(send('INCR', 'key'), {message: WRONGTYPE});
+            await assert.rejects(send('APPEND', 'key', 'a'), {message: WRONGTYPE});
+        });
+
+        it('rejects string value in other type commands', async function () {
+            await send('SET', 'key', 'value');
+
+            await assert.rejects(send('LPUSH', 'key', 'a'), {message: WRONGTYPE});
+            await assert.rejects(send('HGET', 'key', 'a'), {message: WRONGTYPE});
+            await assert.rejects(send('SMEMBERS', 'key'), {message: WRONGTYPE});
+            await assert.rejects(send('ZADD', 'key', 1, 'a'), {message: WRONGTYPE});
+        });
+
+        it('rejects incompatible options', async function () {
+            await assert.rejects(send('SET', 'key', 'value', 'NX', 'XX'), {message: /syntax error/});
+            await assert.rejects(send('SET', 'key', 'value', 'EX', 10, 'PX', 100), {message: /syntax error/});
+            await assert.rejects(send('SET', 'key', 'value', 'EX', 0), {message: /invalid expire time/});
+        });
+    });
+
+    describe('expiry', function () {
+        it('expires keys set with PX', async function () {
+            assert.strictEqual(await send('SET', 'key', 'value', 'PX', 100), 'OK');
+
+            const ttl = await send('PTTL', 'key');
+
+            assert.ok(ttl > 0 && ttl <= 100, `PTTL is ${ttl}`);
+
+            await conformance.sleep(150);
+
+            assert.strictEqual(await send('GET', 'key'), null);
+            assert.strictEqual(await send('EXISTS', 'key'), 0);
+        });
+
+        it('removes expiry on overwrite unless KEEPTTL is given', async function () {
+            await send('SET', 'key', 'value', 'EX', 100);
+            await send('SET', 'key', 'other', 'KEEPTTL');
+            assert.ok(await send('TTL', 'key') > 98);
+
+            await send('SET', 'key', 'other');
+            assert.strictEqual(await send('TTL', 'key'), -1);
+        });
+
+        it('keeps expiry on modification', async function () {
+            await send('SET', 'key', '1', 'EX', 100);
+            await send('INCR', 'key');
+            await send('APPEND', 'key', '0');
+            await send('SETRANGE', 'key', 0, '3');
+
+            assert.strictEqual(await send('GET', 'key'), '30');
+            assert.ok(await send('TTL', 'key') > 98);
+        });
+    });
+
+    describe('GETDEL and GETEX', function () {
+        beforeEach(() => send('SET', 'key', 'value'));
+
+        it('get and delete value', async function () {
+            assert.strictEqual(await send('GETDEL', 'key'), 'value');
+            assert.strictEqual(await send('EXISTS', 'key'), 0);
+            assert.strictEqual(await send('GETDEL', 'key'), null);
+        });
+
+        it('get value and set or remove its expiry', async function () {
+            assert.strictEqual(await send('GETEX', 'key'), 'value');
+            assert.strictEqual(await send('TTL', 'key'), -1);
+            assert.strictEqual(await send('GETEX', 'key', 'PX', 100000), 'value');
+            assert.ok(await send('PTTL', 'key') > 99000);
+            assert.strictEqual(await send('GETEX', 'key', 'PERSIST'), 'value');
+            assert.strictEqual(await send('TTL', 'key'), -1);
+            assert.strictEqual(await send('GETEX', 'missing', 'EX', 100), null);
+        });
+
+        it('rejects other type', async function () {
+            await send('RPUSH', 'list', 'a');
+
+            await assert.rejects(send('GETDEL', 'list'), {message: WRONGTYPE});
+            await assert.rejects(send('GETEX', 'list'), {message: WRONGTYPE});
+            assert.strictEqual(await send('EXISTS', 'list'), 1);
+        });
+    });
+
+    describe('ranges', function () {
+        beforeEach(() => send('SET', 'key', 'Hello World'));
+
+        it('append to value, creating it when missing', async function () {
+            assert.strictEqual(await send('APPEND', 'key', '!'), 12);
+            assert.strictEqual(await send('APPEND', 'missing', 'a'), 1);
+            assert.strictEqual(await send('GET', 'key'), 'Hello World!');
+        });
+
+        it('get range, counting negative offsets from the end', async function () {
+            assert.strictEqual(await send('GETRANGE', 'key', 0, 4), 'Hello');
+            assert.strictEqual(await send('GETRANGE', 'key', -5, -1), 'World');
+            assert.strictEqual(await send('GETRANGE', 'key', 6, 100), 'World');
+            assert.strictEqual(await send('GETRANGE', 'key', 5, 2), '');
+            assert.strictEqual(await send('GETRANGE', 'missing', 0, -1), '');
+        });
+
+        it('overwrite range, padding with zero bytes', async function () {
+            assert.strictEqual(await send('SETRANGE', 'key', 6, 'Redis'), 11);
+            assert.strictEqual(await send('GET', 'key'), 'Hello Redis');
+            assert.strictEqual(await send('SETRANGE', 'padded', 2, 'a'), 3);
+            assert.deepStrictEqual(await redis.sendBuffers('GET', 'padded'), Buffer.from([0, 0, 0x61]));
+        });
+
+        it('do not create key for empty range', async function () {
+            assert.strictEqual(await send('SETRANGE', 'missing', 5, ''), 0);
+            assert.strictEqual(await send('EXISTS', 'missing'), 0);
+        });
+
+        it('reject negative offset', async function () {
+            await assert.rejects(send('SETRANGE', 'key', -1, 'a'), {message: /offset is out of range/});
+        });
+    });
+
+    describe('counters', function () {
+        it('increment and decrement integers', async function () {
+            assert.strictEqual(await send('INCR', 'key'), 1);
+            assert.strictEqual(await send('INCRBY', 'key', 10), 11);
+            assert.strictEqual(await send('DECR', 'key'), 10);
+            assert.strictEqual(await send('DECRBY', 'key', 15), -5);
+            assert.strictEqual(await send('GET', 'key'), '-5');
+        });
+
+        it('rejects value which is not an integer and overflow', async function () {
+            await send('SET', 'key', '1.5');
+            await assert.rejects(send('INCR', 'key'), {message: /not an integer/});
+
+            await send('SET', 'key', '9223372036854775807');
+            await assert.rejects(send('INCR', 'key'), {message: /would overflow/});
+        });
+
+        it('formats result of INCRBYFLOAT', async function () {
+            assert.strictEqual(await send('INCRBYFLOAT', 'key', '10.5'), '10.5');
+            assert.strictEqual(await send('INCRBYFLOAT', 'key', '0.1'), '10.6');
+            assert.strictEqual(await send('INCRBYFLOAT', 'key', '-10.6'), '0');
+            assert.strictEqual(await send('INCRBYFLOAT', 'key', '5.0e3'), '5000');
+            assert.strictEqual(await send('INCRBYFLOAT', 'key', '2.0e-3'), '5000.002');
+        });
+
+        it('rejects value which is not a float', async function () {
+            await send('SET', 'key', 'value');
+
+            await assert.rejects(send('INCRBYFLOAT', 'key', 1), {message: /not a valid float/});
+        });
+    });
+});
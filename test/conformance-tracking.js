@@ -0,0 +1,131 @@
+'use strict';
+
+const assert      = require('assert');
+const conformance = require('./support/conformance');
+
+conformance('client tracking', (redis) => {
+    const send = (...args) => redis.send(...args);
+
+    /**
+     * Connect tracked client redirecting invalidation messages to a
+     * subscriber connection
+     *
+     * @param  {...String} options Options of CLIENT TRACKING ON
+     * @return {Promise<Object>}   {tracked, messages}: invalidated keys, null on flush
+     */
+    async function track(...options) {
+        const subscriber = await redis.duplicate();
+        const tracked    = await redis.duplicate();
+        const messages   = [];
+        const id         = await subscriber.sendCommand(['CLIENT', 'ID']);
+
+        // node-redis delivers invalidation messages as arrays of keys, null on flush
+        await subscriber.subscribe('__redis__:invalidate', (message) => messages.push(...(message || [null])));
+
+        assert.strictEqual(await tracked.sendCommand(['CLIENT', 'TRACKING', 'ON', 'REDIRECT', String(id), ...options]), 'OK');
+        assert.strictEqual(await tracked.sendCommand(['CLIENT', 'GETREDIR']), id);
+
+        return {tracked, messages};
+    }
+
+    describe('CLIENT ID and GETREDIR', function () {
+        it('reply with id of the connection and -1 without tracking', async function () {
+            const other = await redis.duplicate();
+
+            assert.strictEqual(typeof await send('CLIENT', 'ID'), 'number');
+            assert.notStrictEqual(await other.sendCommand(['CLIENT', 'ID']), await send('CLIENT', 'ID'));
+            assert.strictEqual(await other.sendCommand(['CLIENT', 'GETREDIR']), -1);
+        });
+    });
+
+    describe('default mode', function () {
+        it('invalidates keys the client read, once per read', async function () {
+            const {tracked, messages} = await track();
+
+            await send('HSET', 'read', 'field', '1');
+            await send('HSET', 'unread', 'field', '1');
+            await tracked.sendCommand(['HGET', 'read', 'field']);
+
+            await send('HSET', 'read', 'field', '2');
+            await send('HSET', 'unread', 'field', '2');
+            await send('HSET', 'read', 'field', '3');
+            await conformance.sleep(20);
+
+            assert.deepStrictEqual(messages, ['read']);
+        });
+
+        it('invalidates keys read in missing state and deleted keys', async function () {
+            const {tracked, messages} = await track();
+
+            await send('RPUSH', 'list', 'a');
+            await tracked.sendCommand(['LRANGE', 'list', '0', '-1']);
+            await tracked.sendCommand(['SMEMBERS', 'missing']);
+
+            await send('DEL', 'list');
+            await send('SADD', 'missing', 'a');
+            await conformance.sleep(20);
+
+            assert.deepStrictEqual(messages.sort(), ['list', 'missing']);
+        });
+
+        it('invalidates all keys on flush', async function () {
+            const {tracked, messages} = await track();
+
+            await tracked.sendCommand(['HGET', 'hash', 'field']);
+            await send('FLUSHDB');
+            await send('HSET', 'hash', 'field', '1');
+            await conformance.sleep(20);
+
+            assert.deepStrictEqual(messages, [null]);
+        });
+
+        it('stops invalidating after tracking is off', async function () {
+            const {tracked, messages} = await track();
+
+            await tracked.sendCommand(['HGET', 'hash', 'field']);
+            assert.strictEqual(await tracked.sendCommand(['CLIENT', 'TRACKING', 'OFF']), 'OK');
+            assert.strictEqual(await tracked.sendCommand(['CLIENT', 'GETREDIR']), -1);
+
+            await send('HSET', 'hash', 'field', '1');
+            await conformance.sleep(20);
+
+            assert.deepStrictEqual(messages, []);
+        });
+    });
+
+    describe('BCAST mode', function () {
+        it('invalidates keys matching prefixes without reading them', async function () {
+            const {messages} = await track('BCAST', 'PREFIX', 'user:', 'PREFIX', 'group:');
+
+            await send('HSET', 'user:1', 'name', 'a');
+            await send('HSET', 'other', 'name', 'a');
+            await send('SADD', 'group:1', 'a');
+            await send('HSET', 'user:1', 'name', 'b');
+            await conformance.sleep(20);
+
+            assert.deepStrictEqual(messages, ['user:1', 'group:1', 'user:1']);
+        });
+
+        it('invalidates all keys without prefixes', async function () {
+            const {messages} = await track('BCAST');
+
+            await send('RPUSH', 'list', 'a');
+            await conformance.sleep(20);
+
+            assert.deepStrictEqual(messages, ['list']);
+        });
+
+        it('rejects prefixes without BCAST and switch of the mode', async function () {
+            const {tracked} = await track();
+
+            await assert.rejects(tracked.sendCommand(['CLIENT', 'TRACKING', 'ON', 'PREFIX', 'user:']), {message: /requires BCAST/});
+            await assert.rejects(tracked.sendCommand(['CLIENT', 'TRACKING', 'ON', 'BCAST']), {message: /switch BCAST mode/});
+        });
+
+        it('rejects overlapping prefixes', async function () {
+            const {tracked} = await track('BCAST', 'PREFIX', 'user:');
+
+            await assert.rejects(tracked.sendCommand(['CLIENT', 'TRACKING', 'ON', 'BCAST', 'PREFIX', 'user:1']), {message: /overlaps/});
+        });
+    });
+});
@@ -0,0 +1,111 @@
+'use strict';
+
+const assert      = require('assert');
+const conformance = require('./support/conformance');
+
+const WRONGTYPE = /^WRONGTYPE/;
+
+/**
+ * node-redis and the in-memory client have their own WatchError classes
+ *
+ * @param  {Error}   error
+ * @return {Boolean}
+ */
+function isWatchError(error) {
+    return error.constructor.name === 'WatchError';
+}
+
+conformance('transactions', (redis) => {
+    const send = (...args) => redis.send(...args);
+
+    describe('MULTI', function () {
+        it('replies with replies of the commands', async function () {
+            const replies = await redis.multi(
+                ['RPUSH', 'list', 'a', 'b'],
+                ['LPOP', 'list'],
+                ['HSET', 'hash', 'field', 'value'],
+                ['LRANGE', 'list', 0, -1]
+            );
+
+            assert.deepStrictEqual(replies, [2, 'a', 1, ['b']]);
+        });
+
+        it('puts errors in place of replies and runs the rest', async function () {
+            const replies = await redis.multi(
+                ['RPUSH', 'list', 'a'],
+                ['HSET', 'list', 'field', 'value'],
+                ['RPUSH', 'list', 'b']
+            );
+
+            assert.strictEqual(replies[0], 1);
+            assert.ok(replies[1] instanceof Error);
+            assert.match(replies[1].message, WRONGTYPE);
+            assert.strictEqual(replies[2], 2);
+        });
+
+        it('discards transaction with unknown command', async function () {
+            await assert.rejects(redis.multi(['RPUSH', 'list', 'a'], ['NOSUCHCOMMAND']), {message: /^EXECABORT/});
+            assert.strictEqual(await send('EXISTS', 'list'), 0);
+        });
+
+        it('discards transaction with wrong number of arguments', async function () {
+            await assert.rejects(redis.multi(['RPUSH', 'list', 'a'], ['LPOP']), {message: /^EXECABORT/});
+            assert.strictEqual(await send('EXISTS', 'list'), 0);
+        });
+    });
+
+    describe('WATCH', function () {
+        beforeEach(() => send('RPUSH', 'list', 'a'));
+
+        it('aborts when watched key is changed', async function () {
+            const isolated = await redis.duplicate();
+
+            await isolated.sendCommand(['WATCH', 'list']);
+            await send('RPUSH', 'list', 'b');
+
+            await assert.rejects(isolated.multi().addCommand(['RPUSH', 'list', 'c']).exec(), isWatchError);
+            assert.deepStrictEqual(await send('LRANGE', 'list', 0, -1), ['a', 'b']);
+        });
+
+        it('aborts when watched key is deleted or expires', async function () {
+            const isolated = await redis.duplicate();
+
+            await send('RPUSH', 'other', 'a');
+            await isolated.sendCommand(['WATCH', 'list']);
+            await send('DEL', 'list');
+
+            await assert.rejects(isolated.multi().addCommand(['RPUSH', 'list', 'c']).exec(), isWatchError);
+
+            await send('PEXPIRE', 'other', 20);
+            await isolated.sendCommand(['WATCH', 'other']);
+            await conformance.sleep(50);
+
+            await assert.rejects(isolated.multi().addCommand(['RPUSH', 'other', 'c']).exec(), isWatchError);
+        });
+
+        it('runs transaction when watched key is not changed', async function () {
+            const isolated = await redis.duplicate();
+
+            await isolated.sendCommand(['WATCH', 'list', 'missing']);
+            await send('RPUSH', 'other', 'b');
+
+            assert.deepStrictEqual(await isolated.multi().addCommand(['RPUSH', 'list', 'c']).exec(), [2]);
+        });
+
+        it('forgets watched keys after EXEC and UNWATCH', async function () {
+            const isolated = await redis.duplicate();
+
+            await isolated.sendCommand(['WATCH', 'list']);
+            await isolated.multi().addCommand(['LLEN', 'list']).exec();
+            await send('RPUSH', 'list', 'b');
+
+            assert.deepStrictEqual(await isolated.multi().addCommand(['LLEN', 'list']).exec(), [2]);
+
+            await isolated.sendCommand(['WATCH', 'list']);
+            assert.strictEqual(await isolated.sendCommand(['UNWATCH']), 'OK');
+            await send('RPUSH', 'list', 'c');
+
+            assert.deepStrictEqual(await isolated.multi().addCommand(['LLEN', 'list']).exec(), [3]);
+        });
+    });
+});
@@ -0,0 +1,60 @@
+'use strict';
+
+const assert  = require('assert');
+const memory  = require('../memory');
+const typesOf = require('..');
+
+describe('Counter', function () {
+    let client;
+    let types;
+    let views;
+
+    beforeEach(async function () {
+        client = memory.createClient();
+        types  = typesOf(client);
+        views  = new types.Counter('views', {ttl: 100});
+
+        await client.connect();
+    });
+
+    afterEach(() => client.quit());
+
+    it('increments and decrements', async function () {
+        assert.strictEqual(await views.get(), 0);
+        assert.strictEqual(await views.increment(), 1);
+        assert.strictEqual(await views.increment(10), 11);
+        assert.strictEqual(await views.decrement(), 10);
+        assert.strictEqual(await views.decrement(4), 6);
+        assert.strictEqual(await views.incrementFloat(0.5), 6.5);
+        assert.strictEqual(await views.ttl(), 100);
+
+        await assert.rejects(views.increment(), /not an integer/);
+    });
+
+    it('resets replying previous value', async function () {
+        await views.increment(3);
+
+        assert.strictEqual(await views.reset(), 3);
+        assert.strictEqual(await views.get(), 0);
+        assert.strictEqual(await views.reset(5), 0);
+        assert.strictEqual(await views.get(), 5);
+    });
+
+    it('restores snapshots', async function () {
+        await views.increment(3);
+
+        const snapshot = await views.snapshot();
+
+        await views.clear();
+
+        const restored = await types.restore(snapshot);
+
+        assert.ok(restored instanceof typesOf.Counter);
+        assert.strictEqual(await restored.get(), 3);
+    });
+
+    it('works with namespaces', async function () {
+        assert.strictEqual(await new (types.namespace('app').Counter)('views').increment(), 1);
+        assert.strictEqual(await client.sendCommand(['GET', 'app:views']), '1');
+    });
+});
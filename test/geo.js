@@ -0,0 +1,91 @@
+'use strict';
+
+const assert  = require('assert');
+const memory  = require('../memory');
+const typesOf = require('..');
+
+const PALERMO = {lon: 13.361389, lat: 38.115556};
+const CATANIA = {lon: 15.087269, lat: 37.502669};
+
+describe('Geo', function () {
+    let client;
+    let types;
+    let places;
+
+    beforeEach(async function () {
+        client = memory.createClient();
+        types  = typesOf(client);
+        places = new types.Geo('places', true);
+
+        await client.connect();
+
+        assert.strictEqual(await places.add({id: 'P'}, PALERMO), 1);
+        assert.strictEqual(await places.addMul([[{id: 'C'}, CATANIA]]), 1);
+    });
+
+    afterEach(() => client.quit());
+
+    it('adds members with options', async function () {
+        assert.strictEqual(await places.add({id: 'C'}, CATANIA, {xx: true, ch: true}), 0);
+        assert.strictEqual(await places.add({id: 'X'}, CATANIA, {xx: true}), 0);
+        assert.strictEqual(await places.position({id: 'X'}), null);
+    });
+
+    it('gets positions, distances and hashes', async function () {
+        const position = await places.position({id: 'P'});
+
+        assert.ok(Math.abs(position.lon - PALERMO.lon) < 1e-5);
+        assert.ok(Math.abs(position.lat - PALERMO.lat) < 1e-5);
+        assert.strictEqual((await places.position([{id: 'P'}, {id: 'X'}]))[1], null);
+
+        assert.strictEqual(await places.distance({id: 'P'}, {id: 'C'}, 'km'), 166.2742);
+        assert.strictEqual(await places.distance({id: 'P'}, {id: 'X'}), null);
+        await assert.rejects(places.distance({id: 'P'}, {id: 'C'}, 'yd'), /Unknown unit/);
+
+        assert.strictEqual(await places.hash({id: 'P'}), 'sqc8b49rny0');
+        assert.deepStrictEqual(await places.hash([{id: 'P'}, {id: 'C'}]), ['sqc8b49rny0', 'sqdtr74hyu0']);
+    });
+
+    it('searches by radius and box', async function () {
+        const found = await places.search({
+            fromLonLat: {lon: 15, lat: 37},
+            byRadius:   200,
+            unit:       'km',
+            sort:       'asc',
+            withDist:   true,
+            withHash:   true,
+            withCoord:  true
+        });
+
+        assert.deepStrictEqual(found.map((place) => place.member), [{id: 'C'}, {id: 'P'}]);
+        assert.strictEqual(found[1].distance, 190.4424);
+        assert.strictEqual(typeof found[1].hash, 'number');
+        assert.ok(Math.abs(found[1].coordinates.lon - PALERMO.lon) < 1e-5);
+
+        assert.deepStrictEqual(await places.search({fromMember: {id: 'P'}, byBox: {width: 400, height: 400}, unit: 'km', sort: 'desc', count: 1}),
+            [{member: {id: 'C'}}]);
+        await assert.rejects(places.search({byRadius: 1}), /exactly one/);
+    });
+
+    it('stores search results', async function () {
+        const near      = new types.Geo('near', true);
+        const distances = new types.SortedSet('distances', true);
+
+        assert.strictEqual(await places.searchInto(near, {fromLonLat: {lon: 15, lat: 37}, byRadius: 100, unit: 'km'}), 1);
+        assert.deepStrictEqual(await near.search({fromMember: {id: 'C'}, byRadius: 1}), [{member: {id: 'C'}}]);
+
+        assert.strictEqual(await places.searchInto(distances, {fromLonLat: {lon: 15, lat: 37}, byRadius: 200, unit: 'km', storeDist: true}), 2);
+        assert.strictEqual(Math.round(await distances.score({id: 'P'})), 190);
+    });
+
+    it('restores snapshots as sorted set', async function () {
+        const snapshot = await places.snapshot();
+
+        assert.strictEqual(snapshot.type, 'zset');
+
+        const restored = await types.restore(snapshot, {key: 'restored'});
+
+        assert.ok(restored instanceof typesOf.Geo);
+        assert.strictEqual(await restored.hash({id: 'P'}), 'sqc8b49rny0');
+    });
+});
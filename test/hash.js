@@ -0,0 +1,83 @@
+'use strict';
+
+const assert  = require('assert');
+const memory  = require('../memory');
+const typesOf = require('..');
+
+describe('Hash', function () {
+    let client;
+    let types;
+    let hash;
+
+    beforeEach(async function () {
+        client = memory.createClient();
+        types  = typesOf(client);
+        hash   = new types.Hash('hash', true);
+
+        await client.connect();
+    });
+
+    afterEach(() => client.quit());
+
+    describe('field expiry', function () {
+        beforeEach(() => hash.setMul({a: 1, b: 2}));
+
+        it('sets fields with expiry', async function () {
+            assert.strictEqual(await hash.set('c', 3, {ttl: 60}), 1);
+            await hash.setMul({d: 4, e: 5}, {ttl: 120});
+
+            assert.deepStrictEqual(await hash.fieldTtl(['a', 'c', 'd', 'e', 'missing']), [-1, 60, 120, 120, null]);
+            assert.strictEqual(await hash.fieldTtl('c'), 60);
+        });
+
+        it('expires fields and removes their expiry', async function () {
+            assert.strictEqual(await hash.expireField('a', 60), true);
+            assert.deepStrictEqual(await hash.expireField(['a', 'missing'], 30, {gt: true}), [false, false]);
+            assert.deepStrictEqual(await hash.expireFieldAt(['b'], new Date(Date.now() + 30000)), [true]);
+            assert.ok(await hash.fieldTtl('b') > 28);
+
+            assert.deepStrictEqual(await hash.persistField(['a', 'b']), [true, true]);
+            assert.strictEqual(await hash.persistField('a'), false);
+            assert.deepStrictEqual(await hash.fieldTtl(['a', 'b']), [-1, -1]);
+        });
+
+        it('deletes fields expired at once', async function () {
+            assert.strictEqual(await hash.expireField('a', 0), true);
+            assert.deepStrictEqual(await hash.getAll(), {b: 2});
+        });
+
+        it('rejects with clear error when server does not support field expiry', async function () {
+            const sendCommand = client.sendCommand;
+            const multi       = client.multi;
+            const unknown     = (args) => new Error(`ERR unknown command '${args[0]}', with args beginning with: 'hash'`);
+
+            client.sendCommand = (args, options) => /^H(P?EXPIRE|TTL|PERSIST)/.test(args[0])
+                ? Promise.reject(unknown(args))
+                : sendCommand.call(client, args, options);
+
+            client.multi = function () {
+                const builder = multi.call(client);
+
+                builder.exec = () => Promise.reject(Object.assign(
+                    new Error('EXECABORT Transaction discarded because of previous errors.'),
+                    {errors: [unknown(['HEXPIRE'])]}
+                ));
+
+                return builder;
+            };
+
+            await assert.rejects(hash.expireField('a', 60), /Redis 7.4 or newer is required/);
+            await assert.rejects(hash.fieldTtl('a'), /Redis 7.4 or newer is required/);
+            await assert.rejects(hash.persistField('a'), /Redis 7.4 or newer is required/);
+            await assert.rejects(hash.set('c', 3, {ttl: 60}), /Redis 7.4 or newer is required/);
+            await assert.rejects(hash.setMul({c: 3}, {ttl: 60}), /Redis 7.4 or newer is required/);
+        });
+
+        it('passes other errors as is', async function () {
+            await client.sendCommand(['RPUSH', 'list', 'a']);
+
+            await assert.rejects(new types.Hash('list').expireField('a', 60), {message: /^WRONGTYPE/});
+            await assert.rejects(hash.expireField('a', 'soon'), {message: /not an integer/});
+        });
+    });
+});
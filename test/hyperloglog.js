@@ -0,0 +1,59 @@
+'use strict';
+
+const assert  = require('assert');
+const memory  = require('../memory');
+const typesOf = require('..');
+
+describe('HyperLogLog', function () {
+    let client;
+    let types;
+    let visitors;
+
+    beforeEach(async function () {
+        client   = memory.createClient();
+        types    = typesOf(client);
+        visitors = new types.HyperLogLog('visitors', true);
+
+        await client.connect();
+    });
+
+    afterEach(() => client.quit());
+
+    it('counts unique items encoded with the codec', async function () {
+        assert.strictEqual(await visitors.count(), 0);
+        assert.strictEqual(await visitors.add({id: 1}, {id: 2}), true);
+        assert.strictEqual(await visitors.add({id: 1}), false);
+        assert.strictEqual(await visitors.count(), 2);
+    });
+
+    it('counts and merges unions', async function () {
+        const other  = new types.HyperLogLog('other', {codec: true, strict: true});
+        const merged = new types.HyperLogLog('merged', {codec: true, ttl: 60});
+
+        await visitors.add({id: 1}, {id: 2});
+        await other.add({id: 2}, {id: 3});
+
+        assert.strictEqual(await visitors.countUnion(other), 3);
+
+        await merged.mergeFrom(visitors, other);
+
+        assert.strictEqual(await merged.count(), 3);
+        assert.ok(await merged.ttl() > 0);
+    });
+
+    it('rejects keys of other types', async function () {
+        await client.sendCommand(['RPUSH', 'list', 'x']);
+
+        await assert.rejects(new types.HyperLogLog('list').count(), {message: /^WRONGTYPE/});
+        await assert.rejects(new types.HyperLogLog('list', {strict: true}).count(), typesOf.WrongTypeError);
+    });
+
+    it('works with namespaces and copies', async function () {
+        await new (types.namespace('app').HyperLogLog)('visitors').add('a');
+        await visitors.add({id: 1}, {id: 2});
+
+        assert.strictEqual(await client.sendCommand(['PFCOUNT', 'app:visitors']), 1);
+        assert.strictEqual(await (await visitors.copyTo('copy')).count(), 2);
+        assert.strictEqual(await (await types.restore(await visitors.snapshot({binary: true}), {key: 'restored'})).count(), 2);
+    });
+});
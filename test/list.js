@@ -0,0 +1,176 @@
+'use strict';
+
+/* global AbortController */
+
+const assert  = require('assert');
+const memory  = require('../memory');
+const typesOf = require('..');
+
+describe('List', function () {
+    let client;
+    let types;
+    let list;
+
+    beforeEach(async function () {
+        client = memory.createClient();
+        types  = typesOf(client);
+        list   = new types.List('list', true);
+
+        await client.connect();
+    });
+
+    afterEach(() => client.quit());
+
+    describe('search', function () {
+        beforeEach(() => list.push({a: 1}, 'b', {a: 1}, {a: 1}, 5));
+
+        it('finds indexes of values encoded with the codec', async function () {
+            assert.strictEqual(await list.indexOf({a: 1}), 0);
+            assert.strictEqual(await list.indexOf({a: 1}, {rank: 2}), 2);
+            assert.strictEqual(await list.indexOf('missing'), -1);
+            assert.strictEqual(await list.lastIndexOf({a: 1}), 3);
+            assert.strictEqual(await list.lastIndexOf({a: 1}, {rank: 3}), 0);
+            assert.deepStrictEqual(await list.indexesOf({a: 1}), [0, 2, 3]);
+            assert.deepStrictEqual(await list.indexesOf({a: 1}, {count: 2, rank: -1}), [3, 2]);
+        });
+
+        it('checks elements up to maxLen', async function () {
+            assert.strictEqual(await list.includes(5), true);
+            assert.strictEqual(await list.includes(5, {maxLen: 2}), false);
+            assert.strictEqual(await list.includes('5'), false);
+        });
+    });
+
+    describe('remove and splice', function () {
+        it('removes elements from the head, the tail or all of them', async function () {
+            await list.push({a: 1}, 'b', {a: 1}, {a: 1});
+
+            assert.strictEqual(await list.remove({a: 1}, -1), 1);
+            assert.deepStrictEqual(await list.slice(), [{a: 1}, 'b', {a: 1}]);
+            assert.strictEqual(await list.remove({a: 1}, 1), 1);
+            assert.strictEqual(await list.remove({a: 1}), 1);
+            assert.deepStrictEqual(await list.slice(), ['b']);
+        });
+
+        it('splices like Array.prototype.splice', async function () {
+            const array = [{a: 1}, 'b', {a: 1}, 5];
+            const cases = [[1, 1, 'x', 'y'], [0, 2], [-1], [10, 0, 'tail'], [0, 0, 'head'], [-2, 1, 'q'], [1, -5], [0], [0, 0, 'again', 'x']];
+
+            await list.push(...array);
+
+            for (const args of cases) {
+                const expected = array.splice(...args);
+
+                assert.deepStrictEqual(await list.splice(...args), expected, 'splice(' + args.join(', ') + ')');
+                assert.deepStrictEqual(await list.slice(), array, 'splice(' + args.join(', ') + ')');
+            }
+        });
+
+        it('does not lose concurrent pushes', async function () {
+            const other = new types.List('other');
+            const raw   = client.duplicate();
+
+            await raw.connect();
+            await other.push('1', '2', '3');
+
+            const spliced = other.splice(1, 1, 'X');
+
+            await raw.sendCommand(['RPUSH', 'other', '4']);
+            await raw.quit();
+
+            assert.deepStrictEqual(await spliced, ['2']);
+            assert.deepStrictEqual(await other.slice(), ['1', 'X', '3', '4']);
+
+            await Promise.all([other.splice(0, 1), other.push('5'), other.splice(0, 0, 'h'), other.push('6')]);
+
+            assert.deepStrictEqual(await other.slice(), ['h', 'X', '3', '4', '5', '6']);
+        });
+
+        it('updates element at index', async function () {
+            await list.push({n: 1}, {n: 2});
+
+            assert.deepStrictEqual(await list.updateAt(1, (value) => ({n: value.n * 10})), {n: 20});
+            assert.deepStrictEqual(await list.slice(), [{n: 1}, {n: 20}]);
+            await assert.rejects(list.updateAt(5, (value) => value), /Index 5 is out of range of list "list"/);
+        });
+    });
+
+    describe('queue', function () {
+        it('takes elements, waiting for them', async function () {
+            await list.push({job: 1}, {job: 2});
+
+            assert.deepStrictEqual(await list.take(), {job: 1});
+            assert.deepStrictEqual(await list.takeLast(), {job: 2});
+
+            setTimeout(() => list.push({job: 3}), 20);
+
+            assert.deepStrictEqual(await list.take(1), {job: 3});
+            assert.strictEqual(await list.take(0.05), null);
+        });
+
+        it('consumes elements until aborted', async function () {
+            const controller = new AbortController();
+            const handled    = [];
+
+            await list.push({job: 1}, {job: 2}, {job: 3});
+
+            await list.consume(async (job) => {
+                handled.push(job.job);
+
+                if (handled.length === 3) {
+                    controller.abort();
+                }
+            }, {concurrency: 2, signal: controller.signal, timeout: 0.05});
+
+            assert.deepStrictEqual(handled.sort(), [1, 2, 3]);
+            assert.strictEqual(await list.length(), 0);
+            assert.strictEqual(await new types.List('list:processing').length(), 0);
+        });
+
+        it('keeps failed elements in the processing list', async function () {
+            const controller = new AbortController();
+            const failed     = [];
+
+            await list.push({job: 1}, {job: 2});
+
+            await list.consume(async (job) => {
+                if (job.job === 2) {
+                    controller.abort();
+                    throw new Error('failed');
+                }
+            }, {signal: controller.signal, processing: 'failed', timeout: 0.05, onError: (error, job) => failed.push(job)});
+
+            assert.deepStrictEqual(failed, [{job: 2}]);
+            assert.deepStrictEqual(await new types.List('failed', true).slice(), [{job: 2}]);
+        });
+
+        it('stops consuming on error of handler without onError', async function () {
+            await list.push({job: 1});
+
+            await assert.rejects(list.consume(() => {
+                throw new Error('failed');
+            }, {timeout: 0.05}), /failed/);
+        });
+    });
+
+    describe('chunked helpers', function () {
+        beforeEach(() => list.push(...Array.from({length: 250}, (_, i) => ({i}))));
+
+        it('calls function for each element in order', async function () {
+            const seen = [];
+
+            await list.forEach(async (value, index) => {
+                seen.push(value.i === index);
+            }, {batchSize: 30});
+
+            assert.strictEqual(seen.length, 250);
+            assert.ok(seen.every(Boolean));
+        });
+
+        it('finds and filters elements', async function () {
+            assert.deepStrictEqual(await list.find((value) => value.i === 201, {batchSize: 7}), {i: 201});
+            assert.strictEqual(await list.find((value) => value.i > 1000), undefined);
+            assert.deepStrictEqual((await list.filter((value) => value.i % 50 === 0)).map((value) => value.i), [0, 50, 100, 150, 200]);
+        });
+    });
+});
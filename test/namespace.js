@@ -0,0 +1,102 @@
+'use strict';
+
+const assert  = require('assert');
+const memory  = require('../memory');
+const typesOf = require('..');
+
+/**
+ * Collect values yielded by async generator
+ *
+ * @param  {AsyncGenerator} generator
+ * @return {Promise<Array>}
+ */
+async function collect(generator) {
+    const values = [];
+
+    for await (const value of generator) {
+        values.push(value);
+    }
+
+    return values;
+}
+
+describe('namespace', function () {
+    let client;
+    let types;
+    let users;
+
+    beforeEach(async function () {
+        client = memory.createClient();
+        types  = typesOf(client);
+        users  = types.namespace('app:users');
+
+        await client.connect();
+    });
+
+    afterEach(() => client.quit());
+
+    it('prefixes keys of wrappers', async function () {
+        const sessions = new users.Hash('42:sessions', true);
+
+        await sessions.set('a', {x: 1});
+
+        assert.strictEqual(sessions.key, 'app:users:42:sessions');
+        assert.ok(sessions instanceof types.Hash);
+        assert.ok(sessions instanceof typesOf.Hash);
+        assert.strictEqual(await client.sendCommand(['HGET', 'app:users:42:sessions', 'a']), '{"x":1}');
+    });
+
+    it('nests namespaces with separator', function () {
+        assert.strictEqual(new (users.namespace('42').List)('posts').key, 'app:users:42:posts');
+
+        const dotted = types.namespace('a', {separator: '.'}).namespace('b');
+
+        assert.strictEqual(new dotted.Wrapper('c').key, 'a.b.c');
+    });
+
+    it('rejects empty prefix', function () {
+        assert.throws(() => types.namespace(''), /prefix must be a valid non-empty string/);
+    });
+
+    it('iterates over wrappers of its keys', async function () {
+        const sam = users.namespace('42');
+
+        await new sam.List('posts').push('p');
+        await new sam.Set('tags').add('t');
+        await client.sendCommand(['HSET', 'app:usersX', 'a', '1']);
+        await client.sendCommand(['HSET', 'app:users:43:posts', 'a', '1']);
+
+        const entries = (await collect(sam.entries())).sort(([a], [b]) => a.localeCompare(b));
+
+        assert.deepStrictEqual(entries.map(([name, wrapper]) => [name, wrapper.constructor.name, wrapper.key]), [
+            ['posts', 'List', 'app:users:42:posts'],
+            ['tags', 'Set', 'app:users:42:tags']
+        ]);
+
+        const posts = await collect(users.keys('*:posts', true));
+
+        assert.deepStrictEqual(posts.map((wrapper) => wrapper.key).sort(), ['app:users:42:posts', 'app:users:43:posts']);
+        assert.ok(posts.every((wrapper) => wrapper.codec === typesOf.codecs.json));
+    });
+
+    it('scans many keys and escapes glob characters of prefix', async function () {
+        for (let i = 0; i < 250; i++) {
+            await client.sendCommand(['SADD', 'app:users:bulk:' + i, 'x']);
+        }
+
+        await client.sendCommand(['SADD', 'app:users:*weird:a', 'x']);
+        await client.sendCommand(['SADD', 'app:users:Xweird:a', 'x']);
+
+        assert.strictEqual((await collect(users.keys('bulk:*'))).length, 250);
+        assert.strictEqual(await types.namespace('app:users:*weird').clear(), 1);
+        assert.strictEqual(await client.sendCommand(['EXISTS', 'app:users:Xweird:a']), 1);
+    });
+
+    it('clears its keys only', async function () {
+        await new users.Set('tags').add('x');
+        await client.sendCommand(['SADD', 'app:other', '1']);
+
+        assert.strictEqual(await users.clear(), 1);
+        assert.deepStrictEqual(await client.sendCommand(['KEYS', '*']), ['app:other']);
+    });
+});
@@ -0,0 +1,111 @@
+'use strict';
+
+/* global AbortController */
+
+const assert  = require('assert');
+const events  = require('events');
+const memory  = require('../memory');
+const typesOf = require('..');
+
+describe('change notifications', function () {
+    let client;
+    let types;
+
+    beforeEach(async function () {
+        client = memory.createClient();
+        types  = typesOf(client);
+
+        await client.connect();
+    });
+
+    afterEach(() => client.quit());
+
+    it('rejects listen when notifications are not enabled', async function () {
+        await assert.rejects(new types.Hash('hash').listen(), /notify-keyspace-events/);
+    });
+
+    it('enables missing notifications with configure option', async function () {
+        await client.sendCommand(['CONFIG', 'SET', 'notify-keyspace-events', 'Kh']);
+
+        const hash = new types.Hash('hash');
+
+        await hash.listen({configure: true});
+        await hash.unlisten();
+
+        const [, flags] = await client.sendCommand(['CONFIG', 'GET', 'notify-keyspace-events']);
+
+        assert.match(flags, /K/);
+        assert.match(flags, /g/);
+        assert.match(flags, /x/);
+        assert.match(flags, /h/);
+    });
+
+    it('emits events under Redis names, aliases and as change', async function () {
+        const list    = new types.List('list');
+        const changes = [];
+        const seen    = [];
+
+        await list.listen({configure: true});
+
+        list.on('change', (event) => changes.push(event));
+        list.on('rpush', () => seen.push('rpush'));
+        list.on('push', () => seen.push('push'));
+        list.on('deleted', () => seen.push('deleted'));
+
+        const deleted = events.once(list, 'deleted');
+
+        await list.push('a');
+        await client.sendCommand(['DEL', 'list']);
+        await deleted;
+
+        assert.deepStrictEqual(changes, ['rpush', 'del']);
+        assert.deepStrictEqual(seen, ['rpush', 'push', 'deleted']);
+
+        list.removeAllListeners();
+        await list.unlisten();
+    });
+
+    it('iterates over events with for await', async function () {
+        const hash       = new types.Hash('hash');
+        const controller = new AbortController();
+        const seen       = [];
+
+        await hash.listen({configure: true});
+
+        setImmediate(async () => {
+            await hash.set('a', '1');
+            await hash.delete('a');
+        });
+
+        await assert.rejects(async () => {
+            for await (const event of hash.changes({signal: controller.signal})) {
+                seen.push(event);
+
+                if (seen.length === 2) {
+                    controller.abort();
+                }
+            }
+        }, {name: 'AbortError'});
+
+        assert.deepStrictEqual(seen, ['hset', 'hdel']);
+        await hash.unlisten();
+    });
+
+    it('emits error of automatic subscription to error listeners only', async function () {
+        const hash   = new types.Hash('hash');
+        const list   = new types.List('list');
+        const errors = [];
+
+        list.on('error', (error) => errors.push(error));
+        list.on('push', () => {});
+        hash.on('change', () => {});
+
+        await new Promise((resolve) => setTimeout(resolve, 20));
+
+        assert.strictEqual(errors.length, 1);
+        assert.match(errors[0].message, /notify-keyspace-events/);
+
+        list.removeAllListeners();
+        hash.removeAllListeners();
+    });
+});
@@ -0,0 +1,104 @@
+'use strict';
+
+const assert  = require('assert');
+const memory  = require('../memory');
+const typesOf = require('..');
+
+const CAPPED = `
+    local length = redis.call('RPUSH', KEYS[1], ARGV[1])
+    redis.call('LTRIM', KEYS[1], -tonumber(ARGV[2]), -1)
+    return math.min(length, tonumber(ARGV[2]))
+`;
+
+const ALL = "return redis.call('LRANGE', KEYS[1], 0, -1)";
+
+memory.defineScript(CAPPED, (keys, args, call) => {
+    const length = call('RPUSH', keys[0], args[0]);
+
+    call('LTRIM', keys[0], -Number(args[1]), -1);
+
+    return Math.min(length, Number(args[1]));
+});
+
+memory.defineScript(ALL, (keys, args, call) => call('LRANGE', keys[0], 0, -1));
+
+describe('scripts', function () {
+    let client;
+    let types;
+    let Log;
+    let log;
+
+    beforeEach(async function () {
+        client = memory.createClient();
+        types  = typesOf(client);
+
+        Log = class Log extends types.List {};
+        Log.defineScript('capped', CAPPED, {encode: [0]});
+        Log.defineScript('all', ALL, {decode: true, backend: 'function'});
+
+        log = new Log('log', true);
+
+        await client.connect();
+    });
+
+    afterEach(() => client.quit());
+
+    it('run scripts defined for the class', async function () {
+        for (let i = 0; i < 5; i++) {
+            assert.strictEqual(await log.scripts.capped({i}, 3), Math.min(i + 1, 3));
+        }
+
+        assert.deepStrictEqual(await log.scripts.all(), [{i: 2}, {i: 3}, {i: 4}]);
+        assert.deepStrictEqual(await log.runScript('all'), [{i: 2}, {i: 3}, {i: 4}]);
+        assert.deepStrictEqual(await client.sendCommand(['LRANGE', 'log', '0', '0']), ['{"i":2}']);
+    });
+
+    it('load scripts again after flush', async function () {
+        await log.scripts.capped({i: 0}, 3);
+        await log.scripts.all();
+
+        await client.sendCommand(['SCRIPT', 'FLUSH']);
+        await client.sendCommand(['FUNCTION', 'FLUSH']);
+
+        assert.strictEqual(await log.scripts.capped({i: 1}, 3), 2);
+        assert.deepStrictEqual(await log.scripts.all(), [{i: 0}, {i: 1}]);
+    });
+
+    it('run scripts in transaction', async function () {
+        const capped = Log.definedScripts().get('capped');
+        const all    = Log.definedScripts().get('all');
+
+        const results = await types.transaction((tx) => {
+            const queued = new tx.List('log', true);
+
+            return [capped.run(queued, {i: 0}, 2), capped.run(queued, {i: 1}, 2), all.run(queued)];
+        });
+
+        assert.deepStrictEqual(results, [1, 2, [{i: 0}, {i: 1}]]);
+    });
+
+    it('inherit scripts and override them in subclasses', async function () {
+        class Recent extends Log {}
+
+        Recent.defineScript('capped', ALL, {decode: true});
+
+        await log.scripts.capped({i: 0}, 3);
+
+        assert.deepStrictEqual(await new Recent('log', true).scripts.capped(), [{i: 0}]);
+        assert.deepStrictEqual(Object.keys(new Recent('log').scripts).sort(), ['all', 'capped']);
+        assert.strictEqual(types.List.definedScripts().size, 0);
+    });
+
+    it('reject duplicate, unknown and invalid scripts', async function () {
+        assert.throws(() => Log.defineScript('capped', CAPPED), /Script "capped" is already defined for Log/);
+        assert.throws(() => new typesOf.Script('bad name', ALL), /letters, digits and underscores/);
+        assert.throws(() => new typesOf.Script('empty', ' '), /must have Lua source/);
+        assert.throws(() => new typesOf.Script('other', ALL, {backend: 'cluster'}), /Unknown script backend "cluster"/);
+
+        await assert.rejects(log.runScript('missing'), /Script "missing" is not defined for Log/);
+    });
+
+    it('reject scripts unknown to the in-memory client', async function () {
+        await assert.rejects(new typesOf.Script('unknown', 'return 1').run(log), /defineScript/);
+    });
+});
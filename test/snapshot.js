@@ -0,0 +1,168 @@
+'use strict';
+
+const assert  = require('assert');
+const memory  = require('../memory');
+const typesOf = require('..');
+
+/**
+ * Pass snapshot through JSON, as it is stored or sent
+ *
+ * @param  {Object} snapshot
+ * @return {Object}
+ */
+function roundTrip(snapshot) {
+    return JSON.parse(JSON.stringify(snapshot));
+}
+
+describe('snapshot and restore', function () {
+    let client;
+    let types;
+
+    beforeEach(async function () {
+        client = memory.createClient();
+        types  = typesOf(client);
+
+        await client.connect();
+    });
+
+    afterEach(() => client.quit());
+
+    describe('JSON snapshots', function () {
+        it('keep values of the codec and TTL', async function () {
+            const hash = new types.Hash('hash', typesOf.codecs.typedJSON);
+
+            await hash.setMul({a: {at: new Date(0)}, b: 2});
+            await hash.expire(100);
+
+            const snapshot = roundTrip(await hash.snapshot());
+
+            assert.strictEqual(snapshot.type, 'hash');
+            assert.ok(snapshot.ttl > 99000);
+
+            const restored = await types.restore(snapshot, {key: 'restored'});
+
+            assert.ok(restored instanceof typesOf.Hash);
+            assert.strictEqual(restored.key, 'restored');
+            assert.deepStrictEqual(await restored.get('a'), {at: new Date(0)});
+            assert.ok(await restored.ttl() > 98);
+        });
+
+        it('restore every type', async function () {
+            const list   = new types.List('list', true);
+            const zset   = new types.SortedSet('zset');
+            const set    = new types.Set('set', typesOf.codecs.buffer);
+            const stream = new types.Stream('stream', true);
+
+            await list.push(1, 2, {x: 3});
+            await zset.addMul([['a', 1], ['b', Infinity]]);
+            await set.add(Buffer.from([0, 255]));
+
+            const id = await stream.append({a: 1});
+
+            const snapshot = await list.snapshot();
+
+            assert.deepStrictEqual(snapshot.data, [1, 2, {x: 3}]);
+            assert.strictEqual(snapshot.ttl, null);
+
+            assert.deepStrictEqual(await (await types.restore(snapshot, {key: 'list:copy'})).slice(), [1, 2, {x: 3}]);
+            assert.deepStrictEqual(await (await types.restore(roundTrip(await zset.snapshot()), {key: 'zset:copy'})).range(0, -1, {withScores: true}),
+                [['a', 1], ['b', Infinity]]);
+            assert.deepStrictEqual(await (await types.restore(roundTrip(await set.snapshot()), {key: 'set:copy'})).values(), [Buffer.from([0, 255])]);
+            assert.deepStrictEqual(await (await types.restore(await stream.snapshot(), {key: 'stream:copy'})).range(), [[id, {a: 1}]]);
+        });
+
+        it('reply null for missing key and check type', async function () {
+            await new types.List('list').push('a');
+
+            assert.strictEqual(await new types.Hash('missing').snapshot(), null);
+            await assert.rejects(new types.Hash('list').snapshot(), typesOf.WrongTypeError);
+        });
+
+        it('need the codec to restore values of custom codec', async function () {
+            const custom = {encode: (value) => 'x' + value, decode: (value) => value.slice(1)};
+            const list   = new types.List('list', custom);
+
+            await list.push('a');
+
+            const snapshot = await list.snapshot();
+
+            assert.strictEqual(snapshot.encoding, 'custom');
+            await assert.rejects(types.restore(snapshot, {key: 'copy'}), /custom/);
+            assert.deepStrictEqual(await (await types.restore(snapshot, {key: 'copy', codec: custom})).slice(), ['a']);
+            assert.deepStrictEqual(await client.sendCommand(['LRANGE', 'copy', '0', '-1']), ['xa']);
+        });
+    });
+
+    describe('binary snapshots', function () {
+        it('restore DUMP of the key with TTL', async function () {
+            const hash = new types.Hash('hash', true);
+
+            await hash.setMul({b: 2});
+            await hash.expire(100);
+
+            const snapshot = roundTrip(await hash.snapshot({binary: true}));
+
+            assert.ok(snapshot.dump);
+            assert.strictEqual(snapshot.data, undefined);
+
+            const restored = await types.restore(snapshot, {key: 'restored'});
+
+            assert.strictEqual(await restored.get('b'), 2);
+            assert.ok(await restored.ttl() > 98);
+        });
+
+        it('are the only snapshots of base Wrapper', async function () {
+            await new types.List('list').push('1', '2');
+
+            const wrapper = new types.Wrapper('list');
+
+            await assert.rejects(wrapper.snapshot(), /binary/);
+            await types.restore(await wrapper.snapshot({binary: true}), {key: 'copy'});
+            assert.deepStrictEqual(await client.sendCommand(['LRANGE', 'copy', '0', '-1']), ['1', '2']);
+        });
+    });
+
+    it('do not overwrite existing key without replace', async function () {
+        const hash = new types.Hash('hash');
+
+        await hash.set('a', '1');
+
+        for (const binary of [false, true]) {
+            const snapshot = await hash.snapshot({binary});
+
+            await assert.rejects(types.restore(snapshot), /already exists/);
+            assert.ok(await types.restore(snapshot, {replace: true}) instanceof typesOf.Hash);
+        }
+    });
+
+    describe('copy and rename', function () {
+        let list;
+
+        beforeEach(async function () {
+            list = new types.List('list', true);
+
+            await list.push(1, {x: 2});
+        });
+
+        it('copy to wrapper of another key', async function () {
+            const copy = await list.copyTo('copy');
+
+            assert.ok(copy instanceof typesOf.List);
+            assert.strictEqual(copy.codec, list.codec);
+            assert.deepStrictEqual(await copy.slice(), [1, {x: 2}]);
+            assert.strictEqual(await list.copyTo('copy'), null);
+            assert.ok(await list.copyTo('copy', {replace: true}));
+        });
+
+        it('rename key', async function () {
+            await list.copyTo('copy');
+
+            const renamed = await list.renameTo('renamed');
+
+            assert.strictEqual(renamed.key, 'renamed');
+            assert.strictEqual(await list.exists(), false);
+            assert.strictEqual(await renamed.renameTo('copy', {replace: false}), null);
+            await assert.rejects(list.renameTo('other'), /no such key/);
+        });
+    });
+});
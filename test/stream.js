@@ -0,0 +1,193 @@
+'use strict';
+
+/* global AbortController */
+
+const assert  = require('assert');
+const memory  = require('../memory');
+const typesOf = require('..');
+
+/**
+ * Wait for milliseconds
+ *
+ * @param  {Number}  ms
+ * @return {Promise}
+ */
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+describe('Stream', function () {
+    let client;
+    let types;
+    let stream;
+
+    beforeEach(async function () {
+        client = memory.createClient();
+        types  = typesOf(client);
+        stream = new types.Stream('events', true);
+
+        await client.connect();
+    });
+
+    afterEach(() => client.quit());
+
+    describe('entries', function () {
+        it('append entries and read ranges', async function () {
+            const first  = await stream.append({type: 'signup', user: {id: 1}});
+            const second = await stream.append({type: 'login', user: {id: 1}});
+
+            assert.strictEqual(await stream.length(), 2);
+            assert.deepStrictEqual(await stream.range(), [
+                [first, {type: 'signup', user: {id: 1}}],
+                [second, {type: 'login', user: {id: 1}}]
+            ]);
+            assert.deepStrictEqual((await stream.revRange('+', '-', 1)).map(([id]) => id), [second]);
+            assert.deepStrictEqual((await stream.range('(' + first)).map(([id]) => id), [second]);
+            assert.ok(await types.open('events') instanceof typesOf.Stream);
+        });
+
+        it('append entries with given IDs, rejecting smaller ones', async function () {
+            assert.strictEqual(await stream.append({a: 1}, {id: '5-1'}), '5-1');
+            assert.strictEqual(await stream.append({a: 2}, {id: '5-*'}), '5-2');
+
+            await assert.rejects(stream.append({a: 3}, {id: '1-1'}), {message: /equal or smaller/});
+        });
+
+        it('does not create stream with noMkStream', async function () {
+            assert.strictEqual(await stream.append({a: 1}, {noMkStream: true}), null);
+            assert.strictEqual(await stream.exists(), false);
+        });
+
+        it('trims and deletes entries', async function () {
+            for (let i = 0; i < 5; i++) {
+                await stream.append({i}, {maxLen: 3});
+            }
+
+            assert.deepStrictEqual((await stream.range()).map(([, fields]) => fields.i), [2, 3, 4]);
+            assert.strictEqual(await stream.trim({maxLen: 1}), 2);
+
+            const [[id]] = await stream.range();
+
+            assert.strictEqual(await stream.delete(id), 1);
+            assert.strictEqual(await stream.length(), 0);
+            await assert.rejects(stream.trim({}), /Either maxLen or minId is required/);
+        });
+
+        it('keeps Buffers with buffer codec', async function () {
+            const binary = new types.Stream('binary', types.codecs.buffer);
+
+            await binary.append({f: Buffer.from([0xff, 0x00])});
+
+            const [[, fields]] = await binary.range();
+
+            assert.deepStrictEqual(fields, {f: Buffer.from([0xff, 0x00])});
+        });
+    });
+
+    describe('read', function () {
+        it('waits for new entries', async function () {
+            setTimeout(() => stream.append({late: true}), 20);
+
+            const entries = await stream.read({timeout: 2});
+
+            assert.deepStrictEqual(entries.map(([, fields]) => fields), [{late: true}]);
+        });
+
+        it('replies empty array on timeout', async function () {
+            assert.deepStrictEqual(await stream.read({timeout: 0.05}), []);
+        });
+
+        it('reads entries after the ID', async function () {
+            const first = await stream.append({n: 1});
+
+            await stream.append({n: 2});
+
+            assert.deepStrictEqual((await stream.read({after: first, count: 5})).map(([, fields]) => fields), [{n: 2}]);
+        });
+    });
+
+    describe('consumer groups', function () {
+        let group;
+
+        beforeEach(async function () {
+            group = stream.group('mailer');
+
+            assert.strictEqual(await group.create({from: '0'}), true);
+
+            for (let n = 1; n <= 3; n++) {
+                await stream.append({n});
+            }
+        });
+
+        it('create group once', async function () {
+            assert.strictEqual(await group.create(), false);
+            assert.strictEqual(await group.destroy(), true);
+            assert.strictEqual(await group.destroy(), false);
+            await assert.rejects(group.consumer('w1').read({timeout: 0.01}), {message: /^NOGROUP/});
+        });
+
+        it('deliver entries to consumers once', async function () {
+            const first  = await group.consumer('w1').read({count: 2});
+            const second = await group.consumer('w2').read({count: 5});
+
+            assert.deepStrictEqual(first.map(([, fields]) => fields), [{n: 1}, {n: 2}]);
+            assert.deepStrictEqual(second.map(([, fields]) => fields), [{n: 3}]);
+        });
+
+        it('report, deliver again and acknowledge pending entries', async function () {
+            const consumer  = group.consumer('w1');
+            const delivered = await consumer.read({count: 2});
+
+            assert.deepStrictEqual(await group.pending(), {
+                count:     2,
+                first:     delivered[0][0],
+                last:      delivered[1][0],
+                consumers: {w1: 2}
+            });
+
+            assert.deepStrictEqual((await consumer.read({pending: true})).map(([, fields]) => fields), [{n: 1}, {n: 2}]);
+            assert.deepStrictEqual((await consumer.pending()).map((entry) => [entry.consumer, entry.deliveries]), [['w1', 2], ['w1', 2]]);
+
+            assert.strictEqual(await consumer.ack(delivered[0][0]), 1);
+            assert.strictEqual((await group.pending()).count, 1);
+        });
+
+        it('does not add entries read with noAck to pending ones', async function () {
+            await group.consumer('w1').read({noAck: true});
+
+            assert.strictEqual((await group.pending()).count, 0);
+        });
+
+        it('claim idle entries', async function () {
+            await group.consumer('w1').read({count: 2});
+            await sleep(30);
+
+            const consumer          = group.consumer('w2');
+            const [cursor, claimed] = await consumer.claim(20);
+
+            assert.strictEqual(cursor, '0-0');
+            assert.deepStrictEqual(claimed.map(([, fields]) => fields), [{n: 1}, {n: 2}]);
+            assert.deepStrictEqual((await consumer.pending()).map((entry) => entry.deliveries), [2, 2]);
+        });
+
+        it('iterate over entries until aborted', async function () {
+            const consumer   = group.consumer('w1');
+            const controller = new AbortController();
+            const seen       = [];
+
+            setTimeout(() => stream.append({n: 4}), 30);
+
+            for await (const [id, fields] of consumer.entries({signal: controller.signal, timeout: 0.1})) {
+                seen.push(fields.n);
+                await consumer.ack(id);
+
+                if (seen.length === 4) {
+                    controller.abort();
+                }
+            }
+
+            assert.deepStrictEqual(seen, [1, 2, 3, 4]);
+            assert.strictEqual((await group.pending()).count, 0);
+        });
+    });
+});
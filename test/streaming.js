@@ -0,0 +1,104 @@
+'use strict';
+
+const assert  = require('assert');
+const stream  = require('stream');
+const util    = require('util');
+const memory  = require('../memory');
+const typesOf = require('..');
+
+const pipeline = util.promisify(stream.pipeline);
+
+describe('Node.js streams', function () {
+    let client;
+    let types;
+
+    beforeEach(async function () {
+        client = memory.createClient();
+        types  = typesOf(client);
+
+        await client.connect();
+    });
+
+    afterEach(() => client.quit());
+
+    it('copy list in batches through transform', async function () {
+        const source      = new types.List('source', true);
+        const destination = new types.List('destination', true);
+        const batches     = [];
+        const writeBatch  = destination._writeBatch;
+
+        destination._writeBatch = function (batch) {
+            batches.push(batch.length);
+
+            return writeBatch.call(this, batch);
+        };
+
+        await source.push(...Array.from({length: 250}, (_, i) => ({i})));
+
+        await pipeline(
+            source.createReadStream({batchSize: 100}),
+            new stream.Transform({
+                objectMode: true,
+                transform: (value, encoding, callback) => callback(null, {i: value.i * 2})
+            }),
+            destination.createWriteStream({batchSize: 100})
+        );
+
+        const copied = await destination.slice();
+
+        assert.strictEqual(copied.length, 250);
+        assert.ok(copied.every((value, i) => value.i === i * 2));
+        assert.ok(batches.every((size) => size <= 100));
+        assert.strictEqual(batches.reduce((sum, size) => sum + size, 0), 250);
+    });
+
+    it('copy hash, writing objects and pairs', async function () {
+        const source      = new types.Hash('source', true);
+        const destination = new types.Hash('destination', true);
+
+        await source.setMul({a: 1, b: {x: 1}});
+        await pipeline(source.createReadStream(), destination.createWriteStream());
+
+        const writable = destination.createWriteStream();
+
+        writable.write({c: 3});
+        writable.end(['d', 4]);
+
+        await util.promisify(stream.finished)(writable);
+
+        assert.deepStrictEqual(await destination.getAll(), {a: 1, b: {x: 1}, c: 3, d: 4});
+    });
+
+    it('copy set, sorted set and stream', async function () {
+        const set    = new types.Set('set');
+        const zset   = new types.SortedSet('zset');
+        const events = new types.Stream('events', true);
+
+        await set.add('a', 'b', 'c');
+        await zset.addMul([['a', 1], ['b', 2]]);
+
+        for (let i = 0; i < 5; i++) {
+            await events.append({i});
+        }
+
+        await pipeline(set.createReadStream({batchSize: 1}), new types.Set('set:copy').createWriteStream({batchSize: 2}));
+        await pipeline(zset.createReadStream(), new types.SortedSet('zset:copy').createWriteStream());
+        await pipeline(events.createReadStream({batchSize: 2}), new types.Stream('events:copy', true).createWriteStream());
+
+        assert.deepStrictEqual((await new types.Set('set:copy').values()).sort(), ['a', 'b', 'c']);
+        assert.deepStrictEqual(await new types.SortedSet('zset:copy').range(0, -1, {withScores: true}), [['a', 1], ['b', 2]]);
+        assert.deepStrictEqual((await new types.Stream('events:copy', true).range()).map(([, fields]) => fields.i), [0, 1, 2, 3, 4]);
+    });
+
+    it('fail pipeline on errors of Redis', async function () {
+        await new types.List('list').push('a');
+
+        await assert.rejects(pipeline(new types.Hash('list').createReadStream(), new types.Hash('hash').createWriteStream()),
+            {message: /^WRONGTYPE/});
+    });
+
+    it('are not supported by base Wrapper', function () {
+        assert.throws(() => new types.Wrapper('key').createReadStream(), /does not support streams/);
+        assert.throws(() => new types.Wrapper('key').createWriteStream(), /does not support streams/);
+    });
+});
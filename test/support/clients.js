@@ -0,0 +1,171 @@
+/**
+ * Clients with the interfaces of ioredis and node-redis v3 on top of the
+ * in-memory client, to run wrappers through their adapters without servers.
+ * Only the parts of the interfaces the adapters use are there
+ */
+
+'use strict';
+
+const events = require('events');
+const memory = require('../../memory');
+
+/**
+ * Turn flat HGETALL reply into object, the way both clients reply to it
+ *
+ * @param  {Array}  reply
+ * @return {Object}
+ */
+function objectify(reply) {
+    const object = {};
+
+    for (let i = 0; i < reply.length; i += 2) {
+        object[reply[i]] = reply[i + 1];
+    }
+
+    return object;
+}
+
+/**
+ * Send command with the in-memory client, replying as ioredis and node-redis
+ * v3 do: HGETALL with object
+ *
+ * @param  {Object}  client  In-memory client
+ * @param  {Array}   args    Command name and arguments
+ * @param  {Boolean} buffers Whether to reply with Buffers
+ * @return {Promise}
+ */
+function send(client, [name, ...args], buffers = false) {
+    return client.sendCommand([name].concat(args.map((arg) => Buffer.isBuffer(arg) ? arg : String(arg))), {returnBuffers: buffers})
+        .then((reply) => (String(name).toUpperCase() === 'HGETALL') ? objectify(reply) : reply);
+}
+
+/**
+ * Run commands in MULTI/EXEC of the in-memory client
+ *
+ * @param  {Object}          client   In-memory client
+ * @param  {Array[]}         commands Commands with arguments
+ * @return {Promise<?Array>}          Replies, errors in place; null when a watched key was changed
+ */
+function exec(client, commands) {
+    const multi = client.multi();
+
+    commands.forEach(([name, ...args]) => multi.addCommand([name].concat(args.map(String))));
+
+    return multi.exec().catch((error) => {
+        if (error.constructor.name === 'WatchError') {
+            return null;
+        }
+
+        throw error;
+    });
+}
+
+/**
+ * Client with the interface of ioredis 5 `Redis`
+ *
+ * @param  {Object} [client] In-memory client to use, new one by default
+ * @return {Object}
+ */
+exports.ioredis = function ioredis(client = memory.createClient()) {
+    const fake = new events.EventEmitter();
+
+    return Object.assign(fake, {
+        status:  'wait',
+        options: {db: 0},
+
+        pipeline: () => {
+            throw new Error('Pipelines are not supported');
+        },
+
+        connect: async () => {
+            await client.connect();
+
+            fake.status = 'ready';
+        },
+
+        quit: async () => {
+            await client.quit();
+
+            fake.status = 'end';
+            fake.emit('end');
+        },
+
+        call:       (...args) => send(client, args),
+        callBuffer: (...args) => send(client, args, true),
+
+        multi: () => {
+            const commands = [];
+            const multi    = {
+                call: (...args) => {
+                    commands.push(args);
+
+                    return multi;
+                },
+
+                exec: async () => {
+                    const replies = await exec(client, commands.splice(0));
+
+                    return replies && replies.map((reply) => (reply instanceof Error) ? [reply] : [null, reply]);
+                }
+            };
+
+            return multi;
+        },
+
+        duplicate: () => ioredis(client.duplicate()),
+
+        subscribe:   (channel) => client.subscribe(channel, (message) => fake.emit('message', channel, message)),
+        unsubscribe: (channel) => client.unsubscribe(channel)
+    });
+};
+
+/**
+ * Client with the interface of node-redis v3 created with `detect_buffers`
+ * (replies with Buffers to commands with Buffer arguments), connected once
+ * created
+ *
+ * @param  {Object} [client] In-memory client to use, new one by default
+ * @return {Object}
+ */
+exports.nodeRedisV3 = function nodeRedisV3(client = memory.createClient()) {
+    const fake     = new events.EventEmitter();
+    const callback = (promise, fn) => promise.then((reply) => fn && fn(null, reply), (error) => fn && fn(error));
+
+    client.connect().then(() => {
+        fake.connected = fake.ready = true;
+        fake.emit('ready');
+    });
+
+    return Object.assign(fake, {
+        connected: false,
+        ready:     false,
+        options:   {},
+
+        send_command: (name, args, fn) => callback(send(client, [name].concat(args), args.some(Buffer.isBuffer)), fn),
+
+        quit: (fn) => callback(client.quit().then(() => {
+            fake.connected = fake.ready = false;
+            fake.emit('end');
+        }), fn),
+
+        multi: () => {
+            const commands = [];
+            const multi    = {
+                send_command: (name, args) => {
+                    commands.push([name].concat(args));
+
+                    return multi;
+                },
+
+                exec: (fn) => callback(exec(client, commands), fn)
+            };
+
+            return multi;
+        },
+
+        duplicate: () => nodeRedisV3(client.duplicate()),
+
+        subscribe:   (channel, fn) => callback(client.subscribe(channel, (message) => fake.emit('message', channel, message)), fn),
+        unsubscribe: (channel, fn) => callback(client.unsubscribe(channel), fn)
+    });
+};
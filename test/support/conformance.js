@@ -0,0 +1,125 @@
+/**
+ * Conformance of the in-memory client to Redis: cases described with this
+ * helper are run against `redis-type/memory` and, when `REDIS_URL` is set,
+ * against the server it points to (its database is flushed before every case)
+ */
+
+'use strict';
+
+const memory = require('../../memory');
+
+const BACKENDS = [
+    {name: 'memory', createClient: () => memory.createClient()},
+    {name: 'redis',  createClient: () => require('redis').createClient({url: process.env.REDIS_URL}), skip: !process.env.REDIS_URL}
+];
+
+/**
+ * Wait for milliseconds
+ *
+ * @param  {Number}  ms
+ * @return {Promise}
+ */
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Turn arguments into strings, Buffers are passed as is
+ *
+ * @param  {Array} args
+ * @return {Array}
+ */
+function stringify(args) {
+    return args.map((arg) => Buffer.isBuffer(arg) ? arg : String(arg));
+}
+
+/**
+ * Connection of conformance cases to the backend: node-redis v4 client and
+ * shortcuts to send raw commands with it
+ */
+class Connection {
+
+    constructor() {
+        this.client     = null;
+        this.duplicates = [];
+    }
+
+    /**
+     * Send command, arguments are stringified
+     *
+     * @param  {...*}    args Command name and arguments
+     * @return {Promise}      Reply
+     */
+    send(...args) {
+        return this.client.sendCommand(stringify(args));
+    }
+
+    /**
+     * Send command replying with Buffers
+     *
+     * @param  {...*}    args Command name and arguments
+     * @return {Promise}      Reply
+     */
+    sendBuffers(...args) {
+        return this.client.sendCommand(stringify(args), {returnBuffers: true});
+    }
+
+    /**
+     * Run commands in MULTI/EXEC
+     *
+     * @param  {...Array}       commands Commands with arguments
+     * @return {Promise<Array>}          Replies, errors in place of replies of failed commands
+     */
+    multi(...commands) {
+        const multi = this.client.multi();
+
+        commands.forEach((args) => multi.addCommand(stringify(args)));
+
+        return multi.exec();
+    }
+
+    /**
+     * Open another connection to the same database; it is closed after the case
+     *
+     * @return {Promise<Object>} Connected client
+     */
+    async duplicate() {
+        const duplicate = this.client.duplicate();
+
+        this.duplicates.push(duplicate);
+
+        await duplicate.connect();
+
+        return duplicate;
+    }
+}
+
+/**
+ * Describe conformance cases run against every backend
+ *
+ * @param {String}   title Title of the cases
+ * @param {Function} cases Function of {@link Connection} describing the cases
+ */
+module.exports = exports = function conformance(title, cases) {
+    BACKENDS.forEach((backend) => {
+        (backend.skip ? describe.skip : describe)(`${title} conformance: ${backend.name}`, function () {
+            const redis = new Connection();
+
+            before(async function () {
+                redis.client = backend.createClient();
+
+                await redis.client.connect();
+            });
+
+            after(() => redis.client.quit());
+
+            beforeEach(() => redis.send('FLUSHDB'));
+
+            afterEach(() => Promise.all(redis.duplicates.splice(0).map((duplicate) => duplicate.quit())));
+
+            cases(redis);
+        });
+    });
+};
+
+exports.sleep = sleep;
@@ -0,0 +1,158 @@
+'use strict';
+
+const assert  = require('assert');
+const memory  = require('../memory');
+const typesOf = require('..');
+
+describe('transaction', function () {
+    let client;
+    let types;
+
+    beforeEach(async function () {
+        client = memory.createClient();
+        types  = typesOf(client);
+
+        await client.connect();
+    });
+
+    afterEach(() => client.quit());
+
+    /**
+     * Make EXEC of the client fail as a whole
+     *
+     * @param {Error} error Error EXEC is rejected with
+     */
+    function failExec(error) {
+        const multi = client.multi;
+
+        client.multi = function () {
+            const builder = multi.call(client);
+
+            builder.exec = () => Promise.reject(error);
+
+            return builder;
+        };
+    }
+
+    describe('results', function () {
+        beforeEach(() => new types.Hash('hash', true).set('a', {x: 1}));
+
+        it('resolves single result', async function () {
+            assert.strictEqual(await types.transaction((tx) => new tx.Hash('hash', true).set('b', 2)), 1);
+            assert.deepStrictEqual(await types.transaction(async (tx) => new tx.Hash('hash', true).get('a')), {x: 1});
+        });
+
+        it('resolves array of results', async function () {
+            const results = await types.transaction((tx) => [
+                new tx.List('list', true).push({id: 1}),
+                new tx.Hash('hash', true).has('a'),
+                new tx.Hash('hash', true).get('a'),
+                'plain'
+            ]);
+
+            assert.deepStrictEqual(results, [1, true, {x: 1}, 'plain']);
+            assert.deepStrictEqual(await new types.List('list', true).slice(), [{id: 1}]);
+        });
+
+        it('resolves values of object', async function () {
+            const results = await types.transaction(async (tx) => ({
+                length: new tx.List('list').push('a', 'b'),
+                value:  new tx.Hash('hash', true).get('a'),
+                plain:  5
+            }));
+
+            assert.deepStrictEqual(results, {length: 2, value: {x: 1}, plain: 5});
+        });
+
+        it('resolves results chained after the callback', async function () {
+            const size = await types.transaction(async (tx) => {
+                await null;
+
+                return new tx.Hash('hash').size().then((size) => size * 10);
+            });
+
+            assert.strictEqual(size, 10);
+        });
+
+        it('resolves undefined when nothing is returned', async function () {
+            assert.strictEqual(await types.transaction((tx) => {
+                new tx.Hash('hash').set('b', '2');
+            }), undefined);
+
+            assert.strictEqual(await new types.Hash('hash').get('b'), '2');
+        });
+    });
+
+    describe('errors', function () {
+        it('rejects result awaited in the callback and discards the queue', async function () {
+            await assert.rejects(types.transaction(async (tx) => {
+                await new tx.Hash('hash').set('a', '1');
+            }), /awaited before the queue is executed/);
+
+            assert.strictEqual(await new types.Hash('hash').exists(), false);
+        });
+
+        it('rejects failed command in place, running the others', async function () {
+            await new types.List('list').push('a');
+
+            const [set, length] = await types.transaction((tx) => [
+                new tx.Hash('list').set('a', '1').catch((error) => error),
+                new tx.List('list').length()
+            ]);
+
+            assert.match(set.message, /^WRONGTYPE/);
+            assert.strictEqual(length, 1);
+        });
+
+        it('rejects transaction and all queued commands when EXEC fails', async function () {
+            const queued = [];
+
+            failExec(new Error('EXECABORT Transaction discarded because of previous errors.'));
+
+            await assert.rejects(types.transaction((tx) => {
+                queued.push(new tx.Hash('hash').set('a', '1'), new tx.List('list').push('a'));
+
+                return queued[0];
+            }), /^Error: EXECABORT/);
+
+            await Promise.all(queued.map((promise) => assert.rejects(promise, /^Error: EXECABORT/)));
+            assert.strictEqual(await new types.Hash('hash').exists(), false);
+        });
+
+        it('rejects queued commands when the callback throws', async function () {
+            let queued;
+
+            await assert.rejects(types.transaction((tx) => {
+                queued = new tx.Hash('hash').set('a', '1');
+
+                throw new Error('failed');
+            }), {message: 'failed'});
+
+            await assert.rejects(queued, {message: 'failed'});
+            assert.strictEqual(await new types.Hash('hash').exists(), false);
+        });
+    });
+
+    describe('batch', function () {
+        it('resolves results of commands sent in a pipeline', async function () {
+            const results = await types.batch((tx) => [
+                new tx.Set('set').add('a', 'b'),
+                new tx.Set('set').size()
+            ]);
+
+            assert.deepStrictEqual(results, [2, 2]);
+        });
+
+        it('rejects failed command only', async function () {
+            await new types.List('list').push('a');
+
+            const results = await types.batch((tx) => ({
+                set:  new tx.Hash('list').set('a', '1').catch((error) => error.message),
+                size: new tx.Set('set').add('a')
+            }));
+
+            assert.match(results.set, /^WRONGTYPE/);
+            assert.strictEqual(results.size, 1);
+        });
+    });
+});
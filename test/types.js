@@ -0,0 +1,95 @@
+'use strict';
+
+const assert  = require('assert');
+const memory  = require('../memory');
+const typesOf = require('..');
+
+describe('types', function () {
+    let client;
+    let types;
+
+    beforeEach(async function () {
+        client = memory.createClient();
+        types  = typesOf(client);
+
+        await client.connect();
+    });
+
+    afterEach(() => client.quit());
+
+    describe('open', function () {
+        it('creates wrapper of the type of the key', async function () {
+            await client.sendCommand(['RPUSH', 'list', 'a']);
+            await client.sendCommand(['HSET', 'hash', 'a', '1']);
+            await client.sendCommand(['SADD', 'set', 'a']);
+            await client.sendCommand(['ZADD', 'zset', '1', 'a']);
+
+            for (const [key, Class] of [['list', 'List'], ['hash', 'Hash'], ['set', 'Set'], ['zset', 'SortedSet']]) {
+                const wrapper = await types.open(key, true);
+
+                assert.strictEqual(wrapper.constructor.name, Class);
+                assert.strictEqual(wrapper.key, key);
+                assert.strictEqual(wrapper.codec, typesOf.codecs.json);
+            }
+        });
+
+        it('replies null for missing key', async function () {
+            assert.strictEqual(await types.open('missing'), null);
+        });
+
+        it('opens keys of namespace', async function () {
+            await new (types.namespace('app').Set)('tags').add('x');
+
+            const tags = await types.namespace('app').open('tags');
+
+            assert.ok(tags instanceof typesOf.Set);
+            assert.strictEqual(tags.key, 'app:tags');
+        });
+    });
+
+    describe('strict mode', function () {
+        beforeEach(() => client.sendCommand(['RPUSH', 'list', 'a']));
+
+        it('rejects with WrongTypeError naming the types', async function () {
+            const hash = new types.Hash('list', {strict: true});
+
+            await assert.rejects(hash.get('a'), (error) => {
+                assert.ok(error instanceof typesOf.WrongTypeError);
+                assert.strictEqual(error.name, 'WrongTypeError');
+                assert.strictEqual(error.key, 'list');
+                assert.strictEqual(error.expected, 'hash');
+                assert.strictEqual(error.actual, 'list');
+                assert.strictEqual(error.message, 'Key "list" holds list, expected hash');
+
+                return true;
+            });
+        });
+
+        it('rejects with Redis error without strict mode', async function () {
+            await assert.rejects(new types.Hash('list').get('a'), {message: /^WRONGTYPE/});
+        });
+
+        it('works with missing key and key of its type', async function () {
+            const hash = new types.Hash('hash', {strict: true, codec: true});
+
+            await Promise.all([hash.set('a', {x: 1}), hash.set('b', 2)]);
+
+            assert.deepStrictEqual(await hash.getAll(), {a: {x: 1}, b: 2});
+            assert.deepStrictEqual(await new types.List('list', {strict: true}).slice(), ['a']);
+        });
+
+        it('does not check type of commands queued in transaction', async function () {
+            await assert.rejects(types.transaction((tx) => new tx.Hash('list', {strict: true}).size()), {message: /^WRONGTYPE/});
+            assert.deepStrictEqual(await types.transaction((tx) => [new tx.List('list', {strict: true}).length()]), [1]);
+        });
+
+        it('does not check type of base Wrapper', async function () {
+            assert.strictEqual(await new types.Wrapper('list', {strict: true}).exists(), true);
+        });
+    });
+
+    it('rejects key which is not a non-empty string', function () {
+        assert.throws(() => new types.Hash(42), /key/i);
+        assert.throws(() => new types.Hash(''), /key/i);
+    });
+});
@@ -0,0 +1,84 @@
+'use strict';
+
+const assert  = require('assert');
+const memory  = require('../memory');
+const typesOf = require('..');
+
+describe('Value', function () {
+    let client;
+    let types;
+    let config;
+
+    beforeEach(async function () {
+        client = memory.createClient();
+        types  = typesOf(client);
+        config = new types.Value('config', true);
+
+        await client.connect();
+    });
+
+    afterEach(() => client.quit());
+
+    it('sets and gets value encoded with the codec', async function () {
+        assert.strictEqual(await config.get(), null);
+        assert.strictEqual(await config.set({theme: 'dark'}), true);
+        assert.strictEqual(await config.set({theme: 'light'}, {nx: true}), false);
+        assert.deepStrictEqual(await config.get(), {theme: 'dark'});
+        assert.strictEqual(await client.sendCommand(['GET', 'config']), '{"theme":"dark"}');
+        assert.ok(await types.open('config') instanceof typesOf.Value);
+    });
+
+    it('sets TTL, keeps it and replies previous value', async function () {
+        await config.set({theme: 'dark'});
+
+        assert.deepStrictEqual(await config.set({theme: 'light'}, {ttl: 60, get: true}), {theme: 'dark'});
+        assert.strictEqual(await config.ttl(), 60);
+
+        await config.set({theme: 'blue'}, {keepTtl: true});
+
+        assert.strictEqual(await config.ttl(), 60);
+
+        const expiring = new types.Value('expiring', {ttl: 30});
+
+        await expiring.set('a');
+
+        assert.strictEqual(await expiring.ttl(), 30);
+    });
+
+    it('gets and expires or deletes value', async function () {
+        await config.set({theme: 'dark'}, {ttl: 60});
+
+        assert.deepStrictEqual(await config.getAndExpire(null), {theme: 'dark'});
+        assert.strictEqual(await config.ttl(), -1);
+        assert.deepStrictEqual(await config.getAndExpire(1.5), {theme: 'dark'});
+        assert.strictEqual(await config.ttl(), 2);
+        assert.deepStrictEqual(await config.getAndDelete(), {theme: 'dark'});
+        assert.strictEqual(await config.exists(), false);
+    });
+
+    it('appends and overwrites ranges of raw strings', async function () {
+        const log = new types.Value('log');
+
+        assert.strictEqual(await log.append('hello'), 5);
+        assert.strictEqual(await log.append(' world'), 11);
+        assert.strictEqual(await log.getRange(0, 4), 'hello');
+        assert.strictEqual(await log.getRange(6), 'world');
+        assert.strictEqual(await log.setRange(0, 'J'), 11);
+        assert.strictEqual(await log.get(), 'Jello world');
+    });
+
+    it('restores snapshots', async function () {
+        await config.set({theme: 'dark'});
+
+        const snapshot = await config.snapshot();
+
+        assert.deepStrictEqual(snapshot.data, {theme: 'dark'});
+
+        await config.clear();
+
+        const restored = await types.restore(snapshot);
+
+        assert.ok(restored instanceof typesOf.Value);
+        assert.deepStrictEqual(await restored.get(), {theme: 'dark'});
+    });
+});